@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { prisma } from '../src/server.js';
+import { isAuthSessionActive } from '../services/authSessionService.js';
+import { canManageSession, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -14,6 +16,14 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens stop working as soon as their device session is signed out
+    if (!(await isAuthSessionActive(prisma, decoded.sid, decoded.userId))) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
     
     // Get user from database to ensure they still exist
     const user = await prisma.user.findUnique({
@@ -25,9 +35,12 @@ export const authenticateToken = async (req, res, next) => {
         role: true,
         joinedDate: true,
         phone: true,
+        birthDate: true,
+        timezone: true,
         chapter: true,
         city: true,
-        avatar: true
+        avatar: true,
+        adminChapters: true
       }
     });
 
@@ -39,6 +52,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -87,8 +101,10 @@ export const requireRole = (roles) => {
 };
 
 export const requireAdmin = requireRole('ADMIN');
+// Chapter admins pass; routes using this must still check the resource is in their chapters
+export const requireChapterAdminOrAdmin = requireRole(['CHAPTER_ADMIN', 'ADMIN']);
 export const requireParentOrAdmin = requireRole(['PARENT', 'ADMIN']);
-export const requireStudentOrParentOrAdmin = requireRole(['STUDENT', 'PARENT', 'ADMIN']);
+export const requireStudentOrParentOrAdmin = requireRole(['STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN']);
 
 // New middleware to check if parent is confirmed for a session
 export const requireParentConfirmedForSession = async (req, res, next) => {
@@ -100,11 +116,19 @@ export const requireParentConfirmedForSession = async (req, res, next) => {
       });
     }
 
-    // Admins can always access
+    // Admins can always access, chapter admins for sessions of their chapters' events
     if (req.user.role === 'ADMIN') {
       return next();
     }
 
+    if (req.user.role === 'CHAPTER_ADMIN') {
+      const sessionId = req.params.sessionId || req.body.sessionId || req.query.sessionId;
+      if (sessionId && await canManageSession(prisma, req.user, sessionId)) {
+        return next();
+      }
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
     // Only parents need this check
     if (req.user.role !== 'PARENT') {
       return res.status(403).json({ 
@@ -1,41 +1,17 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import crypto from 'crypto';
-import { prisma } from '../src/server.js';
-import { userLoginSchema, userRegistrationSchema, passwordChangeSchema } from '../validation/schemas.js';
+import { prisma, io } from '../src/server.js';
+import { userLoginSchema, userRegistrationSchema, passwordChangeSchema, refreshTokenSchema } from '../validation/schemas.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { findRedeemableInvitation, redeemInvitation, INVITATION_ERRORS } from '../services/invitationService.js';
+import { sendPasswordResetEmail } from '../services/emailService.js';
+import { createAuthSession, rotateRefreshToken, revokeAuthSession, revokeUserAuthSessions, AUTH_SESSION_ERRORS } from '../services/authSessionService.js';
+import { getUserLocationData } from '../services/locationService.js';
+import { getUserTotalHours } from '../services/hoursService.js';
 
 const router = express.Router();
 
-// Email transporter configuration
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-};
-
-// Helper function to calculate user hours from signups
-const calculateUserHours = async (userId) => {
-  const result = await prisma.userEventSignup.aggregate({
-    where: {
-      userId: userId,
-      status: 'CONFIRMED',
-      approval: 'APPROVED',
-      hoursEarned: { not: null }
-    },
-    _sum: {
-      hoursEarned: true
-    }
-  });
-  return result._sum.hoursEarned || 0;
-};
-
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -48,7 +24,16 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    const { email, password, ...userData } = value;
+    const { email, password, inviteToken, deviceName, chapter, city, ...userData } = value;
+
+    // Chapter and city must match existing records; users store the canonical names
+    const location = await getUserLocationData(prisma, { chapter, city });
+    if (location.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: location.error
+      });
+    }
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
@@ -66,35 +51,52 @@ router.post('/register', async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        ...userData,
-        email,
-        password: hashedPassword
-      },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        joinedDate: true,
-        phone: true,
-        chapter: true,
-        city: true,
-        avatar: true
+    // Create user; the role only ever comes from a redeemed invitation
+    const user = await prisma.$transaction(async (tx) => {
+      const invitation = inviteToken
+        ? await findRedeemableInvitation(tx, inviteToken, email)
+        : null;
+
+      // Invited users join the invitation's chapter
+      const invitedLocation = invitation?.chapter
+        ? (await getUserLocationData(tx, { chapter: invitation.chapter })).data
+        : {};
+
+      const newUser = await tx.user.create({
+        data: {
+          ...userData,
+          ...location.data,
+          ...invitedLocation,
+          ...(invitation?.role === 'CHAPTER_ADMIN' && { adminChapters: [invitation.chapter] }),
+          role: invitation ? invitation.role : 'STUDENT',
+          email,
+          password: hashedPassword
+        },
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          joinedDate: true,
+          phone: true,
+          chapter: true,
+          city: true,
+          avatar: true
+        }
+      });
+
+      if (invitation) {
+        await redeemInvitation(tx, invitation, newUser.id);
       }
+
+      return newUser;
     });
 
     // Calculate hours for new user (will be 0)
-    const totalHours = await calculateUserHours(user.id);
+    const totalHours = await getUserTotalHours(prisma, user.id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Sign in this device
+    const tokens = await createAuthSession(prisma, user, req, deviceName);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -102,10 +104,18 @@ router.post('/register', async (req, res) => {
         ...user,
         totalHours
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
+    const invitationError = INVITATION_ERRORS[error.message];
+    if (invitationError) {
+      return res.status(invitationError.status).json({
+        error: invitationError.error,
+        message: invitationError.message
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       error: 'Registration failed',
@@ -126,7 +136,7 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const { email, password } = value;
+    const { email, password, deviceName } = value;
 
     // Find user
     const user = await prisma.user.findUnique({
@@ -163,14 +173,10 @@ router.post('/login', async (req, res) => {
 
     // Remove password from response and calculate hours
     const { password: _, ...userWithoutPassword } = user;
-    const totalHours = await calculateUserHours(user.id);
+    const totalHours = await getUserTotalHours(prisma, user.id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Sign in this device
+    const tokens = await createAuthSession(prisma, user, req, deviceName);
 
     res.json({
       message: 'Login successful',
@@ -178,7 +184,7 @@ router.post('/login', async (req, res) => {
         ...userWithoutPassword,
         totalHours
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -205,11 +211,119 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    message: 'Logout successful'
-  });
+// Logout: signs out the device session the token belongs to
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeAuthSession(prisma, req.authSessionId, 'LOGOUT');
+    io.in(`auth-session-${req.authSessionId}`).disconnectSockets(true);
+
+    res.json({
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
+// List the current user's active device sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.authSession.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.authSessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: 'An error occurred while fetching your sessions'
+    });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserAuthSessions(prisma, req.user.id, 'REVOKED', req.authSessionId);
+
+    const sockets = await io.in(`user-${req.user.id}`).fetchSockets();
+    for (const socket of sockets) {
+      if (socket.data.authSessionId !== req.authSessionId) {
+        socket.disconnect(true);
+      }
+    }
+
+    res.json({
+      message: `Signed out of ${revokedCount} other session${revokedCount !== 1 ? 's' : ''}`,
+      revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'An error occurred while signing out other sessions'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.authSession.findUnique({
+      where: { id },
+      select: { userId: true, revokedAt: true }
+    });
+
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist or has already been signed out'
+      });
+    }
+
+    await revokeAuthSession(prisma, id, 'REVOKED');
+    io.in(`auth-session-${id}`).disconnectSockets(true);
+
+    res.json({
+      message: 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'An error occurred while signing out the session'
+    });
+  }
 });
 
 // Change password
@@ -263,14 +377,23 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     const saltRounds = 12;
     const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
 
-    // Update password
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { password: hashedNewPassword }
+    // Update password and sign out every device, then start a fresh session for this one
+    const tokens = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: req.user.id },
+        data: { password: hashedNewPassword }
+      });
+
+      await revokeUserAuthSessions(tx, req.user.id, 'PASSWORD_CHANGED');
+
+      return await createAuthSession(tx, req.user, req);
     });
 
+    io.in(`user-${req.user.id}`).disconnectSockets(true);
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      ...tokens
     });
 
   } catch (error) {
@@ -282,37 +405,33 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token (optional - for longer sessions)
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        email: true
-      }
-    });
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'User not found',
-        message: 'User account no longer exists'
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
       });
     }
 
-    // Generate new token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const tokens = await rotateRefreshToken(prisma, value.refreshToken, req);
 
     res.json({
       message: 'Token refreshed successfully',
-      token
+      ...tokens
     });
 
   } catch (error) {
+    const sessionError = AUTH_SESSION_ERRORS[error.message];
+    if (sessionError) {
+      return res.status(sessionError.status).json({
+        error: sessionError.error,
+        message: sessionError.message
+      });
+    }
+
     console.error('Token refresh error:', error);
     res.status(500).json({
       error: 'Token refresh failed',
@@ -350,78 +469,30 @@ router.post('/forgot-password', async (req, res) => {
     const resetToken = crypto.randomBytes(32).toString('hex');
     const expiresAt = new Date(Date.now() + 3 * 60 * 60 * 1000); // 3 hours
 
-    // Save reset token to database
-    await prisma.passwordReset.create({
-      data: {
-        email,
-        token: resetToken,
-        expiresAt
-      }
-    });
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
-    // Create notification for password reset request
-    await prisma.notification.create({
-      data: {
-        userId: user.id,
-        title: 'Password Reset Requested',
-        description: 'A password reset has been requested for your account. Check your email for the reset link. If you did not request this, please contact support immediately.',
-        type: 'WARNING'
-      }
-    });
+    // Save the token, notify and queue the reset email together
+    await prisma.$transaction(async (tx) => {
+      await tx.passwordReset.create({
+        data: {
+          email,
+          token: resetToken,
+          expiresAt
+        }
+      });
 
-    // Create email transporter
-    const transporter = createTransporter();
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+      // Create notification for password reset request
+      await tx.notification.create({
+        data: {
+          userId: user.id,
+          title: 'Password Reset Requested',
+          description: 'A password reset has been requested for your account. Check your email for the reset link. If you did not request this, please contact support immediately.',
+          type: 'WARNING'
+        }
+      });
 
-    // Email content
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Password Reset Request - MySewa',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center; color: white;">
-            <h1 style="margin: 0;">MySewa</h1>
-            <p style="margin: 5px 0 0 0;">Password Reset Request</p>
-          </div>
-          <div style="padding: 30px; background: #f9f9f9;">
-            <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
-            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-              We received a request to reset your password for your MySewa account. 
-              If you didn't make this request, you can safely ignore this email.
-            </p>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${resetUrl}" 
-                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                        color: white; 
-                        padding: 12px 30px; 
-                        text-decoration: none; 
-                        border-radius: 5px; 
-                        display: inline-block; 
-                        font-weight: bold;">
-                Reset Password
-              </a>
-            </div>
-            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-              This link will expire in 3 hours for security reasons.
-            </p>
-            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-              If the button doesn't work, you can copy and paste this link into your browser:
-            </p>
-            <p style="color: #667eea; word-break: break-all; font-size: 14px;">
-              ${resetUrl}
-            </p>
-            <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; text-align: center;">
-              This is an automated message from MySewa. Please do not reply to this email.
-            </p>
-          </div>
-        </div>
-      `
-    };
-
-    // Send email
-    await transporter.sendMail(mailOptions);
+      await sendPasswordResetEmail(tx, user, resetUrl);
+    });
 
     res.json({
       message: 'If an account with that email exists, a password reset link has been sent'
@@ -534,11 +605,16 @@ router.post('/reset-password', async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-    // Update user password
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { password: hashedPassword }
+    // Update user password and sign out every device
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { password: hashedPassword }
+      });
+
+      await revokeUserAuthSessions(tx, user.id, 'PASSWORD_RESET');
     });
+    io.in(`user-${user.id}`).disconnectSockets(true);
 
     // Mark reset token as used
     await prisma.passwordReset.update({
@@ -572,14 +648,10 @@ router.post('/reset-password', async (req, res) => {
       }
     });
 
-    const totalHours = await calculateUserHours(user.id);
+    const totalHours = await getUserTotalHours(prisma, user.id);
 
-    // Generate JWT token for automatic login
-    const jwtToken = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Sign in this device automatically
+    const tokens = await createAuthSession(prisma, updatedUser, req);
 
     res.json({
       message: 'Password reset successfully',
@@ -587,7 +659,7 @@ router.post('/reset-password', async (req, res) => {
         ...updatedUser,
         totalHours
       },
-      token: jwtToken
+      ...tokens
     });
 
   } catch (error) {
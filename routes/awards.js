@@ -0,0 +1,220 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin, requireChapterAdminOrAdmin } from '../middleware/auth.js';
+import { awardTierCreateSchema, awardTierUpdateSchema, awardQuerySchema } from '../validation/schemas.js';
+import { canViewUser } from '../services/familyService.js';
+import { getManagedUserWhere } from '../services/chapterScopeService.js';
+import { getAwardYear, findAwardTiers, getAwardProgress, getAwardReport } from '../services/awardService.js';
+
+const router = express.Router();
+
+const TIER_NOT_FOUND = {
+  error: 'Award tier not found',
+  message: 'The requested award tier does not exist'
+};
+
+// Get the award tiers that apply in an award year
+router.get('/tiers', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = awardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const year = value.year || getAwardYear();
+
+    res.json({
+      year,
+      tiers: await findAwardTiers(prisma, year)
+    });
+
+  } catch (error) {
+    console.error('Get award tiers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch award tiers',
+      message: 'An error occurred while fetching award tiers'
+    });
+  }
+});
+
+// Create an award tier (admin only)
+router.post('/tiers', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = awardTierCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const tier = await prisma.awardTier.create({
+      data: {
+        ...value,
+        createdBy: req.user.id
+      }
+    });
+
+    res.status(201).json({
+      message: 'Award tier created',
+      tier
+    });
+
+  } catch (error) {
+    console.error('Create award tier error:', error);
+    res.status(500).json({
+      error: 'Failed to create award tier',
+      message: 'An error occurred while creating the award tier'
+    });
+  }
+});
+
+// Update an award tier (admin only). Achievements already recorded are kept.
+router.put('/tiers/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = awardTierUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const existingTier = await prisma.awardTier.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existingTier) {
+      return res.status(404).json(TIER_NOT_FOUND);
+    }
+
+    // Only one end of the age band may be changing
+    const minAge = value.minAge !== undefined ? value.minAge : existingTier.minAge;
+    const maxAge = value.maxAge !== undefined ? value.maxAge : existingTier.maxAge;
+    if (minAge !== null && maxAge !== null && maxAge < minAge) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Maximum age must be at least the minimum age'
+      });
+    }
+
+    const tier = await prisma.awardTier.update({
+      where: { id: existingTier.id },
+      data: value
+    });
+
+    res.json({
+      message: 'Award tier updated',
+      tier
+    });
+
+  } catch (error) {
+    console.error('Update award tier error:', error);
+    res.status(500).json({
+      error: 'Failed to update award tier',
+      message: 'An error occurred while updating the award tier'
+    });
+  }
+});
+
+// Delete an award tier and its achievements (admin only); deactivate it to keep the history
+router.delete('/tiers/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existingTier = await prisma.awardTier.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+
+    if (!existingTier) {
+      return res.status(404).json(TIER_NOT_FOUND);
+    }
+
+    await prisma.awardTier.delete({
+      where: { id: existingTier.id }
+    });
+
+    res.json({ message: 'Award tier deleted' });
+
+  } catch (error) {
+    console.error('Delete award tier error:', error);
+    res.status(500).json({
+      error: 'Failed to delete award tier',
+      message: 'An error occurred while deleting the award tier'
+    });
+  }
+});
+
+// Progress toward each award tier this year, for yourself or a linked child (?userId)
+router.get('/progress', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = awardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { userId = req.user.id, year = getAwardYear() } = value;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view award progress for yourself or your linked children'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, role: true, birthDate: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    res.json({
+      user: { id: user.id, name: user.name },
+      progress: await getAwardProgress(prisma, user, year)
+    });
+
+  } catch (error) {
+    console.error('Get award progress error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch award progress',
+      message: 'An error occurred while fetching award progress'
+    });
+  }
+});
+
+// Who qualifies for which award in a year (admins, and chapter admins for their chapters)
+router.get('/report', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = awardQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const year = value.year || getAwardYear();
+
+    res.json(await getAwardReport(prisma, year, getManagedUserWhere(req.user)));
+
+  } catch (error) {
+    console.error('Get award report error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch award report',
+      message: 'An error occurred while building the award report'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { buildCalendar, verifyCalendarFeedToken, getUserFeedUrls, getChapterFeedUrls, getFeedStartDate } from '../services/calendarService.js';
+
+const router = express.Router();
+
+// Feed links point back at this API; set CALENDAR_FEED_BASE_URL when behind a proxy
+const getBaseUrl = (req) => process.env.CALENDAR_FEED_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+const sessionEventSelect = {
+  select: {
+    title: true,
+    description: true
+  }
+};
+
+const getFeedSettings = async (req, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      calendarFeedVersion: true,
+      chapterRecord: {
+        select: {
+          name: true,
+          slug: true,
+          isActive: true
+        }
+      }
+    }
+  });
+
+  const chapter = user.chapterRecord?.isActive ? user.chapterRecord : null;
+
+  return {
+    ...getUserFeedUrls(user, getBaseUrl(req)),
+    chapterFeed: chapter ? { chapter: chapter.name, ...getChapterFeedUrls(chapter, getBaseUrl(req)) } : null
+  };
+};
+
+// Get the current user's private feed URL, and their chapter's public feed
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    res.json({ calendar: await getFeedSettings(req, req.user.id) });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calendar feed',
+      message: 'An error occurred while fetching your calendar feed'
+    });
+  }
+});
+
+// Issue a new private feed URL; calendars subscribed to the old one stop updating
+router.post('/me/reset', authenticateToken, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarFeedVersion: { increment: 1 } }
+    });
+
+    res.json({
+      message: 'Calendar feed URL reset successfully',
+      calendar: await getFeedSettings(req, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to reset calendar feed',
+      message: 'An error occurred while resetting your calendar feed'
+    });
+  }
+});
+
+// A user's confirmed sessions (no login; the signed URL is the credential).
+// Cancelled sessions stay in the feed as cancelled so subscribed calendars remove them.
+router.get('/users/:userId/:token.ics', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.userId },
+      select: {
+        id: true,
+        name: true,
+        calendarFeedVersion: true
+      }
+    });
+
+    if (!verifyCalendarFeedToken(user, req.params.token)) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        message: 'This calendar link is invalid or has been reset'
+      });
+    }
+
+    const signups = await prisma.userEventSignup.findMany({
+      where: {
+        userId: user.id,
+        status: 'CONFIRMED',
+        instance: {
+          startDate: { gte: getFeedStartDate() }
+        }
+      },
+      include: {
+        instance: {
+          include: { event: sessionEventSelect }
+        }
+      },
+      orderBy: { instance: { startDate: 'asc' } }
+    });
+
+    sendCalendar(res, 'mysewa-sessions.ics', buildCalendar(
+      signups.map(signup => signup.instance),
+      { name: `MySewa - ${user.name}` }
+    ));
+
+  } catch (error) {
+    console.error('Get user calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calendar feed',
+      message: 'An error occurred while building the calendar feed'
+    });
+  }
+});
+
+// Public feed of a chapter's published events
+router.get('/chapters/:slug.ics', async (req, res) => {
+  try {
+    const chapter = await prisma.chapter.findUnique({
+      where: { slug: req.params.slug }
+    });
+
+    if (!chapter || !chapter.isActive) {
+      return res.status(404).json({
+        error: 'Chapter not found',
+        message: 'The requested chapter does not exist'
+      });
+    }
+
+    const instances = await prisma.eventInstance.findMany({
+      where: {
+        enabled: true,
+        startDate: { gte: getFeedStartDate() },
+        event: {
+          status: 'PUBLISHED',
+          chapterRecords: { some: { id: chapter.id } }
+        }
+      },
+      include: { event: sessionEventSelect },
+      orderBy: { startDate: 'asc' }
+    });
+
+    sendCalendar(res, `${chapter.slug}.ics`, buildCalendar(instances, { name: `MySewa - ${chapter.name}` }));
+
+  } catch (error) {
+    console.error('Get chapter calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calendar feed',
+      message: 'An error occurred while building the calendar feed'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,318 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin, requireChapterAdminOrAdmin } from '../middleware/auth.js';
+import { chapterCreateSchema, chapterUpdateSchema, chapterCoordinatorsSchema, locationQuerySchema } from '../validation/schemas.js';
+import { slugify, normalizeLocationName, findLocation, findLocationConflict, propagateChapterRename } from '../services/locationService.js';
+import { isAnyAdmin, isGlobalAdmin, getAdminChapters, canManageUser, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+
+const router = express.Router();
+
+const chapterInclude = {
+  cities: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+      isActive: true
+    },
+    orderBy: { name: 'asc' }
+  },
+  coordinators: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      avatar: true
+    },
+    orderBy: { name: 'asc' }
+  },
+  _count: {
+    select: {
+      members: true,
+      events: true
+    }
+  }
+};
+
+// Fields chapter admins may change on their own chapters; renames and deactivation stay global
+const CHAPTER_ADMIN_FIELDS = ['timezone', 'contactEmail', 'contactPhone', 'description'];
+
+const canEditChapter = (user, chapter) => isGlobalAdmin(user) || getAdminChapters(user).includes(chapter.name);
+
+// Get chapters (any authenticated user; admins can include inactive chapters)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = locationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const includeInactive = value.includeInactive && isAnyAdmin(req.user);
+
+    const chapters = await prisma.chapter.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      include: chapterInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ chapters });
+
+  } catch (error) {
+    console.error('Get chapters error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch chapters',
+      message: 'An error occurred while fetching chapters'
+    });
+  }
+});
+
+// Get a chapter by id or slug
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const chapter = await findLocation(prisma, 'chapter', req.params.id, { include: chapterInclude });
+
+    if (!chapter || (!chapter.isActive && !isAnyAdmin(req.user))) {
+      return res.status(404).json({
+        error: 'Chapter not found',
+        message: 'The requested chapter does not exist'
+      });
+    }
+
+    res.json({ chapter });
+
+  } catch (error) {
+    console.error('Get chapter error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch chapter',
+      message: 'An error occurred while fetching the chapter'
+    });
+  }
+});
+
+// Create chapter (admin only)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = chapterCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const name = normalizeLocationName(value.name);
+    const slug = value.slug || slugify(name);
+
+    if (await findLocationConflict(prisma, 'chapter', { name, slug })) {
+      return res.status(409).json({
+        error: 'Chapter already exists',
+        message: 'A chapter with this name or slug already exists'
+      });
+    }
+
+    const chapter = await prisma.chapter.create({
+      data: { ...value, name, slug },
+      include: chapterInclude
+    });
+
+    res.status(201).json({
+      message: 'Chapter created successfully',
+      chapter
+    });
+
+  } catch (error) {
+    console.error('Create chapter error:', error);
+    res.status(500).json({
+      error: 'Failed to create chapter',
+      message: 'An error occurred while creating the chapter'
+    });
+  }
+});
+
+// Update chapter (admin; chapter admins can update contact details and timezone of their chapters)
+router.put('/:id', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = chapterUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const existingChapter = await findLocation(prisma, 'chapter', req.params.id);
+    if (!existingChapter) {
+      return res.status(404).json({
+        error: 'Chapter not found',
+        message: 'The requested chapter does not exist'
+      });
+    }
+
+    if (!canEditChapter(req.user, existingChapter)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    if (!isGlobalAdmin(req.user) && Object.keys(value).some(field => !CHAPTER_ADMIN_FIELDS.includes(field))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only administrators can rename, re-slug or deactivate chapters'
+      });
+    }
+
+    const data = { ...value };
+    if (value.name) data.name = normalizeLocationName(value.name);
+
+    const renamed = data.name && data.name !== existingChapter.name;
+    if ((renamed || data.slug) &&
+        await findLocationConflict(prisma, 'chapter', { name: renamed && data.name, slug: data.slug }, existingChapter.id)) {
+      return res.status(409).json({
+        error: 'Chapter already exists',
+        message: 'A chapter with this name or slug already exists'
+      });
+    }
+
+    // Users, events, chapter admins and invitations store the name too
+    const chapter = await prisma.$transaction(async (tx) => {
+      const updated = await tx.chapter.update({
+        where: { id: existingChapter.id },
+        data,
+        include: chapterInclude
+      });
+
+      if (renamed) {
+        await propagateChapterRename(tx, existingChapter.id, existingChapter.name, data.name);
+      }
+
+      return updated;
+    });
+
+    res.json({
+      message: 'Chapter updated successfully',
+      chapter
+    });
+
+  } catch (error) {
+    console.error('Update chapter error:', error);
+    res.status(500).json({
+      error: 'Failed to update chapter',
+      message: 'An error occurred while updating the chapter'
+    });
+  }
+});
+
+// Replace a chapter's coordinators (admin, or a chapter admin of the chapter)
+router.put('/:id/coordinators', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = chapterCoordinatorsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const existingChapter = await findLocation(prisma, 'chapter', req.params.id);
+    if (!existingChapter) {
+      return res.status(404).json({
+        error: 'Chapter not found',
+        message: 'The requested chapter does not exist'
+      });
+    }
+
+    if (!canEditChapter(req.user, existingChapter)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const [users, currentCoordinators] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: value.userIds } },
+        select: { id: true, role: true, chapter: true }
+      }),
+      prisma.user.findMany({
+        where: { coordinatedChapters: { some: { id: existingChapter.id } } },
+        select: { id: true }
+      })
+    ]);
+
+    if (users.length !== value.userIds.length) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'One or more coordinators do not exist'
+      });
+    }
+
+    // Chapter admins can keep the current coordinators, add themselves, or add volunteers they manage
+    const currentIds = new Set(currentCoordinators.map(coordinator => coordinator.id));
+    const outOfScope = users.some(user =>
+      !currentIds.has(user.id) && user.id !== req.user.id && !canManageUser(req.user, user));
+
+    if (outOfScope) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only make volunteers in the chapters you manage coordinators'
+      });
+    }
+
+    const chapter = await prisma.chapter.update({
+      where: { id: existingChapter.id },
+      data: {
+        coordinators: { set: value.userIds.map(id => ({ id })) }
+      },
+      include: chapterInclude
+    });
+
+    res.json({
+      message: 'Chapter coordinators updated successfully',
+      chapter
+    });
+
+  } catch (error) {
+    console.error('Update chapter coordinators error:', error);
+    res.status(500).json({
+      error: 'Failed to update chapter coordinators',
+      message: 'An error occurred while updating the chapter coordinators'
+    });
+  }
+});
+
+// Delete chapter (admin only). Chapters with members or events are deactivated instead.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const chapter = await findLocation(prisma, 'chapter', req.params.id, { include: chapterInclude });
+
+    if (!chapter) {
+      return res.status(404).json({
+        error: 'Chapter not found',
+        message: 'The requested chapter does not exist'
+      });
+    }
+
+    if (chapter._count.members > 0 || chapter._count.events > 0) {
+      return res.status(409).json({
+        error: 'Chapter in use',
+        message: `This chapter has ${chapter._count.members} members and ${chapter._count.events} events. Set isActive to false to retire it instead.`
+      });
+    }
+
+    await prisma.chapter.delete({
+      where: { id: chapter.id }
+    });
+
+    res.json({
+      message: 'Chapter deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete chapter error:', error);
+    res.status(500).json({
+      error: 'Failed to delete chapter',
+      message: 'An error occurred while deleting the chapter'
+    });
+  }
+});
+
+export default router;
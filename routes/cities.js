@@ -0,0 +1,243 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { cityCreateSchema, cityUpdateSchema, locationQuerySchema } from '../validation/schemas.js';
+import { slugify, normalizeLocationName, findLocation, findLocationConflict, propagateCityRename } from '../services/locationService.js';
+import { isAnyAdmin } from '../services/chapterScopeService.js';
+
+const router = express.Router();
+
+const cityInclude = {
+  chapter: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+      timezone: true
+    }
+  },
+  _count: {
+    select: {
+      members: true,
+      events: true
+    }
+  }
+};
+
+// A city's own timezone, or its chapter's
+const withTimezone = (city) => ({
+  ...city,
+  effectiveTimezone: city.timezone || city.chapter?.timezone || null
+});
+
+const chapterExists = async (chapterId) => {
+  if (!chapterId) return true;
+  return Boolean(await prisma.chapter.findUnique({ where: { id: chapterId }, select: { id: true } }));
+};
+
+// Get cities (any authenticated user; ?chapterId filters, admins can include inactive cities)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = locationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const where = {};
+    if (!(value.includeInactive && isAnyAdmin(req.user))) where.isActive = true;
+    if (value.chapterId) where.chapterId = value.chapterId;
+
+    const cities = await prisma.city.findMany({
+      where,
+      include: cityInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ cities: cities.map(withTimezone) });
+
+  } catch (error) {
+    console.error('Get cities error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cities',
+      message: 'An error occurred while fetching cities'
+    });
+  }
+});
+
+// Get a city by id or slug
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const city = await findLocation(prisma, 'city', req.params.id, { include: cityInclude });
+
+    if (!city || (!city.isActive && !isAnyAdmin(req.user))) {
+      return res.status(404).json({
+        error: 'City not found',
+        message: 'The requested city does not exist'
+      });
+    }
+
+    res.json({ city: withTimezone(city) });
+
+  } catch (error) {
+    console.error('Get city error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch city',
+      message: 'An error occurred while fetching the city'
+    });
+  }
+});
+
+// Create city (admin only)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = cityCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const name = normalizeLocationName(value.name);
+    const slug = value.slug || slugify(name);
+
+    if (!(await chapterExists(value.chapterId))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Chapter does not exist'
+      });
+    }
+
+    if (await findLocationConflict(prisma, 'city', { name, slug })) {
+      return res.status(409).json({
+        error: 'City already exists',
+        message: 'A city with this name or slug already exists'
+      });
+    }
+
+    const city = await prisma.city.create({
+      data: { ...value, name, slug },
+      include: cityInclude
+    });
+
+    res.status(201).json({
+      message: 'City created successfully',
+      city: withTimezone(city)
+    });
+
+  } catch (error) {
+    console.error('Create city error:', error);
+    res.status(500).json({
+      error: 'Failed to create city',
+      message: 'An error occurred while creating the city'
+    });
+  }
+});
+
+// Update city (admin only)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = cityUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const existingCity = await findLocation(prisma, 'city', req.params.id);
+    if (!existingCity) {
+      return res.status(404).json({
+        error: 'City not found',
+        message: 'The requested city does not exist'
+      });
+    }
+
+    if (!(await chapterExists(value.chapterId))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Chapter does not exist'
+      });
+    }
+
+    const data = { ...value };
+    if (value.name) data.name = normalizeLocationName(value.name);
+
+    const renamed = data.name && data.name !== existingCity.name;
+    if ((renamed || data.slug) &&
+        await findLocationConflict(prisma, 'city', { name: renamed && data.name, slug: data.slug }, existingCity.id)) {
+      return res.status(409).json({
+        error: 'City already exists',
+        message: 'A city with this name or slug already exists'
+      });
+    }
+
+    // Users and events store the name too
+    const city = await prisma.$transaction(async (tx) => {
+      const updated = await tx.city.update({
+        where: { id: existingCity.id },
+        data,
+        include: cityInclude
+      });
+
+      if (renamed) {
+        await propagateCityRename(tx, existingCity.id, existingCity.name, data.name);
+      }
+
+      return updated;
+    });
+
+    res.json({
+      message: 'City updated successfully',
+      city: withTimezone(city)
+    });
+
+  } catch (error) {
+    console.error('Update city error:', error);
+    res.status(500).json({
+      error: 'Failed to update city',
+      message: 'An error occurred while updating the city'
+    });
+  }
+});
+
+// Delete city (admin only). Cities with members or events are deactivated instead.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const city = await findLocation(prisma, 'city', req.params.id, { include: cityInclude });
+
+    if (!city) {
+      return res.status(404).json({
+        error: 'City not found',
+        message: 'The requested city does not exist'
+      });
+    }
+
+    if (city._count.members > 0 || city._count.events > 0) {
+      return res.status(409).json({
+        error: 'City in use',
+        message: `This city has ${city._count.members} members and ${city._count.events} events. Set isActive to false to retire it instead.`
+      });
+    }
+
+    await prisma.city.delete({
+      where: { id: city.id }
+    });
+
+    res.json({
+      message: 'City deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete city error:', error);
+    res.status(500).json({
+      error: 'Failed to delete city',
+      message: 'An error occurred while deleting the city'
+    });
+  }
+});
+
+export default router;
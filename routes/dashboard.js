@@ -1,34 +1,26 @@
 import express from 'express';
 import { prisma } from '../src/server.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, requireChapterAdminOrAdmin } from '../middleware/auth.js';
+import { isAnyAdmin, getManagedEventWhere, getManagedUserWhere, canManageUser, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+import { transcriptQuerySchema, certificateQuerySchema, certificateRevokeSchema } from '../validation/schemas.js';
 import XLSX from 'xlsx';
 import PDFDocument from 'pdfkit';
+import { canViewUser } from '../services/familyService.js';
+import { getAnswerColumns } from '../services/signupQuestionService.js';
+import { getUserTotalHours, getUsersTotalHours, getTotalHours, getHoursTranscript } from '../services/hoursService.js';
+import { issueCertificate, revokeCertificate, drawVerificationStamp, getVerificationUrl } from '../services/certificateService.js';
+import { getUserTimezone } from '../services/timezoneService.js';
+import { formatInTimezone } from '../utils/dateUtils.js';
 
 const router = express.Router();
 
-// Helper function to calculate user hours from signups
-const calculateUserHours = async (userId) => {
-  const result = await prisma.userEventSignup.aggregate({
-    where: {
-      userId: userId,
-      status: 'CONFIRMED',
-      approval: 'APPROVED',
-      hoursEarned: { not: null }
-    },
-    _sum: {
-      hoursEarned: true
-    }
-  });
-  return result._sum.hoursEarned || 0;
-};
-
 // Get dashboard statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Calculate user's total hours from signups
-    const totalHours = await calculateUserHours(userId);
+    // Total hours from the user's hours ledger
+    const totalHours = await getUserTotalHours(prisma, userId);
 
     // Get upcoming events count
     const upcomingEventsCount = await prisma.userEventSignup.count({
@@ -64,21 +56,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const startOfMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
     const endOfMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
 
-    const hoursThisMonth = await prisma.userEventSignup.aggregate({
-      where: {
-        userId,
-        signupDate: {
-          gte: startOfMonth,
-          lte: endOfMonth
-        },
-        hoursEarned: {
-          not: null
-        }
-      },
-      _sum: {
-        hoursEarned: true
-      }
-    });
+    const hoursThisMonth = await getUserTotalHours(prisma, userId, { from: startOfMonth, to: endOfMonth });
 
     res.json({
       stats: {
@@ -86,7 +64,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         upcomingEvents: upcomingEventsCount,
         pastEvents: pastEventsCount,
         totalEvents: totalEventsCount,
-        hoursThisMonth: hoursThisMonth._sum.hoursEarned || 0
+        hoursThisMonth
       }
     });
 
@@ -206,28 +184,33 @@ router.get('/recent-activity', authenticateToken, async (req, res) => {
   }
 });
 
-// Get admin dashboard statistics (admin only)
+// Get admin dashboard statistics (admin only; chapter admins see their own chapters)
 router.get('/admin-stats', authenticateToken, async (req, res) => {
   try {
-    if (req.user.role !== 'ADMIN') {
+    if (!isAnyAdmin(req.user)) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'Admin access required'
       });
     }
 
+    const userWhere = getManagedUserWhere(req.user);
+    const eventWhere = getManagedEventWhere(req.user);
+    const signupWhere = eventWhere && { event: eventWhere };
+
     // Get total users count
-    const totalUsers = await prisma.user.count();
+    const totalUsers = await prisma.user.count({ where: userWhere });
 
     // Get total events count
-    const totalEvents = await prisma.event.count();
+    const totalEvents = await prisma.event.count({ where: eventWhere });
 
     // Get total signups count
-    const totalSignups = await prisma.userEventSignup.count();
+    const totalSignups = await prisma.userEventSignup.count({ where: signupWhere });
 
     // Get events by status
     const eventsByStatus = await prisma.event.groupBy({
       by: ['status'],
+      where: eventWhere,
       _count: {
         id: true
       }
@@ -236,6 +219,7 @@ router.get('/admin-stats', authenticateToken, async (req, res) => {
     // Get users by role
     const usersByRole = await prisma.user.groupBy({
       by: ['role'],
+      where: userWhere,
       _count: {
         id: true
       }
@@ -246,21 +230,13 @@ router.get('/admin-stats', authenticateToken, async (req, res) => {
       where: {
         startDate: {
           gt: new Date()
-        }
+        },
+        ...(eventWhere && { event: eventWhere })
       }
     });
 
-    // Get total hours volunteered from confirmed signups marked approved
-    const totalHours = await prisma.userEventSignup.aggregate({
-      where: {
-        status: 'CONFIRMED',
-        approval: 'APPROVED',
-        hoursEarned: { not: null }
-      },
-      _sum: {
-        hoursEarned: true
-      }
-    });
+    // Get total hours volunteered at the events in scope
+    const totalHours = await getTotalHours(prisma, { eventWhere });
 
     res.json({
       stats: {
@@ -268,7 +244,7 @@ router.get('/admin-stats', authenticateToken, async (req, res) => {
         totalEvents,
         totalSignups,
         upcomingEvents,
-        totalHours: totalHours._sum.hoursEarned || 0,
+        totalHours,
         eventsByStatus,
         usersByRole
       }
@@ -347,11 +323,15 @@ router.get('/available-events', authenticateToken, async (req, res) => {
   }
 });
 
-// Export chapter data to Excel (admin only)
-router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req, res) => {
+// Export chapter data to Excel (admin only; chapter admins export their own chapters)
+router.get('/export-chapter-data', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
+    // Dates are shown in the exporting admin's timezone
+    const timeZone = await getUserTimezone(prisma, req.user);
+
     // Get all users with calculated hours
     const users = await prisma.user.findMany({
+      where: getManagedUserWhere(req.user),
       select: {
         id: true,
         name: true,
@@ -367,24 +347,7 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
     });
 
     // Calculate hours for all users
-    const userIds = users.map(user => user.id);
-    const results = await prisma.userEventSignup.groupBy({
-      by: ['userId'],
-      where: {
-        userId: { in: userIds },
-        status: 'CONFIRMED',
-        approval: 'APPROVED',
-        hoursEarned: { not: null }
-      },
-      _sum: {
-        hoursEarned: true
-      }
-    });
-    
-    const hoursMap = new Map();
-    results.forEach(result => {
-      hoursMap.set(result.userId, result._sum.hoursEarned || 0);
-    });
+    const hoursMap = await getUsersTotalHours(prisma, users.map(user => user.id));
 
     // Format users data for Excel
     const usersData = users.map(user => ({
@@ -395,12 +358,13 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
       'City': user.city || '',
       'Phone': user.phone || '',
       'Total Hours': hoursMap.get(user.id) || 0,
-      'Join Date': user.joinedDate ? new Date(user.joinedDate).toLocaleDateString() : '',
-      'Created': new Date(user.createdAt).toLocaleDateString()
+      'Join Date': formatInTimezone(user.joinedDate, timeZone),
+      'Created': formatInTimezone(user.createdAt, timeZone)
     }));
 
     // Get all events with instances
     const events = await prisma.event.findMany({
+      where: getManagedEventWhere(req.user),
       include: {
         instances: {
           include: {
@@ -433,8 +397,8 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
       event.instances.map(instance => ({
         'Event Title': event.title,
         'Event Category': event.category,
-        'Session Date': instance.startDate ? new Date(instance.startDate).toLocaleDateString() : 'TBD',
-        'Session Time': instance.startDate ? new Date(instance.startDate).toLocaleTimeString() : 'TBD',
+        'Session Date': instance.startDate ? formatInTimezone(instance.startDate, timeZone) : 'TBD',
+        'Session Time': instance.startDate ? formatInTimezone(instance.startDate, timeZone, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }) : 'TBD',
         'Location': instance.location || 'TBD',
         'Hours': instance.hours || 0,
         'Student Capacity': instance.studentCapacity,
@@ -444,12 +408,94 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
         'Parent Signups': instance.signups.filter(s => s.user.role === 'PARENT').length,
         'Status': event.status,
         'Created By': event.creator.name,
-        'Created Date': new Date(event.createdAt).toLocaleDateString(),
+        'Created Date': formatInTimezone(event.createdAt, timeZone),
         'Chapters': event.chapters.join(', '),
         'Cities': event.cities.join(', ')
       }))
     );
 
+    // One row per signup with its answers to the event's custom questions
+    const answeredEvents = await prisma.event.findMany({
+      where: {
+        ...getManagedEventWhere(req.user),
+        questions: { some: {} }
+      },
+      include: {
+        questions: {
+          orderBy: { position: 'asc' }
+        },
+        signups: {
+          where: {
+            status: { not: 'CANCELLED' }
+          },
+          include: {
+            user: {
+              select: {
+                name: true,
+                email: true,
+                role: true
+              }
+            },
+            instance: {
+              select: {
+                startDate: true
+              }
+            },
+            answers: true
+          },
+          orderBy: { signupDate: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const answersData = answeredEvents.flatMap(event =>
+      event.signups.map(signup => ({
+        'Event Title': event.title,
+        'Session Date': signup.instance.startDate ? formatInTimezone(signup.instance.startDate, timeZone) : 'TBD',
+        'Name': signup.user.name,
+        'Email': signup.user.email,
+        'Role': signup.user.role,
+        'Status': signup.status,
+        ...getAnswerColumns(event.questions, signup.answers)
+      }))
+    );
+
+    // Approved hours served with other organizations; already part of each user's total
+    const managedUserWhere = getManagedUserWhere(req.user);
+    const externalSubmissions = await prisma.externalHoursSubmission.findMany({
+      where: {
+        status: 'APPROVED',
+        ...(managedUserWhere && { user: managedUserWhere })
+      },
+      select: {
+        organization: true,
+        activity: true,
+        activityDate: true,
+        hours: true,
+        supervisorName: true,
+        supervisorEmail: true,
+        supervisorPhone: true,
+        reviewedAt: true,
+        user: { select: { name: true, email: true } },
+        reviewer: { select: { name: true } }
+      },
+      orderBy: { activityDate: 'desc' }
+    });
+
+    const externalHoursData = externalSubmissions.map(submission => ({
+      'Name': submission.user.name,
+      'Email': submission.user.email,
+      'Organization': submission.organization,
+      'Activity': submission.activity,
+      'Date': formatInTimezone(submission.activityDate, 'UTC'), // A calendar date, stored at UTC midnight
+      'Hours': submission.hours,
+      'Supervisor': submission.supervisorName,
+      'Supervisor Contact': submission.supervisorEmail || submission.supervisorPhone || '',
+      'Approved By': submission.reviewer?.name || '',
+      'Approved Date': formatInTimezone(submission.reviewedAt, timeZone)
+    }));
+
     // Create workbook
     const workbook = XLSX.utils.book_new();
 
@@ -461,6 +507,14 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
     const eventsSheet = XLSX.utils.json_to_sheet(eventsData);
     XLSX.utils.book_append_sheet(workbook, eventsSheet, 'Events');
 
+    // Add signup answers sheet
+    const answersSheet = XLSX.utils.json_to_sheet(answersData);
+    XLSX.utils.book_append_sheet(workbook, answersSheet, 'Signup Answers');
+
+    // Add outside hours sheet
+    const externalHoursSheet = XLSX.utils.json_to_sheet(externalHoursData);
+    XLSX.utils.book_append_sheet(workbook, externalHoursSheet, 'Outside Hours');
+
     // Generate buffer
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
@@ -484,17 +538,27 @@ router.get('/export-chapter-data', authenticateToken, requireAdmin, async (req,
 // Generate volunteer certificate PDF
 router.get('/generate-certificate', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
+    // Parents can download their linked children's certificates
+    const userId = req.query.userId || req.user.id;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only generate certificates for yourself or your linked children'
+      });
+    }
 
     // Get user data
     const user = await prisma.user.findUnique({
       where: { id: userId },
       select: {
+        id: true,
         name: true,
         email: true,
         chapter: true,
         city: true,
-        joinedDate: true
+        joinedDate: true,
+        timezone: true
       }
     });
 
@@ -506,42 +570,20 @@ router.get('/generate-certificate', authenticateToken, async (req, res) => {
     }
 
     // Calculate total hours
-    const totalHours = await calculateUserHours(userId);
+    const totalHours = await getUserTotalHours(prisma, userId);
 
-    if (totalHours === 0) {
+    if (totalHours <= 0) {
       return res.status(400).json({
         error: 'No volunteer hours',
         message: 'You must have completed volunteer hours to generate a certificate'
       });
     }
 
-    // Get completed events for details
-    const completedSignups = await prisma.userEventSignup.findMany({
-      where: {
-        userId: userId,
-        status: 'CONFIRMED',
-        approval: 'APPROVED',
-        hoursEarned: { not: null }
-      },
-      include: {
-        event: {
-          select: {
-            title: true,
-            category: true
-          }
-        },
-        instance: {
-          select: {
-            startDate: true,
-            hours: true
-          }
-        }
-      },
-      orderBy: {
-        instance: {
-          startDate: 'asc'
-        }
-      }
+    // Record the certificate so it can be verified later
+    const certificate = await issueCertificate(prisma, {
+      userId,
+      type: 'CERTIFICATE',
+      issuedBy: req.user.id
     });
 
     // Create PDF document
@@ -619,18 +661,18 @@ router.get('/generate-certificate', authenticateToken, async (req, res) => {
     doc.fontSize(24)
        .font('Helvetica-Bold')
        .fillColor('#059669')
-       .text(`${totalHours} Volunteer Hours`, centerX - 120, 360, {
+       .text(`${certificate.totalHours} Volunteer Hours`, centerX - 120, 360, {
          width: 240,
          align: 'center'
        });
 
+    // Dates are shown in the holder's timezone
+    const timeZone = await getUserTimezone(prisma, user);
+
     // Service period
-    const firstEventDate = completedSignups[0]?.instance?.startDate;
-    const lastEventDate = completedSignups[completedSignups.length - 1]?.instance?.startDate;
-    
-    if (firstEventDate && lastEventDate) {
-      const startDate = new Date(firstEventDate).toLocaleDateString();
-      const endDate = new Date(lastEventDate).toLocaleDateString();
+    if (certificate.periodStart) {
+      const startDate = formatInTimezone(certificate.periodStart, timeZone);
+      const endDate = formatInTimezone(certificate.periodEnd, timeZone);
       
       doc.fontSize(14)
          .font('Helvetica')
@@ -667,7 +709,7 @@ router.get('/generate-certificate', authenticateToken, async (req, res) => {
     }
 
     // Date and signature area
-    const currentDate = new Date().toLocaleDateString();
+    const currentDate = formatInTimezone(certificate.createdAt, timeZone);
     
     doc.fontSize(12)
        .text(`Certificate Generated: ${currentDate}`, 80, pageHeight - 120);
@@ -679,10 +721,13 @@ router.get('/generate-certificate', authenticateToken, async (req, res) => {
        .lineTo(pageWidth - 80, pageHeight - 90)
        .stroke('#374151');
 
+    // Verification QR code in the top-right corner
+    await drawVerificationStamp(doc, certificate, pageWidth - 140, 60);
+
     // Footer
     doc.fontSize(10)
        .fillColor('#6B7280')
-       .text('This certificate is digitally generated and verified by Sewa International Volunteer Management System', 
+       .text(`Verify this certificate at ${getVerificationUrl(certificate.code)}`, 
              centerX - 250, pageHeight - 60, {
          width: 500,
          align: 'center'
@@ -700,4 +745,266 @@ router.get('/generate-certificate', authenticateToken, async (req, res) => {
   }
 });
 
-export default router; 
\ No newline at end of file
+const TRANSCRIPT_SOURCES = {
+  SESSION: 'Session',
+  OUTSIDE: 'Outside',
+  ADJUSTMENT: 'Adjustment'
+};
+
+// Generate an hours transcript PDF listing each session, optionally for a date range
+router.get('/generate-transcript', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = transcriptQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { userId = req.user.id, from, to } = value;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only generate transcripts for yourself or your linked children'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        chapter: true,
+        timezone: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User data could not be found'
+      });
+    }
+
+    const transcript = await getHoursTranscript(prisma, userId, { from, to });
+
+    if (transcript.rows.length === 0) {
+      return res.status(400).json({
+        error: 'No volunteer hours',
+        message: 'There are no volunteer hours in this date range'
+      });
+    }
+
+    const certificate = await issueCertificate(prisma, {
+      userId,
+      type: 'TRANSCRIPT',
+      from,
+      to,
+      issuedBy: req.user.id
+    });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="volunteer-transcript-${user.name.replace(/\s+/g, '-')}.pdf"`);
+
+    doc.pipe(res);
+
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const columns = [
+      { label: 'Date', x: 50, width: 70 },
+      { label: 'Type', x: 125, width: 65 },
+      { label: 'Activity', x: 195, width: 190 },
+      { label: 'Location / Organization', x: 390, width: 110 },
+      { label: 'Hours', x: 505, width: 40, align: 'right' }
+    ];
+
+    const drawHeaderRow = (y) => {
+      doc.fontSize(10).font('Helvetica-Bold').fillColor('#374151');
+      for (const column of columns) {
+        doc.text(column.label, column.x, y, { width: column.width, align: column.align || 'left' });
+      }
+      doc.moveTo(50, y + 14).lineTo(pageWidth - 50, y + 14).stroke('#D97706');
+      return y + 20;
+    };
+
+    // Heading
+    doc.fontSize(22)
+       .font('Helvetica-Bold')
+       .fillColor('#D97706')
+       .text('VOLUNTEER HOURS TRANSCRIPT', 50, 60, { width: 380 });
+
+    doc.fontSize(12)
+       .font('Helvetica')
+       .fillColor('#374151')
+       .text(user.name, 50, 100)
+       .text(user.chapter ? `${user.chapter} Chapter, Sewa International` : 'Sewa International', 50, 118);
+
+    // Session dates are shown in the holder's timezone; the range and outside-hours dates are
+    // calendar dates stored at UTC midnight
+    const timeZone = await getUserTimezone(prisma, user);
+    const rangeText = from || to
+      ? `${from ? formatInTimezone(from, 'UTC') : 'Start'} - ${to ? formatInTimezone(to, 'UTC') : 'Present'}`
+      : 'All service';
+    doc.text(`Period: ${rangeText}`, 50, 136);
+
+    await drawVerificationStamp(doc, certificate, pageWidth - 130, 50);
+
+    // One row per session or activity
+    let y = drawHeaderRow(180);
+    doc.font('Helvetica').fontSize(9);
+
+    for (const row of transcript.rows) {
+      const cells = [
+        formatInTimezone(row.date, row.source === 'OUTSIDE' ? 'UTC' : timeZone),
+        TRANSCRIPT_SOURCES[row.source],
+        row.description,
+        row.organization || row.location || '',
+        String(row.hours)
+      ];
+      const rowHeight = Math.max(...columns.map((column, i) => doc.heightOfString(cells[i], { width: column.width }))) + 6;
+
+      if (y + rowHeight > pageHeight - 90) {
+        doc.addPage();
+        y = drawHeaderRow(50);
+        doc.font('Helvetica').fontSize(9);
+      }
+
+      doc.fillColor('#374151');
+      columns.forEach((column, i) => {
+        doc.text(cells[i], column.x, y, { width: column.width, align: column.align || 'left' });
+      });
+      y += rowHeight;
+    }
+
+    // Total
+    doc.moveTo(50, y).lineTo(pageWidth - 50, y).stroke('#D97706');
+    doc.fontSize(11)
+       .font('Helvetica-Bold')
+       .fillColor('#059669')
+       .text(`Total: ${certificate.totalHours} Volunteer Hours`, 50, y + 8, { width: pageWidth - 100, align: 'right' });
+
+    // Footer
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor('#6B7280')
+       .text(`Issued ${formatInTimezone(certificate.createdAt, timeZone)}. Verify this transcript at ${getVerificationUrl(certificate.code)}`,
+             50, pageHeight - 60, {
+         width: pageWidth - 100,
+         align: 'center'
+       });
+
+    doc.end();
+
+  } catch (error) {
+    console.error('Generate transcript error:', error);
+    res.status(500).json({
+      error: 'Failed to generate transcript',
+      message: 'An error occurred while generating the transcript'
+    });
+  }
+});
+
+// List the certificates and transcripts issued to a user
+router.get('/certificates', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = certificateQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { userId = req.user.id } = value;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view certificates for yourself or your linked children'
+      });
+    }
+
+    const certificates = await prisma.certificate.findMany({
+      where: { userId },
+      include: {
+        issuer: { select: { id: true, name: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      certificates: certificates.map(certificate => ({
+        ...certificate,
+        verificationUrl: getVerificationUrl(certificate.code)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch certificates',
+      message: 'An error occurred while fetching certificates'
+    });
+  }
+});
+
+// Revoke a certificate, e.g. one issued in error (admins and chapter admins of the holder's chapter)
+router.post('/certificates/:id/revoke', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = certificateRevokeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const certificate = await prisma.certificate.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: { select: { id: true, role: true, chapter: true } }
+      }
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'The requested certificate does not exist'
+      });
+    }
+
+    if (!canManageUser(req.user, certificate.user)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    if (certificate.revokedAt) {
+      return res.status(409).json({
+        error: 'Certificate already revoked',
+        message: 'This certificate has already been revoked'
+      });
+    }
+
+    const revokedCertificate = await revokeCertificate(prisma, certificate.id, value.reason);
+
+    res.json({
+      message: 'Certificate revoked',
+      certificate: revokedCertificate
+    });
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke certificate',
+      message: 'An error occurred while revoking the certificate'
+    });
+  }
+});
+
+export default router;
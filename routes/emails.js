@@ -0,0 +1,166 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { emailQuerySchema } from '../validation/schemas.js';
+import { enqueueJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+// Password reset emails carry a live reset link when sent, so they stay out of the viewer and
+// cannot be resent; the user can request a new link instead
+const HIDDEN_PURPOSES = ['PASSWORD_RESET'];
+const visibleEmailWhere = { purpose: { notIn: HIDDEN_PURPOSES } };
+
+const EMAIL_NOT_FOUND = {
+  error: 'Email not found',
+  message: 'The requested email does not exist'
+};
+
+// Everything except the body, which can be large
+const emailListSelect = {
+  id: true,
+  userId: true,
+  from: true,
+  to: true,
+  subject: true,
+  purpose: true,
+  status: true,
+  provider: true,
+  providerMessageId: true,
+  error: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true,
+  user: { select: { id: true, name: true, email: true } }
+};
+
+// Get outbox emails with status counts (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = emailQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit, status, purpose, userId, to } = value;
+    const skip = (page - 1) * limit;
+
+    const where = { ...visibleEmailWhere };
+    if (status) where.status = status;
+    if (purpose) where.purpose = purpose;
+    if (userId) where.userId = userId;
+    if (to) where.to = { contains: to, mode: 'insensitive' };
+
+    const [emails, total, statusCounts] = await Promise.all([
+      prisma.emailMessage.findMany({
+        where,
+        select: emailListSelect,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.emailMessage.count({ where }),
+      prisma.emailMessage.groupBy({
+        by: ['status'],
+        where: purpose ? { purpose } : visibleEmailWhere,
+        _count: { _all: true }
+      })
+    ]);
+
+    res.json({
+      emails,
+      counts: Object.fromEntries(statusCounts.map(result => [result.status, result._count._all])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch emails',
+      message: 'An error occurred while fetching emails'
+    });
+  }
+});
+
+// Get email by ID, including its body (admin only)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const email = await prisma.emailMessage.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: { select: { id: true, name: true, email: true } }
+      }
+    });
+
+    if (!email || HIDDEN_PURPOSES.includes(email.purpose)) {
+      return res.status(404).json(EMAIL_NOT_FOUND);
+    }
+
+    res.json({ email });
+
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email',
+      message: 'An error occurred while fetching the email'
+    });
+  }
+});
+
+// Send a failed email again (admin only)
+router.post('/:id/resend', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const email = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.emailMessage.updateMany({
+        where: { id, status: 'FAILED', ...visibleEmailWhere },
+        data: { status: 'QUEUED', error: null }
+      });
+
+      if (count === 0) {
+        const existingEmail = await tx.emailMessage.findFirst({ where: { id, ...visibleEmailWhere } });
+        throw new Error(existingEmail ? 'Email not failed' : 'Email not found');
+      }
+
+      await enqueueJob(tx, 'send-email', { messageId: id }, { dedupeKey: `email_${id}`, replace: true });
+
+      return await tx.emailMessage.findUnique({
+        where: { id },
+        select: emailListSelect
+      });
+    });
+
+    res.json({
+      message: 'Email queued for delivery',
+      email
+    });
+
+  } catch (error) {
+    if (error.message === 'Email not found') {
+      return res.status(404).json(EMAIL_NOT_FOUND);
+    }
+    if (error.message === 'Email not failed') {
+      return res.status(400).json({
+        error: 'Email cannot be resent',
+        message: 'Only failed emails can be resent'
+      });
+    }
+
+    console.error('Resend email error:', error);
+    res.status(500).json({
+      error: 'Failed to resend email',
+      message: 'An error occurred while resending the email'
+    });
+  }
+});
+
+export default router;
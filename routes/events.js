@@ -1,54 +1,77 @@
 import express from 'express';
+import PDFDocument from 'pdfkit';
 import { prisma, eventScheduler, io } from '../src/server.js';
-import { authenticateToken, requireAdmin, requireStudentOrParentOrAdmin } from '../middleware/auth.js';
-import { eventCreateSchema, eventUpdateSchema, eventQuerySchema, eventInstanceCreateSchema, eventInstanceUpdateSchema, sessionStatusUpdateSchema } from '../validation/schemas.js';
+import { authenticateToken, requireChapterAdminOrAdmin, requireStudentOrParentOrAdmin } from '../middleware/auth.js';
+import { eventCreateSchema, eventUpdateSchema, eventQuerySchema, eventInstanceCreateSchema, eventInstanceUpdateSchema, sessionStatusUpdateSchema, sessionRescheduleSchema, recurrenceSchema, seriesUpdateSchema, signupQuestionsUpdateSchema, rosterQuerySchema } from '../validation/schemas.js';
 import { localToUTC, utcToLocal } from '../utils/dateUtils.js';
-import { sendSessionCancellationEmail, sendSessionCompletionEmail } from '../services/emailService.js';
+import { describeRRule } from '../utils/recurrence.js';
+import { sendSessionCompletionEmail, sendSessionUpdateEmail } from '../services/emailService.js';
+import { buildRecurrenceRuleData, materializeRecurrenceRule, addRecurrenceException, updateRecurringInstance, removeRecurringSession, endRecurrenceAt, endEventRecurrences } from '../services/recurrenceService.js';
+import { createNotification, emitNotifications } from '../services/notificationService.js';
+import { getReminderOffsets, formatReminderOffset } from '../services/reminderService.js';
+import { canManageEvent, canDeleteEvent, canManageSession, checkEventChapters, getManagedEventWhere, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+import { getEventLocationData } from '../services/locationService.js';
+import { findLocationTimezone, getEventTimezone, getUserTimezone } from '../services/timezoneService.js';
+import { syncRemovedSignupsHours } from '../services/hoursService.js';
+import { getActiveQuestions, replaceEventQuestions } from '../services/signupQuestionService.js';
+import { buildSessionRoster, renderRosterCsv, renderRosterXlsx, renderRosterPdf } from '../services/rosterService.js';
+import { hasScheduleChanged } from '../services/calendarService.js';
+import { rescheduleSession } from '../services/rescheduleService.js';
+import { offerWaitlistSpots, withdrawWaitlistOffers, emitWaitlistPromotions } from '../services/waitlistService.js';
+import { cancelSession } from '../services/sessionStatusService.js';
 
 const router = express.Router();
 
-// Helper function to promote waitlisted users with 12-hour notification system
-async function promoteWaitlistedUsers(tx, instanceId, role, slotsAvailable) {
-  const waitlistedUsers = await tx.userEventSignup.findMany({
-    where: {
-      instanceId,
-      status: 'WAITLIST',
-      user: { role }
-    },
-    orderBy: { signupDate: 'asc' },
-    take: slotsAvailable,
+// Email confirmed volunteers the new time or place of a rescheduled session, with an updated calendar entry
+async function sendSessionUpdateEmails(tx, before, after) {
+  if (after.status !== 'ACTIVE' || !hasScheduleChanged(before, after)) return;
+
+  const instance = await tx.eventInstance.findUnique({
+    where: { id: after.id },
     include: {
-      user: { select: { id: true, name: true, role: true } },
-      event: { select: { title: true } }
+      event: {
+        select: {
+          title: true,
+          description: true
+        }
+      },
+      signups: {
+        where: { status: 'CONFIRMED' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          }
+        }
+      }
     }
   });
 
-  const promotedUsers = [];
-  
-  for (const waitlistedUser of waitlistedUsers) {
-    // Update to WAITLIST_PENDING with notification timestamp
-    await tx.userEventSignup.update({
-      where: { id: waitlistedUser.id },
-      data: { 
-        status: 'WAITLIST_PENDING',
-        waitlistNotifiedAt: new Date()
-      }
-    });
-
-    // Create notification
-    await tx.notification.create({
-      data: {
-        userId: waitlistedUser.userId,
-        title: 'Waitlist Spot Available!',
-        description: `A spot has opened up for "${waitlistedUser.event.title}". You have 12 hours to accept or decline this spot. Go to the session details page to respond.`,
-        type: 'SUCCESS'
-      }
-    });
-
-    promotedUsers.push(waitlistedUser);
+  for (const signup of instance.signups) {
+    await sendSessionUpdateEmail(tx, signup.user, instance);
   }
+}
 
-  return promotedUsers;
+// Convert recurrence input dates from the event's timezone to UTC and build the series data
+function buildUtcRecurrenceData(recurrence, timeZone) {
+  return buildRecurrenceRuleData({
+    ...recurrence,
+    startDate: localToUTC(recurrence.startDate, timeZone),
+    endDate: recurrence.endDate ? localToUTC(recurrence.endDate, timeZone) : undefined,
+    until: recurrence.until ? localToUTC(recurrence.until, timeZone) : recurrence.until,
+    exceptionDates: (recurrence.exceptionDates || []).map(date => localToUTC(date, timeZone))
+  });
+}
+
+// Add a readable summary to each series of an event
+function withRecurrenceSummaries(recurrenceRules) {
+  return recurrenceRules.map(recurrenceRule => ({
+    ...recurrenceRule,
+    summary: describeRRule(recurrenceRule.rule)
+  }));
 }
 
 // Get all events
@@ -70,10 +93,19 @@ router.get('/', authenticateToken, async (req, res) => {
     const where = {};
     
     // Hide archived/draft events from non-admins
-    if (req.user.role !== 'ADMIN') {
+    if (req.user.role === 'ADMIN') {
+      if (status) where.status = status;
+    } else if (req.user.role === 'CHAPTER_ADMIN') {
+      // Chapter admins also see the drafts and archived events of their own chapters
+      const managedWhere = getManagedEventWhere(req.user);
+      if (!status) {
+        where.AND = [{ OR: [{ status: 'PUBLISHED' }, managedWhere] }];
+      } else {
+        where.status = status;
+        if (status !== 'PUBLISHED') where.AND = [managedWhere];
+      }
+    } else {
       where.status = 'PUBLISHED';
-    } else if (status) {
-      where.status = status;
     }
 
     if (search) {
@@ -227,6 +259,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
           },
           orderBy: { startDate: 'asc' }
         },
+        recurrenceRules: {
+          orderBy: { startDate: 'asc' }
+        },
+        questions: {
+          where: { archivedAt: null },
+          orderBy: { position: 'asc' }
+        },
         _count: {
           select: {
             signups: true
@@ -243,21 +282,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check if user can view this event
-    if (event.status === 'DRAFT' && req.user.role !== 'ADMIN') {
+    if (event.status === 'DRAFT' && !canManageEvent(req.user, event)) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'This event is not published yet'
       });
     }
 
-    if (event.status === 'ARCHIVED' && req.user.role !== 'ADMIN') {
+    if (event.status === 'ARCHIVED' && !canManageEvent(req.user, event)) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'This event has been archived'
       });
     }
 
-    res.json({ event });
+    res.json({
+      event: {
+        ...event,
+        recurrenceRules: withRecurrenceSummaries(event.recurrenceRules)
+      }
+    });
 
   } catch (error) {
     console.error('Get event error:', error);
@@ -268,8 +312,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new event (admin only)
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+// Create new event (admins and chapter admins of the event)
+router.post('/', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     // Validate input
     const { error, value } = eventCreateSchema.validate(req.body);
@@ -280,40 +324,102 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
-    const { instances, ...eventData } = value;
+    // Chapters and cities must match existing records; events store the canonical names
+    const location = await getEventLocationData(prisma, value, { create: true });
+    if (location.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: location.error
+      });
+    }
+
+    const chapterError = checkEventChapters(req.user, location.data.chapters);
+    if (chapterError) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: chapterError
+      });
+    }
+
+    const { instances, recurrence, questions, ...eventData } = { ...value, ...location.data };
 
-    // Convert dates to UTC for storage
+    // Convert dates from the event's timezone to UTC for storage
+    const timeZone = await findLocationTimezone(prisma, location.data);
     const utcEventData = {
       ...eventData,
-      scheduledPublishDate: eventData.scheduledPublishDate ? localToUTC(eventData.scheduledPublishDate) : null
+      isRecurring: recurrence ? true : eventData.isRecurring,
+      scheduledPublishDate: eventData.scheduledPublishDate ? localToUTC(eventData.scheduledPublishDate, timeZone) : null,
+      publishedAt: eventData.status === 'PUBLISHED' ? new Date() : null
     };
 
     // Convert instance dates to UTC
     const utcInstances = instances ? instances.map(instance => ({
       ...instance,
-      startDate: instance.startDate ? localToUTC(instance.startDate) : null,
-      endDate: instance.endDate ? localToUTC(instance.endDate) : null
+      startDate: instance.startDate ? localToUTC(instance.startDate, timeZone) : null,
+      endDate: instance.endDate ? localToUTC(instance.endDate, timeZone) : null,
+      scheduledPublishDate: instance.scheduledPublishDate ? localToUTC(instance.scheduledPublishDate, timeZone) : instance.scheduledPublishDate,
+      signupOpensAt: instance.signupOpensAt ? localToUTC(instance.signupOpensAt, timeZone) : instance.signupOpensAt,
+      signupClosesAt: instance.signupClosesAt ? localToUTC(instance.signupClosesAt, timeZone) : instance.signupClosesAt
     })) : undefined;
 
-    // Create event
-    const event = await prisma.event.create({
-      data: {
-        ...utcEventData,
-        createdBy: req.user.id,
-        instances: utcInstances ? {
-          create: utcInstances
-        } : undefined
-      },
-      include: {
-        creator: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    let recurrenceData = null;
+    if (recurrence) {
+      try {
+        recurrenceData = buildUtcRecurrenceData(recurrence, timeZone);
+      } catch (recurrenceError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: recurrenceError.message
+        });
+      }
+    }
+
+    // Create event together with its series and the first generated sessions
+    const event = await prisma.$transaction(async (tx) => {
+      const createdEvent = await tx.event.create({
+        data: {
+          ...utcEventData,
+          createdBy: req.user.id,
+          instances: utcInstances ? {
+            create: utcInstances
+          } : undefined
+        }
+      });
+
+      if (recurrenceData) {
+        const recurrenceRule = await tx.recurrenceRule.create({
+          data: {
+            ...recurrenceData,
+            eventId: createdEvent.id
           }
-        },
-        instances: true
+        });
+
+        await materializeRecurrenceRule(tx, recurrenceRule);
+      }
+
+      if (questions) {
+        await replaceEventQuestions(tx, createdEvent.id, questions);
       }
+
+      return await tx.event.findUnique({
+        where: { id: createdEvent.id },
+        include: {
+          creator: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          instances: {
+            orderBy: { startDate: 'asc' }
+          },
+          recurrenceRules: true,
+          questions: {
+            orderBy: { position: 'asc' }
+          }
+        }
+      });
     });
 
     // Create admin notification for event creation
@@ -341,8 +447,8 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Update event (admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Update event (admins and chapter admins of the event)
+router.put('/:id', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -385,14 +491,42 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    if (!canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    // Chapters and cities must match existing records; events store the canonical names
+    const location = await getEventLocationData(prisma, value);
+    if (location.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: location.error
+      });
+    }
+
+    const chapterError = checkEventChapters(req.user, location.data.chapters, existingEvent.chapters);
+    if (chapterError) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: chapterError
+      });
+    }
+
     // Extract instances from the update data
-    const { instances, ...eventData } = value;
+    const { instances, ...eventData } = { ...value, ...location.data };
 
-    // Convert dates to UTC for storage
+    // Convert dates from the event's timezone (after any location change) to UTC for storage
+    const timeZone = await findLocationTimezone(prisma, {
+      chapters: eventData.chapters || existingEvent.chapters,
+      cities: eventData.cities || existingEvent.cities
+    });
     const utcEventData = {
       ...eventData,
-      scheduledPublishDate: eventData.scheduledPublishDate ? localToUTC(eventData.scheduledPublishDate) : null
+      scheduledPublishDate: eventData.scheduledPublishDate ? localToUTC(eventData.scheduledPublishDate, timeZone) : null
     };
+    if (existingEvent.status !== 'PUBLISHED' && eventData.status === 'PUBLISHED') {
+      utcEventData.publishedAt = new Date();
+    }
 
     // Validate capacity changes if instances are being updated
     if (instances) {
@@ -457,6 +591,17 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
         // Delete instances that are no longer in the list
         const instancesToDelete = existingInstanceIds.filter(id => !newInstanceIds.includes(id));
         if (instancesToDelete.length > 0) {
+          // Keep removed series sessions from being generated again
+          for (const instance of existingEvent.instances.filter(inst => instancesToDelete.includes(inst.id))) {
+            await addRecurrenceException(tx, instance);
+          }
+
+          // Hours credited on the removed sessions come off the ledger with them
+          await syncRemovedSignupsHours(tx, { instanceId: { in: instancesToDelete } }, {
+            actorId: req.user.id,
+            reason: 'Session deleted'
+          });
+
           await tx.eventInstance.deleteMany({
             where: {
               id: { in: instancesToDelete }
@@ -467,8 +612,10 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
         // Convert instance dates to UTC
         const utcInstances = instances.map(instance => ({
           ...instance,
-          startDate: instance.startDate ? localToUTC(instance.startDate) : null,
-          endDate: instance.endDate ? localToUTC(instance.endDate) : null
+          startDate: instance.startDate ? localToUTC(instance.startDate, timeZone) : null,
+          endDate: instance.endDate ? localToUTC(instance.endDate, timeZone) : null,
+          signupOpensAt: instance.signupOpensAt ? localToUTC(instance.signupOpensAt, timeZone) : instance.signupOpensAt,
+          signupClosesAt: instance.signupClosesAt ? localToUTC(instance.signupClosesAt, timeZone) : instance.signupClosesAt
         }));
 
         // Update existing instances and create new ones
@@ -485,7 +632,8 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
                 studentCapacity: instance.studentCapacity,
                 parentCapacity: instance.parentCapacity,
                 description: instance.description,
-                enabled: instance.enabled !== undefined ? instance.enabled : true
+                enabled: instance.enabled !== undefined ? instance.enabled : true,
+                reminderOffsets: instance.reminderOffsets
               }
             });
           } else {
@@ -500,7 +648,8 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
                 studentCapacity: instance.studentCapacity,
                 parentCapacity: instance.parentCapacity,
                 description: instance.description,
-                enabled: instance.enabled !== undefined ? instance.enabled : true
+                enabled: instance.enabled !== undefined ? instance.enabled : true,
+                reminderOffsets: instance.reminderOffsets
               }
             });
           }
@@ -596,8 +745,8 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete event (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Delete event (admins and chapter admins of the event)
+router.delete('/:id', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -613,14 +762,28 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    if (!canDeleteEvent(req.user, existingEvent)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Events shared with chapters you do not manage can only be deleted by a global admin'
+      });
+    }
+
     // Cancel any scheduled jobs for this event
     if (existingEvent.status === 'SCHEDULED') {
       eventScheduler.cancelScheduledJob(id, 'publish');
     }
 
-    // Delete event (cascade will handle related records)
-    await prisma.event.delete({
-      where: { id }
+    // Delete event (cascade will handle related records); credited hours come off the ledger first
+    await prisma.$transaction(async (tx) => {
+      await syncRemovedSignupsHours(tx, { eventId: id }, {
+        actorId: req.user.id,
+        reason: 'Event deleted'
+      });
+
+      await tx.event.delete({
+        where: { id }
+      });
     });
 
     res.json({
@@ -636,8 +799,8 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Create event instance (admin only)
-router.post('/:id/instances', authenticateToken, requireAdmin, async (req, res) => {
+// Create event instance (admins and chapter admins of the event)
+router.post('/:id/instances', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { id: eventId } = req.params;
 
@@ -662,12 +825,19 @@ router.post('/:id/instances', authenticateToken, requireAdmin, async (req, res)
       });
     }
 
-    // Convert dates to UTC for storage
+    if (!canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    // Convert dates from the event's timezone to UTC for storage
+    const timeZone = await findLocationTimezone(prisma, existingEvent);
     const utcInstanceData = {
       ...value,
-      startDate: value.startDate ? localToUTC(value.startDate) : null,
-      endDate: value.endDate ? localToUTC(value.endDate) : null,
-      scheduledPublishDate: value.scheduledPublishDate ? localToUTC(value.scheduledPublishDate) : null,
+      startDate: value.startDate ? localToUTC(value.startDate, timeZone) : null,
+      endDate: value.endDate ? localToUTC(value.endDate, timeZone) : null,
+      scheduledPublishDate: value.scheduledPublishDate ? localToUTC(value.scheduledPublishDate, timeZone) : null,
+      signupOpensAt: value.signupOpensAt ? localToUTC(value.signupOpensAt, timeZone) : value.signupOpensAt,
+      signupClosesAt: value.signupClosesAt ? localToUTC(value.signupClosesAt, timeZone) : value.signupClosesAt,
       eventId
     };
 
@@ -698,66 +868,56 @@ router.post('/:id/instances', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// Get event instance by ID
-router.get('/instances/:instanceId', authenticateToken, async (req, res) => {
+// Get an event's signup questions (archived ones too for admins with ?includeArchived=true)
+router.get('/:id/questions', authenticateToken, async (req, res) => {
   try {
-    const { instanceId } = req.params;
+    const { id: eventId } = req.params;
 
-    const instance = await prisma.eventInstance.findUnique({
-      where: { id: instanceId },
-      include: {
-        event: {
-          select: {
-            id: true,
-            title: true,
-            description: true,
-            category: true,
-            tags: true,
-            createdBy: true
-          }
-        },
-        signups: {
-          include: {
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                role: true
-              }
-            }
-          }
-        }
-      }
+    const existingEvent = await prisma.event.findUnique({
+      where: { id: eventId },
+      select: { id: true, status: true, chapters: true }
     });
 
-    if (!instance) {
+    if (!existingEvent) {
       return res.status(404).json({
-        error: 'Event instance not found',
-        message: 'The requested event instance does not exist'
+        error: 'Event not found',
+        message: 'The requested event does not exist'
       });
     }
 
-    res.json({
-      instance
-    });
+    const canManage = canManageEvent(req.user, existingEvent);
+    if (existingEvent.status !== 'PUBLISHED' && !canManage) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This event is not published yet'
+      });
+    }
+
+    const includeArchived = canManage && req.query.includeArchived === 'true';
+    const questions = includeArchived
+      ? await prisma.signupQuestion.findMany({
+        where: { eventId },
+        orderBy: { position: 'asc' }
+      })
+      : await getActiveQuestions(prisma, eventId);
+
+    res.json({ questions });
 
   } catch (error) {
-    console.error('Get event instance error:', error);
+    console.error('Get signup questions error:', error);
     res.status(500).json({
-      error: 'Failed to fetch event instance',
-      message: 'An error occurred while fetching the event instance'
+      error: 'Failed to fetch signup questions',
+      message: 'An error occurred while fetching the signup questions'
     });
   }
 });
 
-// Update event instance (admin only)
-router.put('/instances/:instanceId', authenticateToken, requireAdmin, async (req, res) => {
+// Replace an event's signup questions (admins and chapter admins of the event)
+router.put('/:id/questions', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
-    const { instanceId } = req.params;
+    const { id: eventId } = req.params;
 
-    // Validate input
-    const { error, value } = eventInstanceUpdateSchema.validate(req.body);
+    const { error, value } = signupQuestionsUpdateSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: 'Validation Error',
@@ -765,79 +925,344 @@ router.put('/instances/:instanceId', authenticateToken, requireAdmin, async (req
       });
     }
 
-    // Check if instance exists
-    const existingInstance = await prisma.eventInstance.findUnique({
-      where: { id: instanceId }
+    const existingEvent = await prisma.event.findUnique({
+      where: { id: eventId }
     });
 
-    if (!existingInstance) {
+    if (!existingEvent) {
       return res.status(404).json({
-        error: 'Event instance not found',
-        message: 'The requested event instance does not exist'
+        error: 'Event not found',
+        message: 'The requested event does not exist'
       });
     }
 
-    // Validate capacity reduction - prevent reducing below confirmed + waitlist_pending signups
-    if (value.studentCapacity && value.studentCapacity < existingInstance.studentCapacity) {
-      const reservedStudents = await prisma.userEventSignup.count({
-        where: {
-          instanceId,
-          status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
-          user: { role: 'STUDENT' }
-        }
-      });
-
-      if (value.studentCapacity < reservedStudents) {
-        return res.status(400).json({
-          error: 'Capacity too low',
-          message: `Cannot reduce student capacity to ${value.studentCapacity}. There are ${reservedStudents} students with confirmed or pending waitlist spots. Please remove some signups first.`
-        });
-      }
+    if (!canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
     }
 
-    if (value.parentCapacity && value.parentCapacity < existingInstance.parentCapacity) {
-      const reservedParents = await prisma.userEventSignup.count({
-        where: {
-          instanceId,
-          status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
-          user: { role: 'PARENT' }
-        }
+    const questions = await prisma.$transaction(async (tx) => {
+      return await replaceEventQuestions(tx, eventId, value.questions);
+    });
+
+    res.json({
+      message: 'Signup questions updated successfully',
+      questions
+    });
+
+  } catch (error) {
+    if (error.message === 'Signup question not found') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'One or more questions do not belong to this event'
       });
+    }
 
-      if (value.parentCapacity < reservedParents) {
-        return res.status(400).json({
-          error: 'Capacity too low',
-          message: `Cannot reduce parent capacity to ${value.parentCapacity}. There are ${reservedParents} parents with confirmed or pending waitlist spots. Please remove some signups first.`
-        });
+    console.error('Update signup questions error:', error);
+    res.status(500).json({
+      error: 'Failed to update signup questions',
+      message: 'An error occurred while updating the signup questions'
+    });
+  }
+});
+
+// Get recurrence series for an event
+router.get('/:id/recurrence', authenticateToken, async (req, res) => {
+  try {
+    const { id: eventId } = req.params;
+
+    const existingEvent = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: {
+        recurrenceRules: {
+          orderBy: { startDate: 'asc' }
+        }
       }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        error: 'Event not found',
+        message: 'The requested event does not exist'
+      });
     }
 
-    // Check if trying to disable waitlist when there are waitlisted/pending users
-    if (value.waitlistEnabled === false) {
-      const waitlistCount = await prisma.userEventSignup.count({
-        where: {
-          instanceId,
-          status: { in: ['WAITLIST', 'WAITLIST_PENDING'] }
-        }
+    // Same visibility as the event itself
+    if (existingEvent.status === 'DRAFT' && !canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This event is not published yet'
       });
+    }
 
-      if (waitlistCount > 0) {
-        return res.status(400).json({
-          error: 'Cannot disable waitlist',
-          message: `Cannot disable waitlist while there are ${waitlistCount} users on the waitlist or with pending waitlist spots. Please handle these users first.`
-        });
-      }
+    if (existingEvent.status === 'ARCHIVED' && !canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This event has been archived'
+      });
     }
 
-    // Convert dates to UTC for storage
-    const utcInstanceData = {
-      ...value,
-      startDate: value.startDate ? localToUTC(value.startDate) : null,
-      endDate: value.endDate ? localToUTC(value.endDate) : null,
-      scheduledPublishDate: value.scheduledPublishDate ? localToUTC(value.scheduledPublishDate) : null
-    };
+    res.json({
+      recurrenceRules: withRecurrenceSummaries(existingEvent.recurrenceRules)
+    });
+
+  } catch (error) {
+    console.error('Get event recurrence error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recurrence',
+      message: 'An error occurred while fetching the event recurrence'
+    });
+  }
+});
+
+// Add a recurrence series to an event (admins and chapter admins of the event)
+router.post('/:id/recurrence', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { id: eventId } = req.params;
+
+    // Validate input
+    const { error, value } = recurrenceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    // Check if event exists
+    const existingEvent = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        error: 'Event not found',
+        message: 'The requested event does not exist'
+      });
+    }
+
+    if (!canManageEvent(req.user, existingEvent)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    let recurrenceData;
+    try {
+      recurrenceData = buildUtcRecurrenceData(value, await findLocationTimezone(prisma, existingEvent));
+    } catch (recurrenceError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: recurrenceError.message
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const recurrenceRule = await tx.recurrenceRule.create({
+        data: {
+          ...recurrenceData,
+          eventId
+        }
+      });
+
+      if (!existingEvent.isRecurring) {
+        await tx.event.update({
+          where: { id: eventId },
+          data: { isRecurring: true }
+        });
+      }
+
+      const createdCount = await materializeRecurrenceRule(tx, recurrenceRule);
+
+      return { recurrenceRule, createdCount };
+    });
+
+    res.status(201).json({
+      message: `Recurrence created successfully. ${result.createdCount} session(s) generated.`,
+      recurrenceRule: withRecurrenceSummaries([result.recurrenceRule])[0],
+      createdCount: result.createdCount
+    });
+
+  } catch (error) {
+    console.error('Create event recurrence error:', error);
+    res.status(500).json({
+      error: 'Failed to create recurrence',
+      message: 'An error occurred while creating the event recurrence'
+    });
+  }
+});
+
+// Get event instance by ID
+router.get('/instances/:instanceId', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId },
+      include: {
+        event: {
+          select: {
+            id: true,
+            title: true,
+            description: true,
+            category: true,
+            tags: true,
+            createdBy: true
+          }
+        },
+        signups: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+                role: true
+              }
+            }
+          }
+        },
+        // Latest reschedule, with the viewer's reconfirmation if one was requested
+        reschedules: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: {
+            responses: {
+              where: { userId: req.user.id },
+              select: {
+                status: true,
+                respondedAt: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    res.json({
+      instance
+    });
+
+  } catch (error) {
+    console.error('Get event instance error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch event instance',
+      message: 'An error occurred while fetching the event instance'
+    });
+  }
+});
+
+// Update event instance (admins and chapter admins of the event)
+router.put('/instances/:instanceId', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    // Validate input
+    const { error, value } = eventInstanceUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    // Check if instance exists
+    const existingInstance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId }
+    });
+
+    if (!existingInstance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    // Validate capacity reduction - prevent reducing below confirmed + waitlist_pending signups
+    if (value.studentCapacity && value.studentCapacity < existingInstance.studentCapacity) {
+      const reservedStudents = await prisma.userEventSignup.count({
+        where: {
+          instanceId,
+          status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
+          user: { role: 'STUDENT' }
+        }
+      });
+
+      if (value.studentCapacity < reservedStudents) {
+        return res.status(400).json({
+          error: 'Capacity too low',
+          message: `Cannot reduce student capacity to ${value.studentCapacity}. There are ${reservedStudents} students with confirmed or pending waitlist spots. Please remove some signups first.`
+        });
+      }
+    }
+
+    if (value.parentCapacity && value.parentCapacity < existingInstance.parentCapacity) {
+      const reservedParents = await prisma.userEventSignup.count({
+        where: {
+          instanceId,
+          status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
+          user: { role: 'PARENT' }
+        }
+      });
+
+      if (value.parentCapacity < reservedParents) {
+        return res.status(400).json({
+          error: 'Capacity too low',
+          message: `Cannot reduce parent capacity to ${value.parentCapacity}. There are ${reservedParents} parents with confirmed or pending waitlist spots. Please remove some signups first.`
+        });
+      }
+    }
+
+    // Check if trying to disable waitlist when there are waitlisted/pending users
+    if (value.waitlistEnabled === false) {
+      const waitlistCount = await prisma.userEventSignup.count({
+        where: {
+          instanceId,
+          status: { in: ['WAITLIST', 'WAITLIST_PENDING'] }
+        }
+      });
+
+      if (waitlistCount > 0) {
+        return res.status(400).json({
+          error: 'Cannot disable waitlist',
+          message: `Cannot disable waitlist while there are ${waitlistCount} users on the waitlist or with pending waitlist spots. Please handle these users first.`
+        });
+      }
+    }
+
+    // Dates are entered in the event's timezone
+    const timeZone = await getEventTimezone(prisma, existingInstance.eventId);
+
+    // The signup window may be edited one end at a time
+    const signupOpensAt = value.signupOpensAt !== undefined ? value.signupOpensAt && localToUTC(value.signupOpensAt, timeZone) : existingInstance.signupOpensAt;
+    const signupClosesAt = value.signupClosesAt !== undefined ? value.signupClosesAt && localToUTC(value.signupClosesAt, timeZone) : existingInstance.signupClosesAt;
+    if (signupOpensAt && signupClosesAt && new Date(signupClosesAt) <= new Date(signupOpensAt)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Signups must close after they open'
+      });
+    }
+
+    // Convert dates to UTC for storage
+    const utcInstanceData = {
+      ...value,
+      startDate: value.startDate ? localToUTC(value.startDate, timeZone) : null,
+      endDate: value.endDate ? localToUTC(value.endDate, timeZone) : null,
+      scheduledPublishDate: value.scheduledPublishDate ? localToUTC(value.scheduledPublishDate, timeZone) : null,
+      signupOpensAt: value.signupOpensAt ? localToUTC(value.signupOpensAt, timeZone) : value.signupOpensAt,
+      signupClosesAt: value.signupClosesAt ? localToUTC(value.signupClosesAt, timeZone) : value.signupClosesAt
+    };
 
     // Use atomic transaction for the update
+    const promoted = [];
     const updatedInstance = await prisma.$transaction(async (tx) => {
       // Update event instance
       const updatedInstance = await tx.eventInstance.update({
@@ -853,111 +1278,347 @@ router.put('/instances/:instanceId', authenticateToken, requireAdmin, async (req
         }
       });
 
-      // If capacity was increased, promote users from waitlist using 12-hour system
-      if (value.studentCapacity || value.parentCapacity) {
-        const allPromotedUsers = [];
+      // If capacity was increased, offer the new spots to the waitlist
+      for (const [role, field] of [['STUDENT', 'studentCapacity'], ['PARENT', 'parentCapacity']]) {
+        if (value[field] && value[field] > existingInstance[field]) {
+          promoted.push(...await offerWaitlistSpots(tx, instanceId, role, value[field] - existingInstance[field]));
+        }
+      }
+
+      // If session is being closed (enabled: false), move WAITLIST_PENDING users back to WAITLIST
+      if (value.enabled === false && existingInstance.enabled === true) {
+        await withdrawWaitlistOffers(tx, instanceId);
+      }
+
+      await sendSessionUpdateEmails(tx, existingInstance, updatedInstance);
+
+      return updatedInstance;
+    });
+
+    emitWaitlistPromotions(promoted);
+
+    // Emit WebSocket event for the instance update
+    io.to(`session-${instanceId}`).emit('signup-updated', {
+      type: 'instance-updated',
+      instance: updatedInstance,
+      sessionId: instanceId
+    });
+
+    // Create admin notification for session update
+    await prisma.notification.create({
+      data: {
+        userId: req.user.id,
+        title: 'Session Updated Successfully',
+        description: `Session "${updatedInstance.event.title}" has been updated successfully.`,
+        type: 'SUCCESS',
+        sessionId: updatedInstance.id,
+        eventId: updatedInstance.eventId
+      }
+    });
+
+    res.json({
+      message: 'Event instance updated successfully',
+      instance: updatedInstance
+    });
+
+  } catch (error) {
+    console.error('Update event instance error:', error);
+    res.status(500).json({
+      error: 'Failed to update event instance',
+      message: 'An error occurred while updating the event instance'
+    });
+  }
+});
+
+// Get reminder schedule and delivery ledger for a session (admins and chapter admins of the event)
+router.get('/instances/:instanceId/reminders', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
 
-        // Check for waitlisted students if student capacity increased
-        if (value.studentCapacity && value.studentCapacity > existingInstance.studentCapacity) {
-          const spotsAvailable = value.studentCapacity - existingInstance.studentCapacity;
-          const studentPromotedUsers = await promoteWaitlistedUsers(tx, instanceId, 'STUDENT', spotsAvailable);
-          
-          if (studentPromotedUsers.length > 0) {
-            console.log(`Promoted ${studentPromotedUsers.length} student(s) to WAITLIST_PENDING for session ${instanceId}`);
-            allPromotedUsers.push(...studentPromotedUsers);
+    const instance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId },
+      include: {
+        event: {
+          select: {
+            id: true,
+            title: true,
+            reminderOffsets: true
           }
         }
+      }
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: 'Instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
 
-        // Check for waitlisted parents if parent capacity increased
-        if (value.parentCapacity && value.parentCapacity > existingInstance.parentCapacity) {
-          const spotsAvailable = value.parentCapacity - existingInstance.parentCapacity;
-          const parentPromotedUsers = await promoteWaitlistedUsers(tx, instanceId, 'PARENT', spotsAvailable);
-          
-          if (parentPromotedUsers.length > 0) {
-            console.log(`Promoted ${parentPromotedUsers.length} parent(s) to WAITLIST_PENDING for session ${instanceId}`);
-            allPromotedUsers.push(...parentPromotedUsers);
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const deliveries = await prisma.reminderDelivery.findMany({
+      where: { instanceId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true
           }
         }
+      },
+      orderBy: { sentAt: 'desc' }
+    });
 
-        // Emit WebSocket events for promoted users within the transaction
-        if (allPromotedUsers && allPromotedUsers.length > 0) {
-          for (const promotedUser of allPromotedUsers) {
-            io.to(`session-${instanceId}`).emit('signup-updated', {
-              type: 'waitlist-promoted',
-              signup: promotedUser.updatedSignup,
-              sessionId: instanceId
-            });
+    const offsets = getReminderOffsets(instance, instance.event);
+
+    res.json({
+      reminderOffsets: offsets,
+      inheritedFromEvent: instance.reminderOffsets.length === 0,
+      schedule: instance.startDate ? offsets.map(offsetMinutes => ({
+        offsetMinutes,
+        label: formatReminderOffset(offsetMinutes),
+        sendAt: new Date(instance.startDate.getTime() - offsetMinutes * 60 * 1000)
+      })) : [],
+      deliveries
+    });
+
+  } catch (error) {
+    console.error('Get session reminders error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reminders',
+      message: 'An error occurred while fetching session reminders'
+    });
+  }
+});
+
+// Session roster as JSON, CSV, XLSX or a printable PDF sign-in sheet (admins and chapter admins of the event)
+router.get('/instances/:instanceId/roster', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const { error, value } = rosterQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const roster = await buildSessionRoster(prisma, instanceId, await getUserTimezone(prisma, req.user));
+
+    if (!roster) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!canManageEvent(req.user, roster.event)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const sessionDate = roster.session.startDate ? roster.session.startDate.toISOString().split('T')[0] : 'tbd';
+    const filename = `roster-${roster.event.title.replace(/[^a-zA-Z0-9]+/g, '-')}-${sessionDate}`;
+
+    if (value.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(renderRosterCsv(roster));
+    }
+
+    if (value.format === 'xlsx') {
+      const buffer = renderRosterXlsx(roster);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      res.setHeader('Content-Length', buffer.length);
+      return res.send(buffer);
+    }
+
+    if (value.format === 'pdf') {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        layout: 'landscape',
+        margin: 40
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+
+      doc.pipe(res);
+      renderRosterPdf(doc, roster);
+      doc.end();
+      return;
+    }
+
+    res.json({ roster });
+
+  } catch (error) {
+    console.error('Get session roster error:', error);
+    res.status(500).json({
+      error: 'Failed to build roster',
+      message: 'An error occurred while building the session roster'
+    });
+  }
+});
+
+// Update session status (admins and chapter admins of the event)
+router.patch('/instances/:instanceId/status', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    // Validate input
+    const { error, value } = sessionStatusUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    // Postponing asks volunteers to reconfirm, which the reschedule endpoint handles
+    if (value.status === 'POSTPONED') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Use POST /api/events/instances/:instanceId/reschedule without a startDate to postpone a session'
+      });
+    }
+
+    // Check if instance exists
+    const existingInstance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId },
+      include: {
+        event: {
+          select: {
+            id: true,
+            title: true
+          }
+        },
+        signups: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                name: true,
+                email: true,
+                role: true
+              }
+            }
           }
         }
       }
+    });
 
-      // If session is being closed (enabled: false), move WAITLIST_PENDING users back to WAITLIST
-      if (value.enabled === false && existingInstance.enabled === true) {
-        const waitlistPendingSignups = await tx.userEventSignup.findMany({
-          where: {
-            instanceId,
-            status: 'WAITLIST_PENDING'
-          }
-        });
+    if (!existingInstance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    // Cancelling keeps the signups and tells the confirmed volunteers
+    if (value.status === 'CANCELLED') {
+      const result = await prisma.$transaction(async (tx) => {
+        return await cancelSession(tx, instanceId, { actorId: req.user.id, reason: value.reason });
+      });
 
-        for (const signup of waitlistPendingSignups) {
-          await tx.userEventSignup.update({
-            where: { id: signup.id },
-            data: { 
-              status: 'WAITLIST',
-              waitlistNotifiedAt: null // Clear the notification timestamp
+      emitNotifications(result.notifications);
+
+      io.to(`session-${instanceId}`).emit('session-cancelled', {
+        type: 'session-cancelled',
+        sessionId: instanceId,
+        reason: value.reason
+      });
+
+      return res.json({
+        message: 'Session cancelled successfully',
+        instance: result.instance
+      });
+    }
+
+    const notifications = [];
+    const updatedInstance = await prisma.$transaction(async (tx) => {
+      // Update the session status
+      const updatedInstance = await tx.eventInstance.update({
+        where: { id: instanceId },
+        data: { status: value.status },
+        include: {
+          event: {
+            select: {
+              id: true,
+              title: true
             }
-          });
+          }
         }
+      });
+
+      // If closing, handle waitlist pending users and notify confirmed signups
+      if (value.status === 'COMPLETED') {
+        // Move all WAITLIST_PENDING users back to WAITLIST so their offers do not expire
+        await withdrawWaitlistOffers(tx, instanceId);
+
+        // Notify all confirmed signups (except the admin who closed the session)
+        const confirmedSignups = existingInstance.signups.filter(signup => 
+          signup.status === 'CONFIRMED' && signup.userId !== req.user.id
+        );
+        
+        for (const signup of confirmedSignups) {
+          // Create notification for each confirmed user
+          notifications.push(...await createNotification(tx, {
+            userId: signup.userId,
+            title: 'Session Completed',
+            description: `The session "${existingInstance.event.title}" has been marked as completed.`,
+            type: 'WARNING',
+            sessionId: instanceId
+          }));
 
-        if (waitlistPendingSignups.length > 0) {
-          console.log(`Moved ${waitlistPendingSignups.length} WAITLIST_PENDING user(s) back to WAITLIST for closed session ${instanceId}`);
+          // Send email notification
+          await sendSessionCompletionEmail(tx, signup.user, existingInstance);
         }
       }
 
       return updatedInstance;
     });
 
-    // Emit WebSocket event for the instance update
-    io.to(`session-${instanceId}`).emit('signup-updated', {
-      type: 'instance-updated',
-      instance: updatedInstance,
-      sessionId: instanceId
-    });
+    if (value.status === 'COMPLETED') {
+      emitNotifications(notifications);
 
-    // Create admin notification for session update
-    await prisma.notification.create({
-      data: {
-        userId: req.user.id,
-        title: 'Session Updated Successfully',
-        description: `Session "${updatedInstance.event.title}" has been updated successfully.`,
-        type: 'SUCCESS',
-        sessionId: updatedInstance.id,
-        eventId: updatedInstance.eventId
-      }
-    });
+      // Emit WebSocket event for session status change
+      io.to(`session-${instanceId}`).emit('session-completed', {
+        type: 'session-completed',
+        sessionId: instanceId
+      });
+    }
 
     res.json({
-      message: 'Event instance updated successfully',
+      message: `Session ${value.status.toLowerCase()} successfully`,
       instance: updatedInstance
     });
 
   } catch (error) {
-    console.error('Update event instance error:', error);
+    console.error('Update session status error:', error);
     res.status(500).json({
-      error: 'Failed to update event instance',
-      message: 'An error occurred while updating the event instance'
+      error: 'Failed to update session status',
+      message: 'An error occurred while updating the session status'
     });
   }
 });
 
-// Update session status (admin only)
-router.patch('/instances/:instanceId/status', authenticateToken, requireAdmin, async (req, res) => {
+// Reschedule a session, or postpone it when no startDate is given (admins and chapter admins of the event).
+// Confirmed volunteers must reconfirm within the response window or their spot goes to the waitlist.
+router.post('/instances/:instanceId/reschedule', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { instanceId } = req.params;
 
     // Validate input
-    const { error, value } = sessionStatusUpdateSchema.validate(req.body);
+    const { error, value } = sessionRescheduleSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: 'Validation Error',
@@ -967,15 +1628,105 @@ router.patch('/instances/:instanceId/status', authenticateToken, requireAdmin, a
 
     // Check if instance exists
     const existingInstance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId }
+    });
+
+    if (!existingInstance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    if (!['ACTIVE', 'POSTPONED'].includes(existingInstance.status)) {
+      return res.status(400).json({
+        error: 'Session cannot be rescheduled',
+        message: 'Only active or postponed sessions can be rescheduled'
+      });
+    }
+
+    // New dates are entered in the event's timezone
+    const timeZone = await getEventTimezone(prisma, existingInstance.eventId);
+    const startDate = value.startDate ? new Date(localToUTC(value.startDate, timeZone)) : null;
+    const endDate = value.endDate ? new Date(localToUTC(value.endDate, timeZone)) : null;
+
+    if (!startDate && existingInstance.status === 'POSTPONED') {
+      return res.status(409).json({
+        error: 'Session already postponed',
+        message: 'This session is already postponed. Set a new start date to reschedule it.'
+      });
+    }
+
+    if (startDate && startDate <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'New start date must be in the future'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      return await rescheduleSession(tx, existingInstance, { ...value, startDate, endDate }, req.user.id);
+    });
+
+    emitNotifications(result.notifications);
+
+    io.to(`session-${instanceId}`).emit('signup-updated', {
+      type: startDate ? 'instance-rescheduled' : 'instance-postponed',
+      instance: result.instance,
+      reschedule: result.reschedule,
+      sessionId: instanceId
+    });
+
+    res.json({
+      message: startDate ? 'Session rescheduled successfully' : 'Session postponed successfully',
+      instance: result.instance,
+      reschedule: result.reschedule
+    });
+
+  } catch (error) {
+    console.error('Reschedule session error:', error);
+    res.status(500).json({
+      error: 'Failed to reschedule session',
+      message: 'An error occurred while rescheduling the session'
+    });
+  }
+});
+
+// Get a session's reschedule history with each volunteer's response (admins and chapter admins of the event)
+router.get('/instances/:instanceId/reschedules', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await prisma.eventInstance.findUnique({
       where: { id: instanceId },
+      select: { id: true }
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const reschedules = await prisma.sessionReschedule.findMany({
+      where: { instanceId },
       include: {
-        event: {
+        creator: {
           select: {
             id: true,
-            title: true
+            name: true
           }
         },
-        signups: {
+        responses: {
           include: {
             user: {
               select: {
@@ -985,9 +1736,52 @@ router.patch('/instances/:instanceId/status', authenticateToken, requireAdmin, a
                 role: true
               }
             }
-          }
+          },
+          orderBy: { createdAt: 'asc' }
         }
-      }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      reschedules: reschedules.map(reschedule => ({
+        ...reschedule,
+        responseCounts: reschedule.responses.reduce((counts, response) => {
+          counts[response.status] = (counts[response.status] || 0) + 1;
+          return counts;
+        }, {})
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get session reschedules error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reschedules',
+      message: 'An error occurred while fetching the session reschedule history'
+    });
+  }
+});
+
+// Update a session of a recurring series (admin only)
+// scope: THIS (only this session), THIS_AND_FOLLOWING, or ALL (every upcoming session)
+router.put('/instances/:instanceId/series', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    // Validate input
+    const { error, value } = seriesUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { scope, ...changes } = value;
+
+    // Check if instance exists
+    const existingInstance = await prisma.eventInstance.findUnique({
+      where: { id: instanceId }
     });
 
     if (!existingInstance) {
@@ -997,122 +1791,143 @@ router.patch('/instances/:instanceId/status', authenticateToken, requireAdmin, a
       });
     }
 
-    // Update session status
-    const updateData = {
-      status: value.status
-    };
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
 
-    // If cancelling, add cancellation details
-    if (value.status === 'CANCELLED') {
-      updateData.cancelledAt = new Date();
-      updateData.cancelledBy = req.user.id;
+    if (!existingInstance.recurrenceRuleId || !existingInstance.recurrenceId) {
+      return res.status(400).json({
+        error: 'Not a recurring session',
+        message: 'This session is not part of a recurring series. Use the regular session update instead.'
+      });
     }
 
-    const updatedInstance = await prisma.$transaction(async (tx) => {
-      // Update the session status
-      const updatedInstance = await tx.eventInstance.update({
-        where: { id: instanceId },
-        data: updateData,
-        include: {
-          event: {
-            select: {
-              id: true,
-              title: true
-            }
-          }
-        }
+    if (scope === 'THIS' && (changes.rule || changes.until !== undefined || changes.count !== undefined)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Recurrence rule, end date and count can only be changed for the series'
       });
+    }
 
-      // If cancelling or closing, handle waitlist pending users and notify confirmed signups
-      if (value.status === 'CANCELLED' || value.status === 'COMPLETED') {
-        // Move all WAITLIST_PENDING users back to WAITLIST to prevent 12-hour expiry
-        const waitlistPendingSignups = existingInstance.signups.filter(signup => signup.status === 'WAITLIST_PENDING');
-        
-        for (const signup of waitlistPendingSignups) {
-          await tx.userEventSignup.update({
-            where: { id: signup.id },
-            data: { 
-              status: 'WAITLIST',
-              waitlistNotifiedAt: null // Clear the notification timestamp
-            }
-          });
-        }
+    // Sessions the edit will apply to, for capacity validation
+    const targetInstances = scope === 'THIS'
+      ? [existingInstance]
+      : await prisma.eventInstance.findMany({
+          where: scope === 'ALL'
+            ? { eventId: existingInstance.eventId, recurrenceRuleId: { not: null }, isDetached: false, recurrenceId: { gte: new Date() } }
+            : { recurrenceRuleId: existingInstance.recurrenceRuleId, isDetached: false, recurrenceId: { gte: existingInstance.recurrenceId } }
+        });
 
-        // Notify all confirmed signups (except the admin who cancelled the session)
-        const confirmedSignups = existingInstance.signups.filter(signup => 
-          signup.status === 'CONFIRMED' && signup.userId !== req.user.id
-        );
-        
-        for (const signup of confirmedSignups) {
-          // Create notification for each confirmed user
-          await tx.notification.create({
-            data: {
-              userId: signup.userId,
-              title: value.status === 'CANCELLED' ? 'Session Cancelled' : 'Session Completed',
-              description: value.status === 'CANCELLED' 
-                ? `The session "${existingInstance.event.title}" has been cancelled by an administrator.${value.reason ? ` Reason: ${value.reason}` : ''}`
-                : `The session "${existingInstance.event.title}" has been marked as completed.`,
-              type: 'WARNING',
-              sessionId: instanceId
-            }
-          });
+    for (const [role, field] of [['STUDENT', 'studentCapacity'], ['PARENT', 'parentCapacity']]) {
+      if (changes[field] === undefined) continue;
 
-          // Send email notification
-          if (value.status === 'CANCELLED') {
-            sendSessionCancellationEmail(signup.user, existingInstance, value.reason);
-          } else if (value.status === 'COMPLETED') {
-            sendSessionCompletionEmail(signup.user, existingInstance);
+      for (const target of targetInstances) {
+        const reserved = await prisma.userEventSignup.count({
+          where: {
+            instanceId: target.id,
+            status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
+            user: { role }
           }
+        });
 
-          // Emit WebSocket event for the notification
-          io.to(`user-${signup.userId}`).emit('notification-created', {
-            type: 'notification-created',
-            notification: {
-              title: value.status === 'CANCELLED' ? 'Session Cancelled' : 'Session Completed',
-              description: value.status === 'CANCELLED' 
-                ? `The session "${existingInstance.event.title}" has been cancelled by an administrator.${value.reason ? ` Reason: ${value.reason}` : ''}`
-                : `The session "${existingInstance.event.title}" has been marked as completed.`,
-              type: 'WARNING'
-            }
+        if (changes[field] < reserved) {
+          return res.status(400).json({
+            error: 'Capacity too low',
+            message: `Cannot reduce ${role.toLowerCase()} capacity to ${changes[field]}. A session on ${target.startDate ? target.startDate.toISOString() : 'an unscheduled date'} has ${reserved} ${role.toLowerCase()}s with confirmed or pending waitlist spots.`
           });
         }
+      }
+    }
 
-        // Emit WebSocket event for session status change
-        if (value.status === 'CANCELLED') {
-          io.to(`session-${instanceId}`).emit('session-cancelled', {
-            type: 'session-cancelled',
-            sessionId: instanceId,
-            reason: value.reason
-          });
-        } else {
-          io.to(`session-${instanceId}`).emit('session-completed', {
-            type: 'session-completed',
-            sessionId: instanceId
-          });
+    // Convert dates from the event's timezone to UTC for storage
+    const timeZone = await getEventTimezone(prisma, existingInstance.eventId);
+    const utcChanges = {
+      ...changes,
+      startDate: changes.startDate ? localToUTC(changes.startDate, timeZone) : undefined,
+      endDate: changes.endDate ? localToUTC(changes.endDate, timeZone) : undefined,
+      until: changes.until ? localToUTC(changes.until, timeZone) : changes.until
+    };
+
+    const promoted = [];
+    const result = await prisma.$transaction(async (tx) => {
+      const { recurrenceRules, instances } = await updateRecurringInstance(tx, existingInstance, scope, utcChanges);
+
+      // Offer newly added spots to the waitlist and tell confirmed volunteers about new times
+      for (const { before, after } of instances) {
+        await sendSessionUpdateEmails(tx, before, after);
+
+        for (const [role, field] of [['STUDENT', 'studentCapacity'], ['PARENT', 'parentCapacity']]) {
+          if (after[field] > before[field]) {
+            promoted.push(...await offerWaitlistSpots(tx, after.id, role, after[field] - before[field]));
+          }
         }
       }
 
-      return updatedInstance;
+      return { recurrenceRules, instances: instances.map(({ after }) => after) };
     });
 
+    emitWaitlistPromotions(promoted);
+
+    // Emit WebSocket events for every changed session
+    for (const instance of result.instances) {
+      io.to(`session-${instance.id}`).emit('signup-updated', {
+        type: 'instance-updated',
+        instance,
+        sessionId: instance.id
+      });
+    }
+
     res.json({
-      message: `Session ${value.status.toLowerCase()} successfully`,
-      instance: updatedInstance
+      message: `Updated ${result.instances.length} session(s) successfully`,
+      scope,
+      recurrenceRules: withRecurrenceSummaries(result.recurrenceRules),
+      instances: result.instances
     });
 
   } catch (error) {
-    console.error('Update session status error:', error);
+    console.error('Update recurring session error:', error);
+
+    if (error.message.startsWith('Invalid recurrence rule') || error.message === 'Recurrence end date must be after start date') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.message
+      });
+    }
+
+    if (error.message === 'Session is not part of a series') {
+      return res.status(400).json({
+        error: 'Not a recurring session',
+        message: 'This session is not part of a recurring series'
+      });
+    }
+
+    if (error.message === 'Recurrence rule can only be changed for a single series') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'This event has several series. Change the rule with "this and following sessions" instead.'
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to update session status',
-      message: 'An error occurred while updating the session status'
+      error: 'Failed to update recurring session',
+      message: 'An error occurred while updating the recurring session'
     });
   }
 });
 
-// Delete event instance (admin only)
-router.delete('/instances/:instanceId', authenticateToken, requireAdmin, async (req, res) => {
+// Delete a session of a recurring series (admin only)
+// scope: THIS (only this session), THIS_AND_FOLLOWING, or ALL (every upcoming session)
+router.delete('/instances/:instanceId/series', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { instanceId } = req.params;
+    const { scope = 'THIS' } = req.query;
+
+    if (!['THIS', 'THIS_AND_FOLLOWING', 'ALL'].includes(scope)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'scope must be one of THIS, THIS_AND_FOLLOWING, ALL'
+      });
+    }
 
     // Check if instance exists
     const existingInstance = await prisma.eventInstance.findUnique({
@@ -1126,11 +1941,93 @@ router.delete('/instances/:instanceId', authenticateToken, requireAdmin, async (
       });
     }
 
-    // Delete event instance (cascade will handle related records)
-    await prisma.eventInstance.delete({
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    if (!existingInstance.recurrenceRuleId || !existingInstance.recurrenceId) {
+      return res.status(400).json({
+        error: 'Not a recurring session',
+        message: 'This session is not part of a recurring series. Use the regular session delete instead.'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Sessions people signed up for are cancelled rather than deleted
+      if (scope === 'THIS') {
+        return await removeRecurringSession(tx, existingInstance, { actorId: req.user.id });
+      }
+
+      if (scope === 'ALL') {
+        return await endEventRecurrences(tx, existingInstance.eventId, { actorId: req.user.id });
+      }
+
+      const recurrenceRule = await tx.recurrenceRule.findUnique({
+        where: { id: existingInstance.recurrenceRuleId }
+      });
+
+      return await endRecurrenceAt(tx, recurrenceRule, existingInstance.recurrenceId, { actorId: req.user.id });
+    });
+
+    emitNotifications(result.notifications);
+
+    for (const sessionId of result.cancelledIds) {
+      io.to(`session-${sessionId}`).emit('session-cancelled', {
+        type: 'session-cancelled',
+        sessionId,
+        reason: result.reason
+      });
+    }
+
+    res.json({
+      message: `Deleted ${result.removed} session(s) and cancelled ${result.cancelledIds.length} session(s) with signups`,
+      scope,
+      removedCount: result.removed,
+      cancelledCount: result.cancelledIds.length
+    });
+
+  } catch (error) {
+    console.error('Delete recurring session error:', error);
+    res.status(500).json({
+      error: 'Failed to delete recurring session',
+      message: 'An error occurred while deleting the recurring session'
+    });
+  }
+});
+
+// Delete event instance (admins and chapter admins of the event)
+router.delete('/instances/:instanceId', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const existingInstance = await prisma.eventInstance.findUnique({
       where: { id: instanceId }
     });
 
+    if (!existingInstance) {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, instanceId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    // Delete event instance (cascade will handle related records); credited hours come off the ledger first
+    await prisma.$transaction(async (tx) => {
+      await addRecurrenceException(tx, existingInstance);
+      await syncRemovedSignupsHours(tx, { instanceId }, {
+        actorId: req.user.id,
+        reason: 'Session deleted'
+      });
+      await tx.eventInstance.delete({
+        where: { id: instanceId }
+      });
+    });
+
     res.json({
       message: 'Event instance deleted successfully'
     });
@@ -0,0 +1,337 @@
+import express from 'express';
+import { prisma, io } from '../src/server.js';
+import { authenticateToken, requireChapterAdminOrAdmin } from '../middleware/auth.js';
+import { externalHoursCreateSchema, externalHoursQuerySchema, externalHoursReviewSchema } from '../validation/schemas.js';
+import { canViewUser } from '../services/familyService.js';
+import { emitNotifications } from '../services/notificationService.js';
+import { canManageUser, getManagedUserWhere, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+import { decodeProofFile, reviewSubmission, submissionSelect } from '../services/externalHoursService.js';
+
+const router = express.Router();
+
+const SUBMISSION_NOT_FOUND = {
+  error: 'Submission not found',
+  message: 'The requested submission does not exist'
+};
+
+// Submit outside hours for yourself, or for a linked child
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = externalHoursCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { userId = req.user.id, proofFile, ...details } = value;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only submit hours for yourself or your linked children'
+      });
+    }
+
+    let proof;
+    try {
+      proof = decodeProofFile(proofFile);
+    } catch (proofError) {
+      return res.status(400).json({
+        error: 'Invalid proof file',
+        message: proofError.message
+      });
+    }
+
+    const submission = await prisma.externalHoursSubmission.create({
+      data: {
+        ...details,
+        ...proof,
+        userId,
+        submittedBy: req.user.id
+      },
+      select: submissionSelect
+    });
+
+    res.status(201).json({
+      message: 'Hours submitted for review',
+      submission
+    });
+
+  } catch (error) {
+    console.error('Submit external hours error:', error);
+    res.status(500).json({
+      error: 'Failed to submit hours',
+      message: 'An error occurred while submitting hours'
+    });
+  }
+});
+
+// Get your submissions, or a linked child's with ?userId
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = externalHoursQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit, status, userId = req.user.id } = value;
+    const skip = (page - 1) * limit;
+
+    if (!(await canViewUser(prisma, req.user, userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own submissions or your linked children\'s'
+      });
+    }
+
+    const where = {
+      userId,
+      ...(status && { status })
+    };
+
+    const [submissions, total] = await Promise.all([
+      prisma.externalHoursSubmission.findMany({
+        where,
+        select: submissionSelect,
+        orderBy: { activityDate: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.externalHoursSubmission.count({ where })
+    ]);
+
+    res.json({
+      submissions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get external hours error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch submissions',
+      message: 'An error occurred while fetching submissions'
+    });
+  }
+});
+
+// Review queue, oldest first (admins, and chapter admins for their chapters' volunteers)
+router.get('/review-queue', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = externalHoursQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit, status = 'PENDING', userId } = value;
+    const skip = (page - 1) * limit;
+    const managedUserWhere = getManagedUserWhere(req.user);
+
+    const where = {
+      status,
+      ...(userId && { userId }),
+      ...(managedUserWhere && { user: managedUserWhere })
+    };
+
+    const [submissions, total, statusCounts] = await Promise.all([
+      prisma.externalHoursSubmission.findMany({
+        where,
+        select: submissionSelect,
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.externalHoursSubmission.count({ where }),
+      prisma.externalHoursSubmission.groupBy({
+        by: ['status'],
+        where: managedUserWhere ? { user: managedUserWhere } : {},
+        _count: { _all: true }
+      })
+    ]);
+
+    res.json({
+      submissions,
+      counts: Object.fromEntries(statusCounts.map(result => [result.status, result._count._all])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get external hours review queue error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch review queue',
+      message: 'An error occurred while fetching the review queue'
+    });
+  }
+});
+
+// Get one submission (the volunteer, their guardians and admins)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const submission = await prisma.externalHoursSubmission.findUnique({
+      where: { id: req.params.id },
+      select: submissionSelect
+    });
+
+    if (!submission || !(await canViewUser(prisma, req.user, submission.userId))) {
+      return res.status(404).json(SUBMISSION_NOT_FOUND);
+    }
+
+    res.json({ submission });
+
+  } catch (error) {
+    console.error('Get external hours submission error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch submission',
+      message: 'An error occurred while fetching the submission'
+    });
+  }
+});
+
+// Download a submission's proof file
+router.get('/:id/proof', authenticateToken, async (req, res) => {
+  try {
+    const submission = await prisma.externalHoursSubmission.findUnique({
+      where: { id: req.params.id },
+      select: {
+        userId: true,
+        proofFileName: true,
+        proofMimeType: true,
+        proofData: true
+      }
+    });
+
+    if (!submission || !(await canViewUser(prisma, req.user, submission.userId))) {
+      return res.status(404).json(SUBMISSION_NOT_FOUND);
+    }
+
+    res.setHeader('Content-Type', submission.proofMimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${submission.proofFileName.replace(/["\r\n]/g, '')}"`);
+    res.setHeader('Content-Length', submission.proofData.length);
+    res.send(Buffer.from(submission.proofData));
+
+  } catch (error) {
+    console.error('Download proof file error:', error);
+    res.status(500).json({
+      error: 'Failed to download proof file',
+      message: 'An error occurred while downloading the proof file'
+    });
+  }
+});
+
+// Approve, deny or comment on a submission
+router.patch('/:id/review', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { error, value } = externalHoursReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const submission = await tx.externalHoursSubmission.findUnique({
+        where: { id: req.params.id },
+        select: submissionSelect
+      });
+
+      if (!submission) {
+        throw new Error('Submission not found');
+      }
+      if (!canManageUser(req.user, submission.user)) {
+        throw new Error('Submission outside managed chapters');
+      }
+      // Nobody signs off hours they logged for themselves or for their own child
+      if (submission.userId === req.user.id || submission.submittedBy === req.user.id) {
+        throw new Error('Cannot review own submission');
+      }
+
+      return reviewSubmission(tx, submission, value, req.user.id);
+    });
+
+    emitNotifications(result.notifications);
+
+    io.to(`user-${result.submission.userId}`).emit('external-hours-reviewed', {
+      type: 'external-hours-reviewed',
+      submission: result.submission
+    });
+
+    res.json({
+      message: 'Submission reviewed',
+      submission: result.submission
+    });
+
+  } catch (error) {
+    if (error.message === 'Submission not found') {
+      return res.status(404).json(SUBMISSION_NOT_FOUND);
+    }
+    if (error.message === 'Submission outside managed chapters') {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+    if (error.message === 'Cannot review own submission') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Submissions you made or that are for your own hours must be reviewed by another admin'
+      });
+    }
+
+    console.error('Review external hours error:', error);
+    res.status(500).json({
+      error: 'Failed to review submission',
+      message: 'An error occurred while reviewing the submission'
+    });
+  }
+});
+
+// Withdraw a submission that has not been reviewed yet
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const submission = await prisma.externalHoursSubmission.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, userId: true, status: true }
+    });
+
+    if (!submission || !(await canViewUser(prisma, req.user, submission.userId))) {
+      return res.status(404).json(SUBMISSION_NOT_FOUND);
+    }
+
+    if (submission.status !== 'PENDING') {
+      return res.status(409).json({
+        error: 'Submission already reviewed',
+        message: 'Only submissions waiting for review can be withdrawn'
+      });
+    }
+
+    await prisma.externalHoursSubmission.delete({
+      where: { id: submission.id }
+    });
+
+    res.json({ message: 'Submission withdrawn' });
+
+  } catch (error) {
+    console.error('Withdraw external hours error:', error);
+    res.status(500).json({
+      error: 'Failed to withdraw submission',
+      message: 'An error occurred while withdrawing the submission'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,336 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { guardianLinkCreateSchema, guardianLinkUpdateSchema } from '../validation/schemas.js';
+import { createNotification, emitNotifications } from '../services/notificationService.js';
+import { getUsersTotalHours } from '../services/hoursService.js';
+
+const router = express.Router();
+
+const linkUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  chapter: true,
+  city: true,
+  avatar: true
+};
+
+const linkInclude = {
+  parent: { select: linkUserSelect },
+  student: { select: linkUserSelect }
+};
+
+// Send a notification to one side of a link
+const notifyLinkUser = async (userId, title, description) => {
+  emitNotifications(await createNotification(prisma, {
+    userId,
+    title,
+    description,
+    type: 'INFO'
+  }));
+};
+
+// Get current user's family links
+router.get('/', authenticateToken, requireRole(['PARENT', 'STUDENT']), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const links = await prisma.guardianLink.findMany({
+      where: {
+        OR: [{ parentId: userId }, { studentId: userId }],
+        status: { in: ['PENDING', 'ACCEPTED'] }
+      },
+      include: linkInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const accepted = links.filter(link => link.status === 'ACCEPTED');
+    const pending = links.filter(link => link.status === 'PENDING');
+
+    // Children come with their hours and upcoming sessions for the parent view
+    const childLinks = accepted.filter(link => link.parentId === userId);
+    const childIds = childLinks.map(link => link.studentId);
+    const [hoursMap, upcomingSignups] = await Promise.all([
+      getUsersTotalHours(prisma, childIds),
+      prisma.userEventSignup.findMany({
+        where: {
+          userId: { in: childIds },
+          status: { in: ['CONFIRMED', 'WAITLIST', 'WAITLIST_PENDING'] },
+          instance: { startDate: { gte: new Date() } }
+        },
+        include: {
+          event: { select: { id: true, title: true, category: true } },
+          instance: { select: { id: true, startDate: true, endDate: true, location: true, status: true } }
+        },
+        orderBy: { instance: { startDate: 'asc' } }
+      })
+    ]);
+
+    res.json({
+      children: childLinks.map(link => ({
+        linkId: link.id,
+        relationship: link.relationship,
+        receiveNotificationCopies: link.receiveNotificationCopies,
+        ...link.student,
+        totalHours: hoursMap.get(link.studentId) || 0,
+        upcomingSignups: upcomingSignups.filter(signup => signup.userId === link.studentId)
+      })),
+      guardians: accepted
+        .filter(link => link.studentId === userId)
+        .map(link => ({
+          linkId: link.id,
+          relationship: link.relationship,
+          ...link.parent
+        })),
+      pendingRequests: {
+        incoming: pending.filter(link => link.requestedBy !== userId),
+        outgoing: pending.filter(link => link.requestedBy === userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get family links error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch family links',
+      message: 'An error occurred while fetching family links'
+    });
+  }
+});
+
+// Request a link with a parent or student by email
+router.post('/links', authenticateToken, requireRole(['PARENT', 'STUDENT']), async (req, res) => {
+  try {
+    const { error, value } = guardianLinkCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { email, relationship } = value;
+    const expectedRole = req.user.role === 'PARENT' ? 'STUDENT' : 'PARENT';
+
+    const otherUser = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, role: true }
+    });
+
+    if (!otherUser || otherUser.role !== expectedRole) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No ${expectedRole.toLowerCase()} account exists with this email`
+      });
+    }
+
+    const parentId = req.user.role === 'PARENT' ? req.user.id : otherUser.id;
+    const studentId = req.user.role === 'STUDENT' ? req.user.id : otherUser.id;
+
+    const existingLink = await prisma.guardianLink.findUnique({
+      where: { parentId_studentId: { parentId, studentId } }
+    });
+
+    if (existingLink && existingLink.status !== 'DECLINED') {
+      return res.status(409).json({
+        error: 'Link already exists',
+        message: existingLink.status === 'ACCEPTED'
+          ? 'You are already linked with this user'
+          : 'A link request with this user is already pending'
+      });
+    }
+
+    // A declined request can be sent again
+    const linkData = {
+      requestedBy: req.user.id,
+      status: 'PENDING',
+      relationship,
+      respondedAt: null
+    };
+
+    const link = existingLink
+      ? await prisma.guardianLink.update({
+        where: { id: existingLink.id },
+        data: linkData,
+        include: linkInclude
+      })
+      : await prisma.guardianLink.create({
+        data: { ...linkData, parentId, studentId },
+        include: linkInclude
+      });
+
+    await notifyLinkUser(
+      otherUser.id,
+      'Family Link Request',
+      req.user.role === 'PARENT'
+        ? `${req.user.name} has asked to be linked as your parent/guardian. Accept the request to let them view your signups and hours and sign you up for sessions.`
+        : `${req.user.name} has asked to be linked as your child. Accept the request to view their signups and hours and sign them up for sessions.`
+    );
+
+    res.status(201).json({
+      message: 'Link request sent successfully',
+      link
+    });
+
+  } catch (error) {
+    console.error('Create family link error:', error);
+    res.status(500).json({
+      error: 'Failed to create link request',
+      message: 'An error occurred while creating the link request'
+    });
+  }
+});
+
+// Accept or decline a pending link request
+const respondToLink = (status) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const link = await prisma.guardianLink.findUnique({
+      where: { id },
+      include: linkInclude
+    });
+
+    const isParticipant = link && (link.parentId === req.user.id || link.studentId === req.user.id);
+    if (!isParticipant) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'The requested link does not exist'
+      });
+    }
+
+    if (link.requestedBy === req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the other person can respond to this request'
+      });
+    }
+
+    if (link.status !== 'PENDING') {
+      return res.status(400).json({
+        error: 'Link not pending',
+        message: 'This link request has already been answered'
+      });
+    }
+
+    const updatedLink = await prisma.guardianLink.update({
+      where: { id },
+      data: {
+        status,
+        respondedAt: new Date()
+      },
+      include: linkInclude
+    });
+
+    await notifyLinkUser(
+      link.requestedBy,
+      status === 'ACCEPTED' ? 'Family Link Accepted' : 'Family Link Declined',
+      `${req.user.name} has ${status === 'ACCEPTED' ? 'accepted' : 'declined'} your family link request.`
+    );
+
+    res.json({
+      message: status === 'ACCEPTED' ? 'Link accepted successfully' : 'Link declined successfully',
+      link: updatedLink
+    });
+
+  } catch (error) {
+    console.error('Respond to family link error:', error);
+    res.status(500).json({
+      error: 'Failed to respond to link request',
+      message: 'An error occurred while responding to the link request'
+    });
+  }
+};
+
+router.post('/links/:id/accept', authenticateToken, respondToLink('ACCEPTED'));
+router.post('/links/:id/decline', authenticateToken, respondToLink('DECLINED'));
+
+// Update link settings (parent only)
+router.patch('/links/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = guardianLinkUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const link = await prisma.guardianLink.findUnique({
+      where: { id }
+    });
+
+    if (!link || link.parentId !== req.user.id) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'The requested link does not exist'
+      });
+    }
+
+    const updatedLink = await prisma.guardianLink.update({
+      where: { id },
+      data: value,
+      include: linkInclude
+    });
+
+    res.json({
+      message: 'Link updated successfully',
+      link: updatedLink
+    });
+
+  } catch (error) {
+    console.error('Update family link error:', error);
+    res.status(500).json({
+      error: 'Failed to update link',
+      message: 'An error occurred while updating the link'
+    });
+  }
+});
+
+// Remove a link (either side, or cancel a pending request)
+router.delete('/links/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const link = await prisma.guardianLink.findUnique({
+      where: { id }
+    });
+
+    const isParticipant = link && (link.parentId === req.user.id || link.studentId === req.user.id);
+    if (!isParticipant) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'The requested link does not exist'
+      });
+    }
+
+    await prisma.guardianLink.delete({
+      where: { id }
+    });
+
+    if (link.status === 'ACCEPTED') {
+      const otherUserId = link.parentId === req.user.id ? link.studentId : link.parentId;
+      await notifyLinkUser(
+        otherUserId,
+        'Family Link Removed',
+        `${req.user.name} has removed your family link.`
+      );
+    }
+
+    res.json({
+      message: 'Link removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete family link error:', error);
+    res.status(500).json({
+      error: 'Failed to remove link',
+      message: 'An error occurred while removing the link'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,232 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { invitationCreateSchema, invitationQuerySchema } from '../validation/schemas.js';
+import {
+  createInvitationToken,
+  findRedeemableInvitation,
+  getInvitationStatus,
+  getInvitationUrl,
+  INVITATION_ERRORS
+} from '../services/invitationService.js';
+import { sendInvitationEmail } from '../services/emailService.js';
+import { resolveChapterNames } from '../services/locationService.js';
+
+const router = express.Router();
+
+const invitationInclude = {
+  creator: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  },
+  redeemer: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+// Create invitation (admin only)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = invitationCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { email, role, expiresInHours } = value;
+
+    // Invitations carry the canonical chapter name
+    const { names: [chapter], error: chapterError } = await resolveChapterNames(prisma, value.chapter ? [value.chapter] : []);
+    if (chapterError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: chapterError
+      });
+    }
+
+    if (email) {
+      const existingUser = await prisma.user.findUnique({
+        where: { email }
+      });
+
+      if (existingUser) {
+        return res.status(409).json({
+          error: 'User already exists',
+          message: 'A user with this email already exists. Use the role change endpoint instead'
+        });
+      }
+    }
+
+    // The invitation and its email are saved together
+    const { invitation, token, inviteUrl } = await prisma.$transaction(async (tx) => {
+      const invitation = await tx.invitation.create({
+        data: {
+          email,
+          role,
+          chapter,
+          createdBy: req.user.id,
+          expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+        },
+        include: invitationInclude
+      });
+
+      const token = createInvitationToken(invitation);
+      const inviteUrl = getInvitationUrl(token);
+
+      if (email) {
+        await sendInvitationEmail(tx, invitation, req.user, inviteUrl);
+      }
+
+      return { invitation, token, inviteUrl };
+    });
+
+    res.status(201).json({
+      message: 'Invitation created successfully',
+      invitation: {
+        ...invitation,
+        status: getInvitationStatus(invitation)
+      },
+      token,
+      inviteUrl
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      message: 'An error occurred while creating the invitation'
+    });
+  }
+});
+
+// Get invitations (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = invitationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { status, role } = value;
+    const now = new Date();
+
+    const where = {};
+    if (role) where.role = role;
+    if (status === 'USED') where.usedAt = { not: null };
+    if (status === 'REVOKED') Object.assign(where, { usedAt: null, revokedAt: { not: null } });
+    if (status === 'EXPIRED') Object.assign(where, { usedAt: null, revokedAt: null, expiresAt: { lte: now } });
+    if (status === 'PENDING') Object.assign(where, { usedAt: null, revokedAt: null, expiresAt: { gt: now } });
+
+    const invitations = await prisma.invitation.findMany({
+      where,
+      include: invitationInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        status: getInvitationStatus(invitation, now)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invitations',
+      message: 'An error occurred while fetching invitations'
+    });
+  }
+});
+
+// Check an invitation before registering (public)
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const invitation = await findRedeemableInvitation(prisma, req.params.token);
+
+    res.json({
+      message: 'Invitation is valid',
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        chapter: invitation.chapter,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    const mapped = INVITATION_ERRORS[error.message];
+    if (mapped) {
+      return res.status(mapped.status).json({
+        error: mapped.error,
+        message: mapped.message
+      });
+    }
+
+    console.error('Verify invitation error:', error);
+    res.status(500).json({
+      error: 'Invitation verification failed',
+      message: 'An error occurred while verifying the invitation'
+    });
+  }
+});
+
+// Revoke invitation (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invitation = await prisma.invitation.findUnique({
+      where: { id }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The requested invitation does not exist'
+      });
+    }
+
+    if (invitation.usedAt) {
+      return res.status(400).json({
+        error: 'Invitation already used',
+        message: 'A redeemed invitation cannot be revoked. Change the user\'s role instead'
+      });
+    }
+
+    const updatedInvitation = await prisma.invitation.update({
+      where: { id },
+      data: { revokedAt: invitation.revokedAt || new Date() },
+      include: invitationInclude
+    });
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation: {
+        ...updatedInvitation,
+        status: getInvitationStatus(updatedInvitation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: 'An error occurred while revoking the invitation'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { jobQuerySchema } from '../validation/schemas.js';
+import { retryJob, cancelJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+// Get jobs with status counts (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = jobQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit, status, type } = value;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { runAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.job.count({ where }),
+      prisma.job.groupBy({
+        by: ['status'],
+        where: type ? { type } : {},
+        _count: { _all: true }
+      })
+    ]);
+
+    res.json({
+      jobs,
+      counts: Object.fromEntries(statusCounts.map(result => [result.status, result._count._all])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs',
+      message: 'An error occurred while fetching jobs'
+    });
+  }
+});
+
+// Get job by ID (admin only)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const job = await prisma.job.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist'
+      });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: 'An error occurred while fetching the job'
+    });
+  }
+});
+
+// Retry a dead or cancelled job, or run a pending job now (admin only)
+router.post('/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingJob = await prisma.job.findUnique({
+      where: { id }
+    });
+
+    if (!existingJob) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist'
+      });
+    }
+
+    if (!(await retryJob(prisma, id))) {
+      return res.status(400).json({
+        error: 'Job cannot be retried',
+        message: `A ${existingJob.status.toLowerCase()} job cannot be retried`
+      });
+    }
+
+    const job = await prisma.job.findUnique({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Job queued for retry',
+      job
+    });
+
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      error: 'Failed to retry job',
+      message: 'An error occurred while retrying the job'
+    });
+  }
+});
+
+// Cancel a pending job (admin only)
+router.post('/:id/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingJob = await prisma.job.findUnique({
+      where: { id }
+    });
+
+    if (!existingJob) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist'
+      });
+    }
+
+    if (!(await cancelJob(prisma, id))) {
+      return res.status(400).json({
+        error: 'Job cannot be cancelled',
+        message: 'Only pending jobs can be cancelled'
+      });
+    }
+
+    const job = await prisma.job.findUnique({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Job cancelled successfully',
+      job
+    });
+
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      message: 'An error occurred while cancelling the job'
+    });
+  }
+});
+
+export default router;
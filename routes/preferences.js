@@ -1,6 +1,7 @@
 import express from 'express';
 import { prisma } from '../src/server.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { reminderOffsetsSchema } from '../validation/schemas.js';
 
 const router = express.Router();
 
@@ -39,9 +40,21 @@ router.put('/', authenticateToken, async (req, res) => {
       newEvents,
       weeklyDigest,
       emailNotifications,
-      textNotifications
+      textNotifications,
+      reminderOffsets
     } = req.body;
 
+    // Validate reminder offsets (empty array means all reminders the event sends)
+    if (reminderOffsets !== undefined) {
+      const { error } = reminderOffsetsSchema.validate(reminderOffsets);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: error.details[0].message
+        });
+      }
+    }
+
     // Check if preferences exist
     const existingPreferences = await prisma.userPreferences.findUnique({
       where: { userId: req.user.id }
@@ -57,7 +70,8 @@ router.put('/', authenticateToken, async (req, res) => {
           newEvents: newEvents !== undefined ? newEvents : existingPreferences.newEvents,
           weeklyDigest: weeklyDigest !== undefined ? weeklyDigest : existingPreferences.weeklyDigest,
           emailNotifications: emailNotifications !== undefined ? emailNotifications : existingPreferences.emailNotifications,
-          textNotifications: textNotifications !== undefined ? textNotifications : existingPreferences.textNotifications
+          textNotifications: textNotifications !== undefined ? textNotifications : existingPreferences.textNotifications,
+          reminderOffsets: reminderOffsets !== undefined ? reminderOffsets : existingPreferences.reminderOffsets
         }
       });
     } else {
@@ -69,7 +83,8 @@ router.put('/', authenticateToken, async (req, res) => {
           newEvents: newEvents !== undefined ? newEvents : true,
           weeklyDigest: weeklyDigest !== undefined ? weeklyDigest : false,
           emailNotifications: emailNotifications !== undefined ? emailNotifications : true,
-          textNotifications: textNotifications !== undefined ? textNotifications : true
+          textNotifications: textNotifications !== undefined ? textNotifications : true,
+          reminderOffsets: reminderOffsets !== undefined ? reminderOffsets : []
         }
       });
     }
@@ -1,93 +1,23 @@
 import express from 'express';
 import { prisma, eventScheduler, io } from '../src/server.js';
-import { authenticateToken, requireAdmin, requireStudentOrParentOrAdmin, requireParentConfirmedForSession } from '../middleware/auth.js';
-import { signupCreateSchema, signupUpdateSchema } from '../validation/schemas.js';
-import { sendWaitlistOfferEmail, sendSignupConfirmationEmail } from '../services/emailService.js';
+import { authenticateToken, requireChapterAdminOrAdmin, requireStudentOrParentOrAdmin, requireParentConfirmedForSession } from '../middleware/auth.js';
+import { signupCreateSchema, signupUpdateSchema, checkInSchema, attendanceHoursSchema, attendanceOutcomesSchema } from '../validation/schemas.js';
+import { sendSignupConfirmationEmail } from '../services/emailService.js';
+import { createNotification, emitNotifications } from '../services/notificationService.js';
+import { isGuardianOf, canViewUser } from '../services/familyService.js';
+import { createCheckInSecret, generateCheckInCode, verifyCheckInCode, isCheckInOpen, isCheckOutOpen, calculateAttendedHours } from '../services/checkInService.js';
+import { canManageEvent, canManageSession, isAnyAdmin, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+import { getActiveQuestions, validateSignupAnswers, saveSignupAnswers } from '../services/signupQuestionService.js';
+import { respondToReschedule } from '../services/rescheduleService.js';
+import { getSignupWindowError, hasSessionStarted, isLateCancellation, recordLateCancellation, notifyLateCancellation } from '../services/signupCutoffService.js';
+import { getSignupRestriction } from '../services/reliabilityService.js';
+import { offerWaitlistSpots, acceptWaitlistOffer, declineWaitlistOffer, getWaitlistPositions, getOfferExpiry, emitWaitlistPromotions, emitWaitlistAcceptance, emitWaitlistDecline } from '../services/waitlistService.js';
+import { syncSignupHours } from '../services/hoursService.js';
+import { getUserTimezone } from '../services/timezoneService.js';
+import { formatInTimezone } from '../utils/dateUtils.js';
 
 const router = express.Router();
 
-// Helper function to promote waitlisted users with 12-hour notification system
-async function promoteWaitlistedUsers(tx, instanceId, role, slotsAvailable) {
-  const waitlistedUsers = await tx.userEventSignup.findMany({
-    where: {
-      instanceId,
-      status: 'WAITLIST',
-      user: { role }
-    },
-    orderBy: { signupDate: 'asc' },
-    take: slotsAvailable,
-    include: {
-      user: { select: { id: true, name: true, email: true, role: true } },
-      event: { select: { id: true, title: true, category: true } },
-      instance: { select: { id: true, startDate: true, endDate: true, location: true } }
-    }
-  });
-
-  const promotedUsers = [];
-  
-  for (const waitlistedUser of waitlistedUsers) {
-    // Update to WAITLIST_PENDING with notification timestamp
-    const updatedSignup = await tx.userEventSignup.update({
-      where: { id: waitlistedUser.id },
-      data: { 
-        status: 'WAITLIST_PENDING',
-        waitlistNotifiedAt: new Date()
-      },
-      include: {
-        user: { select: { id: true, name: true, email: true, role: true } },
-        event: { select: { id: true, title: true, category: true } },
-        instance: { select: { id: true, startDate: true, endDate: true, location: true } }
-      }
-    });
-
-    // Create notification
-    const notification = await tx.notification.create({
-      data: {
-        userId: waitlistedUser.userId,
-        title: 'Waitlist Spot Available!',
-        description: `A spot has opened up for "${waitlistedUser.event.title}". You have 12 hours to accept or decline this spot. Go to the session details page to respond.`,
-        type: 'SUCCESS',
-        sessionId: waitlistedUser.instanceId
-      }
-    });
-
-    // Emit WebSocket event for the notification
-    io.to(`user-${waitlistedUser.userId}`).emit('notification-created', {
-      type: 'notification-created',
-      notification
-    });
-
-    // Store email data for async sending (outside transaction)
-    let emailData = null;
-    try {
-      const eventInstanceWithDetails = await tx.eventInstance.findUnique({
-        where: { id: waitlistedUser.instanceId },
-        include: {
-          event: {
-            select: {
-              title: true,
-              description: true
-            }
-          }
-        }
-      });
-
-      if (eventInstanceWithDetails) {
-        emailData = {
-          user: waitlistedUser.user,
-          eventInstance: eventInstanceWithDetails
-        };
-      }
-    } catch (error) {
-      console.error(`Failed to prepare waitlist email data for user ${waitlistedUser.userId}:`, error);
-    }
-
-    promotedUsers.push({ ...waitlistedUser, updatedSignup, emailData });
-  }
-
-  return promotedUsers;
-}
-
 // Get all signups (accessible to all authenticated users)
 router.get('/', authenticateToken, requireStudentOrParentOrAdmin, async (req, res) => {
   try {
@@ -178,7 +108,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
           select: {
             id: true,
             title: true,
-            category: true
+            category: true,
+            chapters: true
           }
         },
         instance: {
@@ -190,6 +121,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
             status: true,
             cancelledAt: true
           }
+        },
+        answers: {
+          include: {
+            question: {
+              select: {
+                id: true,
+                label: true,
+                type: true
+              }
+            }
+          }
         }
       }
     });
@@ -201,8 +143,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Users can only view their own signups unless they're admin
-    if (req.user.role !== 'ADMIN' && signup.userId !== req.user.id) {
+    // Users can only view their own (or their children's) signups unless they're admin
+    if (!canManageEvent(req.user, signup.event) && !(await canViewUser(prisma, req.user, signup.userId))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only view your own signups'
@@ -232,13 +174,64 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const { eventId, instanceId } = value;
+    const { eventId, instanceId, userId } = value;
+
+    // Questions, drafts, the signup window and chapter scope are all checked against eventId,
+    // so it has to be the session's own event
+    const session = await prisma.eventInstance.findUnique({
+      where: { id: instanceId },
+      select: { eventId: true }
+    });
+
+    if (session && session.eventId !== eventId) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'instanceId does not belong to eventId'
+      });
+    }
+
+    // Answers to the event's custom questions are checked before any seat is taken
+    const questions = await getActiveQuestions(prisma, eventId);
+    const { answers, error: answersError } = validateSignupAnswers(questions, value.answers || {});
+    if (answersError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: answersError
+      });
+    }
+
+    // Parents can sign up their linked children
+    let signupUser = req.user;
+    if (userId && userId !== req.user.id) {
+      const isGuardian = req.user.role === 'PARENT' && await isGuardianOf(prisma, req.user.id, userId);
+      if (!isGuardian) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only sign up yourself or your linked children'
+        });
+      }
+
+      signupUser = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, role: true }
+      });
+    }
+
+    // Volunteers with repeated no-shows are paused from signing up for a while
+    const restrictedUntil = await getSignupRestriction(prisma, signupUser.id);
+    if (restrictedUntil) {
+      return res.status(403).json({
+        error: 'Signups restricted',
+        message: 'Signups are paused after repeated no-shows. Please contact your chapter coordinator.',
+        restrictedUntil
+      });
+    }
 
     // Simple rate limiting - check for recent signup
     const fiveSecondsAgo = new Date(Date.now() - 5000);
     const recentSignup = await prisma.userEventSignup.findFirst({
       where: {
-        userId: req.user.id,
+        userId: signupUser.id,
         instanceId: instanceId,
         signupDate: {
           gt: fiveSecondsAgo
@@ -275,7 +268,7 @@ router.post('/', authenticateToken, async (req, res) => {
           }
 
           // Check if event is published
-          if (event.status !== 'PUBLISHED' && req.user.role !== 'ADMIN') {
+          if (event.status !== 'PUBLISHED' && !canManageEvent(req.user, event)) {
             throw new Error('Event not available for signups');
           }
 
@@ -289,10 +282,20 @@ router.post('/', authenticateToken, async (req, res) => {
             throw new Error('Session has been cancelled');
           }
 
+          if (instance.status === 'POSTPONED') {
+            throw new Error('Session has been postponed');
+          }
+
+          // Coordinators can still add people outside the signup window
+          const signupWindowError = canManageEvent(req.user, event) ? null : getSignupWindowError(instance);
+          if (signupWindowError) {
+            throw new Error(signupWindowError);
+          }
+
           // Check if user has any existing signup for this instance
           const existingSignup = await tx.userEventSignup.findFirst({
             where: {
-              userId: req.user.id,
+              userId: signupUser.id,
               instanceId
             }
           });
@@ -306,7 +309,7 @@ router.post('/', authenticateToken, async (req, res) => {
             where: {
               instanceId,
               status: { in: ['CONFIRMED', 'WAITLIST_PENDING'] },
-              user: { role: req.user.role }
+              user: { role: signupUser.role }
             },
             orderBy: { signupDate: 'asc' }
           });
@@ -314,7 +317,7 @@ router.post('/', authenticateToken, async (req, res) => {
           const reservedCount = reservedSignups.length;
 
           // Determine capacity and status
-          const maxCapacity = req.user.role === 'STUDENT' ? instance.studentCapacity : instance.parentCapacity;
+          const maxCapacity = signupUser.role === 'STUDENT' ? instance.studentCapacity : instance.parentCapacity;
           let status = reservedCount >= maxCapacity ? 'WAITLIST' : 'CONFIRMED';
 
           // If session is full and waitlist is disabled, reject signup
@@ -322,14 +325,14 @@ router.post('/', authenticateToken, async (req, res) => {
             throw new Error('Session is full and waitlist is disabled');
           }
 
-          console.log(`Signup - User: ${req.user.id}, Role: ${req.user.role}, Reserved: ${reservedCount}, Max: ${maxCapacity}, Status: ${status}`);
+          console.log(`Signup - User: ${signupUser.id}, Role: ${signupUser.role}, Reserved: ${reservedCount}, Max: ${maxCapacity}, Status: ${status}`);
 
           // Create or update signup
           let signup;
           if (existingSignup && existingSignup.status === 'CANCELLED') {
             signup = await tx.userEventSignup.update({
               where: { id: existingSignup.id },
-              data: { status },
+              data: { status, cancelledAt: null, lateCancellation: false, attendanceOutcome: null, attendanceRecordedAt: null },
               include: {
                 user: {
                   select: {
@@ -359,7 +362,7 @@ router.post('/', authenticateToken, async (req, res) => {
           } else {
             signup = await tx.userEventSignup.create({
               data: {
-                userId: req.user.id,
+                userId: signupUser.id,
                 eventId,
                 instanceId,
                 status
@@ -398,13 +401,13 @@ router.post('/', authenticateToken, async (req, res) => {
               where: {
                 instanceId,
                 status: 'CONFIRMED',
-                user: { role: req.user.role }
+                user: { role: signupUser.role }
               }
             });
             
             if (finalCount > maxCapacity) {
               // We exceeded capacity, need to fix this
-              console.log(`ERROR: Capacity exceeded after signup - User: ${req.user.id}, FinalCount: ${finalCount}, Max: ${maxCapacity}`);
+              console.log(`ERROR: Capacity exceeded after signup - User: ${signupUser.id}, FinalCount: ${finalCount}, Max: ${maxCapacity}`);
               
               // Check if waitlist is enabled before changing to waitlist
               if (instance.waitlistEnabled) {
@@ -440,7 +443,7 @@ router.post('/', authenticateToken, async (req, res) => {
                 });
                 
                 status = 'WAITLIST';
-                console.log(`Fixed: Changed signup to WAITLIST for user ${req.user.id}`);
+                console.log(`Fixed: Changed signup to WAITLIST for user ${signupUser.id}`);
               } else {
                 // Waitlist is disabled, delete the signup and throw error
                 await tx.userEventSignup.delete({
@@ -451,31 +454,29 @@ router.post('/', authenticateToken, async (req, res) => {
             }
           }
 
-          // Store email data for async sending (outside transaction)
-          let emailData = null;
-          try {
-            const eventInstanceWithDetails = await tx.eventInstance.findUnique({
-              where: { id: instanceId },
-              include: {
-                event: {
-                  select: {
-                    title: true,
-                    description: true
-                  }
+          // A signup that comes back may count for hours it was approved for before
+          if (existingSignup) {
+            await syncSignupHours(tx, signup.id, { actorId: req.user.id });
+          }
+
+          await saveSignupAnswers(tx, signup.id, answers);
+          signup = { ...signup, answers };
+
+          const eventInstanceWithDetails = await tx.eventInstance.findUnique({
+            where: { id: instanceId },
+            include: {
+              event: {
+                select: {
+                  title: true,
+                  description: true,
+                  waitlistOfferHours: true,
+                  waitlistAutoAccept: true
                 }
               }
-            });
-
-            if (eventInstanceWithDetails) {
-              emailData = {
-                user: signup.user,
-                eventInstance: eventInstanceWithDetails,
-                status: status
-              };
             }
-          } catch (error) {
-            console.error(`Failed to prepare email data for ${signup.user.email}:`, error);
-          }
+          });
+
+          await sendSignupConfirmationEmail(tx, signup.user, eventInstanceWithDetails, status);
 
           // Emit WebSocket event
           io.to(`session-${instanceId}`).emit('signup-updated', {
@@ -484,19 +485,11 @@ router.post('/', authenticateToken, async (req, res) => {
             sessionId: instanceId
           });
 
-          return { signup, status, emailData };
+          return { signup, status };
         });
 
         // If we get here, the transaction succeeded
         
-        // Send email asynchronously (don't wait for it)
-        if (result.emailData) {
-          sendSignupConfirmationEmail(result.emailData.user, result.emailData.eventInstance, result.emailData.status)
-            .catch(error => {
-              console.error(`Failed to send confirmation email to ${result.emailData.user.email}:`, error);
-            });
-        }
-        
         res.status(201).json({
           message: result.status === 'WAITLIST' 
             ? 'Session is full. You have been added to the waitlist. You will be automatically registered if a spot opens up.'
@@ -558,6 +551,27 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (error.message === 'Session has been postponed') {
+      return res.status(409).json({
+        error: 'Session postponed',
+        message: 'This session has been postponed. Signups reopen once a new date is set.'
+      });
+    }
+
+    if (error.message === 'Signups are not open yet') {
+      return res.status(409).json({
+        error: 'Signups not open',
+        message: 'Signups for this session have not opened yet'
+      });
+    }
+
+    if (error.message === 'Signups are closed') {
+      return res.status(409).json({
+        error: 'Signups closed',
+        message: 'Signups for this session have closed'
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to create signup',
       message: 'An error occurred while creating the signup'
@@ -594,7 +608,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
         event: {
           select: {
             id: true,
-            title: true
+            title: true,
+            chapters: true
+          }
+        },
+        instance: {
+          select: {
+            startDate: true,
+            cancelCutoffHours: true
           }
         }
       }
@@ -609,9 +630,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     // Check permissions
     const isOwner = existingSignup.userId === req.user.id;
-    const isAdmin = req.user.role === 'ADMIN';
+    const isAdmin = canManageEvent(req.user, existingSignup.event);
+    const isGuardian = !isOwner && req.user.role === 'PARENT' && await isGuardianOf(prisma, req.user.id, existingSignup.userId);
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !isGuardian && !isAdmin) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only update your own signups'
@@ -626,42 +648,73 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const isCancelling = value.status === 'CANCELLED' && existingSignup.status !== 'CANCELLED';
+
+    // Once a session has started only coordinators can take people off it
+    if (!isAdmin && isCancelling && existingSignup.status === 'CONFIRMED' && hasSessionStarted(existingSignup.instance)) {
+      return res.status(409).json({
+        error: 'Session started',
+        message: 'This session has already started. Please contact the coordinator.'
+      });
+    }
+
+    // Coordinators cancelling someone else's spot is not a late cancellation by the volunteer
+    const isAdminRemoval = !isOwner && isAdmin;
+    const lateCancellation = isCancelling && !isAdminRemoval && isLateCancellation(existingSignup, existingSignup.instance);
+
     // Update signup with cancelledAt timestamp if cancelling
     const updateData = { ...value };
     if (value.status === 'CANCELLED') {
       updateData.cancelledAt = new Date();
     }
+    if (isCancelling) {
+      updateData.lateCancellation = lateCancellation;
+    }
+    if (lateCancellation) {
+      updateData.attendanceOutcome = 'LATE_CANCEL';
+      updateData.attendanceRecordedAt = updateData.cancelledAt;
+    }
+    if (value.approval && value.approval !== existingSignup.approval) {
+      updateData.approvedAt = value.approval === 'APPROVED' ? new Date() : null;
+    }
 
-    const updatedSignup = await prisma.userEventSignup.update({
-      where: { id },
-      data: updateData,
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
-          }
-        },
-        event: {
-          select: {
-            id: true,
-            title: true,
-            category: true
-          }
-        },
-        instance: {
-          select: {
-            id: true,
-            startDate: true,
-            endDate: true,
-            location: true,
-            status: true,
-            cancelledAt: true
+    const updatedSignup = await prisma.$transaction(async (tx) => {
+      const updatedSignup = await tx.userEventSignup.update({
+        where: { id },
+        data: updateData,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          },
+          event: {
+            select: {
+              id: true,
+              title: true,
+              category: true
+            }
+          },
+          instance: {
+            select: {
+              id: true,
+              startDate: true,
+              endDate: true,
+              location: true,
+              status: true,
+              cancelledAt: true
+            }
           }
         }
-      }
+      });
+
+      // Approval, hours and cancellation all change what the signup counts for
+      await syncSignupHours(tx, id, { actorId: req.user.id });
+
+      return updatedSignup;
     });
 
     // Emit WebSocket event
@@ -671,50 +724,24 @@ router.put('/:id', authenticateToken, async (req, res) => {
       sessionId: existingSignup.instanceId
     });
 
-    // If signup was cancelled, promote first person from waitlist using 12-hour system
+    // If signup was cancelled, offer the spot to the next person on the waitlist
     if (value.status === 'CANCELLED') {
-      const promotedUsers = await prisma.$transaction(async (tx) => {
+      const { promoted, notifications } = await prisma.$transaction(async (tx) => {
         const cancelledUser = await tx.user.findUnique({
           where: { id: existingSignup.userId },
           select: { role: true }
         });
 
-        if (cancelledUser) {
-          const promotedUsers = await promoteWaitlistedUsers(
-            tx, 
-            existingSignup.instanceId, 
-            cancelledUser.role, 
-            1
-          );
-
-          if (promotedUsers.length > 0) {
-            console.log(`Promoted waitlisted user ${promotedUsers[0].user.name} to WAITLIST_PENDING for session ${existingSignup.instanceId}`);
-          }
-
-          return promotedUsers;
-        }
+        const notifications = lateCancellation ? await notifyLateCancellation(tx, existingSignup) : [];
+        const promoted = cancelledUser
+          ? await offerWaitlistSpots(tx, existingSignup.instanceId, cancelledUser.role, 1)
+          : [];
 
-        return [];
+        return { promoted, notifications };
       });
 
-      // Emit WebSocket events for promoted users after transaction
-      if (promotedUsers && promotedUsers.length > 0) {
-        for (const promotedUser of promotedUsers) {
-          io.to(`session-${existingSignup.instanceId}`).emit('signup-updated', {
-            type: 'waitlist-promoted',
-            signup: promotedUser.updatedSignup,
-            sessionId: existingSignup.instanceId
-          });
-          
-          // Send email asynchronously (don't wait for it)
-          if (promotedUser.emailData) {
-            sendWaitlistOfferEmail(promotedUser.emailData.user, promotedUser.emailData.eventInstance)
-              .catch(error => {
-                console.error(`Failed to send waitlist offer email to user ${promotedUser.userId}:`, error);
-              });
-          }
-        }
-      }
+      emitNotifications(notifications);
+      emitWaitlistPromotions(promoted);
     }
 
     // Note: totalHours are now calculated dynamically from signups
@@ -749,6 +776,17 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             email: true,
             role: true
           }
+        },
+        event: {
+          select: {
+            chapters: true
+          }
+        },
+        instance: {
+          select: {
+            startDate: true,
+            cancelCutoffHours: true
+          }
         }
       }
     });
@@ -762,81 +800,77 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     // Check permissions
     const isOwner = existingSignup.userId === req.user.id;
-    const isAdmin = req.user.role === 'ADMIN';
+    const isAdmin = canManageEvent(req.user, existingSignup.event);
+    const isGuardian = !isOwner && req.user.role === 'PARENT' && await isGuardianOf(prisma, req.user.id, existingSignup.userId);
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !isGuardian && !isAdmin) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only cancel your own signups'
       });
     }
 
-    // Delete signup and handle waitlist promotion
-    const promotedUsers = await prisma.$transaction(async (tx) => {
-      // Delete the signup
-      await tx.userEventSignup.delete({
-        where: { id }
+    // Once a session has started only coordinators can take people off it
+    if (!isAdmin && existingSignup.status === 'CONFIRMED' && hasSessionStarted(existingSignup.instance)) {
+      return res.status(409).json({
+        error: 'Session started',
+        message: 'This session has already started. Please contact the coordinator.'
       });
+    }
 
-      // If this was an admin removal, notify the user
-      if (!isOwner && isAdmin) {
-        const removalNotification = await tx.notification.create({
-          data: {
-            userId: existingSignup.userId,
-            title: 'Removed from Event',
-            description: `You have been removed from the event by an administrator.`,
-            type: 'WARNING',
-            sessionId: existingSignup.instanceId
-          }
-        });
+    // A late cancellation stays on record for the coordinators and the reliability score
+    if (!isAdmin && existingSignup.status === 'CANCELLED' && existingSignup.lateCancellation) {
+      return res.status(409).json({
+        error: 'Already cancelled',
+        message: 'This signup has already been cancelled.'
+      });
+    }
 
-        // Emit WebSocket event for the notification
-        io.to(`user-${existingSignup.userId}`).emit('notification-created', {
-          type: 'notification-created',
-          notification: removalNotification
+    const isAdminRemoval = !isOwner && isAdmin;
+    const lateCancellation = !isAdminRemoval && isLateCancellation(existingSignup, existingSignup.instance);
+
+    // Delete signup and handle waitlist promotion
+    const promoted = [];
+    const notifications = [];
+    await prisma.$transaction(async (tx) => {
+      // Late cancellations are kept (flagged) for the coordinators; anything else is deleted
+      if (lateCancellation) {
+        const recorded = await recordLateCancellation(tx, existingSignup);
+        notifications.push(...recorded.notifications);
+        await syncSignupHours(tx, id, { actorId: req.user.id });
+      } else {
+        // Any hours it was credited come off the ledger; the entries stay as history
+        await syncSignupHours(tx, id, { actorId: req.user.id, removed: true });
+        await tx.userEventSignup.delete({
+          where: { id }
         });
       }
 
-      // If the deleted signup was CONFIRMED, promote someone from waitlist
-      if (existingSignup.status === 'CONFIRMED') {
-        const promotedUsers = await promoteWaitlistedUsers(
-          tx, 
-          existingSignup.instanceId, 
-          existingSignup.user.role, 
-          1
-        );
-
-        if (promotedUsers.length > 0) {
-          console.log(`Promoted waitlisted user ${promotedUsers[0].user.name} to WAITLIST_PENDING for session ${existingSignup.instanceId}`);
-        }
-
-        return promotedUsers;
+      // If this was an admin removal, notify the user
+      if (isAdminRemoval) {
+        notifications.push(...await createNotification(tx, {
+          userId: existingSignup.userId,
+          title: 'Removed from Event',
+          description: `You have been removed from the event by an administrator.`,
+          type: 'WARNING',
+          sessionId: existingSignup.instanceId
+        }));
       }
 
-      return [];
+      // If the deleted signup was CONFIRMED, offer the spot to the waitlist
+      if (existingSignup.status === 'CONFIRMED') {
+        promoted.push(...await offerWaitlistSpots(tx, existingSignup.instanceId, existingSignup.user.role, 1));
+      }
     });
 
-    // Emit WebSocket events for promoted users after transaction
-    if (promotedUsers && promotedUsers.length > 0) {
-      for (const promotedUser of promotedUsers) {
-        io.to(`session-${existingSignup.instanceId}`).emit('signup-updated', {
-          type: 'waitlist-promoted',
-          signup: promotedUser.updatedSignup,
-          sessionId: existingSignup.instanceId
-        });
-        
-        // Send email asynchronously (don't wait for it)
-        if (promotedUser.emailData) {
-          sendWaitlistOfferEmail(promotedUser.emailData.user, promotedUser.emailData.eventInstance)
-            .catch(error => {
-              console.error(`Failed to send waitlist offer email to user ${promotedUser.userId}:`, error);
-            });
-        }
-      }
-    }
+    emitNotifications(notifications);
+    emitWaitlistPromotions(promoted);
 
     res.json({
-      message: 'Signup cancelled successfully'
+      message: lateCancellation
+        ? 'Signup cancelled. This was after the cancellation cutoff, so the coordinators have been notified.'
+        : 'Signup cancelled successfully',
+      lateCancellation
     });
 
   } catch (error) {
@@ -848,8 +882,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Bulk update approval (admin only)
-router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res) => {
+// Bulk update approval (admins, and chapter admins for their chapters' events)
+router.patch('/bulk-approval', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { signups } = req.body;
 
@@ -861,6 +895,7 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
     }
 
     // Use atomic transaction for all operations
+    const notifications = [];
     await prisma.$transaction(async (tx) => {
       for (const signupUpdate of signups) {
         const { id, approval, hoursEarned } = signupUpdate;
@@ -872,7 +907,8 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
             user: true,
             event: {
               select: {
-                title: true
+                title: true,
+                chapters: true
               }
             }
           }
@@ -882,6 +918,10 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
           continue; // Skip invalid signups
         }
 
+        if (!canManageEvent(req.user, existingSignup.event)) {
+          throw new Error('Signup outside managed chapters');
+        }
+
         // Check if approval is being changed and create notification
         const approvalChanged = approval && approval !== existingSignup.approval;
         
@@ -889,11 +929,13 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
         const updateData = {};
         if (approval) updateData.approval = approval;
         if (hoursEarned !== undefined) updateData.hoursEarned = hoursEarned;
+        if (approvalChanged) updateData.approvedAt = approval === 'APPROVED' ? new Date() : null;
 
         await tx.userEventSignup.update({
           where: { id },
           data: updateData
         });
+        await syncSignupHours(tx, id, { actorId: req.user.id });
 
         // Create notification for approval changes
         if (approvalChanged) {
@@ -913,31 +955,29 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
             notificationType = 'WARNING';
           }
 
-          const notification = await tx.notification.create({
-            data: {
-              userId: existingSignup.userId,
-              title: notificationTitle,
-              description: notificationDescription,
-              type: notificationType,
-              sessionId: existingSignup.instanceId
-            }
-          });
-
-          // Emit WebSocket event for the notification
-          io.to(`user-${existingSignup.userId}`).emit('notification-created', {
-            type: 'notification-created',
-            notification
-          });
+          notifications.push(...await createNotification(tx, {
+            userId: existingSignup.userId,
+            title: notificationTitle,
+            description: notificationDescription,
+            type: notificationType,
+            sessionId: existingSignup.instanceId
+          }));
         }
       }
     });
 
+    emitNotifications(notifications);
+
     res.json({
       message: 'Approval status updated successfully',
       updatedCount: signups.length
     });
 
   } catch (error) {
+    if (error.message === 'Signup outside managed chapters') {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
     console.error('Bulk approval update error:', error);
     res.status(500).json({
       error: 'Failed to update approval status',
@@ -946,8 +986,8 @@ router.patch('/bulk-approval', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// Bulk update with removals (admin only) - atomic transaction
-router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, async (req, res) => {
+// Bulk update with removals (admins, and chapter admins for their chapters' events) - atomic transaction
+router.patch('/bulk-update-with-removals', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
   try {
     const { removals, updates } = req.body;
 
@@ -959,10 +999,12 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
     }
 
     // Use atomic transaction for all operations
+    const notifications = [];
     const result = await prisma.$transaction(async (tx) => {
       const sessionIds = new Set();
       const removedSignups = [];
       const updatedSignups = [];
+      const promotedSignups = [];
 
       // Process removals first
       for (const signupId of removals) {
@@ -970,51 +1012,40 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
           where: { id: signupId },
           include: {
             user: { select: { id: true, name: true, role: true } },
-            event: { select: { title: true } },
+            event: { select: { title: true, chapters: true } },
             instance: { select: { id: true } }
           }
         });
 
         if (existingSignup) {
+          if (!canManageEvent(req.user, existingSignup.event)) {
+            throw new Error('Signup outside managed chapters');
+          }
+
           sessionIds.add(existingSignup.instance.id);
           
           // Delete the signup
+          await syncSignupHours(tx, signupId, { actorId: req.user.id, removed: true });
           await tx.userEventSignup.delete({
             where: { id: signupId }
           });
 
           // Create notification for removal
-          const removalNotification = await tx.notification.create({
-            data: {
-              userId: existingSignup.userId,
-              title: 'Removed from Event',
-              description: `You have been removed from "${existingSignup.event.title}" by an administrator.`,
-              type: 'WARNING',
-              sessionId: existingSignup.instance.id
-            }
-          });
-
-          // Emit WebSocket event for the notification
-          io.to(`user-${existingSignup.userId}`).emit('notification-created', {
-            type: 'notification-created',
-            notification: removalNotification
-          });
+          notifications.push(...await createNotification(tx, {
+            userId: existingSignup.userId,
+            title: 'Removed from Event',
+            description: `You have been removed from "${existingSignup.event.title}" by an administrator.`,
+            type: 'WARNING',
+            sessionId: existingSignup.instance.id
+          }));
 
           removedSignups.push(existingSignup);
 
           // If the removed signup was CONFIRMED, promote someone from waitlist
           if (existingSignup.status === 'CONFIRMED') {
-            const promotedUsers = await promoteWaitlistedUsers(
-              tx, 
-              existingSignup.instance.id, 
-              existingSignup.user.role, 
-              1
-            );
-
-            if (promotedUsers.length > 0) {
-              console.log(`Promoted waitlisted user ${promotedUsers[0].user.name} to WAITLIST_PENDING for session ${existingSignup.instance.id}`);
-              updatedSignups.push(...promotedUsers);
-            }
+            const promotedUsers = await offerWaitlistSpots(tx, existingSignup.instance.id, existingSignup.user.role, 1);
+            updatedSignups.push(...promotedUsers);
+            promotedSignups.push(...promotedUsers);
           }
         }
       }
@@ -1027,12 +1058,16 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
           where: { id },
           include: { 
             user: true,
-            event: { select: { title: true } },
+            event: { select: { title: true, chapters: true } },
             instance: { select: { id: true } }
           }
         });
 
         if (existingSignup) {
+          if (!canManageEvent(req.user, existingSignup.event)) {
+            throw new Error('Signup outside managed chapters');
+          }
+
           sessionIds.add(existingSignup.instance.id);
           
           // Check if approval is being changed
@@ -1042,6 +1077,7 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
           const updateData = {};
           if (approval) updateData.approval = approval;
           if (hoursEarned !== undefined) updateData.hoursEarned = hoursEarned;
+          if (approvalChanged) updateData.approvedAt = approval === 'APPROVED' ? new Date() : null;
           if (comment !== undefined) updateData.comment = comment;
 
           const updatedSignup = await tx.userEventSignup.update({
@@ -1053,6 +1089,7 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
               instance: { select: { id: true, startDate: true, endDate: true, location: true } }
             }
           });
+          await syncSignupHours(tx, id, { actorId: req.user.id });
 
           updatedSignups.push(updatedSignup);
 
@@ -1074,21 +1111,13 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
               notificationType = 'WARNING';
             }
 
-            const approvalNotification = await tx.notification.create({
-              data: {
-                userId: existingSignup.userId,
-                title: notificationTitle,
-                description: notificationDescription,
-                type: notificationType,
-                sessionId: existingSignup.instanceId
-              }
-            });
-
-            // Emit WebSocket event for the notification
-            io.to(`user-${existingSignup.userId}`).emit('notification-created', {
-              type: 'notification-created',
-              notification: approvalNotification
-            });
+            notifications.push(...await createNotification(tx, {
+              userId: existingSignup.userId,
+              title: notificationTitle,
+              description: notificationDescription,
+              type: notificationType,
+              sessionId: existingSignup.instanceId
+            }));
           }
         }
       }
@@ -1096,10 +1125,14 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
       return {
         removedSignups,
         updatedSignups,
+        promotedSignups,
         sessionIds: Array.from(sessionIds)
       };
     });
 
+    emitNotifications(notifications);
+    emitWaitlistPromotions(result.promotedSignups);
+
     // Emit WebSocket events for all affected sessions
     for (const sessionId of result.sessionIds) {
       io.to(`session-${sessionId}`).emit('signup-updated', {
@@ -1110,25 +1143,6 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
       });
     }
 
-    // Emit individual events for promoted users
-    for (const promotedUser of result.updatedSignups) {
-      if (promotedUser.updatedSignup) {
-        io.to(`session-${promotedUser.updatedSignup.instanceId}`).emit('signup-updated', {
-          type: 'waitlist-promoted',
-          signup: promotedUser.updatedSignup,
-          sessionId: promotedUser.updatedSignup.instanceId
-        });
-        
-        // Send email asynchronously (don't wait for it)
-        if (promotedUser.emailData) {
-          sendWaitlistOfferEmail(promotedUser.emailData.user, promotedUser.emailData.eventInstance)
-            .catch(error => {
-              console.error(`Failed to send waitlist offer email to user ${promotedUser.userId}:`, error);
-            });
-        }
-      }
-    }
-
     res.json({
       message: 'Bulk update completed successfully',
       removedCount: result.removedSignups.length,
@@ -1136,6 +1150,10 @@ router.patch('/bulk-update-with-removals', authenticateToken, requireAdmin, asyn
     });
 
   } catch (error) {
+    if (error.message === 'Signup outside managed chapters') {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
     console.error('Bulk update with removals error:', error);
     res.status(500).json({
       error: 'Failed to perform bulk update',
@@ -1158,6 +1176,7 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
     }
 
     // Use atomic transaction for all operations
+    const notifications = [];
     const result = await prisma.$transaction(async (tx) => {
       const updatedSignups = [];
 
@@ -1176,12 +1195,13 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
 
         if (existingSignup && existingSignup.instance.id === sessionId) {
                   // Check if approval is being changed (only admins can change approval)
-        const approvalChanged = req.user.role === 'ADMIN' && approval && approval !== existingSignup.approval;
+        const approvalChanged = isAnyAdmin(req.user) && approval && approval !== existingSignup.approval;
         
         // Prepare update data (only hours for parents, both approval and hours for admins)
         const updateData = {};
-        if (req.user.role === 'ADMIN' && approval) updateData.approval = approval;
+        if (isAnyAdmin(req.user) && approval) updateData.approval = approval;
         if (hoursEarned !== undefined) updateData.hoursEarned = hoursEarned;
+        if (approvalChanged) updateData.approvedAt = approval === 'APPROVED' ? new Date() : null;
         if (comment !== undefined) updateData.comment = comment;
 
           const updatedSignup = await tx.userEventSignup.update({
@@ -1193,6 +1213,7 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
               instance: { select: { id: true, startDate: true, endDate: true, location: true } }
             }
           });
+          await syncSignupHours(tx, id, { actorId: req.user.id });
 
           updatedSignups.push(updatedSignup);
 
@@ -1214,21 +1235,13 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
               notificationType = 'WARNING';
             }
 
-            const approvalNotification = await tx.notification.create({
-              data: {
-                userId: existingSignup.userId,
-                title: notificationTitle,
-                description: notificationDescription,
-                type: notificationType,
-                sessionId: existingSignup.instanceId
-              }
-            });
-
-            // Emit WebSocket event for the notification
-            io.to(`user-${existingSignup.userId}`).emit('notification-created', {
-              type: 'notification-created',
-              notification: approvalNotification
-            });
+            notifications.push(...await createNotification(tx, {
+              userId: existingSignup.userId,
+              title: notificationTitle,
+              description: notificationDescription,
+              type: notificationType,
+              sessionId: existingSignup.instanceId
+            }));
           }
         }
       }
@@ -1238,6 +1251,8 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
       };
     });
 
+    emitNotifications(notifications);
+
     // Emit WebSocket event for the session
     io.to(`session-${sessionId}`).emit('signup-updated', {
       type: 'parent-bulk-update',
@@ -1246,7 +1261,7 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
     });
 
     res.json({
-      message: req.user.role === 'ADMIN' 
+      message: isAnyAdmin(req.user) 
         ? 'Approval status and hours updated successfully'
         : 'Hours updated successfully',
       updatedCount: result.updatedSignups.length
@@ -1255,16 +1270,533 @@ router.patch('/parent-bulk-update/:sessionId', authenticateToken, requireParentC
   } catch (error) {
     console.error('Parent bulk update error:', error);
     res.status(500).json({
-      error: req.user.role === 'ADMIN' 
+      error: isAnyAdmin(req.user) 
         ? 'Failed to update approval status and hours'
         : 'Failed to update hours',
-      message: req.user.role === 'ADMIN'
+      message: isAnyAdmin(req.user)
         ? 'An error occurred while updating approval status and hours'
         : 'An error occurred while updating hours'
     });
   }
 });
 
+// Get the current rotating check-in code for a session (admin or confirmed parent)
+router.get('/check-in-code/:sessionId', authenticateToken, requireParentConfirmedForSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    let instance = await prisma.eventInstance.findUnique({
+      where: { id: sessionId }
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: 'Instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    if (instance.status === 'CANCELLED') {
+      return res.status(400).json({
+        error: 'Session cancelled',
+        message: 'Check-in is not available for a cancelled session'
+      });
+    }
+
+    // Sessions get their signing secret the first time a code is requested
+    if (!instance.checkInSecret) {
+      instance = await prisma.eventInstance.update({
+        where: { id: sessionId },
+        data: { checkInSecret: createCheckInSecret() }
+      });
+    }
+
+    res.json({
+      sessionId,
+      ...generateCheckInCode(instance)
+    });
+
+  } catch (error) {
+    console.error('Get check-in code error:', error);
+    res.status(500).json({
+      error: 'Failed to get check-in code',
+      message: 'An error occurred while generating the check-in code'
+    });
+  }
+});
+
+// Invalidate all check-in codes for a session, e.g. after a code was shared (admin or confirmed parent)
+router.post('/check-in-code/:sessionId/reset', authenticateToken, requireParentConfirmedForSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const existingInstance = await prisma.eventInstance.findUnique({
+      where: { id: sessionId },
+      select: { id: true }
+    });
+
+    if (!existingInstance) {
+      return res.status(404).json({
+        error: 'Instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    const instance = await prisma.eventInstance.update({
+      where: { id: sessionId },
+      data: { checkInSecret: createCheckInSecret() }
+    });
+
+    res.json({
+      message: 'Check-in code reset successfully',
+      sessionId,
+      ...generateCheckInCode(instance)
+    });
+
+  } catch (error) {
+    console.error('Reset check-in code error:', error);
+    res.status(500).json({
+      error: 'Failed to reset check-in code',
+      message: 'An error occurred while resetting the check-in code'
+    });
+  }
+});
+
+// Find the confirmed signup being checked in or out, after verifying the scanned code
+const findAttendanceSignup = async (req, instanceId, value, now) => {
+  const userId = value.userId || req.user.id;
+
+  // Parents can check in their linked children
+  if (userId !== req.user.id && !(req.user.role === 'PARENT' && await isGuardianOf(prisma, req.user.id, userId))) {
+    throw new Error('Access denied');
+  }
+
+  const instance = await prisma.eventInstance.findUnique({
+    where: { id: instanceId }
+  });
+
+  if (!instance) {
+    throw new Error('Event instance not found');
+  }
+
+  if (instance.status === 'CANCELLED') {
+    throw new Error('Session has been cancelled');
+  }
+
+  if (!verifyCheckInCode(instance, value.code, now)) {
+    throw new Error('Invalid check-in code');
+  }
+
+  const signup = await prisma.userEventSignup.findFirst({
+    where: {
+      userId,
+      instanceId,
+      status: 'CONFIRMED'
+    }
+  });
+
+  if (!signup) {
+    throw new Error('No confirmed signup found');
+  }
+
+  return { instance, signup };
+};
+
+// Map check-in errors to responses
+const sendAttendanceError = (res, error) => {
+  if (error.message === 'Access denied') {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only check in yourself or your linked children'
+    });
+  }
+
+  if (error.message === 'Event instance not found') {
+    return res.status(404).json({
+      error: 'Event instance not found',
+      message: 'The requested event instance does not exist'
+    });
+  }
+
+  if (error.message === 'No confirmed signup found') {
+    return res.status(404).json({
+      error: 'No confirmed signup found',
+      message: 'You do not have a confirmed signup for this session'
+    });
+  }
+
+  const badRequests = {
+    'Session has been cancelled': 'This session has been cancelled',
+    'Invalid check-in code': 'The check-in code is invalid or has expired. Scan the current code and try again',
+    'Check-in is not open': 'Check-in opens shortly before the session starts and closes when it ends',
+    'Check-out is closed': 'Check-out for this session has closed. Ask a coordinator to record your hours',
+    'Already checked in': 'You have already checked in to this session',
+    'Not checked in': 'You need to check in before checking out',
+    'Already checked out': 'You have already checked out of this session'
+  };
+
+  if (badRequests[error.message]) {
+    return res.status(400).json({
+      error: error.message,
+      message: badRequests[error.message]
+    });
+  }
+
+  return null;
+};
+
+// Check in to a session with the scanned code
+router.post('/check-in/:instanceId', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const { error, value } = checkInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const now = new Date();
+    const { instance, signup } = await findAttendanceSignup(req, instanceId, value, now);
+
+    if (!isCheckInOpen(instance, now)) {
+      throw new Error('Check-in is not open');
+    }
+
+    if (signup.checkedInAt) {
+      throw new Error('Already checked in');
+    }
+
+    const updatedSignup = await prisma.userEventSignup.update({
+      where: { id: signup.id },
+      data: { checkedInAt: now, attendanceOutcome: 'ATTENDED', attendanceRecordedAt: now },
+      include: {
+        user: { select: { id: true, name: true, email: true, role: true } }
+      }
+    });
+
+    io.to(`session-${instanceId}`).emit('signup-updated', {
+      type: 'checked-in',
+      signup: updatedSignup,
+      sessionId: instanceId
+    });
+
+    res.json({
+      message: 'Checked in successfully',
+      signup: updatedSignup
+    });
+
+  } catch (error) {
+    if (sendAttendanceError(res, error)) return;
+
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      error: 'Check-in failed',
+      message: 'An error occurred while checking in'
+    });
+  }
+});
+
+// Check out of a session with the scanned code
+router.post('/check-out/:instanceId', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const { error, value } = checkInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const now = new Date();
+    const { instance, signup } = await findAttendanceSignup(req, instanceId, value, now);
+
+    if (!signup.checkedInAt) {
+      throw new Error('Not checked in');
+    }
+
+    if (signup.checkedOutAt) {
+      throw new Error('Already checked out');
+    }
+
+    if (!isCheckOutOpen(instance, now)) {
+      throw new Error('Check-out is closed');
+    }
+
+    const updatedSignup = await prisma.userEventSignup.update({
+      where: { id: signup.id },
+      data: {
+        checkedOutAt: now,
+        suggestedHours: calculateAttendedHours(instance, signup.checkedInAt, now)
+      },
+      include: {
+        user: { select: { id: true, name: true, email: true, role: true } }
+      }
+    });
+
+    io.to(`session-${instanceId}`).emit('signup-updated', {
+      type: 'checked-out',
+      signup: updatedSignup,
+      sessionId: instanceId
+    });
+
+    res.json({
+      message: 'Checked out successfully',
+      signup: updatedSignup
+    });
+
+  } catch (error) {
+    if (sendAttendanceError(res, error)) return;
+
+    console.error('Check-out error:', error);
+    res.status(500).json({
+      error: 'Check-out failed',
+      message: 'An error occurred while checking out'
+    });
+  }
+});
+
+// Copy attendance-based hour suggestions into hoursEarned (admin or confirmed parent)
+// Admins also approve the hours; parents' entries still wait for an admin, as with parent-bulk-update
+router.patch('/apply-attendance-hours/:sessionId', authenticateToken, requireParentConfirmedForSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { error, value } = attendanceHoursSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const isAdmin = isAnyAdmin(req.user);
+    const now = new Date();
+
+    const result = await prisma.$transaction(async (tx) => {
+      const instance = await tx.eventInstance.findUnique({
+        where: { id: sessionId }
+      });
+
+      if (!instance) {
+        throw new Error('Event instance not found');
+      }
+
+      const signups = await tx.userEventSignup.findMany({
+        where: {
+          instanceId: sessionId,
+          status: 'CONFIRMED',
+          checkedInAt: { not: null },
+          ...(value.signupIds && { id: { in: value.signupIds } })
+        },
+        include: {
+          event: { select: { title: true } }
+        }
+      });
+
+      const updatedSignups = [];
+      const notifications = [];
+
+      for (const signup of signups) {
+        // Volunteers who forgot to check out are counted until the session ended
+        const checkedOutAt = signup.checkedOutAt || (instance.endDate && instance.endDate < now ? instance.endDate : null);
+        if (!checkedOutAt) continue;
+
+        const hours = signup.suggestedHours ?? calculateAttendedHours(instance, signup.checkedInAt, checkedOutAt);
+
+        const updatedSignup = await tx.userEventSignup.update({
+          where: { id: signup.id },
+          data: {
+            suggestedHours: hours,
+            hoursEarned: hours,
+            ...(isAdmin && { approval: 'APPROVED' }),
+            ...(isAdmin && signup.approval !== 'APPROVED' && { approvedAt: now })
+          },
+          include: {
+            user: { select: { id: true, name: true, email: true, role: true } }
+          }
+        });
+        await syncSignupHours(tx, signup.id, { actorId: req.user.id });
+
+        updatedSignups.push(updatedSignup);
+
+        if (isAdmin && signup.approval !== 'APPROVED') {
+          notifications.push(...await createNotification(tx, {
+            userId: signup.userId,
+            title: 'Hours Approved!',
+            description: hours > 0
+              ? `Your hours for "${signup.event.title}" have been approved and you've been awarded ${hours} volunteer hours!`
+              : `Your hours for "${signup.event.title}" have been approved.`,
+            type: 'SUCCESS',
+            sessionId
+          }));
+        }
+      }
+
+      return { updatedSignups, notifications };
+    });
+
+    emitNotifications(result.notifications);
+
+    io.to(`session-${sessionId}`).emit('signup-updated', {
+      type: 'attendance-hours-applied',
+      sessionId,
+      updatedCount: result.updatedSignups.length
+    });
+
+    res.json({
+      message: isAdmin
+        ? 'Attendance hours applied and approved successfully'
+        : 'Attendance hours applied successfully',
+      updatedCount: result.updatedSignups.length,
+      signups: result.updatedSignups
+    });
+
+  } catch (error) {
+    if (error.message === 'Event instance not found') {
+      return res.status(404).json({
+        error: 'Event instance not found',
+        message: 'The requested event instance does not exist'
+      });
+    }
+
+    console.error('Apply attendance hours error:', error);
+    res.status(500).json({
+      error: 'Failed to apply attendance hours',
+      message: 'An error occurred while applying attendance hours'
+    });
+  }
+});
+
+// Record attendance outcomes (attended, no-show, late cancel, excused) for a session's signups
+router.patch('/attendance-outcomes/:sessionId', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { error, value } = attendanceOutcomesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await canManageSession(prisma, req.user, sessionId))) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const now = new Date();
+
+    // Attendance can only be taken once the session is under way
+    const instance = await prisma.eventInstance.findUnique({
+      where: { id: sessionId },
+      select: { startDate: true }
+    });
+
+    if (!instance || !hasSessionStarted(instance, now)) {
+      return res.status(409).json({
+        error: 'Session not started',
+        message: 'Attendance can be recorded once the session has started'
+      });
+    }
+
+    const notifications = [];
+    const updatedSignups = await prisma.$transaction(async (tx) => {
+      const signups = await tx.userEventSignup.findMany({
+        where: {
+          id: { in: value.records.map(record => record.signupId) },
+          instanceId: sessionId
+        },
+        include: {
+          event: { select: { title: true } }
+        }
+      });
+
+      if (signups.length !== value.records.length) {
+        throw new Error('Signup not found');
+      }
+
+      const signupsById = new Map(signups.map(signup => [signup.id, signup]));
+      const updatedSignups = [];
+
+      for (const { signupId, outcome } of value.records) {
+        const signup = signupsById.get(signupId);
+
+        // Outcomes are for confirmed volunteers; a late cancellation can only be kept or excused
+        const isLateCancelled = signup.status === 'CANCELLED' && signup.lateCancellation;
+        if (signup.status !== 'CONFIRMED' && !(isLateCancelled && ['LATE_CANCEL', 'EXCUSED'].includes(outcome))) {
+          throw new Error('Signup not confirmed');
+        }
+
+        const updatedSignup = await tx.userEventSignup.update({
+          where: { id: signupId },
+          data: {
+            attendanceOutcome: outcome,
+            attendanceRecordedAt: outcome ? now : null
+          },
+          include: {
+            user: { select: { id: true, name: true, email: true, role: true } }
+          }
+        });
+        updatedSignups.push(updatedSignup);
+
+        if (outcome === 'NO_SHOW' && signup.attendanceOutcome !== 'NO_SHOW') {
+          const restrictedUntil = await getSignupRestriction(tx, signup.userId, now);
+          const timeZone = restrictedUntil && await getUserTimezone(tx, updatedSignup.user);
+
+          notifications.push(...await createNotification(tx, {
+            userId: signup.userId,
+            title: 'Marked as No-Show',
+            description: `You were marked as a no-show for "${signup.event.title}". If you cancel ahead of time, your spot can go to someone on the waitlist.${restrictedUntil ? ` After repeated no-shows, your signups are paused until ${formatInTimezone(restrictedUntil, timeZone, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}.` : ''}`,
+            type: 'WARNING',
+            sessionId
+          }));
+        }
+      }
+
+      return updatedSignups;
+    });
+
+    emitNotifications(notifications);
+
+    io.to(`session-${sessionId}`).emit('signup-updated', {
+      type: 'attendance-recorded',
+      sessionId,
+      updatedCount: updatedSignups.length
+    });
+
+    res.json({
+      message: 'Attendance recorded successfully',
+      updatedCount: updatedSignups.length,
+      signups: updatedSignups
+    });
+
+  } catch (error) {
+    if (error.message === 'Signup not found') {
+      return res.status(404).json({
+        error: 'Signup not found',
+        message: 'One or more signups do not belong to this session'
+      });
+    }
+    if (error.message === 'Signup not confirmed') {
+      return res.status(409).json({
+        error: 'Signup not confirmed',
+        message: 'Attendance can only be recorded for confirmed signups'
+      });
+    }
+
+    console.error('Record attendance outcomes error:', error);
+    res.status(500).json({
+      error: 'Failed to record attendance',
+      message: 'An error occurred while recording attendance'
+    });
+  }
+});
+
 // Check for scheduling conflicts before signup
 router.get('/check-conflicts/:instanceId', authenticateToken, async (req, res) => {
   try {
@@ -1387,7 +1919,8 @@ router.get('/waitlist-position/:instanceId', authenticateToken, async (req, res)
         status: { in: ['WAITLIST', 'WAITLIST_PENDING'] }
       },
       include: {
-        user: { select: { role: true } }
+        user: { select: { role: true } },
+        event: { select: { waitlistOfferHours: true } }
       }
     });
 
@@ -1398,28 +1931,23 @@ router.get('/waitlist-position/:instanceId', authenticateToken, async (req, res)
       });
     }
 
-    // Get all waitlisted users for the same role, ordered by signup date
-    const waitlistedUsers = await prisma.userEventSignup.findMany({
+    // Positions follow the event's waitlist priority rules, per role
+    const positions = await getWaitlistPositions(prisma, instanceId);
+    const totalWaitlisted = await prisma.userEventSignup.count({
       where: {
         instanceId,
         status: { in: ['WAITLIST', 'WAITLIST_PENDING'] },
         user: { role: userSignup.user.role }
-      },
-      orderBy: { signupDate: 'asc' },
-      include: {
-        user: { select: { role: true } }
       }
     });
 
-    // Find user's position (1-indexed)
-    const position = waitlistedUsers.findIndex(signup => signup.userId === userId) + 1;
-
     res.json({
-      position,
-      totalWaitlisted: waitlistedUsers.length,
+      position: positions[userSignup.id],
+      totalWaitlisted,
       role: userSignup.user.role,
       status: userSignup.status,
-      waitlistNotifiedAt: userSignup.waitlistNotifiedAt
+      waitlistNotifiedAt: userSignup.waitlistNotifiedAt,
+      waitlistOfferExpiresAt: getOfferExpiry(userSignup, userSignup.event)
     });
 
   } catch (error) {
@@ -1437,129 +1965,13 @@ router.post('/accept-waitlist/:instanceId', authenticateToken, async (req, res)
     const { instanceId } = req.params;
     const userId = req.user.id;
 
-    const result = await prisma.$transaction(async (tx) => {
-      // Find user's waitlist pending signup
-      const pendingSignup = await tx.userEventSignup.findFirst({
-        where: {
-          userId,
-          instanceId,
-          status: 'WAITLIST_PENDING'
-        },
-        include: {
-          user: { select: { role: true } },
-          instance: true,
-          event: { select: { title: true } }
-        }
-      });
-
-      if (!pendingSignup) {
-        throw new Error('No pending waitlist spot found');
-      }
-
-      // Check if the 12-hour window has expired
-      if (pendingSignup.waitlistNotifiedAt) {
-        const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000);
-        if (pendingSignup.waitlistNotifiedAt < twelveHoursAgo) {
-          throw new Error('Waitlist acceptance period has expired');
-        }
-      }
-
-      // Check current capacity
-      const confirmedCount = await tx.userEventSignup.count({
-        where: {
-          instanceId,
-          status: 'CONFIRMED',
-          user: { role: pendingSignup.user.role }
-        }
-      });
+    const result = await prisma.$transaction((tx) => acceptWaitlistOffer(tx, { instanceId, userId }));
 
-      const maxCapacity = pendingSignup.user.role === 'STUDENT' 
-        ? pendingSignup.instance.studentCapacity 
-        : pendingSignup.instance.parentCapacity;
-
-      if (confirmedCount >= maxCapacity) {
-        throw new Error('Session is now full - capacity was changed');
-      }
-
-      // Update signup to confirmed and set signupDate to when they actually confirmed
-      const updatedSignup = await tx.userEventSignup.update({
-        where: { id: pendingSignup.id },
-        data: { 
-          status: 'CONFIRMED',
-          waitlistNotifiedAt: null,
-          signupDate: new Date() // Update to when they actually confirmed their spot
-        },
-        include: {
-          user: { select: { id: true, name: true, email: true, role: true } },
-          event: { select: { id: true, title: true } },
-          instance: { select: { id: true, startDate: true, endDate: true, location: true } }
-        }
-      });
-
-      // Create success notification
-      const notification = await tx.notification.create({
-        data: {
-          userId,
-          title: 'Waitlist Spot Accepted',
-          description: `You have successfully accepted your spot for "${pendingSignup.event.title}". You are now confirmed for this session.`,
-          type: 'SUCCESS',
-          sessionId: instanceId
-        }
-      });
-
-      // Store email data for async sending (outside transaction)
-      let emailData = null;
-      try {
-        const eventInstanceWithDetails = await tx.eventInstance.findUnique({
-          where: { id: instanceId },
-          include: {
-            event: {
-              select: {
-                title: true,
-                description: true
-              }
-            }
-          }
-        });
-
-        if (eventInstanceWithDetails) {
-          emailData = {
-            user: updatedSignup.user,
-            eventInstance: eventInstanceWithDetails,
-            status: 'CONFIRMED'
-          };
-        }
-      } catch (error) {
-        console.error(`Failed to prepare email data for ${updatedSignup.user.email}:`, error);
-      }
-
-      // Emit WebSocket event for the notification
-      io.to(`user-${userId}`).emit('notification-created', {
-        type: 'notification-created',
-        notification
-      });
-
-      return { updatedSignup, emailData };
-    });
-
-    // Send email asynchronously (don't wait for it)
-    if (result.emailData) {
-      sendSignupConfirmationEmail(result.emailData.user, result.emailData.eventInstance, result.emailData.status)
-        .catch(error => {
-          console.error(`Failed to send confirmation email to ${result.emailData.user.email}:`, error);
-        });
-    }
-    
-    // Emit WebSocket event for live updates
-    io.to(`session-${instanceId}`).emit('signup-updated', {
-      type: 'waitlist-accepted',
-      signup: result.updatedSignup,
-      sessionId: instanceId
-    });
+    emitWaitlistAcceptance(result);
 
     res.json({
       message: 'Successfully accepted waitlist spot',
-      signup: result.updatedSignup
+      signup: result.signup
     });
 
   } catch (error) {
@@ -1575,7 +1987,7 @@ router.post('/accept-waitlist/:instanceId', authenticateToken, async (req, res)
     if (error.message === 'Waitlist acceptance period has expired') {
       return res.status(410).json({
         error: 'Period expired',
-        message: 'The 12-hour acceptance period has expired'
+        message: 'The time to accept this spot has passed'
       });
     }
     
@@ -1599,166 +2011,90 @@ router.post('/decline-waitlist/:instanceId', authenticateToken, async (req, res)
     const { instanceId } = req.params;
     const userId = req.user.id;
 
-    const result = await prisma.$transaction(async (tx) => {
-      // Find user's waitlist pending signup
-      const pendingSignup = await tx.userEventSignup.findFirst({
-        where: {
-          userId,
-          instanceId,
-          status: 'WAITLIST_PENDING'
-        },
-        include: {
-          user: { select: { role: true } },
-          event: { select: { title: true } }
-        }
-      });
-
-      if (!pendingSignup) {
-        throw new Error('No pending waitlist spot found');
-      }
-
-      // Delete the pending signup
-      await tx.userEventSignup.delete({
-        where: { id: pendingSignup.id }
-      });
+    const result = await prisma.$transaction((tx) => declineWaitlistOffer(tx, { instanceId, userId }));
 
-      // Create notification
-      const notification = await tx.notification.create({
-        data: {
-          userId,
-          title: 'Waitlist Spot Declined',
-          description: `You have declined your waitlist spot for "${pendingSignup.event.title}".`,
-          type: 'INFO',
-          sessionId: instanceId
-        }
-      });
+    emitWaitlistDecline(result);
 
-      // Emit WebSocket event for the notification
-      io.to(`user-${userId}`).emit('notification-created', {
-        type: 'notification-created',
-        notification
-      });
+    res.json({
+      message: 'Successfully declined waitlist spot',
+      nextPromoted: result.nextPromoted
+    });
 
-      // Find next person on waitlist for the same role
-      const nextWaitlisted = await tx.userEventSignup.findFirst({
-        where: {
-          instanceId,
-          status: 'WAITLIST',
-          user: { role: pendingSignup.user.role }
-        },
-        orderBy: { signupDate: 'asc' },
-        include: {
-          user: { select: { id: true, name: true, role: true } },
-          event: { select: { title: true } }
-        }
+  } catch (error) {
+    console.error('Decline waitlist error:', error);
+    
+    if (error.message === 'No pending waitlist spot found') {
+      return res.status(404).json({
+        error: 'No pending spot',
+        message: 'No pending waitlist spot found for this session'
       });
+    }
 
-      if (nextWaitlisted) {
-        // Promote next person to WAITLIST_PENDING
-        await tx.userEventSignup.update({
-          where: { id: nextWaitlisted.id },
-          data: { 
-            status: 'WAITLIST_PENDING',
-            waitlistNotifiedAt: new Date()
-          }
-        });
-
-        // Notify next person (in-app notification + email)
-        const nextNotification = await tx.notification.create({
-          data: {
-            userId: nextWaitlisted.userId,
-            title: 'Waitlist Spot Available!',
-            description: `A spot has opened up for "${nextWaitlisted.event.title}". You have 12 hours to accept or decline this spot. Go to the session details page to respond.`,
-            type: 'SUCCESS',
-            sessionId: instanceId
-          }
-        });
-
-        // Emit WebSocket event for the notification
-        io.to(`user-${nextWaitlisted.userId}`).emit('notification-created', {
-          type: 'notification-created',
-          notification: nextNotification
-        });
+    res.status(500).json({
+      error: 'Failed to decline waitlist spot',
+      message: 'An error occurred while declining the waitlist spot'
+    });
+  }
+});
 
-        // Store email data for async sending (outside transaction)
-        let emailData = null;
-        try {
-          const eventInstanceWithDetails = await tx.eventInstance.findUnique({
-            where: { id: nextWaitlisted.instanceId },
-            include: {
-              event: {
-                select: {
-                  title: true,
-                  description: true
-                }
-              }
-            }
-          });
+// Answer a reschedule: keep the spot at the new time (reconfirm) or give it up (release).
+// Released spots are offered to the waitlist.
+const handleRescheduleResponse = (keepSpot) => async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const userId = req.user.id;
 
-          if (eventInstanceWithDetails) {
-            emailData = {
-              user: nextWaitlisted.user,
-              eventInstance: eventInstanceWithDetails
-            };
-          }
-        } catch (error) {
-          console.error(`Failed to prepare waitlist email data for user ${nextWaitlisted.userId}:`, error);
-        }
+    const result = await prisma.$transaction(async (tx) => {
+      const { response, releasedSignup } = await respondToReschedule(tx, { instanceId, userId, keepSpot });
 
-        return { nextPromoted: nextWaitlisted, emailData };
-      }
+      const promoted = releasedSignup
+        ? await offerWaitlistSpots(tx, instanceId, releasedSignup.user.role, 1)
+        : [];
 
-      return { nextPromoted: null };
+      return { response, promoted };
     });
 
-    // Send email asynchronously (don't wait for it)
-    if (result.emailData) {
-      sendWaitlistOfferEmail(result.emailData.user, result.emailData.eventInstance)
-        .catch(error => {
-          console.error(`Failed to send waitlist offer email to user ${result.emailData.user.id}:`, error);
-        });
-    }
-    
-    // Emit WebSocket events for live updates
+    emitWaitlistPromotions(result.promoted);
+
     io.to(`session-${instanceId}`).emit('signup-updated', {
-      type: 'waitlist-declined',
-      sessionId: instanceId,
-      nextPromoted: result.nextPromoted
+      type: keepSpot ? 'reschedule-reconfirmed' : 'reschedule-released',
+      userId,
+      sessionId: instanceId
     });
 
-    // If someone was promoted, emit another event for them
-    if (result.nextPromoted) {
-      io.to(`session-${instanceId}`).emit('signup-updated', {
-        type: 'waitlist-promoted',
-        signup: {
-          ...result.nextPromoted,
-          status: 'WAITLIST_PENDING',
-          waitlistNotifiedAt: new Date()
-        },
-        sessionId: instanceId
-      });
-    }
-
     res.json({
-      message: 'Successfully declined waitlist spot',
-      nextPromoted: result.nextPromoted
+      message: keepSpot ? 'Spot reconfirmed for the new time' : 'Spot released',
+      response: result.response
     });
 
   } catch (error) {
-    console.error('Decline waitlist error:', error);
-    
-    if (error.message === 'No pending waitlist spot found') {
+    console.error('Reschedule response error:', error);
+
+    if (error.message === 'No pending reconfirmation found') {
       return res.status(404).json({
-        error: 'No pending spot',
-        message: 'No pending waitlist spot found for this session'
+        error: 'No pending reconfirmation',
+        message: 'There is no reschedule waiting for your response on this session'
+      });
+    }
+
+    if (error.message === 'Reconfirmation period has expired') {
+      return res.status(410).json({
+        error: 'Period expired',
+        message: 'The time to respond to this reschedule has passed'
       });
     }
 
     res.status(500).json({
-      error: 'Failed to decline waitlist spot',
-      message: 'An error occurred while declining the waitlist spot'
+      error: 'Failed to respond to reschedule',
+      message: 'An error occurred while responding to the reschedule'
     });
   }
-});
+};
+
+// Keep a confirmed spot after the session was rescheduled
+router.post('/reconfirm/:instanceId', authenticateToken, handleRescheduleResponse(true));
+
+// Give up a confirmed spot after the session was rescheduled
+router.post('/release/:instanceId', authenticateToken, handleRescheduleResponse(false));
 
-export default router; 
\ No newline at end of file
+export default router;
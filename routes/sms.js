@@ -0,0 +1,397 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { phoneVerificationStartSchema, phoneVerificationConfirmSchema, smsQuerySchema } from '../validation/schemas.js';
+import {
+  normalizePhone,
+  getSmsTransportName,
+  deliverSms,
+  updateSmsDeliveryStatus,
+  isValidTwilioSignature,
+  isValidWebhookSecret,
+  getInboundKeyword,
+  createVerificationCode,
+  hashVerificationCode,
+  getVerificationExpiry,
+  createVerificationSms,
+  HELP_REPLY,
+  STOP_REPLY,
+  START_REPLY
+} from '../services/smsService.js';
+
+const router = express.Router();
+
+const MAX_VERIFICATION_ATTEMPTS = 5;
+const VERIFICATION_RESEND_SECONDS = 60;
+
+// Twilio webhooks are signed with the auth token; every other transport must send the shared
+// SMS_WEBHOOK_SECRET. Webhooks are rejected when neither is configured.
+const verifyWebhookSignature = (req, res, next) => {
+  const baseUrl = process.env.SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const isValid = getSmsTransportName() === 'twilio'
+    ? isValidTwilioSignature(`${baseUrl}${req.originalUrl}`, req.body, req.get('X-Twilio-Signature'))
+    : isValidWebhookSecret(req.get('X-Webhook-Secret'));
+
+  if (!isValid) {
+    return res.status(403).json({
+      error: 'Invalid signature',
+      message: 'The webhook signature could not be verified'
+    });
+  }
+  next();
+};
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+})[char]);
+
+const sendTwiml = (res, reply) => {
+  res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?><Response>${reply ? `<Message>${escapeXml(reply)}</Message>` : ''}</Response>`);
+};
+
+const getSmsSettings = (user, preferences) => ({
+  phone: user.phone,
+  phoneVerified: Boolean(user.phoneVerifiedAt),
+  phoneVerifiedAt: user.phoneVerifiedAt,
+  optedOut: Boolean(user.smsOptedOutAt),
+  textNotifications: preferences ? preferences.textNotifications : true
+});
+
+// Get the current user's SMS settings
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        phone: true,
+        phoneVerifiedAt: true,
+        smsOptedOutAt: true,
+        preferences: { select: { textNotifications: true } }
+      }
+    });
+
+    res.json({ sms: getSmsSettings(user, user.preferences) });
+
+  } catch (error) {
+    console.error('Get SMS settings error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch SMS settings',
+      message: 'An error occurred while fetching SMS settings'
+    });
+  }
+});
+
+// Send a verification code to a phone number (defaults to the number on the profile)
+router.post('/verify/start', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = phoneVerificationStartSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const phone = normalizePhone(value.phone || req.user.phone);
+    if (!phone) {
+      return res.status(400).json({
+        error: 'Invalid phone number',
+        message: 'Please provide a valid phone number including the area code'
+      });
+    }
+
+    const lastVerification = await prisma.phoneVerification.findFirst({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (lastVerification && Date.now() - lastVerification.createdAt.getTime() < VERIFICATION_RESEND_SECONDS * 1000) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${VERIFICATION_RESEND_SECONDS} seconds before requesting another code`
+      });
+    }
+
+    const code = createVerificationCode();
+
+    const message = await prisma.$transaction(async (tx) => {
+      await tx.phoneVerification.create({
+        data: {
+          userId: req.user.id,
+          phone,
+          codeHash: hashVerificationCode(req.user.id, code),
+          expiresAt: getVerificationExpiry()
+        }
+      });
+
+      return await tx.smsMessage.create({
+        data: {
+          userId: req.user.id,
+          to: phone,
+          body: createVerificationSms(code),
+          purpose: 'VERIFICATION'
+        }
+      });
+    });
+
+    // Sent right away rather than through the job queue so the user is not kept waiting
+    try {
+      await deliverSms(prisma, message.id);
+    } catch (error) {
+      console.error('Send verification SMS error:', error);
+      return res.status(502).json({
+        error: 'Failed to send verification code',
+        message: 'The verification text could not be sent. Please check the number and try again'
+      });
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      phone
+    });
+
+  } catch (error) {
+    console.error('Start phone verification error:', error);
+    res.status(500).json({
+      error: 'Failed to start verification',
+      message: 'An error occurred while sending the verification code'
+    });
+  }
+});
+
+// Confirm a verification code; the verified number becomes the profile phone
+router.post('/verify/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = phoneVerificationConfirmSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const verification = await prisma.phoneVerification.findFirst({
+      where: {
+        userId: req.user.id,
+        verifiedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!verification || verification.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      return res.status(400).json({
+        error: 'Verification expired',
+        message: 'Please request a new verification code'
+      });
+    }
+
+    if (verification.codeHash !== hashVerificationCode(req.user.id, value.code)) {
+      await prisma.phoneVerification.update({
+        where: { id: verification.id },
+        data: { attempts: { increment: 1 } }
+      });
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The verification code is incorrect'
+      });
+    }
+
+    const now = new Date();
+    const [, user] = await prisma.$transaction([
+      prisma.phoneVerification.update({
+        where: { id: verification.id },
+        data: { verifiedAt: now }
+      }),
+      // Verifying a number is an explicit opt-in, so any earlier opt-out is cleared
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: {
+          phone: verification.phone,
+          phoneVerifiedAt: now,
+          smsOptedOutAt: null
+        },
+        select: {
+          phone: true,
+          phoneVerifiedAt: true,
+          smsOptedOutAt: true,
+          preferences: { select: { textNotifications: true } }
+        }
+      })
+    ]);
+
+    res.json({
+      message: 'Phone number verified successfully',
+      sms: getSmsSettings(user, user.preferences)
+    });
+
+  } catch (error) {
+    console.error('Confirm phone verification error:', error);
+    res.status(500).json({
+      error: 'Failed to verify phone number',
+      message: 'An error occurred while verifying the phone number'
+    });
+  }
+});
+
+// Stop or resume texts from within the app
+router.post('/opt-out', authenticateToken, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { smsOptedOutAt: new Date() }
+    });
+
+    res.json({ message: 'You will no longer receive text messages' });
+
+  } catch (error) {
+    console.error('SMS opt-out error:', error);
+    res.status(500).json({
+      error: 'Failed to opt out',
+      message: 'An error occurred while updating text message settings'
+    });
+  }
+});
+
+router.post('/opt-in', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { phoneVerifiedAt: true }
+    });
+
+    if (!user.phoneVerifiedAt) {
+      return res.status(400).json({
+        error: 'Phone not verified',
+        message: 'Please verify your phone number before turning on text messages'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { smsOptedOutAt: null }
+    });
+
+    res.json({ message: 'Text messages turned on' });
+
+  } catch (error) {
+    console.error('SMS opt-in error:', error);
+    res.status(500).json({
+      error: 'Failed to opt in',
+      message: 'An error occurred while updating text message settings'
+    });
+  }
+});
+
+// Inbound messages from the provider: handles STOP, START and HELP keywords
+router.post('/inbound', verifyWebhookSignature, async (req, res) => {
+  try {
+    const from = normalizePhone(req.body.From);
+    const keyword = getInboundKeyword(req.body.Body);
+
+    if (!from || !keyword) {
+      return sendTwiml(res);
+    }
+
+    if (keyword === 'STOP') {
+      const { count } = await prisma.user.updateMany({
+        where: { phone: from, smsOptedOutAt: null },
+        data: { smsOptedOutAt: new Date() }
+      });
+      console.log(`SMS opt-out from ${from} (${count} user(s))`);
+      return sendTwiml(res, STOP_REPLY);
+    }
+
+    if (keyword === 'START') {
+      const { count } = await prisma.user.updateMany({
+        where: { phone: from, phoneVerifiedAt: { not: null } },
+        data: { smsOptedOutAt: null }
+      });
+      console.log(`SMS opt-in from ${from} (${count} user(s))`);
+      return sendTwiml(res, START_REPLY);
+    }
+
+    sendTwiml(res, HELP_REPLY);
+
+  } catch (error) {
+    console.error('Inbound SMS error:', error);
+    res.status(500).json({
+      error: 'Failed to process message',
+      message: 'An error occurred while processing the inbound message'
+    });
+  }
+});
+
+// Delivery status callbacks from the provider
+router.post('/status', verifyWebhookSignature, async (req, res) => {
+  try {
+    await updateSmsDeliveryStatus(prisma, req.body.MessageSid, req.body.MessageStatus, req.body.ErrorCode);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('SMS status callback error:', error);
+    res.status(500).json({
+      error: 'Failed to update message status',
+      message: 'An error occurred while updating the message status'
+    });
+  }
+});
+
+// Get sent messages with status counts (admin only)
+router.get('/messages', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = smsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit, status, purpose, userId } = value;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (purpose) where.purpose = purpose;
+    if (userId) where.userId = userId;
+
+    const [messages, total, statusCounts] = await Promise.all([
+      prisma.smsMessage.findMany({
+        where,
+        include: {
+          user: { select: { id: true, name: true, email: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.smsMessage.count({ where }),
+      prisma.smsMessage.groupBy({
+        by: ['status'],
+        where: purpose ? { purpose } : {},
+        _count: { _all: true }
+      })
+    ]);
+
+    res.json({
+      messages,
+      counts: Object.fromEntries(statusCounts.map(result => [result.status, result._count._all])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get SMS messages error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch messages',
+      message: 'An error occurred while fetching text messages'
+    });
+  }
+});
+
+export default router;
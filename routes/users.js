@@ -1,49 +1,18 @@
 import express from 'express';
-import { prisma } from '../src/server.js';
-import { authenticateToken, requireAdmin, requireStudentOrParentOrAdmin } from '../middleware/auth.js';
-import { userUpdateSchema, userQuerySchema } from '../validation/schemas.js';
+import { prisma, io } from '../src/server.js';
+import { authenticateToken, requireAdmin, requireChapterAdminOrAdmin, requireStudentOrParentOrAdmin } from '../middleware/auth.js';
+import { userUpdateSchema, userQuerySchema, roleChangeSchema, hoursLedgerQuerySchema, hoursAdjustmentSchema, hoursReversalSchema } from '../validation/schemas.js';
+import { canViewUser } from '../services/familyService.js';
+import { canManageUser, CHAPTER_SCOPE_ERROR } from '../services/chapterScopeService.js';
+import { getUserLocationData, resolveChapterNames } from '../services/locationService.js';
+import { buildWeeklyDigest, wantsWeeklyDigest } from '../services/digestService.js';
+import { renderWeeklyDigestEmail } from '../services/emailService.js';
+import { getUserTimezone } from '../services/timezoneService.js';
+import { getReliabilitySummary } from '../services/reliabilityService.js';
+import { getUserTotalHours, getUsersTotalHours, getHoursLedger, recordHoursAdjustment, reverseHoursEntry } from '../services/hoursService.js';
 
 const router = express.Router();
 
-// Helper function to calculate user hours from signups
-const calculateUserHours = async (userId) => {
-  const result = await prisma.userEventSignup.aggregate({
-    where: {
-      userId: userId,
-      status: 'CONFIRMED',
-      approval: 'APPROVED',
-      hoursEarned: { not: null }
-    },
-    _sum: {
-      hoursEarned: true
-    }
-  });
-  return result._sum.hoursEarned || 0;
-};
-
-// Helper function to calculate hours for multiple users
-const calculateUsersHours = async (userIds) => {
-  const results = await prisma.userEventSignup.groupBy({
-    by: ['userId'],
-    where: {
-      userId: { in: userIds },
-      status: 'CONFIRMED',
-      approval: 'APPROVED',
-      hoursEarned: { not: null }
-    },
-    _sum: {
-      hoursEarned: true
-    }
-  });
-  
-  const hoursMap = new Map();
-  results.forEach(result => {
-    hoursMap.set(result.userId, result._sum.hoursEarned || 0);
-  });
-  
-  return hoursMap;
-};
-
 // Get all users (accessible to all authenticated users)
 router.get('/', authenticateToken, requireStudentOrParentOrAdmin, async (req, res) => {
   try {
@@ -95,7 +64,7 @@ router.get('/', authenticateToken, requireStudentOrParentOrAdmin, async (req, re
 
     // Calculate hours for all users
     const userIds = users.map(user => user.id);
-    const hoursMap = await calculateUsersHours(userIds);
+    const hoursMap = await getUsersTotalHours(prisma, userIds);
 
     // Add calculated hours to users
     const usersWithHours = users.map(user => ({
@@ -132,21 +101,14 @@ router.get('/', authenticateToken, requireStudentOrParentOrAdmin, async (req, re
 // Get chapters and cities (public endpoint)
 router.get('/chapters-cities', authenticateToken, async (req, res) => {
   try {
-    const users = await prisma.user.findMany({
-      select: {
-        chapter: true,
-        city: true
-      },
-      where: {
-        OR: [
-          { chapter: { not: null } },
-          { city: { not: null } }
-        ]
-      }
-    });
+    // Names of the active records; /api/chapters and /api/cities have the details
+    const [chapterRecords, cityRecords] = await Promise.all([
+      prisma.chapter.findMany({ where: { isActive: true }, select: { name: true }, orderBy: { name: 'asc' } }),
+      prisma.city.findMany({ where: { isActive: true }, select: { name: true }, orderBy: { name: 'asc' } })
+    ]);
 
-    const chapters = Array.from(new Set(users.map(u => u.chapter).filter(Boolean)));
-    const cities = Array.from(new Set(users.map(u => u.city).filter(Boolean)));
+    const chapters = chapterRecords.map(chapter => chapter.name);
+    const cities = cityRecords.map(city => city.name);
 
     res.json({ chapters, cities });
   } catch (error) {
@@ -177,7 +139,7 @@ router.get('/chapter-members', authenticateToken, async (req, res) => {
 
     // Calculate hours for all users
     const userIds = users.map(user => user.id);
-    const hoursMap = await calculateUsersHours(userIds);
+    const hoursMap = await getUsersTotalHours(prisma, userIds);
 
     // Add calculated hours to users
     const usersWithHours = users.map(user => ({
@@ -226,7 +188,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Calculate hours for this user
-    const totalHours = await calculateUserHours(id);
+    const totalHours = await getUserTotalHours(prisma, id);
 
     res.json({ 
       user: {
@@ -251,10 +213,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     // Users can only update their own profile unless they're admin
     if (req.user.role !== 'ADMIN' && req.user.id !== id) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your own profile'
-      });
+      const target = req.user.role === 'CHAPTER_ADMIN'
+        ? await prisma.user.findUnique({ where: { id }, select: { role: true, chapter: true } })
+        : null;
+
+      if (!canManageUser(req.user, target)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only update your own profile'
+        });
+      }
     }
 
     // Validate input
@@ -278,10 +246,26 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const { chapter, city, ...profile } = value;
+    const location = await getUserLocationData(prisma, { chapter, city });
+    if (location.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: location.error
+      });
+    }
+
+    // A new phone number has to be verified again before it receives texts
+    const phoneChanged = value.phone !== undefined && value.phone !== existingUser.phone;
+
     // Update user
     const updatedUser = await prisma.user.update({
       where: { id },
-      data: value,
+      data: {
+        ...profile,
+        ...location.data,
+        ...(phoneChanged && { phoneVerifiedAt: null })
+      },
       select: {
         id: true,
         name: true,
@@ -289,6 +273,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
         role: true,
         joinedDate: true,
         phone: true,
+        birthDate: true,
+        timezone: true,
         chapter: true,
         city: true,
         avatar: true
@@ -296,7 +282,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     });
 
     // Calculate hours for updated user
-    const totalHours = await calculateUserHours(id);
+    const totalHours = await getUserTotalHours(prisma, id);
 
     res.json({
       message: 'User updated successfully',
@@ -315,6 +301,447 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Change user role (admin only)
+router.patch('/:id/role', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = roleChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const { role, reason } = value;
+
+    // Chapter admin scopes use the canonical chapter names
+    const { names: adminChapters, error: chapterError } = await resolveChapterNames(prisma, value.adminChapters || []);
+    if (chapterError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: chapterError
+      });
+    }
+
+    // Prevent admin from demoting themselves
+    if (req.user.id === id) {
+      return res.status(400).json({
+        error: 'Cannot change own role',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const existingUser = await tx.user.findUnique({
+        where: { id },
+        select: { id: true, role: true, adminChapters: true }
+      });
+
+      if (!existingUser) {
+        throw new Error('User not found');
+      }
+
+      const chaptersChanged = existingUser.adminChapters.length !== adminChapters.length ||
+        adminChapters.some(chapter => !existingUser.adminChapters.includes(chapter));
+
+      if (existingUser.role === role && !chaptersChanged) {
+        throw new Error('User already has this role');
+      }
+
+      const updatedUser = await tx.user.update({
+        where: { id },
+        data: { role, adminChapters },
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          joinedDate: true,
+          phone: true,
+          chapter: true,
+          city: true,
+          avatar: true,
+          adminChapters: true
+        }
+      });
+
+      const roleChange = await tx.roleChange.create({
+        data: {
+          userId: id,
+          previousRole: existingUser.role,
+          newRole: role,
+          changedBy: req.user.id,
+          reason
+        }
+      });
+
+      const notification = await tx.notification.create({
+        data: {
+          userId: id,
+          title: 'Role Updated',
+          description: role === 'CHAPTER_ADMIN'
+            ? `You are now a chapter administrator for ${adminChapters.join(', ')}.`
+            : `Your role has been changed from ${existingUser.role} to ${role} by an administrator.`,
+          type: 'INFO'
+        }
+      });
+
+      return { user: updatedUser, roleChange, notification };
+    });
+
+    // Emit WebSocket event for the notification
+    io.to(`user-${id}`).emit('notification-created', {
+      type: 'notification-created',
+      notification: result.notification
+    });
+
+    const totalHours = await getUserTotalHours(prisma, id);
+
+    res.json({
+      message: 'User role updated successfully',
+      user: {
+        ...result.user,
+        totalHours
+      },
+      roleChange: result.roleChange
+    });
+
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    if (error.message === 'User already has this role') {
+      return res.status(400).json({
+        error: 'Role unchanged',
+        message: 'The user already has this role'
+      });
+    }
+
+    console.error('Change user role error:', error);
+    res.status(500).json({
+      error: 'Failed to change user role',
+      message: 'An error occurred while changing the user role'
+    });
+  }
+});
+
+// Get user's role change history (admin only)
+router.get('/:id/role-history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    const history = await prisma.roleChange.findMany({
+      where: { userId: id },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        invitation: {
+          select: {
+            id: true,
+            chapter: true,
+            createdBy: true,
+            createdAt: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ history });
+
+  } catch (error) {
+    console.error('Get role history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch role history',
+      message: 'An error occurred while fetching role history'
+    });
+  }
+});
+
+// Get a user's attendance record and reliability score (the user, their guardians and admins)
+router.get('/:id/reliability', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canViewUser(prisma, req.user, id))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own attendance record'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, name: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    res.json({
+      user,
+      reliability: await getReliabilitySummary(prisma, id)
+    });
+
+  } catch (error) {
+    console.error('Get user reliability error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attendance record',
+      message: 'An error occurred while fetching the attendance record'
+    });
+  }
+});
+
+// Get a user's hours ledger: every award, adjustment and reversal (the user, their guardians and admins)
+router.get('/:id/hours-ledger', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = hoursLedgerQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await canViewUser(prisma, req.user, id))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own hours'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, name: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    res.json({
+      user,
+      ...(await getHoursLedger(prisma, id, value))
+    });
+
+  } catch (error) {
+    console.error('Get hours ledger error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch hours ledger',
+      message: 'An error occurred while fetching the hours ledger'
+    });
+  }
+});
+
+// Add a manual hours adjustment (admins and chapter admins of the user's chapter)
+router.post('/:id/hours-ledger/adjustments', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = hoursAdjustmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, name: true, role: true, chapter: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const entry = await recordHoursAdjustment(prisma, {
+      ...value,
+      userId: id,
+      actorId: req.user.id
+    });
+
+    io.to(`user-${id}`).emit('hours-updated', {
+      type: 'hours-adjusted',
+      entry
+    });
+
+    res.status(201).json({
+      message: 'Hours adjustment recorded',
+      entry,
+      totalHours: await getUserTotalHours(prisma, id)
+    });
+
+  } catch (error) {
+    console.error('Record hours adjustment error:', error);
+    res.status(500).json({
+      error: 'Failed to record hours adjustment',
+      message: 'An error occurred while recording the hours adjustment'
+    });
+  }
+});
+
+// Reverse a manual ledger entry (admins and chapter admins of the user's chapter).
+// Hours from signups are corrected on the signup instead.
+router.post('/:id/hours-ledger/:entryId/reverse', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+
+    const { error, value } = hoursReversalSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, chapter: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const reversal = await prisma.$transaction(async (tx) => {
+      const entry = await tx.hoursLedgerEntry.findFirst({
+        where: { id: entryId, userId: id },
+        select: { id: true }
+      });
+      if (!entry) {
+        throw new Error('Ledger entry not found');
+      }
+
+      return reverseHoursEntry(tx, entryId, {
+        reason: value.reason,
+        actorId: req.user.id
+      });
+    });
+
+    io.to(`user-${id}`).emit('hours-updated', {
+      type: 'hours-reversed',
+      entry: reversal
+    });
+
+    res.status(201).json({
+      message: 'Ledger entry reversed',
+      entry: reversal,
+      totalHours: await getUserTotalHours(prisma, id)
+    });
+
+  } catch (error) {
+    if (error.message === 'Ledger entry not found') {
+      return res.status(404).json({
+        error: 'Ledger entry not found',
+        message: 'The requested ledger entry does not exist'
+      });
+    }
+    if (['Signup hours must be changed on the signup', 'Outside hours must be changed on the submission', 'Ledger entry cannot be reversed'].includes(error.message)) {
+      return res.status(400).json({
+        error: 'Cannot reverse entry',
+        message: error.message
+      });
+    }
+
+    console.error('Reverse hours entry error:', error);
+    res.status(500).json({
+      error: 'Failed to reverse ledger entry',
+      message: 'An error occurred while reversing the ledger entry'
+    });
+  }
+});
+
+// Preview a user's weekly digest as it would be sent now (admins and chapter admins of the user's chapter)
+// ?format=html returns the rendered email instead of JSON
+router.get('/:id/weekly-digest', authenticateToken, requireChapterAdminOrAdmin, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      include: { preferences: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json(CHAPTER_SCOPE_ERROR);
+    }
+
+    const digest = await buildWeeklyDigest(prisma, user);
+    const email = renderWeeklyDigestEmail(user, digest, await getUserTimezone(prisma, user));
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+
+    res.json({
+      optedIn: wantsWeeklyDigest(user.preferences),
+      wouldSend: wantsWeeklyDigest(user.preferences) && !digest.isEmpty,
+      digest,
+      email
+    });
+
+  } catch (error) {
+    console.error('Preview weekly digest error:', error);
+    res.status(500).json({
+      error: 'Failed to preview weekly digest',
+      message: 'An error occurred while building the weekly digest'
+    });
+  }
+});
+
 // Delete user (admin only)
 router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -363,8 +790,8 @@ router.get('/:id/signups', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Users can only view their own signups unless they're admin
-    if (req.user.role !== 'ADMIN' && req.user.id !== id) {
+    // Users can only view their own (or their children's) signups unless they're admin
+    if (!(await canViewUser(prisma, req.user, id))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only view your own signups'
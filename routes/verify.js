@@ -0,0 +1,31 @@
+import express from 'express';
+import { prisma } from '../src/server.js';
+import { getCertificateVerification } from '../services/certificateService.js';
+
+const router = express.Router();
+
+// Check a certificate or transcript by the code printed on it (public, no login)
+router.get('/:code', async (req, res) => {
+  try {
+    const verification = await getCertificateVerification(prisma, req.params.code);
+
+    if (!verification) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'No certificate matches this verification code'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ certificate: verification });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to verify certificate',
+      message: 'An error occurred while verifying the certificate'
+    });
+  }
+});
+
+export default router;
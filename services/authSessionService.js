@@ -0,0 +1,146 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+export const getAccessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Refresh tokens are stored hashed, so a database leak does not expose usable tokens
+const hashRefreshToken = (refreshToken) => {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+const createRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Short device description from the request, shown in the active sessions list
+const getDeviceInfo = (req, deviceName) => ({
+  deviceName: deviceName || null,
+  userAgent: req.get('User-Agent')?.slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpiresIn() }
+  );
+};
+
+// Start a device session and return its tokens
+export const createAuthSession = async (client, user, req, deviceName = null) => {
+  const refreshToken = createRefreshToken();
+
+  const session = await client.authSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS),
+      lastUsedAt: new Date(),
+      ...getDeviceInfo(req, deviceName)
+    }
+  });
+
+  return {
+    sessionId: session.id,
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: getAccessTokenExpiresIn()
+  };
+};
+
+// Exchange a refresh token for new tokens. Each refresh token works once: presenting an
+// already rotated token means it was copied, so the whole session is revoked.
+export const rotateRefreshToken = async (client, refreshToken, req) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const session = await client.authSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: { id: true, email: true } } }
+  });
+
+  if (!session) {
+    const reusedSession = await client.authSession.findFirst({
+      where: { previousTokenHash: tokenHash, revokedAt: null }
+    });
+    if (reusedSession) {
+      await revokeAuthSession(client, reusedSession.id, 'REFRESH_TOKEN_REUSED');
+      throw new Error('Refresh token reused');
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  if (session.revokedAt) {
+    throw new Error('Session revoked');
+  }
+  if (session.expiresAt < new Date()) {
+    throw new Error('Session expired');
+  }
+
+  const nextRefreshToken = createRefreshToken();
+
+  // Guarded on the current hash so two concurrent refreshes cannot both succeed
+  const { count } = await client.authSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashRefreshToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      userAgent: req.get('User-Agent')?.slice(0, 500) || session.userAgent,
+      ipAddress: req.ip || session.ipAddress
+    }
+  });
+
+  if (count === 0) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return {
+    sessionId: session.id,
+    token: signAccessToken(session.user, session.id),
+    refreshToken: nextRefreshToken,
+    expiresIn: getAccessTokenExpiresIn()
+  };
+};
+
+// Whether the session an access token was issued for is still active
+export const isAuthSessionActive = async (client, sessionId, userId) => {
+  if (!sessionId) return false;
+
+  const session = await client.authSession.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true }
+  });
+
+  return Boolean(session && session.userId === userId && !session.revokedAt && session.expiresAt > new Date());
+};
+
+export const revokeAuthSession = async (client, sessionId, reason = 'LOGOUT') => {
+  const { count } = await client.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count > 0;
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the device making the request)
+export const revokeUserAuthSessions = async (client, userId, reason, exceptSessionId = null) => {
+  const { count } = await client.authSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+};
+
+export const AUTH_SESSION_ERRORS = {
+  'Invalid refresh token': { status: 401, error: 'Invalid refresh token', message: 'The refresh token is invalid. Please log in again.' },
+  'Refresh token reused': { status: 401, error: 'Invalid refresh token', message: 'This refresh token was already used. The session has been signed out for your security.' },
+  'Session revoked': { status: 401, error: 'Session revoked', message: 'This session has been signed out. Please log in again.' },
+  'Session expired': { status: 401, error: 'Session expired', message: 'Your session has expired. Please log in again.' }
+};
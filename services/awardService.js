@@ -0,0 +1,224 @@
+import { createNotification, emitNotifications } from './notificationService.js';
+import { sendAwardMilestoneEmail } from './emailService.js';
+import { getUserTotalHours } from './hoursService.js';
+
+// Service award milestones (bronze/silver/gold style). Tiers set the hours needed in an award
+// year for a role and age band; achievements record when a user first reached a tier.
+// The award year starts on the first of AWARD_YEAR_START_MONTH (1-12, default January).
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+const getStartMonth = () => {
+  const month = parseInt(process.env.AWARD_YEAR_START_MONTH);
+  return month >= 1 && month <= 12 ? month : 1;
+};
+
+// Award years are named after the calendar year they start in
+export const getAwardYear = (date = new Date()) => {
+  const startMonth = getStartMonth() - 1;
+  return date.getUTCMonth() >= startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+};
+
+export const getAwardCycle = (year) => {
+  const startMonth = getStartMonth() - 1;
+  return {
+    start: new Date(Date.UTC(year, startMonth, 1)),
+    end: new Date(Date.UTC(year + 1, startMonth, 1) - 1)
+  };
+};
+
+const getAgeOn = (birthDate, date) => {
+  if (!birthDate) return null;
+  const age = date.getUTCFullYear() - birthDate.getUTCFullYear();
+  const hadBirthday = date.getUTCMonth() > birthDate.getUTCMonth()
+    || (date.getUTCMonth() === birthDate.getUTCMonth() && date.getUTCDate() >= birthDate.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
+
+// Tiers with an age band only apply to users whose birth date is known
+export const tierAppliesTo = (tier, user, age) => {
+  if (tier.role && tier.role !== user.role) return false;
+  if (tier.minAge === null && tier.maxAge === null) return true;
+  if (age === null) return false;
+  return (tier.minAge === null || age >= tier.minAge) && (tier.maxAge === null || age <= tier.maxAge);
+};
+
+// Active tiers for an award year, lowest threshold first
+export const findAwardTiers = (client, year) => {
+  return client.awardTier.findMany({
+    where: {
+      isActive: true,
+      OR: [{ year }, { year: null }]
+    },
+    orderBy: [{ program: 'asc' }, { minHours: 'asc' }]
+  });
+};
+
+// Where a user stands against each tier that applies to them this award year
+export const getAwardProgress = async (client, user, year = getAwardYear()) => {
+  const cycle = getAwardCycle(year);
+  const age = getAgeOn(user.birthDate, cycle.end);
+
+  const [tiers, hours, achievements] = await Promise.all([
+    findAwardTiers(client, year),
+    getUserTotalHours(client, user.id, { from: cycle.start, to: cycle.end }),
+    client.awardAchievement.findMany({
+      where: { userId: user.id, year },
+      select: { tierId: true, achievedAt: true }
+    })
+  ]);
+
+  const achievedAt = new Map(achievements.map(achievement => [achievement.tierId, achievement.achievedAt]));
+  const applicableTiers = tiers
+    .filter(tier => tierAppliesTo(tier, user, age))
+    .map(tier => ({
+      id: tier.id,
+      program: tier.program,
+      name: tier.name,
+      minHours: tier.minHours,
+      achieved: achievedAt.has(tier.id) || hours >= tier.minHours,
+      achievedAt: achievedAt.get(tier.id) || null,
+      hoursRemaining: roundHours(Math.max(tier.minHours - hours, 0)),
+      percent: Math.min(Math.round((hours / tier.minHours) * 100), 100)
+    }));
+
+  return {
+    year,
+    cycle,
+    age,
+    hours,
+    tiers: applicableTiers,
+    nextTier: applicableTiers.find(tier => !tier.achieved) || null,
+    missingBirthDate: !user.birthDate && tiers.some(tier => tier.minAge !== null || tier.maxAge !== null)
+  };
+};
+
+// Hours per user in the award year, for users with at least minHours
+const findUserHoursInCycle = async (client, cycle, minHours, userWhere) => {
+  const totals = await client.hoursLedgerEntry.groupBy({
+    by: ['userId'],
+    where: {
+      activityDate: { gte: cycle.start, lte: cycle.end },
+      ...(userWhere && { user: userWhere })
+    },
+    _sum: { hours: true },
+    having: { hours: { _sum: { gte: minHours } } }
+  });
+  return new Map(totals.map(total => [total.userId, roundHours(total._sum.hours || 0)]));
+};
+
+// Record every tier users have newly reached this award year and tell them (and their guardians).
+// Achievements are unique per user, tier and year, so running this again changes nothing.
+// Returns the number of new achievements.
+export const detectAwardMilestones = async (client, now = new Date()) => {
+  const year = getAwardYear(now);
+  const cycle = getAwardCycle(year);
+  const tiers = await findAwardTiers(client, year);
+  if (tiers.length === 0) return 0;
+
+  const hoursByUser = await findUserHoursInCycle(client, cycle, Math.min(...tiers.map(tier => tier.minHours)));
+  if (hoursByUser.size === 0) return 0;
+
+  const [users, achievements] = await Promise.all([
+    client.user.findMany({
+      where: { id: { in: [...hoursByUser.keys()] } },
+      select: { id: true, name: true, email: true, role: true, birthDate: true, preferences: { select: { emailNotifications: true } } }
+    }),
+    client.awardAchievement.findMany({
+      where: { year, userId: { in: [...hoursByUser.keys()] } },
+      select: { userId: true, tierId: true }
+    })
+  ]);
+
+  const achieved = new Set(achievements.map(achievement => `${achievement.userId}_${achievement.tierId}`));
+  let created = 0;
+
+  for (const user of users) {
+    const hours = hoursByUser.get(user.id);
+    const age = getAgeOn(user.birthDate, cycle.end);
+
+    const reachedTiers = tiers.filter(tier =>
+      hours >= tier.minHours && tierAppliesTo(tier, user, age) && !achieved.has(`${user.id}_${tier.id}`));
+
+    for (const tier of reachedTiers) {
+      const notifications = await client.$transaction(async (tx) => {
+        // Another run may have recorded it first
+        const { count } = await tx.awardAchievement.createMany({
+          data: [{ userId: user.id, tierId: tier.id, year, hours }],
+          skipDuplicates: true
+        });
+        if (count === 0) return null;
+
+        const notifications = await createNotification(tx, {
+          userId: user.id,
+          title: 'Award Milestone Reached',
+          description: `You've reached ${tier.program} ${tier.name} with ${hours} hours in the ${year} award year!`,
+          type: 'SUCCESS'
+        });
+
+        if (user.preferences?.emailNotifications !== false) {
+          await sendAwardMilestoneEmail(tx, user, tier, { year, hours });
+        }
+
+        return notifications;
+      });
+
+      // Only announce milestones that were committed
+      if (notifications) {
+        created++;
+        emitNotifications(notifications);
+      }
+    }
+  }
+
+  return created;
+};
+
+// Who qualifies for which tiers in an award year, by hours served in it.
+// userWhere limits the report, e.g. to a chapter admin's volunteers.
+export const getAwardReport = async (client, year, userWhere) => {
+  const cycle = getAwardCycle(year);
+  const tiers = await findAwardTiers(client, year);
+  if (tiers.length === 0) return { year, cycle, tiers, recipients: [] };
+
+  const hoursByUser = await findUserHoursInCycle(client, cycle, Math.min(...tiers.map(tier => tier.minHours)), userWhere);
+
+  const [users, achievements] = await Promise.all([
+    client.user.findMany({
+      where: { id: { in: [...hoursByUser.keys()] } },
+      select: { id: true, name: true, email: true, role: true, chapter: true, birthDate: true },
+      orderBy: { name: 'asc' }
+    }),
+    client.awardAchievement.findMany({
+      where: { year, userId: { in: [...hoursByUser.keys()] } },
+      select: { userId: true, tierId: true, achievedAt: true }
+    })
+  ]);
+
+  const achievedAt = new Map(achievements.map(achievement => [`${achievement.userId}_${achievement.tierId}`, achievement.achievedAt]));
+
+  const recipients = users.flatMap(user => {
+    const hours = hoursByUser.get(user.id);
+    const age = getAgeOn(user.birthDate, cycle.end);
+    const qualified = tiers.filter(tier => hours >= tier.minHours && tierAppliesTo(tier, user, age));
+    if (qualified.length === 0) return [];
+
+    // The highest tier reached in each program is the award to order
+    const awards = Object.values(Object.fromEntries(qualified.map(tier => [tier.program, tier])));
+
+    return [{
+      user: { id: user.id, name: user.name, email: user.email, role: user.role, chapter: user.chapter },
+      age,
+      hours,
+      awards: awards.map(tier => ({
+        tierId: tier.id,
+        program: tier.program,
+        name: tier.name,
+        minHours: tier.minHours,
+        achievedAt: achievedAt.get(`${user.id}_${tier.id}`) || null
+      }))
+    }];
+  });
+
+  return { year, cycle, tiers, recipients };
+};
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+
+// iCalendar (RFC 5545) output for calendar feeds and email attachments.
+// Sessions keep the same UID for their whole life so calendar apps update or remove
+// the existing entry when a session is rescheduled or cancelled instead of adding a new one.
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRODUCT_ID = '-//MySewa//Sessions//EN';
+
+const getUidDomain = () => process.env.CALENDAR_UID_DOMAIN || 'mysewa';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const getSessionEnd = (instance) => instance.endDate || new Date(instance.startDate.getTime() + (instance.hours || 1) * HOUR_MS);
+
+// Every saved change moves updatedAt forward, so it doubles as the revision number clients compare
+const getSequence = (instance) => {
+  if (!instance.updatedAt || !instance.createdAt) return 0;
+  return Math.max(0, Math.floor((instance.updatedAt.getTime() - instance.createdAt.getTime()) / 1000));
+};
+
+// Postponed sessions stay on calendars at their old time, marked tentative until a new date is set
+const getConfirmedStatus = (instance) => (instance.status === 'POSTPONED' ? 'TENTATIVE' : 'CONFIRMED');
+
+export const getSessionUid = (instance) => `session-${instance.id}@${getUidDomain()}`;
+
+// VEVENT lines for a session; sessions without a date cannot be put on a calendar
+const buildSessionEvent = (instance, { cancelled = false } = {}) => {
+  if (!instance.startDate) return [];
+
+  const isCancelled = cancelled || instance.status === 'CANCELLED';
+  const title = instance.event?.title || 'MySewa session';
+  const description = [instance.description || instance.event?.description, `${process.env.FRONTEND_URL}/sessions/${instance.id}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getSessionUid(instance)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(instance.startDate)}`,
+    `DTEND:${formatDateTime(getSessionEnd(instance))}`,
+    `SEQUENCE:${getSequence(instance)}`,
+    `SUMMARY:${escapeText(isCancelled ? `Cancelled: ${title}` : title)}`,
+    instance.location ? `LOCATION:${escapeText(instance.location)}` : null,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${process.env.FRONTEND_URL}/sessions/${instance.id}`,
+    `STATUS:${isCancelled ? 'CANCELLED' : getConfirmedStatus(instance)}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A complete VCALENDAR document. METHOD is only set for email attachments; feeds leave it out.
+export const buildCalendar = (instances, { name, method, cancelled = false } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    method ? `METHOD:${method}` : null,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    name ? 'X-PUBLISHED-TTL:PT1H' : null,
+    ...instances.flatMap(instance => buildSessionEvent(instance, { cancelled })),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Attachment for session emails in the outbox ({ filename, content, contentType } as nodemailer takes it).
+// Returns null for sessions without a date.
+export const createSessionIcsAttachment = (instance, { cancelled = false } = {}) => {
+  if (!instance?.startDate) return null;
+
+  const method = cancelled ? 'CANCEL' : 'PUBLISH';
+  return {
+    filename: 'session.ics',
+    content: buildCalendar([instance], { method, cancelled }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
+
+// Feed URLs carry a signature instead of a login, since calendar apps cannot send a token.
+// Bumping the user's calendarFeedVersion invalidates every URL handed out before.
+const signFeed = (user) => crypto
+  .createHmac('sha256', process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET)
+  .update(`calendar-feed:${user.id}:${user.calendarFeedVersion}`)
+  .digest('base64url');
+
+export const verifyCalendarFeedToken = (user, token) => {
+  if (!user || !token) return false;
+  const expected = Buffer.from(signFeed(user));
+  const candidate = Buffer.from(token);
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+};
+
+const toWebcal = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+export const getUserFeedUrls = (user, baseUrl) => {
+  const feedUrl = `${baseUrl}/api/calendar/users/${user.id}/${signFeed(user)}.ics`;
+  return { feedUrl, webcalUrl: toWebcal(feedUrl) };
+};
+
+export const getChapterFeedUrls = (chapter, baseUrl) => {
+  const feedUrl = `${baseUrl}/api/calendar/chapters/${chapter.slug}.ics`;
+  return { feedUrl, webcalUrl: toWebcal(feedUrl) };
+};
+
+// How far back feeds reach; older sessions are dropped to keep feeds small
+const getFeedHistoryDays = () => parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS) || 90;
+
+export const getFeedStartDate = (now = new Date()) => new Date(now.getTime() - getFeedHistoryDays() * 24 * HOUR_MS);
+
+// Whether an edit moved a session in a way calendar entries need to follow
+export const hasScheduleChanged = (before, after) => {
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  return time(before.startDate) !== time(after.startDate) ||
+    time(before.endDate) !== time(after.endDate) ||
+    (before.location || null) !== (after.location || null);
+};
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { getUserTotalHours, getServicePeriod } from './hoursService.js';
+
+// Issued certificates and transcripts. Each PDF carries a verification code and a QR link to the
+// public verification page, which looks the code up here to confirm the holder and their hours.
+
+// No 0/O or 1/I, so codes read back over the phone survive
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const formatCode = (chars) => chars.match(/.{1,4}/g).join('-');
+
+export const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return formatCode(Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join(''));
+};
+
+// Accept codes typed in lowercase, with spaces or without dashes
+export const normalizeVerificationCode = (code) => {
+  const chars = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === CODE_LENGTH ? formatCode(chars) : null;
+};
+
+export const getVerificationUrl = (code) => `${process.env.FRONTEND_URL}/verify/${code}`;
+
+// Record a certificate (or, with a range, a transcript) for the user's current hours
+export const issueCertificate = async (client, { userId, type, from, to, issuedBy }) => {
+  const range = { from, to };
+  const [totalHours, servicePeriod] = await Promise.all([
+    getUserTotalHours(client, userId, range),
+    getServicePeriod(client, userId, range)
+  ]);
+
+  return client.certificate.create({
+    data: {
+      code: generateVerificationCode(),
+      userId,
+      type,
+      totalHours,
+      periodStart: servicePeriod?.start || null,
+      periodEnd: servicePeriod?.end || null,
+      rangeFrom: from || null,
+      rangeTo: to || null,
+      issuedBy
+    }
+  });
+};
+
+// What the public verification endpoint may show about a certificate, or null for unknown codes
+export const getCertificateVerification = async (client, code) => {
+  const normalizedCode = normalizeVerificationCode(code);
+  if (!normalizedCode) return null;
+
+  const certificate = await client.certificate.findUnique({
+    where: { code: normalizedCode },
+    include: { user: { select: { name: true } } }
+  });
+  if (!certificate) return null;
+
+  return {
+    code: certificate.code,
+    valid: !certificate.revokedAt,
+    type: certificate.type,
+    holderName: certificate.user.name,
+    totalHours: certificate.totalHours,
+    periodStart: certificate.periodStart,
+    periodEnd: certificate.periodEnd,
+    rangeFrom: certificate.rangeFrom,
+    rangeTo: certificate.rangeTo,
+    issuedAt: certificate.createdAt,
+    revokedAt: certificate.revokedAt,
+    revokedReason: certificate.revokedReason
+  };
+};
+
+export const revokeCertificate = (client, certificateId, reason, now = new Date()) => {
+  return client.certificate.update({
+    where: { id: certificateId },
+    data: {
+      revokedAt: now,
+      revokedReason: reason
+    }
+  });
+};
+
+// Draw the QR link with the verification code underneath, with its top-left corner at (x, y)
+export const drawVerificationStamp = async (doc, certificate, x, y, size = 70) => {
+  const qrImage = await QRCode.toBuffer(getVerificationUrl(certificate.code), { margin: 1, width: size * 4 });
+
+  doc.image(qrImage, x, y, { width: size, height: size });
+
+  doc.fontSize(8)
+     .font('Helvetica')
+     .fillColor('#374151')
+     .text(certificate.code, x - 20, y + size + 4, {
+       width: size + 40,
+       align: 'center'
+     });
+};
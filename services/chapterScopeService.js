@@ -0,0 +1,84 @@
+// Chapter admins manage the events, signups and members of the chapters in their adminChapters;
+// global admins (ADMIN) manage everything. Role changes, deletions of shared events and system tools stay global.
+
+export const isGlobalAdmin = (user) => user?.role === 'ADMIN';
+
+export const isAnyAdmin = (user) => user?.role === 'ADMIN' || user?.role === 'CHAPTER_ADMIN';
+
+export const getAdminChapters = (user) => (user?.role === 'CHAPTER_ADMIN' ? user.adminChapters || [] : []);
+
+// An event is in scope when it is offered to at least one of the admin's chapters
+export const canManageEvent = (user, event) => {
+  if (isGlobalAdmin(user)) return true;
+  if (!event) return false;
+  const chapters = getAdminChapters(user);
+  return event.chapters.some(chapter => chapters.includes(chapter));
+};
+
+// Deleting an event takes it from every chapter, so chapter admins must manage all of them
+export const canDeleteEvent = (user, event) => {
+  if (isGlobalAdmin(user)) return true;
+  if (!event) return false;
+  const chapters = getAdminChapters(user);
+  return event.chapters.every(chapter => chapters.includes(chapter));
+};
+
+// Prisma filter for events a user can manage (undefined means no restriction)
+export const getManagedEventWhere = (user) => {
+  if (isGlobalAdmin(user)) return undefined;
+  return { chapters: { hasSome: getAdminChapters(user) } };
+};
+
+// Chapter admins may only offer events to their own chapters and must keep the chapters of
+// shared events they do not manage. Returns an error message, or null when the change is allowed.
+export const checkEventChapters = (user, chapters, existingChapters = []) => {
+  if (isGlobalAdmin(user) || chapters === undefined) return null;
+
+  const adminChapters = getAdminChapters(user);
+  if (chapters.length === 0 || !chapters.some(chapter => adminChapters.includes(chapter))) {
+    return 'Events must be offered to at least one of your chapters';
+  }
+
+  const isOther = chapter => !adminChapters.includes(chapter);
+  const added = chapters.filter(chapter => isOther(chapter) && !existingChapters.includes(chapter));
+  const removed = existingChapters.filter(chapter => isOther(chapter) && !chapters.includes(chapter));
+
+  if (added.length > 0 || removed.length > 0) {
+    return `You can only change your own chapters (${adminChapters.join(', ')})`;
+  }
+  return null;
+};
+
+// Members in the admin's chapters; other admins are managed by global admins only
+export const canManageUser = (user, target) => {
+  if (isGlobalAdmin(user)) return true;
+  if (!target || !isAnyAdmin(user)) return false;
+  if (isAnyAdmin(target)) return false;
+  return getAdminChapters(user).includes(target.chapter);
+};
+
+// Prisma filter for users a user can manage (undefined means no restriction)
+export const getManagedUserWhere = (user) => {
+  if (isGlobalAdmin(user)) return undefined;
+  return {
+    chapter: { in: getAdminChapters(user) },
+    role: { in: ['STUDENT', 'PARENT'] }
+  };
+};
+
+// Load a session's event and check it is in scope
+export const canManageSession = async (client, user, instanceId) => {
+  if (isGlobalAdmin(user)) return true;
+  if (!isAnyAdmin(user)) return false;
+
+  const instance = await client.eventInstance.findUnique({
+    where: { id: instanceId },
+    select: { event: { select: { chapters: true } } }
+  });
+  return canManageEvent(user, instance?.event);
+};
+
+export const CHAPTER_SCOPE_ERROR = {
+  error: 'Access denied',
+  message: 'You can only manage events and members of your own chapters'
+};
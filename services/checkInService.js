@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Unambiguous characters so codes can also be typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// How often the displayed check-in code changes
+export const getCodeRotationSeconds = () => parseInt(process.env.CHECKIN_CODE_ROTATION_SECONDS) || 60;
+
+// How early volunteers may check in before the session starts
+const getCheckInLeadMinutes = () => parseInt(process.env.CHECKIN_OPENS_MINUTES_BEFORE) || 60;
+
+// How long after the session ends volunteers may still check out
+const getCheckOutGraceMinutes = () => parseInt(process.env.CHECKOUT_CLOSES_MINUTES_AFTER) || 180;
+
+export const createCheckInSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Code for one rotation window, signed with the server key and the session secret
+const codeForWindow = (instance, window) => {
+  const digest = crypto
+    .createHmac('sha256', `${process.env.JWT_SECRET}:${instance.checkInSecret}`)
+    .update(`${instance.id}:${window}`)
+    .digest();
+
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[digest[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+const currentWindow = (now) => Math.floor(now.getTime() / (getCodeRotationSeconds() * 1000));
+
+// Current check-in code for a session, with the URL to encode in its QR code
+export const generateCheckInCode = (instance, now = new Date()) => {
+  const window = currentWindow(now);
+  const code = codeForWindow(instance, window);
+
+  return {
+    code,
+    expiresAt: new Date((window + 1) * getCodeRotationSeconds() * 1000),
+    rotationSeconds: getCodeRotationSeconds(),
+    checkInUrl: `${process.env.FRONTEND_URL}/check-in/${instance.id}?code=${code}`
+  };
+};
+
+// Accept the current code and the one just before it so a rotation mid-scan still works
+export const verifyCheckInCode = (instance, code, now = new Date()) => {
+  if (!instance.checkInSecret || !code) return false;
+
+  const window = currentWindow(now);
+  const candidate = Buffer.from(code.trim().toUpperCase());
+
+  return [window, window - 1].some(w => {
+    const expected = Buffer.from(codeForWindow(instance, w));
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+  });
+};
+
+// Whether check-in is open for a session at the given time
+export const isCheckInOpen = (instance, now = new Date()) => {
+  if (!instance.startDate) return true;
+  const opensAt = new Date(instance.startDate.getTime() - getCheckInLeadMinutes() * MINUTE_MS);
+  const closesAt = instance.endDate || new Date(instance.startDate.getTime() + instance.hours * HOUR_MS);
+  return now >= opensAt && now <= closesAt;
+};
+
+// Whether check-out is still open for a session at the given time
+export const isCheckOutOpen = (instance, now = new Date()) => {
+  const endDate = instance.endDate ||
+    (instance.startDate && new Date(instance.startDate.getTime() + instance.hours * HOUR_MS));
+  if (!endDate) return true;
+  return now <= new Date(endDate.getTime() + getCheckOutGraceMinutes() * MINUTE_MS);
+};
+
+// Hours attended within the session, rounded to the nearest quarter hour
+export const calculateAttendedHours = (instance, checkedInAt, checkedOutAt) => {
+  const start = instance.startDate && instance.startDate > checkedInAt ? instance.startDate : checkedInAt;
+  const end = instance.endDate && instance.endDate < checkedOutAt ? instance.endDate : checkedOutAt;
+  const hours = (end.getTime() - start.getTime()) / HOUR_MS;
+
+  return Math.max(0, Math.round(hours * 4) / 4);
+};
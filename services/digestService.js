@@ -0,0 +1,126 @@
+import { getWaitlistPositions } from './waitlistService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The digest covers the past week and looks one week ahead
+const DIGEST_PERIOD_DAYS = 7;
+const MAX_NEW_EVENTS = 10;
+
+// Whether a user has opted in to digest emails
+export const wantsWeeklyDigest = (preferences) => {
+  return Boolean(preferences?.weeklyDigest && preferences.emailNotifications !== false);
+};
+
+// Collect everything that goes into a user's weekly digest, for the week ending at periodEnd
+export const buildWeeklyDigest = async (client, user, periodEnd = new Date()) => {
+  const periodStart = new Date(periodEnd.getTime() - DIGEST_PERIOD_DAYS * DAY_MS);
+  const lookAheadEnd = new Date(periodEnd.getTime() + DIGEST_PERIOD_DAYS * DAY_MS);
+
+  // Events for the user's chapter or city; users without either see everything
+  const locationFilters = [
+    ...(user.chapter ? [{ chapters: { has: user.chapter } }] : []),
+    ...(user.city ? [{ cities: { has: user.city } }] : [])
+  ];
+
+  const [upcomingSignups, newEvents, waitlistSignups, approvedSignups] = await Promise.all([
+    client.userEventSignup.findMany({
+      where: {
+        userId: user.id,
+        status: 'CONFIRMED',
+        instance: {
+          status: 'ACTIVE',
+          startDate: { gte: periodEnd, lt: lookAheadEnd }
+        }
+      },
+      include: {
+        event: { select: { id: true, title: true, category: true } },
+        instance: { select: { id: true, startDate: true, endDate: true, location: true, hours: true } }
+      },
+      orderBy: { instance: { startDate: 'asc' } }
+    }),
+    client.event.findMany({
+      where: {
+        status: 'PUBLISHED',
+        publishedAt: { gte: periodStart, lt: periodEnd },
+        ...(locationFilters.length > 0 && { OR: locationFilters })
+      },
+      select: {
+        id: true,
+        title: true,
+        category: true,
+        chapters: true,
+        cities: true,
+        publishedAt: true,
+        instances: {
+          where: { status: 'ACTIVE', startDate: { gte: periodEnd } },
+          select: { id: true, startDate: true, location: true },
+          orderBy: { startDate: 'asc' },
+          take: 1
+        }
+      },
+      orderBy: { publishedAt: 'desc' },
+      take: MAX_NEW_EVENTS
+    }),
+    client.userEventSignup.findMany({
+      where: {
+        userId: user.id,
+        status: { in: ['WAITLIST', 'WAITLIST_PENDING'] },
+        instance: {
+          status: 'ACTIVE',
+          startDate: { gte: periodEnd }
+        }
+      },
+      include: {
+        event: { select: { id: true, title: true } },
+        instance: { select: { id: true, startDate: true, location: true } }
+      },
+      orderBy: { instance: { startDate: 'asc' } }
+    }),
+    client.userEventSignup.findMany({
+      where: {
+        userId: user.id,
+        approval: 'APPROVED',
+        approvedAt: { gte: periodStart, lt: periodEnd }
+      },
+      include: {
+        event: { select: { id: true, title: true } },
+        instance: { select: { id: true, startDate: true } }
+      },
+      orderBy: { approvedAt: 'asc' }
+    })
+  ]);
+
+  const waitlist = [];
+  for (const signup of waitlistSignups) {
+    waitlist.push({
+      status: signup.status,
+      position: signup.status === 'WAITLIST' ? (await getWaitlistPositions(client, signup.instanceId, periodEnd))[signup.id] : null,
+      waitlistNotifiedAt: signup.waitlistNotifiedAt,
+      event: signup.event,
+      instance: signup.instance
+    });
+  }
+
+  const approvedHours = approvedSignups.map(signup => ({
+    hours: signup.hoursEarned || 0,
+    approvedAt: signup.approvedAt,
+    event: signup.event,
+    instance: signup.instance
+  }));
+
+  const upcomingSessions = upcomingSignups.map(signup => ({
+    event: signup.event,
+    instance: signup.instance
+  }));
+
+  return {
+    periodStart,
+    periodEnd,
+    upcomingSessions,
+    newEvents,
+    waitlist,
+    approvedHours,
+    totalApprovedHours: approvedHours.reduce((sum, entry) => sum + entry.hours, 0),
+    isEmpty: upcomingSessions.length === 0 && newEvents.length === 0 && waitlist.length === 0 && approvedHours.length === 0
+  };
+};
@@ -1,31 +1,30 @@
-import nodemailer from 'nodemailer';
-
-// Email transporter configuration (same as in auth.js)
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-};
+import { enqueueJob } from './jobQueue.js';
+import { sendWithTransport, getEmailTransportName } from './emailTransports.js';
+import { createSessionIcsAttachment } from './calendarService.js';
+import { findLocationTimezone, getUserTimezone } from './timezoneService.js';
+import { formatInTimezone } from '../utils/dateUtils.js';
 
-// Helper function to format date for display (convert UTC to EST/EDT)
-const formatDate = (date) => {
-  return new Date(date).toLocaleString('en-US', {
+// Helper function to format date for display in the recipient's timezone, with the zone named
+const formatDate = (date, timeZone) => {
+  return formatInTimezone(date, timeZone, {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
     day: 'numeric',
     hour: '2-digit',
     minute: '2-digit',
-    timeZone: 'America/New_York' // Automatically handles EST/EDT transitions
+    timeZoneName: 'short'
   });
 };
 
+// Calendar file for session emails, so the session can be added to (or removed from) a calendar in one tap
+const sessionAttachments = (eventInstance, options) => {
+  const attachment = createSessionIcsAttachment(eventInstance, options);
+  return attachment ? [attachment] : [];
+};
+
 // Event reminder email template
-const createEventReminderEmail = (user, eventInstance, timeFrame) => {
+const createEventReminderEmail = (user, eventInstance, timeFrame, timeZone) => {
   const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
   
   return {
@@ -46,7 +45,7 @@ const createEventReminderEmail = (user, eventInstance, timeFrame) => {
           
           <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea;">
             <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
-            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate, timeZone)}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hour${eventInstance.hours !== 1 ? 's' : ''}</p>
             <p style="color: #667eea; margin: 10px 0 0 0; font-weight: bold;">
@@ -77,14 +76,14 @@ const createEventReminderEmail = (user, eventInstance, timeFrame) => {
           </p>
         </div>
       </div>
-    `
+    `,
+    attachments: sessionAttachments(eventInstance)
   };
 };
 
 // Waitlist spot offer email template
-const createWaitlistOfferEmail = (user, eventInstance) => {
+const createWaitlistOfferEmail = (user, eventInstance, expiresAt, timeZone) => {
   const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
-  const expiresAt = new Date(Date.now() + 12 * 60 * 60 * 1000); // 12 hours from now
   
   return {
     from: process.env.EMAIL_USER,
@@ -104,7 +103,7 @@ const createWaitlistOfferEmail = (user, eventInstance) => {
           
           <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
             <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
-            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate, timeZone)}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hours</p>
             <p style="color: #666; margin: 5px 0;"><strong>Description:</strong> ${eventInstance.description || eventInstance.event.description}</p>
@@ -112,7 +111,7 @@ const createWaitlistOfferEmail = (user, eventInstance) => {
           
           <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
             <p style="color: #856404; margin: 0; font-weight: bold;">
-              ⏰ IMPORTANT: You have until ${formatDate(expiresAt)} to accept or decline this spot.
+              ⏰ IMPORTANT: You have until ${formatDate(expiresAt, timeZone)} to accept or decline this spot.
             </p>
             <p style="color: #856404; margin: 5px 0 0 0; font-size: 14px;">
               After this time, the spot will be offered to the next person on the waitlist.
@@ -147,7 +146,7 @@ const createWaitlistOfferEmail = (user, eventInstance) => {
 };
 
 // Signup confirmation email template
-const createSignupConfirmationEmail = (user, eventInstance, status) => {
+const createSignupConfirmationEmail = (user, eventInstance, status, timeZone) => {
   const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
   const isWaitlist = status === 'WAITLIST';
   
@@ -172,7 +171,7 @@ const createSignupConfirmationEmail = (user, eventInstance, status) => {
           
           <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${isWaitlist ? '#ffc107' : '#28a745'};">
             <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
-            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate, timeZone)}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hours</p>
             <p style="color: #666; margin: 5px 0;"><strong>Description:</strong> ${eventInstance.description || eventInstance.event.description}</p>
@@ -187,7 +186,9 @@ const createSignupConfirmationEmail = (user, eventInstance, status) => {
               ⏳ You are currently on the waitlist for this session.
             </p>
             <p style="color: #856404; margin: 5px 0 0 0; font-size: 14px;">
-              If a spot becomes available, you will be automatically notified and have 12 hours to accept or decline.
+              ${eventInstance.event.waitlistAutoAccept
+                ? 'If a spot becomes available, you will be confirmed automatically and notified.'
+                : `If a spot becomes available, you will be automatically notified and have ${eventInstance.event.waitlistOfferHours || 12} hours to accept or decline.`}
             </p>
           </div>
           ` : ''}
@@ -215,44 +216,97 @@ const createSignupConfirmationEmail = (user, eventInstance, status) => {
           </p>
         </div>
       </div>
-    `
+    `,
+    attachments: isWaitlist ? [] : sessionAttachments(eventInstance)
   };
 };
 
-// Send email with error logging
-const sendEmail = async (mailOptions) => {
+// Write an email to the outbox and queue it for delivery. Works with a transaction client so
+// the email is only sent if the change it reports commits.
+// With redactedHtml, the outbox keeps that body and the real one only travels in the job payload,
+// for emails carrying secrets such as reset links.
+const sendEmail = async (client, mailOptions, { userId = null, purpose, redactedHtml }) => {
+  const message = await client.emailMessage.create({
+    data: {
+      userId,
+      from: mailOptions.from || null,
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      html: redactedHtml || mailOptions.html,
+      attachments: mailOptions.attachments?.length ? mailOptions.attachments : undefined,
+      purpose
+    }
+  });
+
+  const payload = redactedHtml ? { messageId: message.id, html: mailOptions.html } : { messageId: message.id };
+  await enqueueJob(client, 'send-email', payload, { dedupeKey: `email_${message.id}` });
+
+  return message;
+};
+
+// Deliver a queued email through the configured transport. Used by the 'send-email' job handler;
+// rethrows transport errors so the job queue retries with backoff. html overrides a redacted body.
+export const deliverEmail = async (client, messageId, { isFinalAttempt = true, html } = {}) => {
+  const message = await client.emailMessage.findUnique({
+    where: { id: messageId }
+  });
+
+  if (!message || message.status !== 'QUEUED') return message;
+
   try {
-    const transporter = createTransporter();
-    const result = await transporter.sendMail(mailOptions);
-    console.log(`Email sent successfully to ${mailOptions.to}: ${mailOptions.subject}`);
-    return result;
+    const result = await sendWithTransport({
+      from: message.from || process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: message.to,
+      subject: message.subject,
+      html: html || message.html,
+      ...(message.attachments ? { attachments: message.attachments } : {})
+    });
+    console.log(`Email sent successfully to ${message.to}: ${message.subject}`);
+
+    return await client.emailMessage.update({
+      where: { id: messageId },
+      data: {
+        status: 'SENT',
+        provider: getEmailTransportName(),
+        providerMessageId: result.providerMessageId || null,
+        error: null,
+        sentAt: new Date()
+      }
+    });
   } catch (error) {
-    console.error(`Failed to send email to ${mailOptions.to}:`, error);
-    // Log the error but don't retry as per requirements
-    return null;
+    console.error(`Failed to send email to ${message.to}:`, error);
+    await client.emailMessage.update({
+      where: { id: messageId },
+      data: {
+        status: isFinalAttempt ? 'FAILED' : 'QUEUED',
+        provider: getEmailTransportName(),
+        error: String(error.message || error).slice(0, 500)
+      }
+    });
+    throw error;
   }
 };
 
 // Send event reminder email
-export const sendEventReminderEmail = async (user, eventInstance, timeFrame) => {
-  const mailOptions = createEventReminderEmail(user, eventInstance, timeFrame);
-  return await sendEmail(mailOptions);
+export const sendEventReminderEmail = async (client, user, eventInstance, timeFrame) => {
+  const mailOptions = createEventReminderEmail(user, eventInstance, timeFrame, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'EVENT_REMINDER' });
 };
 
 // Send waitlist spot offer email
-export const sendWaitlistOfferEmail = async (user, eventInstance) => {
-  const mailOptions = createWaitlistOfferEmail(user, eventInstance);
-  return await sendEmail(mailOptions);
+export const sendWaitlistOfferEmail = async (client, user, eventInstance, expiresAt) => {
+  const mailOptions = createWaitlistOfferEmail(user, eventInstance, expiresAt, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'WAITLIST_OFFER' });
 };
 
 // Send signup confirmation email
-export const sendSignupConfirmationEmail = async (user, eventInstance, status) => {
-  const mailOptions = createSignupConfirmationEmail(user, eventInstance, status);
-  return await sendEmail(mailOptions);
+export const sendSignupConfirmationEmail = async (client, user, eventInstance, status) => {
+  const mailOptions = createSignupConfirmationEmail(user, eventInstance, status, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'SIGNUP_CONFIRMATION' });
 };
 
 // Session cancellation email template
-const createSessionCancellationEmail = (user, eventInstance, reason) => {
+const createSessionCancellationEmail = (user, eventInstance, reason, timeZone) => {
   const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
   
   return {
@@ -273,7 +327,7 @@ const createSessionCancellationEmail = (user, eventInstance, reason) => {
           
           <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc3545;">
             <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
-            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate, timeZone)}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hour${eventInstance.hours !== 1 ? 's' : ''}</p>
             ${reason ? `<p style="color: #666; margin: 5px 0;"><strong>Reason:</strong> ${reason}</p>` : ''}
@@ -314,12 +368,13 @@ const createSessionCancellationEmail = (user, eventInstance, reason) => {
           </p>
         </div>
       </div>
-    `
+    `,
+    attachments: sessionAttachments(eventInstance, { cancelled: true })
   };
 };
 
 // Session completion email template
-const createSessionCompletionEmail = (user, eventInstance) => {
+const createSessionCompletionEmail = (user, eventInstance, timeZone) => {
   const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
   
   return {
@@ -340,7 +395,7 @@ const createSessionCompletionEmail = (user, eventInstance) => {
           
           <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
             <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
-            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${formatDate(eventInstance.startDate, timeZone)}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
             <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hour${eventInstance.hours !== 1 ? 's' : ''}</p>
             <p style="color: #28a745; margin: 10px 0 0 0; font-weight: bold;">
@@ -385,13 +440,425 @@ const createSessionCompletionEmail = (user, eventInstance) => {
 };
 
 // Send session cancellation email
-export const sendSessionCancellationEmail = async (user, eventInstance, reason) => {
-  const mailOptions = createSessionCancellationEmail(user, eventInstance, reason);
-  return await sendEmail(mailOptions);
+export const sendSessionCancellationEmail = async (client, user, eventInstance, reason) => {
+  const mailOptions = createSessionCancellationEmail(user, eventInstance, reason, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'SESSION_CANCELLATION' });
 };
 
 // Send session completion email
-export const sendSessionCompletionEmail = async (user, eventInstance) => {
-  const mailOptions = createSessionCompletionEmail(user, eventInstance);
-  return await sendEmail(mailOptions);
-}; 
\ No newline at end of file
+export const sendSessionCompletionEmail = async (client, user, eventInstance) => {
+  const mailOptions = createSessionCompletionEmail(user, eventInstance, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'SESSION_COMPLETION' });
+};
+
+// Session rescheduled or moved email template; the attachment replaces the calendar entry sent earlier
+const createSessionUpdateEmail = (user, eventInstance, timeZone) => {
+  const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
+  
+  return {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `📅 Session Updated: ${eventInstance.event.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #007bff 0%, #0056b3 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">Session Updated</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            The time or place of a session you are signed up for has changed. Here are the new details:
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
+            <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
+            <p style="color: #666; margin: 5px 0;"><strong>Date & Time:</strong> ${eventInstance.startDate ? formatDate(eventInstance.startDate, timeZone) : 'TBD'}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Duration:</strong> ${eventInstance.hours} hour${eventInstance.hours !== 1 ? 's' : ''}</p>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Your registration is unchanged. Open the attached calendar file to update the entry in your calendar.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${sessionDetailUrl}" 
+               style="background: linear-gradient(135deg, #007bff 0%, #0056b3 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              View Session Details
+            </a>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            This is an automated notification from MySewa. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `,
+    attachments: sessionAttachments(eventInstance)
+  };
+};
+
+// Send session updated email
+export const sendSessionUpdateEmail = async (client, user, eventInstance) => {
+  const mailOptions = createSessionUpdateEmail(user, eventInstance, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'SESSION_UPDATE' });
+};
+
+// Session rescheduled or postponed email template. Confirmed volunteers (needsResponse) are asked
+// to reconfirm or release their spot by the deadline; waitlisted volunteers are just told.
+const createSessionRescheduledEmail = (user, eventInstance, reschedule, { needsResponse }, timeZone) => {
+  const sessionDetailUrl = `${process.env.FRONTEND_URL}/sessions/${eventInstance.id}`;
+  const isPostponed = !reschedule.newStartDate;
+  
+  return {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `${isPostponed ? '⏸️ Session Postponed' : '📅 Session Rescheduled'}: ${eventInstance.event.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #fd7e14 0%, #e8590c 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">${isPostponed ? 'Session Postponed' : 'Session Rescheduled'}</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            ${isPostponed
+              ? 'The following session has been postponed. A new date has not been set yet.'
+              : 'The following session has moved to a new time:'}
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #fd7e14;">
+            <h3 style="color: #333; margin: 0 0 10px 0;">${eventInstance.event.title}</h3>
+            <p style="color: #999; margin: 5px 0; text-decoration: line-through;"><strong>Was:</strong> ${reschedule.originalStartDate ? formatDate(reschedule.originalStartDate, timeZone) : 'TBD'}${reschedule.originalLocation ? ` at ${reschedule.originalLocation}` : ''}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Now:</strong> ${isPostponed ? 'To be announced' : formatDate(reschedule.newStartDate, timeZone)}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Location:</strong> ${eventInstance.location || 'TBD'}</p>
+            ${reschedule.reason ? `<p style="color: #666; margin: 5px 0;"><strong>Reason:</strong> ${reschedule.reason}</p>` : ''}
+          </div>
+          
+          ${needsResponse ? `
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 15px; margin: 20px 0;">
+            <p style="color: #856404; margin: 0; font-weight: bold;">
+              ⏰ Please confirm or release your spot by ${formatDate(reschedule.respondBy, timeZone)}.
+            </p>
+            <p style="color: #856404; margin: 5px 0 0 0; font-size: 14px;">
+              If we do not hear from you by then, your spot will be offered to the next person on the waitlist.
+            </p>
+          </div>
+          ` : `
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            You are still on the waitlist for this session. We will let you know if a spot opens up.
+          </p>
+          `}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${sessionDetailUrl}" 
+               style="background: linear-gradient(135deg, #fd7e14 0%, #e8590c 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              ${needsResponse ? 'Confirm or Release Spot' : 'View Session Details'}
+            </a>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            This is an automated notification from MySewa. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `,
+    attachments: needsResponse ? sessionAttachments(eventInstance) : []
+  };
+};
+
+// Send session rescheduled or postponed email
+export const sendSessionRescheduledEmail = async (client, user, eventInstance, reschedule, options = {}) => {
+  const mailOptions = createSessionRescheduledEmail(user, eventInstance, reschedule, { needsResponse: false, ...options }, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'SESSION_UPDATE' });
+};
+
+// Invitation email template
+const createInvitationEmail = (invitation, inviter, inviteUrl, timeZone) => {
+  const roleName = invitation.role.charAt(0) + invitation.role.slice(1).toLowerCase();
+
+  return {
+    from: process.env.EMAIL_USER,
+    to: invitation.email,
+    subject: `You're invited to join MySewa as ${roleName === 'Admin' ? 'an' : 'a'} ${roleName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">You're Invited</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello,</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            ${inviter.name} has invited you to create a MySewa account.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea;">
+            <p style="color: #666; margin: 5px 0;"><strong>Role:</strong> ${roleName}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Chapter:</strong> ${invitation.chapter || 'Not assigned'}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Expires:</strong> ${formatDate(invitation.expiresAt, timeZone)}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${inviteUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              Accept Invitation
+            </a>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            If the button doesn't work, you can copy and paste this link into your browser:
+          </p>
+          <p style="color: #667eea; word-break: break-all; font-size: 14px;">
+            ${inviteUrl}
+          </p>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            This is an automated message from MySewa. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `
+  };
+};
+
+// Send invitation email; the invitee has no account yet, so dates use the invitation's chapter timezone
+export const sendInvitationEmail = async (client, invitation, inviter, inviteUrl) => {
+  const timeZone = await findLocationTimezone(client, { chapters: invitation.chapter ? [invitation.chapter] : [] });
+  const mailOptions = createInvitationEmail(invitation, inviter, inviteUrl, timeZone);
+  return await sendEmail(client, mailOptions, { purpose: 'INVITATION' });
+};
+
+// Weekly digest email template
+const createWeeklyDigestEmail = (user, digest, timeZone) => {
+  const dashboardUrl = `${process.env.FRONTEND_URL}/dashboard`;
+  const sessionUrl = (instanceId) => `${process.env.FRONTEND_URL}/sessions/${instanceId}`;
+  const sectionTitle = (title) => `<h3 style="color: #333; margin: 30px 0 10px 0;">${title}</h3>`;
+  const emptyLine = (text) => `<p style="color: #999; margin: 5px 0;">${text}</p>`;
+
+  const upcomingHtml = digest.upcomingSessions.length > 0
+    ? digest.upcomingSessions.map(({ event, instance }) => `
+          <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #667eea;">
+            <a href="${sessionUrl(instance.id)}" style="color: #333; font-weight: bold; text-decoration: none;">${event.title}</a>
+            <p style="color: #666; margin: 5px 0 0 0;">${formatDate(instance.startDate, timeZone)} · ${instance.location || 'TBD'}</p>
+          </div>`).join('')
+    : emptyLine('No sessions in the coming week.');
+
+  const newEventsHtml = digest.newEvents.length > 0
+    ? digest.newEvents.map(event => `
+          <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #20c997;">
+            <span style="color: #333; font-weight: bold;">${event.title}</span>
+            <p style="color: #666; margin: 5px 0 0 0;">${event.category}${event.instances[0] ? ` · Next session ${formatDate(event.instances[0].startDate, timeZone)}` : ''}</p>
+          </div>`).join('')
+    : emptyLine('No new events were published for your chapter this week.');
+
+  const waitlistHtml = digest.waitlist.map(({ status, position, event, instance }) => `
+          <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #ffc107;">
+            <a href="${sessionUrl(instance.id)}" style="color: #333; font-weight: bold; text-decoration: none;">${event.title}</a>
+            <p style="color: #666; margin: 5px 0 0 0;">${formatDate(instance.startDate, timeZone)} · ${status === 'WAITLIST_PENDING' ? '<strong style="color: #856404;">A spot is waiting for your response</strong>' : `Position ${position} on the waitlist`}</p>
+          </div>`).join('');
+
+  const hoursHtml = digest.approvedHours.map(({ hours, event, instance }) => `
+            <p style="color: #666; margin: 5px 0;">${event.title} (${formatDate(instance.startDate, timeZone)}): <strong>${hours} hours</strong></p>`).join('');
+
+  return {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `Your MySewa week: ${digest.upcomingSessions.length} upcoming session${digest.upcomingSessions.length !== 1 ? 's' : ''}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">Your Weekly Digest</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Here is your volunteering summary for the week.
+          </p>
+          ${sectionTitle('Your Upcoming Sessions')}
+          ${upcomingHtml}
+          ${sectionTitle('New Events')}
+          ${newEventsHtml}
+          ${digest.waitlist.length > 0 ? `${sectionTitle('Waitlist Status')}${waitlistHtml}` : ''}
+          ${digest.approvedHours.length > 0 ? `
+          ${sectionTitle('Hours Approved This Week')}
+          <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid #28a745;">
+            ${hoursHtml}
+            <p style="color: #333; margin: 10px 0 0 0;"><strong>Total: ${digest.totalApprovedHours} hours</strong></p>
+          </div>` : ''}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${dashboardUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              Go to Dashboard
+            </a>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            You are receiving this because weekly digests are turned on in your preferences.
+          </p>
+        </div>
+      </div>
+    `
+  };
+};
+
+// Weekly digest email without sending it (used for previews)
+export const renderWeeklyDigestEmail = (user, digest, timeZone) => {
+  const { subject, html } = createWeeklyDigestEmail(user, digest, timeZone);
+  return { subject, html };
+};
+
+// Send weekly digest email
+export const sendWeeklyDigestEmail = async (client, user, digest) => {
+  const mailOptions = createWeeklyDigestEmail(user, digest, await getUserTimezone(client, user));
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'WEEKLY_DIGEST' });
+};
+
+// Password reset email template
+const createPasswordResetEmail = (user, resetUrl) => {
+  return {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Password Reset Request - MySewa',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">Password Reset Request</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${user.name},</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            We received a request to reset your password for your MySewa account. 
+            If you didn't make this request, you can safely ignore this email.
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              Reset Password
+            </a>
+          </div>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            This link will expire in 3 hours for security reasons.
+          </p>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            If the button doesn't work, you can copy and paste this link into your browser:
+          </p>
+          <p style="color: #667eea; word-break: break-all; font-size: 14px;">
+            ${resetUrl}
+          </p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            This is an automated message from MySewa. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `
+  };
+};
+
+// Send password reset email. The outbox only keeps a copy without the reset link.
+export const sendPasswordResetEmail = async (client, user, resetUrl) => {
+  const mailOptions = createPasswordResetEmail(user, resetUrl);
+  return await sendEmail(client, mailOptions, {
+    userId: user.id,
+    purpose: 'PASSWORD_RESET',
+    redactedHtml: createPasswordResetEmail(user, '[reset link removed]').html
+  });
+};
+
+// Award milestone email template
+const createAwardMilestoneEmail = (user, tier, { year, hours }) => {
+  return {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `🏅 You've reached ${tier.program} ${tier.name}!`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #D97706 0%, #F59E0B 100%); padding: 20px; text-align: center; color: white;">
+          <h1 style="margin: 0;">MySewa</h1>
+          <p style="margin: 5px 0 0 0;">Award Milestone</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-bottom: 20px;">Congratulations ${user.name}!</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Your volunteer hours have reached a new award level:
+          </p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #D97706;">
+            <h3 style="color: #333; margin: 0 0 10px 0;">${tier.program} - ${tier.name}</h3>
+            <p style="color: #666; margin: 5px 0;"><strong>Award year:</strong> ${year}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Hours this year:</strong> ${hours}</p>
+            <p style="color: #666; margin: 5px 0;"><strong>Hours required:</strong> ${tier.minHours}</p>
+          </div>
+
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Your chapter will be in touch about presenting the award. Thank you for your service!
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/dashboard" 
+               style="background: linear-gradient(135deg, #D97706 0%, #F59E0B 100%); 
+                      color: white; 
+                      padding: 12px 30px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      display: inline-block; 
+                      font-weight: bold;">
+              View Award Progress
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #999; font-size: 12px; text-align: center;">
+            This is an automated notification from MySewa. Please do not reply to this email.
+          </p>
+        </div>
+      </div>
+    `
+  };
+};
+
+// Send award milestone email
+export const sendAwardMilestoneEmail = async (client, user, tier, progress) => {
+  const mailOptions = createAwardMilestoneEmail(user, tier, progress);
+  return await sendEmail(client, mailOptions, { userId: user.id, purpose: 'AWARD_MILESTONE' });
+};
@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+// Transports deliver a single message and return the provider's id for it.
+// The file sink writes one JSON line per email for development and tests.
+const transports = {
+  gmail: {
+    createTransporter: () => nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    })
+  },
+
+  smtp: {
+    createTransporter: () => nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    })
+  },
+
+  file: {
+    send: async (mailOptions) => {
+      const providerMessageId = `file-${crypto.randomUUID()}`;
+      const line = JSON.stringify({ id: providerMessageId, ...mailOptions, sentAt: new Date().toISOString() });
+      await fs.appendFile(process.env.EMAIL_FILE_PATH || 'email-outbox.log', `${line}\n`);
+      return { providerMessageId };
+    }
+  }
+};
+
+// nodemailer transporters keep their connection pool, so each is created once
+const transporters = {};
+
+const sendWithNodemailer = async (name, transport, mailOptions) => {
+  if (!transporters[name]) {
+    transporters[name] = transport.createTransporter();
+  }
+  const result = await transporters[name].sendMail(mailOptions);
+  return { providerMessageId: result.messageId };
+};
+
+// Register an additional transport: either { send(mailOptions) } or { createTransporter() } returning a nodemailer transporter
+export const registerEmailTransport = (name, transport) => {
+  transports[name] = transport;
+  delete transporters[name];
+};
+
+// Selected by EMAIL_TRANSPORT; defaults to Gmail, which was the only option before
+export const getEmailTransportName = () => process.env.EMAIL_TRANSPORT || 'gmail';
+
+// Send through the configured transport
+export const sendWithTransport = async (mailOptions) => {
+  const name = getEmailTransportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}"`);
+  }
+
+  return transport.send
+    ? await transport.send(mailOptions)
+    : await sendWithNodemailer(name, transport, mailOptions);
+};
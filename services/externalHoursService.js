@@ -0,0 +1,103 @@
+import { createNotification } from './notificationService.js';
+import { syncSubmissionHours } from './hoursService.js';
+
+// Outside-hours submissions: volunteers record hours served with other organizations, with a
+// proof file, and admins review them. Approved submissions count toward totals through the ledger.
+
+// Largest proof file accepted, in megabytes
+export const getMaxProofBytes = () => (parseInt(process.env.EXTERNAL_HOURS_MAX_PROOF_MB) || 5) * 1024 * 1024;
+
+// Leading bytes of each accepted file type, so a renamed file cannot pass as a PDF or image
+const FILE_SIGNATURES = {
+  'application/pdf': [0x25, 0x50, 0x44, 0x46],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47]
+};
+
+// Decode a validated proofFile ({ name, mimeType, data }) into the submission's proof fields
+export const decodeProofFile = (file) => {
+  const data = Buffer.from(file.data, 'base64');
+
+  if (data.length === 0) {
+    throw new Error('Proof file is empty');
+  }
+  if (data.length > getMaxProofBytes()) {
+    throw new Error('Proof file is too large');
+  }
+
+  const signature = FILE_SIGNATURES[file.mimeType];
+  if (!signature.every((byte, i) => data[i] === byte)) {
+    throw new Error('Proof file does not match its type');
+  }
+
+  return {
+    proofFileName: file.name,
+    proofMimeType: file.mimeType,
+    proofSize: data.length,
+    proofData: data
+  };
+};
+
+// Everything but the file itself, which is only sent from the proof download route
+export const submissionSelect = {
+  id: true,
+  userId: true,
+  submittedBy: true,
+  organization: true,
+  activity: true,
+  activityDate: true,
+  hours: true,
+  supervisorName: true,
+  supervisorEmail: true,
+  supervisorPhone: true,
+  proofFileName: true,
+  proofMimeType: true,
+  proofSize: true,
+  status: true,
+  reviewComment: true,
+  reviewedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  user: { select: { id: true, name: true, email: true, role: true, chapter: true } },
+  submitter: { select: { id: true, name: true } },
+  reviewer: { select: { id: true, name: true } }
+};
+
+const REVIEW_NOTIFICATIONS = {
+  APPROVED: { title: 'Outside Hours Approved', type: 'SUCCESS', verb: 'approved' },
+  DENIED: { title: 'Outside Hours Denied', type: 'WARNING', verb: 'denied' },
+  PENDING: { title: 'Outside Hours Reopened', type: 'INFO', verb: 'returned for review' }
+};
+
+// Apply a reviewer's decision and/or comment, keep the ledger in step and tell the volunteer.
+// Returns { submission, notifications }; there are no notifications when only the comment changed.
+export const reviewSubmission = async (tx, submission, { status, comment }, actorId, now = new Date()) => {
+  const statusChanged = status !== undefined && status !== submission.status;
+
+  const updatedSubmission = await tx.externalHoursSubmission.update({
+    where: { id: submission.id },
+    data: {
+      ...(statusChanged && { status }),
+      ...(comment !== undefined && { reviewComment: comment || null }),
+      reviewedBy: actorId,
+      reviewedAt: now
+    },
+    select: submissionSelect
+  });
+
+  if (!statusChanged) {
+    return { submission: updatedSubmission, notifications: [] };
+  }
+
+  await syncSubmissionHours(tx, submission.id, { actorId });
+
+  const { title, type, verb } = REVIEW_NOTIFICATIONS[status];
+  const notifications = await createNotification(tx, {
+    userId: submission.userId,
+    title,
+    description: `Your ${submission.hours} hours with ${submission.organization} have been ${verb}.${updatedSubmission.reviewComment ? ` Comment: ${updatedSubmission.reviewComment}` : ''}`,
+    type
+  });
+
+  return { submission: updatedSubmission, notifications };
+};
@@ -0,0 +1,33 @@
+import { canManageUser } from './chapterScopeService.js';
+
+// Whether a parent has an accepted guardian link to a student
+export const isGuardianOf = async (client, parentId, studentId) => {
+  const link = await client.guardianLink.findFirst({
+    where: { parentId, studentId, status: 'ACCEPTED' },
+    select: { id: true }
+  });
+  return !!link;
+};
+
+// Ids of the students a parent is linked to
+export const getChildIds = async (client, parentId) => {
+  const links = await client.guardianLink.findMany({
+    where: { parentId, status: 'ACCEPTED' },
+    select: { studentId: true }
+  });
+  return links.map(link => link.studentId);
+};
+
+// Whether a user may view another user's signups, hours and certificates
+export const canViewUser = async (client, viewer, userId) => {
+  if (viewer.id === userId || viewer.role === 'ADMIN') return true;
+  if (viewer.role === 'CHAPTER_ADMIN') {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { role: true, chapter: true }
+    });
+    return canManageUser(viewer, user);
+  }
+  if (viewer.role !== 'PARENT') return false;
+  return isGuardianOf(client, viewer.id, userId);
+};
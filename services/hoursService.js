@@ -0,0 +1,320 @@
+// Volunteer hours. Every credited hour is an entry in the append-only hours ledger, and totals
+// are sums over the ledger. Signups and outside-hours submissions stay the place hours are
+// approved and edited; after each change, a sync adds whatever entry brings the ledger in line.
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+const sumHours = (entries) => roundHours(entries.reduce((sum, entry) => sum + entry.hours, 0));
+
+// Certificates state totals from the ledger, so once hours they counted are taken back they no
+// longer hold. Revokes the holder's certificates whose date range covers a negative entry.
+const revokeCoveringCertificates = async (tx, entry) => {
+  if (entry.hours >= 0) return;
+
+  await tx.certificate.updateMany({
+    where: {
+      userId: entry.userId,
+      revokedAt: null,
+      AND: [
+        { OR: [{ rangeFrom: null }, { rangeFrom: { lte: entry.activityDate } }] },
+        { OR: [{ rangeTo: null }, { rangeTo: { gte: entry.activityDate } }] }
+      ]
+    },
+    data: {
+      revokedAt: entry.createdAt,
+      revokedReason: `Hours reversed for ${entry.description}`
+    }
+  });
+};
+
+// Every ledger write goes through here
+const createEntry = async (tx, data) => {
+  const entry = await tx.hoursLedgerEntry.create({ data });
+  await revokeCoveringCertificates(tx, entry);
+  return entry;
+};
+
+// Hours a signup currently counts for: confirmed, approved and with hours set
+export const getCreditedHours = (signup) => {
+  if (!signup || signup.status !== 'CONFIRMED' || signup.approval !== 'APPROVED') return 0;
+  return signup.hoursEarned || 0;
+};
+
+const describeChange = (type, before, after, { removed, label = 'Hours' }) => {
+  if (type === 'AWARD') return `${label} approved`;
+  if (type === 'ADJUSTMENT') return `Hours changed from ${before} to ${after}`;
+  if (removed) return 'Signup removed';
+  return `${label} no longer approved`;
+};
+
+// Add the entry that moves the ledger total for one source of hours (the entries matching
+// sourceWhere) to `after`. Returns the new entry, or null when nothing changed.
+const appendSourceEntry = async (tx, sourceWhere, after, data, { reason, removed = false, label } = {}) => {
+  const entries = await tx.hoursLedgerEntry.findMany({
+    where: sourceWhere,
+    select: { hours: true }
+  });
+
+  const before = sumHours(entries);
+  const change = roundHours(after - before);
+  if (change === 0) return null;
+
+  const type = before === 0 ? 'AWARD' : after === 0 ? 'REVERSAL' : 'ADJUSTMENT';
+
+  return createEntry(tx, {
+    ...data,
+    ...sourceWhere,
+    type,
+    hours: change,
+    reason: reason || describeChange(type, before, after, { removed, label })
+  });
+};
+
+// Bring the ledger in line with a signup's approved hours. Call it after any change to a signup's
+// status, approval or hours, and with { removed: true } just before deleting a signup.
+// Returns the new entry, or null when nothing changed.
+export const syncSignupHours = async (tx, signupId, { actorId = null, reason, removed = false, now = new Date() } = {}) => {
+  const signup = await tx.userEventSignup.findUnique({
+    where: { id: signupId },
+    include: {
+      event: { select: { id: true, title: true } },
+      instance: { select: { startDate: true } }
+    }
+  });
+  if (!signup) return null;
+
+  const after = removed ? 0 : roundHours(getCreditedHours(signup));
+
+  return appendSourceEntry(tx, { signupId }, after, {
+    userId: signup.userId,
+    activityDate: signup.instance.startDate || now,
+    description: signup.event.title,
+    eventId: signup.event.id,
+    createdBy: actorId
+  }, { reason, removed });
+};
+
+// Take the hours of signups matching signupWhere off the ledger, just before they are deleted
+// along with their session or event. Returns the number of signups synced.
+export const syncRemovedSignupsHours = async (tx, signupWhere, { actorId = null, reason } = {}) => {
+  const signups = await tx.userEventSignup.findMany({
+    where: signupWhere,
+    select: { id: true }
+  });
+
+  for (const signup of signups) {
+    await syncSignupHours(tx, signup.id, { actorId, reason, removed: true });
+  }
+  return signups.length;
+};
+
+// Same for an outside-hours submission: its hours count while it is approved
+export const syncSubmissionHours = async (tx, submissionId, { actorId = null, reason } = {}) => {
+  const submission = await tx.externalHoursSubmission.findUnique({
+    where: { id: submissionId },
+    select: { userId: true, status: true, hours: true, activity: true, organization: true, activityDate: true }
+  });
+  if (!submission) return null;
+
+  const after = submission.status === 'APPROVED' ? roundHours(submission.hours) : 0;
+
+  return appendSourceEntry(tx, { externalSubmissionId: submissionId }, after, {
+    userId: submission.userId,
+    activityDate: submission.activityDate,
+    description: `${submission.activity} (${submission.organization})`,
+    createdBy: actorId
+  }, { reason, label: 'Outside hours' });
+};
+
+// Manual correction by an admin, e.g. for hours served outside a tracked session
+export const recordHoursAdjustment = (tx, { userId, hours, reason, description, activityDate, actorId }) => {
+  return createEntry(tx, {
+    userId,
+    type: 'ADJUSTMENT',
+    hours: roundHours(hours),
+    activityDate: activityDate || new Date(),
+    description: description || 'Manual adjustment',
+    reason,
+    createdBy: actorId
+  });
+};
+
+// Cancel out a single entry. Hours that came from a signup or submission are changed there
+// instead, so the ledger and its sources never disagree.
+export const reverseHoursEntry = async (tx, entryId, { reason, actorId }) => {
+  const entry = await tx.hoursLedgerEntry.findUnique({
+    where: { id: entryId },
+    include: { reversals: { select: { id: true } } }
+  });
+
+  if (!entry) {
+    throw new Error('Ledger entry not found');
+  }
+  if (entry.signupId) {
+    throw new Error('Signup hours must be changed on the signup');
+  }
+  if (entry.externalSubmissionId) {
+    throw new Error('Outside hours must be changed on the submission');
+  }
+  if (entry.type === 'REVERSAL' || entry.reversals.length > 0) {
+    throw new Error('Ledger entry cannot be reversed');
+  }
+
+  return createEntry(tx, {
+    userId: entry.userId,
+    type: 'REVERSAL',
+    hours: -entry.hours,
+    activityDate: entry.activityDate,
+    description: entry.description,
+    reason,
+    eventId: entry.eventId,
+    reversesId: entry.id,
+    createdBy: actorId
+  });
+};
+
+// Ledger entries only keep the signup id, and the signup may be gone. Adds each entry's signup
+// (or null) loaded with the given select.
+const withSignups = async (client, entries, select) => {
+  const signupIds = [...new Set(entries.map(entry => entry.signupId).filter(Boolean))];
+  if (signupIds.length === 0) return entries.map(entry => ({ ...entry, signup: null }));
+
+  const signups = await client.userEventSignup.findMany({
+    where: { id: { in: signupIds } },
+    select: { id: true, ...select }
+  });
+  const signupsById = new Map(signups.map(signup => [signup.id, signup]));
+
+  return entries.map(entry => ({ ...entry, signup: signupsById.get(entry.signupId) || null }));
+};
+
+// Prisma filter for ledger entries; from/to bound the activity date
+const getEntryWhere = ({ userId, from, to, eventWhere } = {}) => ({
+  ...(userId && { userId }),
+  ...((from || to) && {
+    activityDate: {
+      ...(from && { gte: from }),
+      ...(to && { lte: to })
+    }
+  }),
+  ...(eventWhere && { event: eventWhere })
+});
+
+export const getUserTotalHours = async (client, userId, range = {}) => {
+  const result = await client.hoursLedgerEntry.aggregate({
+    where: getEntryWhere({ ...range, userId }),
+    _sum: { hours: true }
+  });
+  return roundHours(result._sum.hours || 0);
+};
+
+// Map of userId -> total hours
+export const getUsersTotalHours = async (client, userIds, range = {}) => {
+  const results = await client.hoursLedgerEntry.groupBy({
+    by: ['userId'],
+    where: {
+      ...getEntryWhere(range),
+      userId: { in: userIds }
+    },
+    _sum: { hours: true }
+  });
+
+  return new Map(results.map(result => [result.userId, roundHours(result._sum.hours || 0)]));
+};
+
+// Total across everyone, optionally limited to hours from events matching eventWhere
+export const getTotalHours = async (client, { eventWhere, from, to } = {}) => {
+  const result = await client.hoursLedgerEntry.aggregate({
+    where: getEntryWhere({ eventWhere, from, to }),
+    _sum: { hours: true }
+  });
+  return roundHours(result._sum.hours || 0);
+};
+
+// First and last activity dates of a user's credited hours, or null without any
+export const getServicePeriod = async (client, userId, range = {}) => {
+  const result = await client.hoursLedgerEntry.aggregate({
+    where: getEntryWhere({ ...range, userId }),
+    _min: { activityDate: true },
+    _max: { activityDate: true }
+  });
+  if (!result._min.activityDate) return null;
+  return { start: result._min.activityDate, end: result._max.activityDate };
+};
+
+// A user's ledger, newest first, with who recorded each entry
+export const getHoursLedger = async (client, userId, { page = 1, limit = 50, from, to } = {}) => {
+  const where = getEntryWhere({ userId, from, to });
+
+  const [entries, total, totalHours] = await Promise.all([
+    client.hoursLedgerEntry.findMany({
+      where,
+      include: {
+        creator: { select: { id: true, name: true } },
+        externalSubmission: {
+          select: { id: true, organization: true, activity: true }
+        }
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    client.hoursLedgerEntry.count({ where }),
+    getUserTotalHours(client, userId, { from, to })
+  ]);
+
+  return {
+    totalHours,
+    entries: await withSignups(client, entries, {
+      instance: { select: { id: true, startDate: true, location: true } }
+    }),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// One line per session, outside activity or manual adjustment that still counts toward the
+// user's hours in the range, oldest first. Corrections are netted into the line they correct.
+export const getHoursTranscript = async (client, userId, range = {}) => {
+  const entries = await withSignups(client, await client.hoursLedgerEntry.findMany({
+    where: getEntryWhere({ ...range, userId }),
+    include: {
+      externalSubmission: {
+        select: { organization: true, activity: true }
+      }
+    },
+    orderBy: [{ activityDate: 'asc' }, { createdAt: 'asc' }]
+  }), {
+    instance: { select: { location: true } }
+  });
+
+  const lines = new Map();
+  for (const entry of entries) {
+    // Manual adjustments and their reversals pair up through reversesId
+    const key = entry.signupId || entry.externalSubmissionId || entry.reversesId || entry.id;
+    const line = lines.get(key);
+    if (line) {
+      line.hours += entry.hours;
+      continue;
+    }
+
+    lines.set(key, {
+      date: entry.activityDate,
+      source: entry.signupId ? 'SESSION' : entry.externalSubmissionId ? 'OUTSIDE' : 'ADJUSTMENT',
+      description: entry.externalSubmission ? entry.externalSubmission.activity : entry.description,
+      organization: entry.externalSubmission?.organization || null,
+      location: entry.signup?.instance.location || null,
+      hours: entry.hours
+    });
+  }
+
+  const rows = [...lines.values()]
+    .map(line => ({ ...line, hours: roundHours(line.hours) }))
+    .filter(line => line.hours !== 0);
+
+  return { rows, totalHours: sumHours(rows) };
+};
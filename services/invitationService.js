@@ -0,0 +1,108 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+const INVITATION_AUDIENCE = 'invitation';
+
+// Invitations are signed with their own key so they can never be used as access tokens
+const getInvitationSecret = () => {
+  return process.env.INVITATION_SECRET ||
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update(INVITATION_AUDIENCE).digest('hex');
+};
+
+// Sign an invitation; the token expires together with the invitation record
+export const createInvitationToken = (invitation) => {
+  return jwt.sign(
+    {
+      invitationId: invitation.id,
+      role: invitation.role,
+      chapter: invitation.chapter
+    },
+    getInvitationSecret(),
+    {
+      audience: INVITATION_AUDIENCE,
+      expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000))
+    }
+  );
+};
+
+// Verify an invitation token signature and return the invitation id
+export const verifyInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getInvitationSecret(), { audience: INVITATION_AUDIENCE });
+    return decoded.invitationId;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Invitation expired');
+    }
+    throw new Error('Invalid invitation');
+  }
+};
+
+// Derive the current status of an invitation
+export const getInvitationStatus = (invitation, now = new Date()) => {
+  if (invitation.usedAt) return 'USED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt <= now) return 'EXPIRED';
+  return 'PENDING';
+};
+
+// Build the registration link that carries an invitation token
+export const getInvitationUrl = (token) => {
+  return `${process.env.FRONTEND_URL}/register?invite=${encodeURIComponent(token)}`;
+};
+
+// Load and check an invitation that is about to be redeemed by the given email
+export const findRedeemableInvitation = async (tx, token, email, now = new Date()) => {
+  const invitationId = verifyInvitationToken(token);
+
+  const invitation = await tx.invitation.findUnique({
+    where: { id: invitationId }
+  });
+
+  if (!invitation) {
+    throw new Error('Invalid invitation');
+  }
+
+  const status = getInvitationStatus(invitation, now);
+  if (status === 'USED') throw new Error('Invitation already used');
+  if (status === 'REVOKED') throw new Error('Invitation revoked');
+  if (status === 'EXPIRED') throw new Error('Invitation expired');
+
+  if (invitation.email && email && invitation.email.toLowerCase() !== email.toLowerCase()) {
+    throw new Error('Invitation email mismatch');
+  }
+
+  return invitation;
+};
+
+// Mark an invitation as used by a new account and record the role it granted
+export const redeemInvitation = async (tx, invitation, userId, now = new Date()) => {
+  // Guard against two registrations racing for the same invite
+  const { count } = await tx.invitation.updateMany({
+    where: { id: invitation.id, usedAt: null, revokedAt: null },
+    data: { usedAt: now, usedBy: userId }
+  });
+
+  if (count === 0) {
+    throw new Error('Invitation already used');
+  }
+
+  await tx.roleChange.create({
+    data: {
+      userId,
+      previousRole: null,
+      newRole: invitation.role,
+      invitationId: invitation.id,
+      reason: 'Invitation redeemed'
+    }
+  });
+};
+
+// Error messages raised above mapped to HTTP responses
+export const INVITATION_ERRORS = {
+  'Invalid invitation': { status: 400, error: 'Invalid invitation', message: 'The invitation link is invalid' },
+  'Invitation expired': { status: 400, error: 'Invitation expired', message: 'The invitation has expired. Please ask for a new one' },
+  'Invitation already used': { status: 400, error: 'Invitation already used', message: 'This invitation has already been used' },
+  'Invitation revoked': { status: 400, error: 'Invitation revoked', message: 'This invitation has been revoked' },
+  'Invitation email mismatch': { status: 400, error: 'Invitation email mismatch', message: 'This invitation was issued for a different email address' }
+};
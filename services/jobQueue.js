@@ -0,0 +1,181 @@
+import os from 'os';
+import crypto from 'crypto';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+// How long a worker owns a claimed job before another worker may take it over
+export const getLeaseSeconds = () => parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+
+// Unique id for this process, recorded on the jobs it holds
+export const createWorkerId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Exponential backoff with jitter: 30s, 60s, 120s, ... capped at 6 hours
+export const getBackoffDelayMs = (attempts) => {
+  const seconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SECONDS);
+  return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+};
+
+// Add a job to the queue. Works with a transaction client so jobs commit together with the data they refer to.
+// With a dedupeKey only one job exists per key: by default an existing job is kept,
+// with replace the existing job is reset to run again with the new payload and time.
+export const enqueueJob = async (client, type, payload = {}, { runAt = new Date(), dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, replace = false } = {}) => {
+  const data = { type, payload, runAt, maxAttempts, dedupeKey };
+
+  if (dedupeKey && replace) {
+    return await client.job.upsert({
+      where: { dedupeKey },
+      create: data,
+      update: {
+        ...data,
+        status: 'PENDING',
+        attempts: 0,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+        completedAt: null
+      }
+    });
+  }
+
+  if (dedupeKey) {
+    // ON CONFLICT DO NOTHING, so concurrent enqueues of the same key never abort a transaction
+    await client.job.createMany({ data: [data], skipDuplicates: true });
+    return await client.job.findUnique({ where: { dedupeKey } });
+  }
+
+  return await client.job.create({ data });
+};
+
+// Cancel pending jobs with the given dedupe key
+export const cancelJobsByKey = async (client, dedupeKey) => {
+  const { count } = await client.job.updateMany({
+    where: { dedupeKey, status: 'PENDING' },
+    data: { status: 'CANCELLED' }
+  });
+  return count;
+};
+
+// Claim due jobs for this worker. SKIP LOCKED lets several processes poll at once without
+// taking the same row; RUNNING jobs whose lease ran out (crashed worker) are claimed again.
+export const claimJobs = async (client, workerId, limit = 10) => {
+  return await client.$queryRaw`
+    UPDATE "jobs"
+    SET "status" = 'RUNNING',
+        "lockedBy" = ${workerId},
+        "lockedUntil" = NOW() + (${getLeaseSeconds()}::int * INTERVAL '1 second'),
+        "attempts" = "attempts" + 1,
+        "updatedAt" = NOW()
+    WHERE "id" IN (
+      SELECT "id" FROM "jobs"
+      WHERE ("status" = 'PENDING' AND "runAt" <= NOW())
+         OR ("status" = 'RUNNING' AND "lockedUntil" < NOW())
+      ORDER BY "runAt" ASC
+      LIMIT ${limit}::int
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+};
+
+// Mark a job as done; ignored if the lease was lost to another worker
+export const completeJob = async (client, job, workerId) => {
+  await client.job.updateMany({
+    where: { id: job.id, status: 'RUNNING', lockedBy: workerId },
+    data: {
+      status: 'COMPLETED',
+      completedAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null
+    }
+  });
+};
+
+// Record a failed attempt: retry later with backoff, or dead-letter once attempts run out
+export const failJob = async (client, job, workerId, error) => {
+  const isDead = job.attempts >= job.maxAttempts;
+  const message = (error?.stack || String(error)).slice(0, 2000);
+
+  await client.job.updateMany({
+    where: { id: job.id, status: 'RUNNING', lockedBy: workerId },
+    data: {
+      status: isDead ? 'DEAD' : 'PENDING',
+      runAt: isDead ? job.runAt : new Date(Date.now() + getBackoffDelayMs(job.attempts)),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: message
+    }
+  });
+
+  return isDead;
+};
+
+// Claim and run due jobs until none are left or the batch limit is reached
+export const runDueJobs = async (client, workerId, handlers, { batchSize = 10, maxBatches = 10 } = {}) => {
+  let processed = 0;
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const jobs = await claimJobs(client, workerId, batchSize);
+
+    for (const job of jobs) {
+      processed++;
+      const handler = handlers[job.type];
+
+      try {
+        if (!handler) {
+          throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+        if (job.attempts > job.maxAttempts) {
+          throw new Error('Job lease expired too many times');
+        }
+
+        await handler(job.payload, job);
+        await completeJob(client, job, workerId);
+      } catch (error) {
+        const isDead = await failJob(client, job, workerId, error);
+        console.error(`Job ${job.type} (${job.id}) failed on attempt ${job.attempts}${isDead ? ', moved to dead-letter' : ''}:`, error);
+      }
+    }
+
+    if (jobs.length < batchSize) break;
+  }
+
+  return processed;
+};
+
+// Put a dead, cancelled or pending job back in line to run now
+export const retryJob = async (client, id) => {
+  const { count } = await client.job.updateMany({
+    where: { id, status: { in: ['DEAD', 'CANCELLED', 'PENDING'] } },
+    data: {
+      status: 'PENDING',
+      runAt: new Date(),
+      attempts: 0,
+      lockedBy: null,
+      lockedUntil: null
+    }
+  });
+  return count > 0;
+};
+
+// Cancel a job that has not started yet
+export const cancelJob = async (client, id) => {
+  const { count } = await client.job.updateMany({
+    where: { id, status: 'PENDING' },
+    data: { status: 'CANCELLED' }
+  });
+  return count > 0;
+};
+
+// Remove finished jobs older than the retention period (dead jobs are kept for inspection)
+export const deleteFinishedJobs = async (client, olderThan) => {
+  const { count } = await client.job.deleteMany({
+    where: {
+      status: { in: ['COMPLETED', 'CANCELLED'] },
+      updatedAt: { lt: olderThan }
+    }
+  });
+  return count;
+};
@@ -0,0 +1,364 @@
+// Chapters and cities are records; users and events keep the canonical name next to the foreign key
+// (User.chapter/chapterId, Event.chapters/chapterRecords) so filters and exports can stay string based.
+
+const LABELS = {
+  chapter: ['chapter', 'chapters'],
+  city: ['city', 'cities']
+};
+
+// Collapse the whitespace people type into names
+export const normalizeLocationName = (name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '');
+
+// "  Central  New-Jersey " and "central new jersey" share the slug central-new-jersey
+export const slugify = (name) => {
+  return normalizeLocationName(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Match user-entered names to records by slug or case-insensitive name.
+// Returns the matched records in input order (deduplicated) and the names that matched nothing.
+export const resolveLocations = async (client, model, names) => {
+  const cleaned = names.map(normalizeLocationName).filter(Boolean);
+  if (cleaned.length === 0) return { records: [], unknown: [] };
+
+  const candidates = await client[model].findMany({
+    where: {
+      OR: [
+        { slug: { in: cleaned.map(slugify) } },
+        { name: { in: cleaned, mode: 'insensitive' } }
+      ]
+    }
+  });
+
+  const records = [];
+  const unknown = [];
+  for (const name of cleaned) {
+    const record = candidates.find(candidate =>
+      candidate.slug === slugify(name) || candidate.name.toLowerCase() === name.toLowerCase()
+    );
+    if (!record) {
+      unknown.push(name);
+    } else if (!records.some(existing => existing.id === record.id)) {
+      records.push(record);
+    }
+  }
+  return { records, unknown };
+};
+
+// Look a chapter or city up by id or slug (routes accept either)
+export const findLocation = (client, model, idOrSlug, options = {}) => {
+  return client[model].findFirst({
+    where: { OR: [{ id: idOrSlug }, { slug: idOrSlug }] },
+    ...options
+  });
+};
+
+// Another record already using the name (in any spelling) or slug
+export const findLocationConflict = (client, model, { name, slug }, excludeId = null) => {
+  const conditions = [];
+  if (name) conditions.push({ name: { equals: normalizeLocationName(name), mode: 'insensitive' } }, { slug: slugify(name) });
+  if (slug) conditions.push({ slug });
+  if (conditions.length === 0) return null;
+
+  return client[model].findFirst({
+    where: {
+      OR: conditions,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+};
+
+const formatUnknown = (model, names) => {
+  const [singular, plural] = LABELS[model];
+  return `Unknown ${names.length > 1 ? plural : singular}: ${names.join(', ')}`;
+};
+
+// Canonical chapter/city fields for a user update. An empty value clears the field.
+// Returns { data, error } where error names the values that match no record.
+export const getUserLocationData = async (client, { chapter, city }) => {
+  const data = {};
+  const errors = [];
+
+  const resolveOne = async (model, value, nameField, idField) => {
+    if (value === undefined) return;
+    if (!normalizeLocationName(value)) {
+      data[nameField] = null;
+      data[idField] = null;
+      return;
+    }
+    const { records, unknown } = await resolveLocations(client, model, [value]);
+    if (unknown.length > 0) {
+      errors.push(formatUnknown(model, unknown));
+      return;
+    }
+    data[nameField] = records[0].name;
+    data[idField] = records[0].id;
+  };
+
+  await resolveOne('chapter', chapter, 'chapter', 'chapterId');
+  await resolveOne('city', city, 'city', 'cityId');
+
+  return { data, error: errors.length > 0 ? errors.join('; ') : null };
+};
+
+// Canonical chapters/cities for an event create (connect) or update (set)
+export const getEventLocationData = async (client, { chapters, cities }, { create = false } = {}) => {
+  const data = {};
+  const errors = [];
+  const relation = create ? 'connect' : 'set';
+
+  const resolveMany = async (model, values, nameField, relationField) => {
+    if (values === undefined) return;
+    const { records, unknown } = await resolveLocations(client, model, values);
+    if (unknown.length > 0) {
+      errors.push(formatUnknown(model, unknown));
+      return;
+    }
+    data[nameField] = records.map(record => record.name);
+    data[relationField] = { [relation]: records.map(record => ({ id: record.id })) };
+  };
+
+  await resolveMany('chapter', chapters, 'chapters', 'chapterRecords');
+  await resolveMany('city', cities, 'cities', 'cityRecords');
+
+  return { data, error: errors.length > 0 ? errors.join('; ') : null };
+};
+
+// Canonical names for chapter admin scopes and invitations
+export const resolveChapterNames = async (client, names) => {
+  const { records, unknown } = await resolveLocations(client, 'chapter', names);
+  return {
+    names: records.map(record => record.name),
+    error: unknown.length > 0 ? formatUnknown('chapter', unknown) : null
+  };
+};
+
+const replaceName = (names, from, to) => Array.from(new Set(names.map(name => (name === from ? to : name))));
+
+// Copy a chapter's new name into the denormalized name fields
+export const propagateChapterRename = async (tx, chapterId, previousName, name) => {
+  await tx.user.updateMany({ where: { chapterId }, data: { chapter: name } });
+  await tx.invitation.updateMany({ where: { chapter: previousName }, data: { chapter: name } });
+
+  const admins = await tx.user.findMany({
+    where: { adminChapters: { has: previousName } },
+    select: { id: true, adminChapters: true }
+  });
+  for (const admin of admins) {
+    await tx.user.update({
+      where: { id: admin.id },
+      data: { adminChapters: replaceName(admin.adminChapters, previousName, name) }
+    });
+  }
+
+  const events = await tx.event.findMany({
+    where: { chapters: { has: previousName } },
+    select: { id: true, chapters: true }
+  });
+  for (const event of events) {
+    await tx.event.update({
+      where: { id: event.id },
+      data: { chapters: replaceName(event.chapters, previousName, name) }
+    });
+  }
+};
+
+export const propagateCityRename = async (tx, cityId, previousName, name) => {
+  await tx.user.updateMany({ where: { cityId }, data: { city: name } });
+
+  const events = await tx.event.findMany({
+    where: { cities: { has: previousName } },
+    select: { id: true, cities: true }
+  });
+  for (const event of events) {
+    await tx.event.update({
+      where: { id: event.id },
+      data: { cities: replaceName(event.cities, previousName, name) }
+    });
+  }
+};
+
+// Most used value wins; ties go to the alphabetically first one
+const pickMostCommon = (counts) => {
+  return Array.from(counts.entries())
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))[0][0];
+};
+
+// Spellings in a group only differ in case and punctuation, so mixed case ("North Jersey")
+// beats "north jersey" and "NORTH JERSEY" however often those were typed
+const isMixedCase = (name) => name !== name.toLowerCase() && name !== name.toUpperCase();
+
+const pickCanonicalSpelling = (spellings) => {
+  const mixedCase = new Map(Array.from(spellings).filter(([name]) => isMixedCase(name)));
+  return pickMostCommon(mixedCase.size > 0 ? mixedCase : spellings);
+};
+
+const countName = (counts, name) => counts.set(name, (counts.get(name) || 0) + 1);
+
+// Groups spellings by slug; aliased spellings count towards their target name
+const createNameGroups = (aliases) => {
+  const groups = new Map();
+  const add = (value) => {
+    const typed = normalizeLocationName(value);
+    if (!typed) return null;
+    const name = aliases.get(slugify(typed)) || typed;
+    const key = slugify(name);
+    if (!key) return null;
+    if (!groups.has(key)) groups.set(key, { spellings: new Map(), variants: new Set() });
+    const group = groups.get(key);
+    countName(group.spellings, name);
+    group.variants.add(typed);
+    return key;
+  };
+  const keyOf = (value) => {
+    const typed = normalizeLocationName(value);
+    return typed ? slugify(aliases.get(slugify(typed)) || typed) : null;
+  };
+  return { groups, add, keyOf };
+};
+
+// Build canonical Chapter and City records from the free-text names already stored on users,
+// events and invitations, then point every row at them. Spellings that only differ in case,
+// spacing or punctuation are merged; `aliases` maps other variants (e.g. "Central NJ") to a name.
+// Safe to run repeatedly. With dryRun nothing is written and the returned report shows the plan.
+export const normalizeLocationData = async (client, { dryRun = false, aliases = {} } = {}) => {
+  const aliasMap = new Map(Object.entries(aliases).map(([from, to]) => [slugify(from), normalizeLocationName(to)]));
+  const report = { chapters: [], cities: [], usersUpdated: 0, eventsUpdated: 0, invitationsUpdated: 0 };
+
+  const [users, events, invitations, existingChapters, existingCities] = await Promise.all([
+    client.user.findMany({ select: { id: true, chapter: true, city: true, chapterId: true, cityId: true, adminChapters: true } }),
+    client.event.findMany({
+      select: {
+        id: true,
+        chapters: true,
+        cities: true,
+        chapterRecords: { select: { id: true } },
+        cityRecords: { select: { id: true } }
+      }
+    }),
+    client.invitation.findMany({ where: { chapter: { not: null } }, select: { id: true, chapter: true } }),
+    client.chapter.findMany(),
+    client.city.findMany()
+  ]);
+
+  const chapterNames = createNameGroups(aliasMap);
+  const cityNames = createNameGroups(aliasMap);
+  const cityChapterCounts = new Map();
+
+  for (const user of users) {
+    const chapterKey = chapterNames.add(user.chapter);
+    const cityKey = cityNames.add(user.city);
+    user.adminChapters.forEach(chapterNames.add);
+
+    // A new city belongs to the chapter most of its residents are in
+    if (chapterKey && cityKey) {
+      if (!cityChapterCounts.has(cityKey)) cityChapterCounts.set(cityKey, new Map());
+      countName(cityChapterCounts.get(cityKey), chapterKey);
+    }
+  }
+  for (const event of events) {
+    event.chapters.forEach(chapterNames.add);
+    event.cities.forEach(cityNames.add);
+  }
+  invitations.forEach(invitation => chapterNames.add(invitation.chapter));
+
+  // Existing records keep their name; new ones take the most used spelling
+  const buildRecords = async (model, { groups }, existingRecords, reportList, getExtraData = () => ({})) => {
+    const recordsByKey = new Map();
+    for (const [key, group] of groups) {
+      const existing = existingRecords.find(record => record.slug === key || slugify(record.name) === key);
+      const name = existing ? existing.name : pickCanonicalSpelling(group.spellings);
+
+      let record = existing;
+      if (!record) {
+        record = dryRun
+          ? { id: null, name, slug: key }
+          : await client[model].create({ data: { name, slug: key, ...getExtraData(key) } });
+      }
+
+      recordsByKey.set(key, record);
+      reportList.push({
+        name,
+        created: !existing,
+        variants: Array.from(group.variants).filter(variant => variant !== name)
+      });
+    }
+    return recordsByKey;
+  };
+
+  const chaptersByKey = await buildRecords('chapter', chapterNames, existingChapters, report.chapters);
+  const citiesByKey = await buildRecords('city', cityNames, existingCities, report.cities, (key) => {
+    const counts = cityChapterCounts.get(key);
+    return { chapterId: counts ? chaptersByKey.get(pickMostCommon(counts))?.id || null : null };
+  });
+
+  const lookupChapter = (value) => chaptersByKey.get(chapterNames.keyOf(value)) || null;
+  const lookupCity = (value) => citiesByKey.get(cityNames.keyOf(value)) || null;
+  const uniqueRecords = (values, lookup) => {
+    const records = values.map(lookup).filter(Boolean);
+    return records.filter((record, index) => records.findIndex(other => other.slug === record.slug) === index);
+  };
+  const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+  const sameIds = (records, linked) => sameList(records.map(record => record.id).sort(), linked.map(record => record.id).sort());
+
+  for (const user of users) {
+    const chapter = lookupChapter(user.chapter);
+    const city = lookupCity(user.city);
+    const data = {
+      chapter: chapter?.name || null,
+      chapterId: chapter?.id || null,
+      city: city?.name || null,
+      cityId: city?.id || null,
+      adminChapters: uniqueRecords(user.adminChapters, lookupChapter).map(record => record.name)
+    };
+
+    const unchanged = data.chapter === user.chapter && data.city === user.city &&
+      data.chapterId === user.chapterId && data.cityId === user.cityId &&
+      sameList(data.adminChapters, user.adminChapters);
+    if (unchanged) continue;
+
+    report.usersUpdated++;
+    if (!dryRun) {
+      await client.user.update({ where: { id: user.id }, data });
+    }
+  }
+
+  for (const event of events) {
+    const chapters = uniqueRecords(event.chapters, lookupChapter);
+    const cities = uniqueRecords(event.cities, lookupCity);
+
+    const unchanged = sameList(chapters.map(record => record.name), event.chapters) &&
+      sameList(cities.map(record => record.name), event.cities) &&
+      sameIds(chapters, event.chapterRecords) && sameIds(cities, event.cityRecords);
+    if (unchanged) continue;
+
+    report.eventsUpdated++;
+    if (!dryRun) {
+      await client.event.update({
+        where: { id: event.id },
+        data: {
+          chapters: chapters.map(record => record.name),
+          cities: cities.map(record => record.name),
+          chapterRecords: { set: chapters.map(record => ({ id: record.id })) },
+          cityRecords: { set: cities.map(record => ({ id: record.id })) }
+        }
+      });
+    }
+  }
+
+  for (const invitation of invitations) {
+    const chapter = lookupChapter(invitation.chapter);
+    if (!chapter || chapter.name === invitation.chapter) continue;
+
+    report.invitationsUpdated++;
+    if (!dryRun) {
+      await client.invitation.update({ where: { id: invitation.id }, data: { chapter: chapter.name } });
+    }
+  }
+
+  return report;
+};
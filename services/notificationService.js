@@ -0,0 +1,44 @@
+import { io } from '../src/server.js';
+
+// Create an in-app notification and copy it to the user's linked guardians.
+// Returns the user's notification followed by the guardian copies; pass them to
+// emitNotifications once the caller's transaction has committed.
+export const createNotification = async (client, data) => {
+  const notification = await client.notification.create({ data });
+
+  const guardianLinks = await client.guardianLink.findMany({
+    where: {
+      studentId: data.userId,
+      status: 'ACCEPTED',
+      receiveNotificationCopies: true
+    },
+    include: {
+      student: { select: { name: true } }
+    }
+  });
+
+  const notifications = [notification];
+
+  for (const link of guardianLinks) {
+    notifications.push(await client.notification.create({
+      data: {
+        ...data,
+        userId: link.parentId,
+        subjectUserId: data.userId,
+        title: `${data.title} (${link.student.name})`
+      }
+    }));
+  }
+
+  return notifications;
+};
+
+// Push notifications made by createNotification to their recipients
+export const emitNotifications = (notifications) => {
+  for (const notification of notifications) {
+    io.to(`user-${notification.userId}`).emit('notification-created', {
+      type: 'notification-created',
+      notification
+    });
+  }
+};
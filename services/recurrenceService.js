@@ -0,0 +1,481 @@
+import { parseRRule, formatRRule, expandOccurrences } from '../utils/recurrence.js';
+import { syncRemovedSignupsHours } from './hoursService.js';
+import { cancelSession } from './sessionStatusService.js';
+import { getEventTimezone } from './timezoneService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Session fields that are copied from a series template onto generated sessions
+const TEMPLATE_FIELDS = ['location', 'hours', 'studentCapacity', 'parentCapacity', 'description', 'waitlistEnabled'];
+
+// How far ahead sessions are generated for open-ended series
+export const getRecurrenceHorizonDays = () => parseInt(process.env.RECURRENCE_HORIZON_DAYS) || 90;
+
+// Normalize validated recurrence input into RecurrenceRule data
+export const buildRecurrenceRuleData = (input) => {
+  const parsed = parseRRule(input.rule);
+  const startDate = new Date(input.startDate);
+
+  let durationMinutes = input.durationMinutes || 60;
+  if (input.endDate) {
+    durationMinutes = Math.round((new Date(input.endDate).getTime() - startDate.getTime()) / MINUTE_MS);
+    if (durationMinutes <= 0) {
+      throw new Error('Recurrence end date must be after start date');
+    }
+  }
+
+  // UNTIL/COUNT may come from the rule string or from explicit fields
+  const until = input.until !== undefined ? input.until : parsed.until;
+  const count = input.count !== undefined ? input.count : parsed.count;
+
+  if (until && count) {
+    throw new Error('Recurrence cannot have both an end date and a count');
+  }
+
+  const data = {
+    rule: formatRRule(parsed),
+    startDate,
+    durationMinutes,
+    until: until ? new Date(until) : null,
+    count: count || null,
+    exceptionDates: (input.exceptionDates || []).map(date => new Date(date))
+  };
+
+  for (const field of TEMPLATE_FIELDS) {
+    if (input[field] !== undefined) data[field] = input[field];
+  }
+
+  return data;
+};
+
+// Create sessions for every occurrence of a series inside the rolling horizon
+export const materializeRecurrenceRule = async (tx, recurrenceRule, now = new Date()) => {
+  const horizon = new Date(now.getTime() + getRecurrenceHorizonDays() * DAY_MS);
+  const from = recurrenceRule.startDate > now ? recurrenceRule.startDate : now;
+
+  const occurrences = expandOccurrences({
+    rule: recurrenceRule.rule,
+    startDate: recurrenceRule.startDate,
+    until: recurrenceRule.until,
+    count: recurrenceRule.count,
+    exceptionDates: recurrenceRule.exceptionDates,
+    from,
+    to: horizon,
+    timeZone: await getEventTimezone(tx, recurrenceRule.eventId)
+  });
+
+  let created = 0;
+
+  if (occurrences.length > 0) {
+    const existing = await tx.eventInstance.findMany({
+      where: {
+        recurrenceRuleId: recurrenceRule.id,
+        recurrenceId: { in: occurrences }
+      },
+      select: { recurrenceId: true }
+    });
+    const existingTimes = new Set(existing.map(instance => instance.recurrenceId.getTime()));
+
+    const data = occurrences
+      .filter(start => !existingTimes.has(start.getTime()))
+      .map(start => ({
+        eventId: recurrenceRule.eventId,
+        recurrenceRuleId: recurrenceRule.id,
+        recurrenceId: start,
+        startDate: start,
+        endDate: new Date(start.getTime() + recurrenceRule.durationMinutes * MINUTE_MS),
+        location: recurrenceRule.location,
+        hours: recurrenceRule.hours,
+        studentCapacity: recurrenceRule.studentCapacity,
+        parentCapacity: recurrenceRule.parentCapacity,
+        description: recurrenceRule.description,
+        waitlistEnabled: recurrenceRule.waitlistEnabled
+      }));
+
+    if (data.length > 0) {
+      const result = await tx.eventInstance.createMany({ data, skipDuplicates: true });
+      created = result.count;
+    }
+  }
+
+  await tx.recurrenceRule.update({
+    where: { id: recurrenceRule.id },
+    data: { materializedUntil: horizon }
+  });
+
+  return created;
+};
+
+// Materialize every series attached to an event
+export const materializeEventRecurrences = async (tx, eventId, now = new Date()) => {
+  const recurrenceRules = await tx.recurrenceRule.findMany({ where: { eventId } });
+
+  let created = 0;
+  for (const recurrenceRule of recurrenceRules) {
+    created += await materializeRecurrenceRule(tx, recurrenceRule, now);
+  }
+
+  return created;
+};
+
+// Record a removed session as an exception so the series does not regenerate it
+export const addRecurrenceException = async (tx, instance) => {
+  if (!instance.recurrenceRuleId || !instance.recurrenceId) return;
+
+  const recurrenceRule = await tx.recurrenceRule.findUnique({
+    where: { id: instance.recurrenceRuleId }
+  });
+
+  if (!recurrenceRule) return;
+
+  const alreadyExcluded = recurrenceRule.exceptionDates.some(date => date.getTime() === instance.recurrenceId.getTime());
+  if (alreadyExcluded) return;
+
+  await tx.recurrenceRule.update({
+    where: { id: recurrenceRule.id },
+    data: { exceptionDates: { push: instance.recurrenceId } }
+  });
+};
+
+// Number of occurrences (exceptions included) that start before a given time
+const countOccurrencesBefore = (recurrenceRule, before, timeZone) => {
+  return expandOccurrences({
+    rule: recurrenceRule.rule,
+    startDate: recurrenceRule.startDate,
+    until: recurrenceRule.until,
+    count: recurrenceRule.count,
+    to: new Date(before.getTime() - 1),
+    timeZone
+  }).length;
+};
+
+// Original start of the next upcoming occurrence of a series, or null when the series is over.
+// timeZone is the event's (see getEventTimezone).
+export const findUpcomingOccurrence = (recurrenceRule, timeZone, now = new Date()) => {
+  if (recurrenceRule.startDate >= now) return recurrenceRule.startDate;
+
+  const [next] = expandOccurrences({
+    rule: recurrenceRule.rule,
+    startDate: recurrenceRule.startDate,
+    until: recurrenceRule.until,
+    count: recurrenceRule.count,
+    from: now,
+    to: new Date(now.getTime() + getRecurrenceHorizonDays() * DAY_MS),
+    timeZone
+  });
+
+  return next || null;
+};
+
+// Apply a series edit to one series from the anchor occurrence onwards
+const applySeriesEdit = async (tx, recurrenceRule, anchorTime, edit, now) => {
+  const { shiftMs, durationMinutes, rule, seriesChanges, instanceChanges } = edit;
+  const shift = (date) => new Date(date.getTime() + shiftMs);
+  const newDuration = durationMinutes || recurrenceRule.durationMinutes;
+  const timingChanged = shiftMs !== 0 || newDuration !== recurrenceRule.durationMinutes;
+  const newRule = rule || recurrenceRule.rule;
+  const ruleChanged = newRule !== recurrenceRule.rule;
+
+  // An inherited end date moves with the series so it keeps ending after the same occurrence
+  const seriesData = {
+    until: recurrenceRule.until ? shift(recurrenceRule.until) : null,
+    ...seriesChanges,
+    rule: newRule,
+    durationMinutes: newDuration
+  };
+
+  let targetRule;
+
+  if (anchorTime.getTime() === recurrenceRule.startDate.getTime()) {
+    // Editing from the first occurrence: update the series in place
+    targetRule = await tx.recurrenceRule.update({
+      where: { id: recurrenceRule.id },
+      data: {
+        ...seriesData,
+        startDate: shift(recurrenceRule.startDate),
+        exceptionDates: recurrenceRule.exceptionDates.map(shift)
+      }
+    });
+  } else {
+    // Split: end the current series before the anchor and continue with a new one
+    const timeZone = await getEventTimezone(tx, recurrenceRule.eventId);
+    const occurrencesBefore = countOccurrencesBefore(recurrenceRule, anchorTime, timeZone);
+
+    await tx.recurrenceRule.update({
+      where: { id: recurrenceRule.id },
+      data: {
+        until: recurrenceRule.count ? null : new Date(anchorTime.getTime() - 1000),
+        count: recurrenceRule.count ? occurrencesBefore : null,
+        exceptionDates: recurrenceRule.exceptionDates.filter(date => date < anchorTime)
+      }
+    });
+
+    const { id, createdAt, updatedAt, materializedUntil, ...inherited } = recurrenceRule;
+
+    targetRule = await tx.recurrenceRule.create({
+      data: {
+        ...inherited,
+        count: recurrenceRule.count ? Math.max(recurrenceRule.count - occurrencesBefore, 1) : null,
+        ...seriesData,
+        startDate: shift(anchorTime),
+        exceptionDates: recurrenceRule.exceptionDates.filter(date => date >= anchorTime).map(shift)
+      }
+    });
+  }
+
+  const followingInstances = await tx.eventInstance.findMany({
+    where: {
+      recurrenceRuleId: recurrenceRule.id,
+      recurrenceId: { gte: anchorTime }
+    },
+    include: {
+      signups: {
+        where: { status: { not: 'CANCELLED' } },
+        select: { id: true }
+      }
+    },
+    // Shift in an order that never collides with a not-yet-moved occurrence
+    orderBy: { recurrenceId: shiftMs > 0 ? 'desc' : 'asc' }
+  });
+
+  const affected = [];
+
+  for (const { signups, ...following } of followingInstances) {
+    if (ruleChanged) {
+      // Sessions people already signed up for are kept as one-off sessions
+      if (following.isDetached || signups.length > 0) {
+        await tx.eventInstance.update({
+          where: { id: following.id },
+          data: { isDetached: true }
+        });
+      } else {
+        await tx.eventInstance.delete({ where: { id: following.id } });
+      }
+      continue;
+    }
+
+    const data = {
+      recurrenceRuleId: targetRule.id,
+      recurrenceId: shift(following.recurrenceId)
+    };
+
+    if (!following.isDetached) {
+      Object.assign(data, instanceChanges);
+
+      if (timingChanged && following.startDate) {
+        const start = shift(following.startDate);
+        data.startDate = start;
+        data.endDate = new Date(start.getTime() + newDuration * MINUTE_MS);
+      }
+    }
+
+    const after = await tx.eventInstance.update({
+      where: { id: following.id },
+      data
+    });
+
+    if (!following.isDetached) {
+      affected.push({ before: following, after });
+    }
+  }
+
+  await materializeRecurrenceRule(tx, targetRule, now);
+
+  return { recurrenceRule: targetRule, instances: affected };
+};
+
+/**
+ * Apply an edit to a session that belongs to a series.
+ *
+ * THIS detaches the session and edits it alone. THIS_AND_FOLLOWING splits the
+ * series at the session (or edits it in place when it is the first occurrence)
+ * and carries the changes over to later sessions. ALL does the same for every
+ * series of the event, starting from each one's next upcoming session so past
+ * sessions keep their history. Returns the changed series and the affected
+ * sessions as { before, after } pairs.
+ */
+export const updateRecurringInstance = async (tx, instance, scope, changes, now = new Date()) => {
+  const instanceChanges = {};
+  for (const field of [...TEMPLATE_FIELDS, 'enabled']) {
+    if (changes[field] !== undefined) instanceChanges[field] = changes[field];
+  }
+
+  if (scope === 'THIS') {
+    const after = await tx.eventInstance.update({
+      where: { id: instance.id },
+      data: {
+        ...instanceChanges,
+        startDate: changes.startDate !== undefined ? changes.startDate : undefined,
+        endDate: changes.endDate !== undefined ? changes.endDate : undefined,
+        isDetached: true
+      }
+    });
+
+    return { recurrenceRules: [], instances: [{ before: instance, after }] };
+  }
+
+  const recurrenceRule = await tx.recurrenceRule.findUnique({
+    where: { id: instance.recurrenceRuleId }
+  });
+
+  if (!recurrenceRule) {
+    throw new Error('Session is not part of a series');
+  }
+
+  // Time changes are expressed relative to the session being edited
+  const currentStart = instance.startDate || instance.recurrenceId;
+  const newStart = changes.startDate ? new Date(changes.startDate) : currentStart;
+
+  let durationMinutes = null;
+  if (changes.endDate) {
+    durationMinutes = Math.round((new Date(changes.endDate).getTime() - newStart.getTime()) / MINUTE_MS);
+    if (durationMinutes <= 0) {
+      throw new Error('Recurrence end date must be after start date');
+    }
+  }
+
+  const seriesChanges = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (changes[field] !== undefined) seriesChanges[field] = changes[field];
+  }
+  if (changes.until !== undefined) {
+    seriesChanges.until = changes.until ? new Date(changes.until) : null;
+    if (changes.until) seriesChanges.count = null;
+  }
+  if (changes.count !== undefined) {
+    seriesChanges.count = changes.count || null;
+    if (changes.count) seriesChanges.until = null;
+  }
+
+  const edit = {
+    shiftMs: newStart.getTime() - currentStart.getTime(),
+    durationMinutes,
+    rule: changes.rule ? formatRRule(parseRRule(changes.rule)) : null,
+    seriesChanges,
+    instanceChanges
+  };
+
+  if (scope === 'THIS_AND_FOLLOWING') {
+    const result = await applySeriesEdit(tx, recurrenceRule, instance.recurrenceId, edit, now);
+    return { recurrenceRules: [result.recurrenceRule], instances: result.instances };
+  }
+
+  const recurrenceRules = await tx.recurrenceRule.findMany({
+    where: { eventId: recurrenceRule.eventId },
+    orderBy: { startDate: 'asc' }
+  });
+
+  if (edit.rule && recurrenceRules.length > 1) {
+    throw new Error('Recurrence rule can only be changed for a single series');
+  }
+
+  const timeZone = await getEventTimezone(tx, recurrenceRule.eventId);
+  const updatedRules = [];
+  const affected = [];
+
+  for (const seriesRule of recurrenceRules) {
+    const anchorTime = findUpcomingOccurrence(seriesRule, timeZone, now);
+    if (!anchorTime) continue;
+
+    const result = await applySeriesEdit(tx, seriesRule, anchorTime, edit, now);
+    updatedRules.push(result.recurrenceRule);
+    affected.push(...result.instances);
+  }
+
+  return { recurrenceRules: updatedRules, instances: affected };
+};
+
+const SERIES_ENDED_REASON = 'The recurring series has ended';
+const SESSION_REMOVED_REASON = 'The session was removed from its recurring series';
+
+// Remove sessions taken out of a series. Those people signed up for are cancelled instead (which
+// tells the volunteers) and kept as one-off sessions.
+// Returns { removed, cancelledIds, notifications, reason }; the caller emits the notifications after commit.
+const removeSeriesSessions = async (tx, where, { actorId, reason }) => {
+  const sessions = await tx.eventInstance.findMany({
+    where,
+    select: {
+      id: true,
+      status: true,
+      _count: { select: { signups: { where: { status: { not: 'CANCELLED' } } } } }
+    }
+  });
+
+  const signedUp = sessions.filter(session => session._count.signups > 0);
+  const unused = sessions.filter(session => session._count.signups === 0);
+  const cancelledIds = [];
+  const notifications = [];
+
+  for (const session of signedUp) {
+    if (session.status !== 'CANCELLED') {
+      const result = await cancelSession(tx, session.id, { actorId, reason });
+      cancelledIds.push(session.id);
+      notifications.push(...result.notifications);
+    }
+    await tx.eventInstance.update({
+      where: { id: session.id },
+      data: { isDetached: true }
+    });
+  }
+
+  // Only cancelled signups are left on these; their hours are already off the ledger
+  const unusedIds = unused.map(session => session.id);
+  await syncRemovedSignupsHours(tx, { instanceId: { in: unusedIds } }, { actorId, reason: 'Session deleted' });
+  await tx.eventInstance.deleteMany({ where: { id: { in: unusedIds } } });
+
+  return { removed: unused.length, cancelledIds, notifications, reason };
+};
+
+// Take one session out of its series; see removeSeriesSessions for what is returned
+export const removeRecurringSession = async (tx, instance, { actorId = null } = {}) => {
+  await addRecurrenceException(tx, instance);
+  return removeSeriesSessions(tx, { id: instance.id }, { actorId, reason: SESSION_REMOVED_REASON });
+};
+
+// End a series at an occurrence, removing the generated sessions from there on (see removeSeriesSessions)
+export const endRecurrenceAt = async (tx, recurrenceRule, cutoff, { actorId = null } = {}) => {
+  // Detached sessions were edited individually and are kept
+  const result = await removeSeriesSessions(tx, {
+    recurrenceRuleId: recurrenceRule.id,
+    recurrenceId: { gte: cutoff },
+    isDetached: false
+  }, { actorId, reason: SERIES_ENDED_REASON });
+
+  if (cutoff.getTime() <= recurrenceRule.startDate.getTime()) {
+    await tx.recurrenceRule.delete({ where: { id: recurrenceRule.id } });
+  } else {
+    const timeZone = await getEventTimezone(tx, recurrenceRule.eventId);
+    const occurrencesBefore = recurrenceRule.count ? countOccurrencesBefore(recurrenceRule, cutoff, timeZone) : null;
+
+    await tx.recurrenceRule.update({
+      where: { id: recurrenceRule.id },
+      data: {
+        until: occurrencesBefore ? null : new Date(cutoff.getTime() - 1000),
+        count: occurrencesBefore,
+        exceptionDates: recurrenceRule.exceptionDates.filter(date => date < cutoff)
+      }
+    });
+  }
+
+  return result;
+};
+
+// End every series of an event from its next upcoming occurrence
+export const endEventRecurrences = async (tx, eventId, { actorId = null, now = new Date() } = {}) => {
+  const recurrenceRules = await tx.recurrenceRule.findMany({ where: { eventId } });
+  const timeZone = await getEventTimezone(tx, eventId);
+
+  const totals = { removed: 0, cancelledIds: [], notifications: [], reason: SERIES_ENDED_REASON };
+  for (const recurrenceRule of recurrenceRules) {
+    const cutoff = findUpcomingOccurrence(recurrenceRule, timeZone, now);
+    if (cutoff) {
+      const result = await endRecurrenceAt(tx, recurrenceRule, cutoff, { actorId });
+      totals.removed += result.removed;
+      totals.cancelledIds.push(...result.cancelledIds);
+      totals.notifications.push(...result.notifications);
+    }
+  }
+
+  return totals;
+};
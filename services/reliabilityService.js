@@ -0,0 +1,109 @@
+// Attendance outcomes and the policies built on them. Volunteers with repeated no-shows can be
+// kept from signing up for a while and are offered waitlist spots after everyone else.
+// Policies are set through the environment; a threshold of 0 turns that policy off.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+export const getReliabilityPolicy = () => ({
+  windowDays: readSetting('NO_SHOW_WINDOW_DAYS', 180), // How far back no-shows count
+  restrictAfter: readSetting('NO_SHOW_RESTRICT_AFTER', 3), // No-shows in the window before signups are paused
+  restrictDays: readSetting('NO_SHOW_RESTRICT_DAYS', 30), // Pause length, from the latest no-show
+  deprioritizeAfter: readSetting('NO_SHOW_WAITLIST_AFTER', 2) // No-shows in the window before waitlist spots come last
+});
+
+const getWindowStart = (policy, now) => new Date(now.getTime() - policy.windowDays * DAY_MS);
+
+const findRecentNoShows = (client, userId, policy, now) => {
+  return client.userEventSignup.findMany({
+    where: {
+      userId,
+      attendanceOutcome: 'NO_SHOW',
+      attendanceRecordedAt: { gte: getWindowStart(policy, now) }
+    },
+    select: { attendanceRecordedAt: true },
+    orderBy: { attendanceRecordedAt: 'desc' }
+  });
+};
+
+const getRestrictedUntil = (noShows, policy, now) => {
+  if (policy.restrictAfter <= 0 || noShows.length < policy.restrictAfter) return null;
+  const restrictedUntil = new Date(noShows[0].attendanceRecordedAt.getTime() + policy.restrictDays * DAY_MS);
+  return restrictedUntil > now ? restrictedUntil : null;
+};
+
+// When a user's signups are paused until, or null if they may sign up
+export const getSignupRestriction = async (client, userId, now = new Date()) => {
+  const policy = getReliabilityPolicy();
+  if (policy.restrictAfter <= 0) return null;
+
+  const noShows = await findRecentNoShows(client, userId, policy, now);
+  return getRestrictedUntil(noShows, policy, now);
+};
+
+// Which of the given users wait behind everyone else on waitlists
+export const findDeprioritizedUserIds = async (client, userIds, now = new Date()) => {
+  const policy = getReliabilityPolicy();
+  if (policy.deprioritizeAfter <= 0 || userIds.length === 0) return new Set();
+
+  const counts = await client.userEventSignup.groupBy({
+    by: ['userId'],
+    where: {
+      userId: { in: userIds },
+      attendanceOutcome: 'NO_SHOW',
+      attendanceRecordedAt: { gte: getWindowStart(policy, now) }
+    },
+    _count: { _all: true }
+  });
+
+  return new Set(counts
+    .filter(count => count._count._all >= policy.deprioritizeAfter)
+    .map(count => count.userId));
+};
+
+// A user's attendance record: outcome counts, a score, the policies that currently apply and the history.
+// The score is the share of sessions attended out of those not excused; null until there is a record.
+export const getReliabilitySummary = async (client, userId, now = new Date()) => {
+  const policy = getReliabilityPolicy();
+
+  const signups = await client.userEventSignup.findMany({
+    where: {
+      userId,
+      attendanceOutcome: { not: null }
+    },
+    include: {
+      event: { select: { id: true, title: true } },
+      instance: { select: { id: true, startDate: true } }
+    },
+    orderBy: { attendanceRecordedAt: 'desc' }
+  });
+
+  const counts = { ATTENDED: 0, NO_SHOW: 0, LATE_CANCEL: 0, EXCUSED: 0 };
+  for (const signup of signups) {
+    counts[signup.attendanceOutcome]++;
+  }
+
+  const counted = counts.ATTENDED + counts.NO_SHOW + counts.LATE_CANCEL;
+  const windowStart = getWindowStart(policy, now);
+  const recentNoShows = signups.filter(signup => signup.attendanceOutcome === 'NO_SHOW' && signup.attendanceRecordedAt >= windowStart);
+
+  return {
+    counts,
+    score: counted > 0 ? Math.round((counts.ATTENDED / counted) * 100) : null,
+    recentNoShows: recentNoShows.length,
+    restrictedUntil: getRestrictedUntil(recentNoShows, policy, now),
+    waitlistDeprioritized: policy.deprioritizeAfter > 0 && recentNoShows.length >= policy.deprioritizeAfter,
+    policy,
+    history: signups.map(signup => ({
+      signupId: signup.id,
+      outcome: signup.attendanceOutcome,
+      recordedAt: signup.attendanceRecordedAt,
+      event: signup.event,
+      instance: signup.instance
+    }))
+  };
+};
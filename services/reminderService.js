@@ -0,0 +1,63 @@
+const MINUTE_MS = 60 * 1000;
+
+// Used when neither the session nor its event configures reminders
+export const DEFAULT_REMINDER_OFFSETS = [1440];
+
+// Furthest ahead a reminder can be configured (matches reminderOffsetsSchema)
+export const MAX_REMINDER_OFFSET_MINUTES = 30 * 24 * 60;
+
+// Human readable offset, e.g. 10080 -> "7 days", 1440 -> "24 hours", 30 -> "30 minutes"
+export const formatReminderOffset = (minutes) => {
+  if (minutes > 1440 && minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `${days} day${days !== 1 ? 's' : ''}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours !== 1 ? 's' : ''}`;
+  }
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+};
+
+// Session offsets override the event's; both fall back to the default
+export const getReminderOffsets = (instance, event) => {
+  if (instance.reminderOffsets?.length > 0) return instance.reminderOffsets;
+  if (event?.reminderOffsets?.length > 0) return event.reminderOffsets;
+  return DEFAULT_REMINDER_OFFSETS;
+};
+
+// The reminder due now: the smallest offset whose send time has passed.
+// Larger offsets that were missed (e.g. during downtime) are not sent late.
+export const getDueReminderOffset = (offsets, startDate, now = new Date()) => {
+  const due = offsets.filter(offset => now.getTime() >= startDate.getTime() - offset * MINUTE_MS);
+  return due.length > 0 ? Math.min(...due) : null;
+};
+
+// Whether a user's preferences include a reminder offset (no selection means all)
+export const wantsReminderOffset = (preferences, offsetMinutes) => {
+  if (!preferences?.reminderOffsets?.length) return true;
+  return preferences.reminderOffsets.includes(offsetMinutes);
+};
+
+// Record a reminder in the delivery ledger. Returns false when it was already delivered,
+// so concurrent workers never send the same reminder twice.
+export const claimReminderDelivery = async (client, { instanceId, userId, offsetMinutes, channel }) => {
+  const { count } = await client.reminderDelivery.createMany({
+    data: [{ instanceId, userId, offsetMinutes, channel }],
+    skipDuplicates: true
+  });
+  return count > 0;
+};
+
+// Update the outcome of a claimed delivery
+export const markReminderDelivery = async (client, { instanceId, userId, offsetMinutes, channel }, status, error = null) => {
+  await client.reminderDelivery.update({
+    where: {
+      instanceId_userId_offsetMinutes_channel: { instanceId, userId, offsetMinutes, channel }
+    },
+    data: {
+      status,
+      error: error ? String(error).slice(0, 500) : null
+    }
+  });
+};
@@ -0,0 +1,226 @@
+import { createNotification } from './notificationService.js';
+import { sendSessionRescheduledEmail } from './emailService.js';
+import { syncSignupHours } from './hoursService.js';
+
+// Rescheduling and postponing sessions. Volunteers confirmed for the old time keep their spot
+// until they release it or the response window closes; the spot then goes to the waitlist.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Default time volunteers get to reconfirm
+export const getRescheduleResponseHours = () => parseInt(process.env.RESCHEDULE_RESPONSE_HOURS) || 48;
+
+// The response window, but never later than the new start time
+export const getRespondBy = (newStartDate, responseHours = getRescheduleResponseHours(), now = new Date()) => {
+  const deadline = new Date(now.getTime() + responseHours * HOUR_MS);
+  return newStartDate && newStartDate < deadline ? newStartDate : deadline;
+};
+
+// Without an explicit end, the session keeps its original length
+const getNewEndDate = (instance, startDate, endDate) => {
+  if (endDate) return endDate;
+  if (!instance.startDate || !instance.endDate) return null;
+  return new Date(startDate.getTime() + (instance.endDate.getTime() - instance.startDate.getTime()));
+};
+
+// Move a session (or postpone it when no startDate is given), record the change and ask
+// every confirmed volunteer to reconfirm. Waitlisted volunteers are told about the change.
+// Returns { reschedule, instance, notifications } so the caller can emit socket events.
+export const rescheduleSession = async (tx, instance, { startDate, endDate, location, reason, responseHours }, actorId) => {
+  const isPostponed = !startDate;
+  const newLocation = location !== undefined ? (location || null) : instance.location;
+  const newEndDate = isPostponed ? null : getNewEndDate(instance, startDate, endDate);
+
+  // Requests from an earlier reschedule are replaced by this one
+  await tx.rescheduleResponse.updateMany({
+    where: {
+      status: 'PENDING',
+      reschedule: { instanceId: instance.id }
+    },
+    data: { status: 'SUPERSEDED' }
+  });
+
+  const reschedule = await tx.sessionReschedule.create({
+    data: {
+      instanceId: instance.id,
+      originalStartDate: instance.startDate,
+      originalEndDate: instance.endDate,
+      originalLocation: instance.location,
+      newStartDate: startDate || null,
+      newEndDate,
+      newLocation,
+      reason: reason || null,
+      respondBy: getRespondBy(startDate, responseHours),
+      createdBy: actorId
+    }
+  });
+
+  // Postponed sessions keep their old time until a new one is set
+  const updatedInstance = await tx.eventInstance.update({
+    where: { id: instance.id },
+    data: isPostponed
+      ? { status: 'POSTPONED', location: newLocation }
+      : { status: 'ACTIVE', startDate, endDate: newEndDate, location: newLocation },
+    include: {
+      event: {
+        select: {
+          id: true,
+          title: true,
+          description: true
+        }
+      }
+    }
+  });
+
+  // Reminders already sent were for the old time
+  await tx.reminderDelivery.deleteMany({
+    where: { instanceId: instance.id }
+  });
+
+  const signups = await tx.userEventSignup.findMany({
+    where: {
+      instanceId: instance.id,
+      status: { in: ['CONFIRMED', 'WAITLIST', 'WAITLIST_PENDING'] }
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      }
+    }
+  });
+
+  const title = updatedInstance.event.title;
+  const notifications = [];
+
+  for (const signup of signups) {
+    const needsResponse = signup.status === 'CONFIRMED';
+
+    if (needsResponse) {
+      await tx.rescheduleResponse.create({
+        data: {
+          rescheduleId: reschedule.id,
+          userId: signup.userId
+        }
+      });
+    }
+
+    notifications.push(...await createNotification(tx, {
+      userId: signup.userId,
+      title: isPostponed ? 'Session Postponed' : 'Session Rescheduled',
+      description: `${isPostponed ? `The session "${title}" has been postponed.` : `The session "${title}" has moved to a new time.`}${reason ? ` Reason: ${reason}` : ''}${needsResponse ? ' Please confirm or release your spot on the session details page.' : ''}`,
+      type: 'WARNING',
+      sessionId: instance.id
+    }));
+
+    await sendSessionRescheduledEmail(tx, signup.user, updatedInstance, reschedule, { needsResponse });
+  }
+
+  return { reschedule, instance: updatedInstance, notifications };
+};
+
+// Give up a confirmed spot the same way cancelling a signup does.
+// Returns the removed signup (with the user's role) so the caller can offer the spot to the waitlist.
+const releaseSpot = async (tx, instanceId, userId) => {
+  const signup = await tx.userEventSignup.findUnique({
+    where: { userId_instanceId: { userId, instanceId } },
+    include: {
+      user: { select: { id: true, name: true, role: true } }
+    }
+  });
+
+  if (!signup || signup.status !== 'CONFIRMED') return null;
+
+  await syncSignupHours(tx, signup.id, { actorId: userId, removed: true });
+  await tx.userEventSignup.delete({
+    where: { id: signup.id }
+  });
+
+  return signup;
+};
+
+// Answer the latest reconfirmation request for a session: keep the spot or release it
+export const respondToReschedule = async (tx, { instanceId, userId, keepSpot }, now = new Date()) => {
+  const response = await tx.rescheduleResponse.findFirst({
+    where: {
+      userId,
+      status: 'PENDING',
+      reschedule: { instanceId }
+    },
+    include: { reschedule: true }
+  });
+
+  if (!response) {
+    throw new Error('No pending reconfirmation found');
+  }
+
+  if (response.reschedule.respondBy < now) {
+    throw new Error('Reconfirmation period has expired');
+  }
+
+  const updatedResponse = await tx.rescheduleResponse.update({
+    where: { id: response.id },
+    data: {
+      status: keepSpot ? 'CONFIRMED' : 'RELEASED',
+      respondedAt: now
+    }
+  });
+
+  const releasedSignup = keepSpot ? null : await releaseSpot(tx, instanceId, userId);
+
+  return { response: updatedResponse, releasedSignup };
+};
+
+// Reconfirmation requests whose window has closed. Cancelled and completed sessions are left alone.
+export const findExpiredRescheduleResponses = (client, now = new Date()) => {
+  return client.rescheduleResponse.findMany({
+    where: {
+      status: 'PENDING',
+      reschedule: {
+        respondBy: { lte: now },
+        instance: { status: { in: ['ACTIVE', 'POSTPONED'] } }
+      }
+    },
+    include: {
+      reschedule: {
+        include: {
+          instance: {
+            select: {
+              id: true,
+              event: { select: { title: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+};
+
+// Release the spot of a volunteer who did not answer in time.
+// Returns { releasedSignup, notifications }; releasedSignup is null if it was already handled.
+export const expireRescheduleResponse = async (tx, response) => {
+  const { count } = await tx.rescheduleResponse.updateMany({
+    where: { id: response.id, status: 'PENDING' },
+    data: { status: 'EXPIRED' }
+  });
+  if (count === 0) return { releasedSignup: null, notifications: [] };
+
+  const { instance } = response.reschedule;
+  const releasedSignup = await releaseSpot(tx, instance.id, response.userId);
+
+  const notifications = [];
+  if (releasedSignup) {
+    notifications.push(...await createNotification(tx, {
+      userId: response.userId,
+      title: 'Spot Released',
+      description: `You did not reconfirm your spot for the rescheduled session "${instance.event.title}" in time, so it has been released.`,
+      type: 'WARNING',
+      sessionId: instance.id
+    }));
+  }
+
+  return { releasedSignup, notifications };
+};
@@ -0,0 +1,293 @@
+import XLSX from 'xlsx';
+import { getAnswerColumns } from './signupQuestionService.js';
+import { getWaitlistPositions } from './waitlistService.js';
+import { getDefaultTimezone, formatInTimezone } from '../utils/dateUtils.js';
+
+// Session rosters for coordinators: who is confirmed, who is waiting, how to reach them,
+// and a printable sign-in sheet with signature and time columns. Times are shown in the roster's
+// timeZone, the zone of whoever requested it.
+
+const formatDateTime = (date, timeZone) => {
+  return formatInTimezone(date, timeZone, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+const formatTime = (date, timeZone) => {
+  return formatInTimezone(date, timeZone, {
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// Spreadsheet apps run cells that start with these as formulas; names and answers are typed by volunteers
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value) => {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+};
+
+const escapeFormulas = (row) => {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [escapeFormula(key), escapeFormula(value)]));
+};
+
+const formatGuardians = (guardians) => {
+  return guardians.map(guardian => `${guardian.name}${guardian.phone ? ` (${guardian.phone})` : ''}`).join('; ');
+};
+
+// Load a session with its signups, split into confirmed students, confirmed parents and the waitlist.
+// Waitlist positions are per role, in offer order, as in /api/signups/waitlist-position.
+export const buildSessionRoster = async (client, instanceId, timeZone = getDefaultTimezone()) => {
+  const instance = await client.eventInstance.findUnique({
+    where: { id: instanceId },
+    include: {
+      event: {
+        select: {
+          id: true,
+          title: true,
+          category: true,
+          chapters: true,
+          questions: {
+            orderBy: { position: 'asc' }
+          }
+        }
+      },
+      signups: {
+        where: {
+          status: { not: 'CANCELLED' }
+        },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              phone: true,
+              role: true,
+              guardianLinks: {
+                where: { status: 'ACCEPTED' },
+                select: {
+                  parent: {
+                    select: {
+                      name: true,
+                      phone: true,
+                      email: true
+                    }
+                  }
+                }
+              }
+            }
+          },
+          answers: true
+        },
+        orderBy: { signupDate: 'asc' }
+      }
+    }
+  });
+
+  if (!instance) return null;
+
+  const { event, signups, ...session } = instance;
+  const waitlistPositions = await getWaitlistPositions(client, instanceId);
+
+  const toEntry = (signup) => {
+    const isWaitlisted = signup.status !== 'CONFIRMED';
+    return {
+      signupId: signup.id,
+      userId: signup.user.id,
+      name: signup.user.name,
+      email: signup.user.email,
+      phone: signup.user.phone,
+      role: signup.user.role,
+      status: signup.status,
+      waitlistPosition: isWaitlisted ? waitlistPositions[signup.id] || null : null,
+      signupDate: signup.signupDate,
+      checkedInAt: signup.checkedInAt,
+      checkedOutAt: signup.checkedOutAt,
+      attendanceOutcome: signup.attendanceOutcome,
+      guardians: signup.user.guardianLinks.map(link => link.parent),
+      answers: getAnswerColumns(event.questions, signup.answers)
+    };
+  };
+
+  const entries = signups.map(toEntry);
+  const confirmed = entries.filter(entry => entry.status === 'CONFIRMED');
+
+  return {
+    event: {
+      id: event.id,
+      title: event.title,
+      category: event.category,
+      chapters: event.chapters
+    },
+    session: {
+      id: session.id,
+      startDate: session.startDate,
+      endDate: session.endDate,
+      location: session.location,
+      hours: session.hours,
+      status: session.status,
+      studentCapacity: session.studentCapacity,
+      parentCapacity: session.parentCapacity
+    },
+    students: confirmed.filter(entry => entry.role === 'STUDENT'),
+    parents: confirmed.filter(entry => entry.role === 'PARENT'),
+    waitlist: entries
+      .filter(entry => entry.status !== 'CONFIRMED')
+      .sort((a, b) => (a.role === 'STUDENT' ? 0 : 1) - (b.role === 'STUDENT' ? 0 : 1) || a.waitlistPosition - b.waitlistPosition),
+    timeZone,
+    generatedAt: new Date()
+  };
+};
+
+// One row per person for CSV and XLSX, with blank signature and time columns for the sign-in desk.
+// Cells that a spreadsheet would read as a formula are prefixed with a quote.
+export const getRosterRows = (roster) => {
+  const toRow = (section) => (entry, index) => escapeFormulas({
+    'Section': section,
+    '#': entry.waitlistPosition || index + 1,
+    'Name': entry.name,
+    'Role': entry.role,
+    'Phone': entry.phone || '',
+    'Email': entry.email,
+    'Guardians': formatGuardians(entry.guardians),
+    'Status': entry.status,
+    'Checked In': formatTime(entry.checkedInAt, roster.timeZone),
+    'Checked Out': formatTime(entry.checkedOutAt, roster.timeZone),
+    'Attendance': entry.attendanceOutcome || '',
+    ...entry.answers,
+    'Time In': '',
+    'Time Out': '',
+    'Signature': ''
+  });
+
+  return [
+    ...roster.students.map(toRow('Students')),
+    ...roster.parents.map(toRow('Parents')),
+    ...roster.waitlist.map(toRow('Waitlist'))
+  ];
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const renderRosterCsv = (roster) => {
+  const rows = getRosterRows(roster);
+  const headers = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+  if (headers.length === 0) headers.push('Section', '#', 'Name', 'Role', 'Phone', 'Email');
+
+  return [
+    headers.map(escapeCsvValue).join(','),
+    ...rows.map(row => headers.map(header => escapeCsvValue(row[header])).join(','))
+  ].join('\r\n');
+};
+
+export const renderRosterXlsx = (roster) => {
+  const workbook = XLSX.utils.book_new();
+
+  const summary = XLSX.utils.json_to_sheet([escapeFormulas({
+    'Event': roster.event.title,
+    'Session': formatDateTime(roster.session.startDate, roster.timeZone) || 'TBD',
+    'Location': roster.session.location || 'TBD',
+    'Students': `${roster.students.length} / ${roster.session.studentCapacity}`,
+    'Parents': `${roster.parents.length} / ${roster.session.parentCapacity}`,
+    'Waitlist': roster.waitlist.length,
+    'Generated': formatDateTime(roster.generatedAt, roster.timeZone)
+  })]);
+  XLSX.utils.book_append_sheet(workbook, summary, 'Session');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(getRosterRows(roster)), 'Roster');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+// Sign-in sheet columns: [header, width, value]
+const SIGN_IN_COLUMNS = [
+  ['#', 25, (entry, index) => String(entry.waitlistPosition || index + 1)],
+  ['Name', 140, entry => entry.name],
+  ['Phone', 95, entry => entry.phone || ''],
+  ['Guardian contact', 140, entry => formatGuardians(entry.guardians)],
+  ['Time In', 60, () => ''],
+  ['Time Out', 60, () => ''],
+  ['Signature', 125, () => '']
+];
+const ROW_HEIGHT = 24;
+
+// Draw the sign-in sheet on a pdfkit document (landscape letter fits the columns above)
+export const renderRosterPdf = (doc, roster) => {
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const tableWidth = SIGN_IN_COLUMNS.reduce((sum, [, width]) => sum + width, 0);
+
+  const drawTitle = () => {
+    doc.fontSize(18)
+       .font('Helvetica-Bold')
+       .fillColor('#111827')
+       .text(`${roster.event.title} - Sign-in Sheet`, left, doc.page.margins.top);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#374151')
+       .text(`${formatDateTime(roster.session.startDate, roster.timeZone) || 'Date TBD'}  |  ${roster.session.location || 'Location TBD'}  |  ${roster.session.hours} hours`)
+       .text(`Students ${roster.students.length}/${roster.session.studentCapacity}  |  Parents ${roster.parents.length}/${roster.session.parentCapacity}  |  Waitlist ${roster.waitlist.length}  |  Printed ${formatDateTime(roster.generatedAt, roster.timeZone)}`);
+    doc.moveDown();
+  };
+
+  const drawRow = (values, { header = false } = {}) => {
+    if (doc.y + ROW_HEIGHT > bottom()) {
+      doc.addPage();
+      drawTitle();
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.fontSize(9).font(header ? 'Helvetica-Bold' : 'Helvetica').fillColor('#111827');
+
+    SIGN_IN_COLUMNS.forEach(([, width], column) => {
+      if (header) {
+        doc.rect(x, y, width, ROW_HEIGHT).fillAndStroke('#F3F4F6', '#9CA3AF');
+        doc.fillColor('#111827');
+      } else {
+        doc.rect(x, y, width, ROW_HEIGHT).lineWidth(0.5).stroke('#9CA3AF');
+      }
+      doc.text(values[column], x + 4, y + 8, { width: width - 8, height: ROW_HEIGHT - 8, ellipsis: true, lineBreak: false });
+      x += width;
+    });
+
+    doc.x = left;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawSection = (title, entries) => {
+    if (doc.y + ROW_HEIGHT * 3 > bottom()) {
+      doc.addPage();
+      drawTitle();
+    }
+
+    doc.moveDown(0.5)
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#D97706')
+       .text(`${title} (${entries.length})`, left, doc.y, { width: tableWidth });
+    doc.moveDown(0.3);
+
+    drawRow(SIGN_IN_COLUMNS.map(([header]) => header), { header: true });
+    if (entries.length === 0) {
+      drawRow(['', 'None', '', '', '', '', '']);
+    }
+    entries.forEach((entry, index) => {
+      drawRow(SIGN_IN_COLUMNS.map(([, , getValue]) => getValue(entry, index)));
+    });
+  };
+
+  drawTitle();
+  drawSection('Students', roster.students);
+  drawSection('Parents', roster.parents);
+  drawSection('Waitlist (in order)', roster.waitlist);
+};
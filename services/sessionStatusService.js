@@ -0,0 +1,68 @@
+import { createNotification } from './notificationService.js';
+import { sendSessionCancellationEmail } from './emailService.js';
+import { queueSms, createCancellationSms } from './smsService.js';
+import { withdrawWaitlistOffers } from './waitlistService.js';
+import { getUserTimezone } from './timezoneService.js';
+
+// Cancelling a session keeps it and its signups for the record. Confirmed volunteers are told by
+// notification, email and text, and pending waitlist offers go back in the queue.
+
+// Cancel a session; the admin who cancelled it (actorId) is not notified.
+// Returns { instance, notifications } so the caller can emit socket events after commit.
+export const cancelSession = async (tx, instanceId, { actorId = null, reason, now = new Date() } = {}) => {
+  const instance = await tx.eventInstance.update({
+    where: { id: instanceId },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: now,
+      cancelledBy: actorId
+    },
+    include: {
+      event: {
+        select: {
+          id: true,
+          title: true
+        }
+      },
+      signups: {
+        where: { status: 'CONFIRMED' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Move all WAITLIST_PENDING users back to WAITLIST so their offers do not expire
+  await withdrawWaitlistOffers(tx, instanceId);
+
+  const notifications = [];
+
+  for (const signup of instance.signups.filter(signup => signup.userId !== actorId)) {
+    notifications.push(...await createNotification(tx, {
+      userId: signup.userId,
+      title: 'Session Cancelled',
+      description: `The session "${instance.event.title}" has been cancelled by an administrator.${reason ? ` Reason: ${reason}` : ''}`,
+      type: 'WARNING',
+      sessionId: instanceId
+    }));
+
+    // The updated instance carries the new revision, so calendars accept the cancellation
+    await sendSessionCancellationEmail(tx, signup.user, instance, reason);
+    await queueSms(tx, {
+      userId: signup.userId,
+      purpose: 'CANCELLATION',
+      body: createCancellationSms(instance, reason, await getUserTimezone(tx, signup.user))
+    });
+  }
+
+  const { signups, ...cancelledInstance } = instance;
+  return { instance: cancelledInstance, notifications };
+};
@@ -0,0 +1,101 @@
+import { createNotification } from './notificationService.js';
+
+// Signup windows and late cancellations. Sessions can open and close signups at set times,
+// and volunteers who give up a confirmed spot inside the cancellation cutoff keep a cancelled
+// signup flagged as late (instead of it being deleted) so coordinators can follow up.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cutoff for sessions that do not set their own; unset means no cutoff
+const getDefaultCancelCutoffHours = () => {
+  const hours = parseInt(process.env.LATE_CANCEL_HOURS);
+  return Number.isNaN(hours) ? null : hours;
+};
+
+// Error message for a signup attempt outside the session's window, or null when signups are open
+export const getSignupWindowError = (instance, now = new Date()) => {
+  if (instance.signupOpensAt && now < instance.signupOpensAt) return 'Signups are not open yet';
+  if (instance.signupClosesAt && now >= instance.signupClosesAt) return 'Signups are closed';
+  return null;
+};
+
+// When cancelling starts to count as late, or null for sessions without a date or cutoff
+export const getCancelCutoff = (instance) => {
+  const hours = instance.cancelCutoffHours ?? getDefaultCancelCutoffHours();
+  if (!instance.startDate || hours === null) return null;
+  return new Date(instance.startDate.getTime() - hours * HOUR_MS);
+};
+
+export const hasSessionStarted = (instance, now = new Date()) => Boolean(instance.startDate && instance.startDate <= now);
+
+// Only confirmed spots matter; leaving the waitlist late frees nothing anyone was counting on
+export const isLateCancellation = (signup, instance, now = new Date()) => {
+  const cutoff = getCancelCutoff(instance);
+  return signup.status === 'CONFIRMED' && Boolean(cutoff) && now >= cutoff;
+};
+
+// Chapter coordinators of the event's chapters, or whoever created the event when there are none
+const findSessionCoordinatorIds = async (client, instanceId) => {
+  const instance = await client.eventInstance.findUnique({
+    where: { id: instanceId },
+    select: {
+      event: {
+        select: {
+          createdBy: true,
+          chapterRecords: {
+            select: {
+              coordinators: { select: { id: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+  if (!instance) return [];
+
+  const coordinatorIds = instance.event.chapterRecords.flatMap(chapter => chapter.coordinators.map(coordinator => coordinator.id));
+  return coordinatorIds.length > 0 ? [...new Set(coordinatorIds)] : [instance.event.createdBy];
+};
+
+// Tell the session's coordinators that a volunteer cancelled late.
+// The signup needs user.name, event.title and instanceId. Returns the notifications for the
+// caller to emit after commit.
+export const notifyLateCancellation = async (tx, signup) => {
+  const coordinatorIds = await findSessionCoordinatorIds(tx, signup.instanceId);
+  const notifications = [];
+
+  for (const coordinatorId of coordinatorIds) {
+    notifications.push(...await createNotification(tx, {
+      userId: coordinatorId,
+      title: 'Late Cancellation',
+      description: `${signup.user.name} cancelled their spot for "${signup.event.title}" after the cancellation cutoff.`,
+      type: 'WARNING',
+      sessionId: signup.instanceId
+    }));
+  }
+
+  return notifications;
+};
+
+// Mark a confirmed signup as late-cancelled and let the session's coordinators know.
+// Returns { signup, notifications }; emit the notifications after commit.
+export const recordLateCancellation = async (tx, signup, now = new Date()) => {
+  const updatedSignup = await tx.userEventSignup.update({
+    where: { id: signup.id },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: now,
+      lateCancellation: true,
+      attendanceOutcome: 'LATE_CANCEL',
+      attendanceRecordedAt: now
+    },
+    include: {
+      user: { select: { id: true, name: true, role: true } },
+      event: { select: { id: true, title: true } }
+    }
+  });
+
+  const notifications = await notifyLateCancellation(tx, updatedSignup);
+
+  return { signup: updatedSignup, notifications };
+};
@@ -0,0 +1,115 @@
+import { buildSignupAnswersSchema } from '../validation/schemas.js';
+
+// Questions currently on an event's signup form, in display order
+export const getActiveQuestions = (client, eventId) => {
+  return client.signupQuestion.findMany({
+    where: { eventId, archivedAt: null },
+    orderBy: { position: 'asc' }
+  });
+};
+
+const isEmptyAnswer = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Check submitted answers against the event's questions.
+// Returns { answers: [{ questionId, value }], error } with unanswered optional questions left out.
+export const validateSignupAnswers = (questions, submitted = {}) => {
+  const { error, value } = buildSignupAnswersSchema(questions).validate(submitted);
+  if (error) {
+    return { answers: [], error: error.details[0].message };
+  }
+
+  const answers = questions
+    .filter(question => !isEmptyAnswer(value[question.id]))
+    .map(question => ({ questionId: question.id, value: value[question.id] }));
+
+  return { answers, error: null };
+};
+
+// Store a signup's answers; signing up again after cancelling replaces the previous answers
+export const saveSignupAnswers = async (tx, signupId, answers) => {
+  await tx.signupAnswer.deleteMany({
+    where: {
+      signupId,
+      questionId: { notIn: answers.map(answer => answer.questionId) },
+      question: { archivedAt: null }
+    }
+  });
+
+  for (const { questionId, value } of answers) {
+    await tx.signupAnswer.upsert({
+      where: { signupId_questionId: { signupId, questionId } },
+      create: { signupId, questionId, value },
+      update: { value }
+    });
+  }
+};
+
+// Replace an event's form with the submitted list (array order is display order).
+// Questions that already have answers are archived rather than deleted, and changing the
+// type of an answered question archives it and starts a new one, so stored answers keep
+// matching their question.
+export const replaceEventQuestions = async (tx, eventId, questions) => {
+  const existing = await tx.signupQuestion.findMany({
+    where: { eventId, archivedAt: null },
+    include: { _count: { select: { answers: true } } }
+  });
+
+  const now = new Date();
+  const keptIds = new Set();
+
+  for (const [position, question] of questions.entries()) {
+    const { id, ...fields } = question;
+    const data = { ...fields, position };
+
+    if (!id) {
+      await tx.signupQuestion.create({ data: { ...data, eventId } });
+      continue;
+    }
+
+    const current = existing.find(candidate => candidate.id === id);
+    if (!current) {
+      throw new Error('Signup question not found');
+    }
+
+    if (current.type !== data.type && current._count.answers > 0) {
+      await tx.signupQuestion.update({ where: { id }, data: { archivedAt: now } });
+      await tx.signupQuestion.create({ data: { ...data, eventId } });
+    } else {
+      await tx.signupQuestion.update({ where: { id }, data });
+    }
+    keptIds.add(id);
+  }
+
+  for (const question of existing) {
+    if (keptIds.has(question.id)) continue;
+
+    if (question._count.answers > 0) {
+      await tx.signupQuestion.update({ where: { id: question.id }, data: { archivedAt: now } });
+    } else {
+      await tx.signupQuestion.delete({ where: { id: question.id } });
+    }
+  }
+
+  return getActiveQuestions(tx, eventId);
+};
+
+// Answer as plain text for spreadsheets and printed rosters
+export const formatAnswer = (question, value) => {
+  if (isEmptyAnswer(value)) return '';
+  if (question.type === 'BOOLEAN') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// { [question label]: formatted answer } for one signup, in form order.
+// Archived questions are included when the signup answered them.
+export const getAnswerColumns = (questions, answers) => {
+  const columns = {};
+  for (const question of questions) {
+    const answer = answers.find(candidate => candidate.questionId === question.id);
+    if (question.archivedAt && !answer) continue;
+    columns[question.label] = formatAnswer(question, answer?.value);
+  }
+  return columns;
+};
@@ -0,0 +1,286 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { enqueueJob } from './jobQueue.js';
+import { formatInTimezone } from '../utils/dateUtils.js';
+
+// Texts are kept short; a single SMS segment holds 160 characters
+const MAX_SMS_LENGTH = 320;
+const VERIFICATION_CODE_TTL_MINUTES = 10;
+
+// Replies that carriers treat as opt-out / opt-in keywords
+export const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+export const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+export const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+// Purposes that go out even when the user has not opted in to text notifications
+const TRANSACTIONAL_PURPOSES = ['VERIFICATION'];
+
+// Helper function to format date for texts in the recipient's timezone
+const formatShortDate = (date, timeZone) => {
+  return formatInTimezone(date, timeZone, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+// Normalize a phone number to E.164. Ten digit numbers are treated as US numbers.
+export const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (trimmed.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+};
+
+// Transports deliver a single message and return the provider's id for it.
+// Development uses the console or a local file instead of a real provider.
+const transports = {
+  console: {
+    send: async ({ to, body }) => {
+      console.log(`📱 SMS to ${to}: ${body}`);
+      return { providerMessageId: `console-${crypto.randomUUID()}`, status: 'DELIVERED' };
+    }
+  },
+
+  file: {
+    send: async ({ to, body, purpose }) => {
+      const providerMessageId = `file-${crypto.randomUUID()}`;
+      const line = JSON.stringify({ id: providerMessageId, to, body, purpose, sentAt: new Date().toISOString() });
+      await fs.appendFile(process.env.SMS_FILE_PATH || 'sms-outbox.log', `${line}\n`);
+      return { providerMessageId, status: 'DELIVERED' };
+    }
+  },
+
+  twilio: {
+    send: async ({ to, body }) => {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const params = new URLSearchParams({ To: to, Body: body });
+
+      if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+        params.set('MessagingServiceSid', process.env.TWILIO_MESSAGING_SERVICE_SID);
+      } else {
+        params.set('From', process.env.TWILIO_FROM_NUMBER);
+      }
+      if (process.env.SMS_WEBHOOK_BASE_URL) {
+        params.set('StatusCallback', `${process.env.SMS_WEBHOOK_BASE_URL}/api/sms/status`);
+      }
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(`Twilio error ${result.code || response.status}: ${result.message || response.statusText}`);
+      }
+      return { providerMessageId: result.sid, status: 'SENT' };
+    }
+  }
+};
+
+// Register an additional transport, e.g. for another provider
+export const registerSmsTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Selected by SMS_TRANSPORT; defaults to the console stand-in
+export const getSmsTransportName = () => process.env.SMS_TRANSPORT || 'console';
+
+const getSmsTransport = () => {
+  const name = getSmsTransportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport "${name}"`);
+  }
+  return transport;
+};
+
+// Whether a user can currently receive non-transactional texts
+export const canReceiveSms = (user) => {
+  return Boolean(
+    user?.phone &&
+    user.phoneVerifiedAt &&
+    !user.smsOptedOutAt &&
+    user.preferences?.textNotifications !== false
+  );
+};
+
+// Store an SMS and queue it for delivery. Works with a transaction client so the text is only
+// sent if the change it reports commits. Returns null when the user cannot receive texts.
+export const queueSms = async (client, { userId, purpose, body, to = null }) => {
+  let recipient = to;
+
+  if (userId && !recipient) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      include: { preferences: true }
+    });
+    if (!canReceiveSms(user)) return null;
+    recipient = user.phone;
+  }
+
+  const message = await client.smsMessage.create({
+    data: {
+      userId,
+      to: recipient,
+      body: body.slice(0, MAX_SMS_LENGTH),
+      purpose
+    }
+  });
+
+  await enqueueJob(client, 'send-sms', { messageId: message.id }, { dedupeKey: `sms_${message.id}` });
+
+  return message;
+};
+
+// Send a queued SMS through the configured transport. Used by the 'send-sms' job handler;
+// rethrows transport errors so the job queue retries with backoff.
+export const deliverSms = async (client, messageId, { isFinalAttempt = true } = {}) => {
+  const message = await client.smsMessage.findUnique({
+    where: { id: messageId },
+    include: { user: { include: { preferences: true } } }
+  });
+
+  if (!message || message.status !== 'QUEUED') return message;
+
+  // The user may have opted out or changed their number since the text was queued
+  if (message.user && !TRANSACTIONAL_PURPOSES.includes(message.purpose) &&
+      (!canReceiveSms(message.user) || message.user.phone !== message.to)) {
+    return await client.smsMessage.update({
+      where: { id: messageId },
+      data: { status: 'SKIPPED', error: 'Recipient can no longer receive texts' }
+    });
+  }
+
+  try {
+    const result = await getSmsTransport().send({ to: message.to, body: message.body, purpose: message.purpose });
+    const now = new Date();
+
+    return await client.smsMessage.update({
+      where: { id: messageId },
+      data: {
+        status: result.status || 'SENT',
+        provider: getSmsTransportName(),
+        providerMessageId: result.providerMessageId || null,
+        error: null,
+        sentAt: now,
+        deliveredAt: result.status === 'DELIVERED' ? now : null
+      }
+    });
+  } catch (error) {
+    await client.smsMessage.update({
+      where: { id: messageId },
+      data: {
+        status: isFinalAttempt ? 'FAILED' : 'QUEUED',
+        provider: getSmsTransportName(),
+        error: String(error.message || error).slice(0, 500)
+      }
+    });
+    throw error;
+  }
+};
+
+// Map a provider delivery status callback onto the stored message
+const PROVIDER_STATUSES = {
+  queued: 'SENT',
+  accepted: 'SENT',
+  sending: 'SENT',
+  sent: 'SENT',
+  delivered: 'DELIVERED',
+  undelivered: 'UNDELIVERED',
+  failed: 'FAILED'
+};
+
+export const updateSmsDeliveryStatus = async (client, providerMessageId, providerStatus, errorCode = null) => {
+  const status = PROVIDER_STATUSES[String(providerStatus).toLowerCase()];
+  if (!providerMessageId || !status) return 0;
+
+  const { count } = await client.smsMessage.updateMany({
+    // Never move a final status back to SENT when callbacks arrive out of order
+    where: {
+      providerMessageId,
+      ...(status === 'SENT' ? { status: { in: ['QUEUED', 'SENT'] } } : {})
+    },
+    data: {
+      status,
+      ...(status === 'DELIVERED' ? { deliveredAt: new Date() } : {}),
+      ...(errorCode ? { error: `Provider error ${errorCode}` } : {})
+    }
+  });
+  return count;
+};
+
+// Twilio signs webhooks with HMAC-SHA1 over the URL followed by the sorted POST parameters
+export const isValidTwilioSignature = (url, params, signature) => {
+  if (!signature || !process.env.TWILIO_AUTH_TOKEN) return false;
+
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  const expected = Buffer.from(crypto.createHmac('sha1', process.env.TWILIO_AUTH_TOKEN).update(data).digest('base64'));
+  const candidate = Buffer.from(signature);
+
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+};
+
+// Webhooks from other transports carry SMS_WEBHOOK_SECRET in the X-Webhook-Secret header.
+// Without a configured secret nothing is accepted.
+export const isValidWebhookSecret = (secret) => {
+  if (!secret || !process.env.SMS_WEBHOOK_SECRET) return false;
+
+  // Compare digests so the lengths always match
+  const expected = crypto.createHash('sha256').update(process.env.SMS_WEBHOOK_SECRET).digest();
+  const candidate = crypto.createHash('sha256').update(String(secret)).digest();
+
+  return crypto.timingSafeEqual(expected, candidate);
+};
+
+// Classify an inbound reply by its first word
+export const getInboundKeyword = (body) => {
+  const word = String(body || '').trim().split(/\s+/)[0].toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(word)) return 'STOP';
+  if (OPT_IN_KEYWORDS.includes(word)) return 'START';
+  if (HELP_KEYWORDS.includes(word)) return 'HELP';
+  return null;
+};
+
+// Verification codes are stored hashed and bound to the user they were sent to
+export const createVerificationCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+export const hashVerificationCode = (userId, code) => {
+  return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+};
+
+export const getVerificationExpiry = () => new Date(Date.now() + VERIFICATION_CODE_TTL_MINUTES * 60 * 1000);
+
+// Message templates
+export const createVerificationSms = (code) =>
+  `MySewa: Your verification code is ${code}. It expires in ${VERIFICATION_CODE_TTL_MINUTES} minutes.`;
+
+export const createReminderSms = (eventInstance, timeFrame, timeZone) =>
+  `MySewa reminder: "${eventInstance.event.title}" starts in ${timeFrame} (${formatShortDate(eventInstance.startDate, timeZone)})` +
+  `${eventInstance.location ? ` at ${eventInstance.location}` : ''}. Reply STOP to opt out.`;
+
+export const createWaitlistOfferSms = (eventTitle, eventInstanceId, hoursToRespond = 12) =>
+  `MySewa: A spot opened up for "${eventTitle}". Confirm within ${hoursToRespond} hours: ` +
+  `${process.env.FRONTEND_URL}/sessions/${eventInstanceId}. Reply STOP to opt out.`;
+
+export const createCancellationSms = (eventInstance, reason, timeZone) =>
+  `MySewa: "${eventInstance.event.title}" on ${formatShortDate(eventInstance.startDate, timeZone)} has been cancelled` +
+  `${reason ? `: ${reason}` : ''}. Reply STOP to opt out.`;
+
+export const HELP_REPLY = 'MySewa volunteer alerts. Reply STOP to unsubscribe, START to resubscribe. Msg & data rates may apply.';
+export const STOP_REPLY = 'MySewa: You have been unsubscribed and will receive no further texts. Reply START to resubscribe.';
+export const START_REPLY = 'MySewa: You are resubscribed to volunteer alerts. Reply STOP to unsubscribe.';
@@ -0,0 +1,64 @@
+import { getDefaultTimezone } from '../utils/dateUtils.js';
+
+// Timezones for reading and showing dates. Everything is stored and computed in UTC; dates typed
+// into event forms are read in the event's zone and dates sent to people are shown in theirs.
+// A user's own zone wins, then their city's, then their chapter's, then DEFAULT_TIMEZONE.
+
+const citySelect = {
+  name: true,
+  timezone: true,
+  chapter: { select: { timezone: true } }
+};
+
+// A city's own timezone, or its chapter's
+const getCityTimezone = (city) => city?.timezone || city?.chapter?.timezone || null;
+
+// Timezone of the first listed city that has one, else of the first listed chapter
+export const findLocationTimezone = async (client, { chapters = [], cities = [] }) => {
+  if (cities.length > 0) {
+    const cityRecords = await client.city.findMany({
+      where: { name: { in: cities } },
+      select: citySelect
+    });
+    const timeZone = cities.map(name => getCityTimezone(cityRecords.find(city => city.name === name))).find(Boolean);
+    if (timeZone) return timeZone;
+  }
+
+  if (chapters.length > 0) {
+    const chapterRecords = await client.chapter.findMany({
+      where: { name: { in: chapters } },
+      select: { name: true, timezone: true }
+    });
+    const timeZone = chapters.map(name => chapterRecords.find(chapter => chapter.name === name)?.timezone).find(Boolean);
+    if (timeZone) return timeZone;
+  }
+
+  return getDefaultTimezone();
+};
+
+// Timezone an event's sessions are scheduled in
+export const getEventTimezone = async (client, eventId) => {
+  const event = await client.event.findUnique({
+    where: { id: eventId },
+    select: { chapters: true, cities: true }
+  });
+  return findLocationTimezone(client, event || {});
+};
+
+// Timezone to show a user's dates in. Pass the user record; it is only reloaded when it
+// does not carry a timezone of its own.
+export const getUserTimezone = async (client, user) => {
+  if (user?.timezone) return user.timezone;
+  if (!user?.id) return getDefaultTimezone();
+
+  const record = await client.user.findUnique({
+    where: { id: user.id },
+    select: {
+      timezone: true,
+      cityRecord: { select: citySelect },
+      chapterRecord: { select: { timezone: true } }
+    }
+  });
+
+  return record?.timezone || getCityTimezone(record?.cityRecord) || record?.chapterRecord?.timezone || getDefaultTimezone();
+};
@@ -0,0 +1,433 @@
+import { io } from '../src/server.js';
+import { createNotification, emitNotifications } from './notificationService.js';
+import { sendWaitlistOfferEmail, sendSignupConfirmationEmail } from './emailService.js';
+import { queueSms, createWaitlistOfferSms } from './smsService.js';
+import { findDeprioritizedUserIds } from './reliabilityService.js';
+
+// The waitlist engine. When a spot opens up, the next volunteer of the same role either gets
+// an offer to accept within the event's offer window (WAITLIST_PENDING) or, for events in
+// auto-accept mode, is confirmed straight away. Every path sends the same notifications,
+// emails, texts and socket events. Socket events are returned rather than sent, so callers
+// emit them once their transaction has committed.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_OFFER_HOURS = 12;
+
+const waitlistEventSelect = {
+  id: true,
+  title: true,
+  description: true,
+  chapters: true,
+  waitlistOfferHours: true,
+  waitlistAutoAccept: true,
+  waitlistPriority: true
+};
+
+const waitlistSignupInclude = {
+  user: { select: { id: true, name: true, email: true, role: true, chapter: true } },
+  event: { select: { id: true, title: true, category: true } },
+  instance: { select: { id: true, startDate: true, endDate: true, location: true } }
+};
+
+export const getOfferHours = (event) => event?.waitlistOfferHours || DEFAULT_OFFER_HOURS;
+
+// When a pending offer lapses. Offers made before expiry times were stored use the event's window.
+export const getOfferExpiry = (signup, event) => {
+  if (signup.waitlistOfferExpiresAt) return signup.waitlistOfferExpiresAt;
+  if (!signup.waitlistNotifiedAt) return null;
+  return new Date(signup.waitlistNotifiedAt.getTime() + getOfferHours(event) * HOUR_MS);
+};
+
+const loadInstance = (client, instanceId) => {
+  return client.eventInstance.findUnique({
+    where: { id: instanceId },
+    include: { event: { select: waitlistEventSelect } }
+  });
+};
+
+// Volunteers who have already been confirmed for a session that has started
+const findReturningUserIds = async (client, userIds, now) => {
+  if (userIds.length === 0) return new Set();
+
+  const signups = await client.userEventSignup.findMany({
+    where: {
+      userId: { in: userIds },
+      status: 'CONFIRMED',
+      instance: { startDate: { lt: now } }
+    },
+    select: { userId: true },
+    distinct: ['userId']
+  });
+
+  return new Set(signups.map(signup => signup.userId));
+};
+
+// Rules that move volunteers ahead of signup order (WaitlistPriority in the schema)
+const PRIORITY_CHECKS = {
+  FIRST_TIMERS: (signup, context) => !context.returningUserIds.has(signup.userId),
+  CHAPTER_MEMBERS: (signup, context) => Boolean(signup.user.chapter) && context.event.chapters.includes(signup.user.chapter)
+};
+
+// Volunteers with repeated no-shows wait behind everyone else; then each rule in turn puts the
+// volunteers it matches first, and signup order breaks ties
+const sortWaitlist = (signups, rules, context) => {
+  const ranks = new Map(signups.map(signup => [
+    signup.id,
+    [
+      context.deprioritizedUserIds.has(signup.userId) ? 1 : 0,
+      ...rules.map(rule => (PRIORITY_CHECKS[rule](signup, context) ? 0 : 1))
+    ]
+  ]));
+
+  return [...signups].sort((a, b) => {
+    const rankA = ranks.get(a.id);
+    const rankB = ranks.get(b.id);
+    for (let i = 0; i < rankA.length; i++) {
+      if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i];
+    }
+    return a.signupDate - b.signupDate;
+  });
+};
+
+const orderSignups = async (client, event, signups, now) => {
+  if (signups.length < 2) return [...signups];
+
+  const rules = event.waitlistPriority || [];
+  const userIds = signups.map(signup => signup.userId);
+
+  return sortWaitlist(signups, rules, {
+    event,
+    returningUserIds: rules.includes('FIRST_TIMERS') ? await findReturningUserIds(client, userIds, now) : new Set(),
+    deprioritizedUserIds: await findDeprioritizedUserIds(client, userIds, now)
+  });
+};
+
+// Waitlisted signups of one role in the order spots will be offered
+export const getWaitlistQueue = async (client, instance, role, now = new Date()) => {
+  const signups = await client.userEventSignup.findMany({
+    where: {
+      instanceId: instance.id,
+      status: 'WAITLIST',
+      user: { role }
+    },
+    include: waitlistSignupInclude
+  });
+
+  return orderSignups(client, instance.event, signups, now);
+};
+
+// { signupId: position } for everyone waiting on a session, counted per role.
+// Volunteers holding an offer come first, then the queue.
+export const getWaitlistPositions = async (client, instanceId, now = new Date()) => {
+  const instance = await loadInstance(client, instanceId);
+  if (!instance) return {};
+
+  const signups = await client.userEventSignup.findMany({
+    where: {
+      instanceId,
+      status: { in: ['WAITLIST', 'WAITLIST_PENDING'] }
+    },
+    include: waitlistSignupInclude
+  });
+
+  const positions = {};
+  for (const role of new Set(signups.map(signup => signup.user.role))) {
+    const ofRole = signups.filter(signup => signup.user.role === role);
+    const pending = ofRole
+      .filter(signup => signup.status === 'WAITLIST_PENDING')
+      .sort((a, b) => a.waitlistNotifiedAt - b.waitlistNotifiedAt);
+    const queue = await orderSignups(client, instance.event, ofRole.filter(signup => signup.status === 'WAITLIST'), now);
+
+    [...pending, ...queue].forEach((signup, index) => {
+      positions[signup.id] = index + 1;
+    });
+  }
+
+  return positions;
+};
+
+// Send the socket events for signups promoted by offerWaitlistSpots. Call after commit.
+export const emitWaitlistPromotions = (promoted) => {
+  for (const { updatedSignup, notifications, autoAccepted } of promoted) {
+    emitNotifications(notifications);
+
+    io.to(`session-${updatedSignup.instanceId}`).emit('signup-updated', {
+      type: autoAccepted ? 'waitlist-accepted' : 'waitlist-promoted',
+      signup: updatedSignup,
+      sessionId: updatedSignup.instanceId
+    });
+  }
+};
+
+// Send the socket events for an accepted offer (acceptWaitlistOffer). Call after commit.
+export const emitWaitlistAcceptance = ({ signup, notifications }) => {
+  emitNotifications(notifications);
+
+  io.to(`session-${signup.instanceId}`).emit('signup-updated', {
+    type: 'waitlist-accepted',
+    signup,
+    sessionId: signup.instanceId
+  });
+};
+
+// Send the socket events for a declined offer (declineWaitlistOffer). Call after commit.
+export const emitWaitlistDecline = ({ instanceId, userId, notifications, nextPromoted }) => {
+  emitNotifications(notifications);
+
+  io.to(`session-${instanceId}`).emit('signup-updated', {
+    type: 'waitlist-declined',
+    userId,
+    sessionId: instanceId
+  });
+
+  if (nextPromoted) emitWaitlistPromotions([nextPromoted]);
+};
+
+// Hold a spot for the volunteer until the offer window closes
+const offerSpot = async (tx, instance, signup, now) => {
+  const offerHours = getOfferHours(instance.event);
+  const expiresAt = new Date(now.getTime() + offerHours * HOUR_MS);
+
+  const updatedSignup = await tx.userEventSignup.update({
+    where: { id: signup.id },
+    data: {
+      status: 'WAITLIST_PENDING',
+      waitlistNotifiedAt: now,
+      waitlistOfferExpiresAt: expiresAt
+    },
+    include: waitlistSignupInclude
+  });
+
+  const notifications = await createNotification(tx, {
+    userId: signup.userId,
+    title: 'Waitlist Spot Available!',
+    description: `A spot has opened up for "${instance.event.title}". You have ${offerHours} hours to accept or decline this spot. Go to the session details page to respond.`,
+    type: 'SUCCESS',
+    sessionId: instance.id
+  });
+
+  // Text the offer too, since it expires
+  await queueSms(tx, {
+    userId: signup.userId,
+    purpose: 'WAITLIST_OFFER',
+    body: createWaitlistOfferSms(instance.event.title, instance.id, offerHours)
+  });
+
+  // Email is written to the outbox and only sent once the transaction commits
+  await sendWaitlistOfferEmail(tx, signup.user, instance, expiresAt);
+
+  return { ...signup, updatedSignup, notifications, autoAccepted: false };
+};
+
+// Auto-accept mode: the spot is the volunteer's without asking
+const confirmSpot = async (tx, instance, signup, now) => {
+  const updatedSignup = await tx.userEventSignup.update({
+    where: { id: signup.id },
+    data: {
+      status: 'CONFIRMED',
+      waitlistNotifiedAt: null,
+      waitlistOfferExpiresAt: null,
+      signupDate: now // When they got their spot
+    },
+    include: waitlistSignupInclude
+  });
+
+  const notifications = await createNotification(tx, {
+    userId: signup.userId,
+    title: 'Waitlist Spot Confirmed',
+    description: `A spot opened up for "${instance.event.title}" and you have been confirmed for this session.`,
+    type: 'SUCCESS',
+    sessionId: instance.id
+  });
+
+  await sendSignupConfirmationEmail(tx, signup.user, instance, 'CONFIRMED');
+
+  return { ...signup, updatedSignup, notifications, autoAccepted: true };
+};
+
+// Fill newly available spots for a role from the waitlist.
+// Returns the promoted signups ({ ...signup, updatedSignup, notifications, autoAccepted });
+// pass them to emitWaitlistPromotions after commit.
+export const offerWaitlistSpots = async (tx, instanceId, role, slots = 1, now = new Date()) => {
+  if (slots <= 0) return [];
+
+  const instance = await loadInstance(tx, instanceId);
+  if (!instance) return [];
+
+  const queue = await getWaitlistQueue(tx, instance, role, now);
+  const promoted = [];
+
+  for (const signup of queue.slice(0, slots)) {
+    promoted.push(instance.event.waitlistAutoAccept
+      ? await confirmSpot(tx, instance, signup, now)
+      : await offerSpot(tx, instance, signup, now));
+  }
+
+  if (promoted.length > 0) {
+    console.log(`Promoted ${promoted.length} waitlisted ${role.toLowerCase()}(s) for session ${instanceId}`);
+  }
+
+  return promoted;
+};
+
+const findPendingOffer = (tx, instanceId, userId) => {
+  return tx.userEventSignup.findFirst({
+    where: {
+      userId,
+      instanceId,
+      status: 'WAITLIST_PENDING'
+    },
+    include: {
+      ...waitlistSignupInclude,
+      instance: { include: { event: { select: waitlistEventSelect } } }
+    }
+  });
+};
+
+// Take up a pending offer. Throws if there is none, it has lapsed or the session filled up meanwhile.
+// Returns { signup, notifications } for emitWaitlistAcceptance.
+export const acceptWaitlistOffer = async (tx, { instanceId, userId }, now = new Date()) => {
+  const pendingSignup = await findPendingOffer(tx, instanceId, userId);
+
+  if (!pendingSignup) {
+    throw new Error('No pending waitlist spot found');
+  }
+
+  const { instance } = pendingSignup;
+  const expiresAt = getOfferExpiry(pendingSignup, instance.event);
+  if (expiresAt && expiresAt < now) {
+    throw new Error('Waitlist acceptance period has expired');
+  }
+
+  const confirmedCount = await tx.userEventSignup.count({
+    where: {
+      instanceId,
+      status: 'CONFIRMED',
+      user: { role: pendingSignup.user.role }
+    }
+  });
+
+  const maxCapacity = pendingSignup.user.role === 'STUDENT'
+    ? instance.studentCapacity
+    : instance.parentCapacity;
+
+  if (confirmedCount >= maxCapacity) {
+    throw new Error('Session is now full - capacity was changed');
+  }
+
+  const updatedSignup = await tx.userEventSignup.update({
+    where: { id: pendingSignup.id },
+    data: {
+      status: 'CONFIRMED',
+      waitlistNotifiedAt: null,
+      waitlistOfferExpiresAt: null,
+      signupDate: now // When they actually confirmed their spot
+    },
+    include: waitlistSignupInclude
+  });
+
+  const notifications = await createNotification(tx, {
+    userId,
+    title: 'Waitlist Spot Accepted',
+    description: `You have successfully accepted your spot for "${instance.event.title}". You are now confirmed for this session.`,
+    type: 'SUCCESS',
+    sessionId: instanceId
+  });
+
+  await sendSignupConfirmationEmail(tx, updatedSignup.user, instance, 'CONFIRMED');
+
+  return { signup: updatedSignup, notifications };
+};
+
+// Turn down a pending offer; the spot goes to the next volunteer in line.
+// Returns { instanceId, userId, notifications, nextPromoted } for emitWaitlistDecline.
+export const declineWaitlistOffer = async (tx, { instanceId, userId }, now = new Date()) => {
+  const pendingSignup = await findPendingOffer(tx, instanceId, userId);
+
+  if (!pendingSignup) {
+    throw new Error('No pending waitlist spot found');
+  }
+
+  await tx.userEventSignup.delete({
+    where: { id: pendingSignup.id }
+  });
+
+  const notifications = await createNotification(tx, {
+    userId,
+    title: 'Waitlist Spot Declined',
+    description: `You have declined your waitlist spot for "${pendingSignup.instance.event.title}".`,
+    type: 'INFO',
+    sessionId: instanceId
+  });
+
+  const [nextPromoted] = await offerWaitlistSpots(tx, instanceId, pendingSignup.user.role, 1, now);
+  return { instanceId, userId, notifications, nextPromoted: nextPromoted || null };
+};
+
+// Put pending offers back in the queue, e.g. when a session is closed or cancelled
+export const withdrawWaitlistOffers = async (tx, instanceId) => {
+  const { count } = await tx.userEventSignup.updateMany({
+    where: {
+      instanceId,
+      status: 'WAITLIST_PENDING'
+    },
+    data: {
+      status: 'WAITLIST',
+      waitlistNotifiedAt: null,
+      waitlistOfferExpiresAt: null
+    }
+  });
+
+  if (count > 0) {
+    console.log(`Moved ${count} WAITLIST_PENDING user(s) back to WAITLIST for session ${instanceId}`);
+  }
+
+  return count;
+};
+
+// Drop offers whose window has closed and pass each spot on. Returns how many lapsed.
+export const expireWaitlistOffers = async (client, now = new Date()) => {
+  const pendingSignups = await client.userEventSignup.findMany({
+    where: {
+      status: 'WAITLIST_PENDING',
+      waitlistNotifiedAt: { not: null }
+    },
+    include: {
+      user: { select: { id: true, name: true, role: true } },
+      event: { select: { title: true, waitlistOfferHours: true } }
+    }
+  });
+
+  const expired = pendingSignups.filter(signup => getOfferExpiry(signup, signup.event) <= now);
+
+  for (const signup of expired) {
+    const result = await client.$transaction(async (tx) => {
+      // Skip offers accepted or declined since they were loaded
+      const { count } = await tx.userEventSignup.deleteMany({
+        where: { id: signup.id, status: 'WAITLIST_PENDING' }
+      });
+      if (count === 0) return null;
+
+      const notifications = await createNotification(tx, {
+        userId: signup.userId,
+        title: 'Waitlist Period Expired',
+        description: `Your ${getOfferHours(signup.event)}-hour period to accept the waitlist spot for "${signup.event.title}" has expired.`,
+        type: 'WARNING',
+        sessionId: signup.instanceId
+      });
+
+      const promoted = await offerWaitlistSpots(tx, signup.instanceId, signup.user.role, 1, now);
+      return { notifications, promoted };
+    });
+
+    if (result) {
+      emitNotifications(result.notifications);
+      emitWaitlistPromotions(result.promoted);
+    }
+
+    console.log(`Processed waitlist timeout for user ${signup.user.name} on session ${signup.instanceId}`);
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,68 @@
+import { PrismaClient } from '@prisma/client';
+import { getCreditedHours, syncSignupHours } from '../services/hoursService.js';
+
+// One-off migration that opens the hours ledger with the hours already approved on signups.
+// Safe to run again: signups whose ledger already matches are skipped.
+//
+//   npm run db:backfill-hours-ledger -- --dry-run
+//
+// Run `npm run db:push` first so the hours_ledger_entries table exists.
+
+const prisma = new PrismaClient();
+
+const parseArgs = (args) => {
+  const options = { dryRun: false };
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(options.dryRun ? '🔍 Dry run - nothing will be written' : '📒 Backfilling the hours ledger...');
+
+  const ledgerTotals = await prisma.hoursLedgerEntry.groupBy({
+    by: ['signupId'],
+    where: { signupId: { not: null } },
+    _sum: { hours: true }
+  });
+  const ledgerBySignup = new Map(ledgerTotals.map(total => [total.signupId, total._sum.hours || 0]));
+
+  const signups = await prisma.userEventSignup.findMany({
+    where: {
+      OR: [
+        { status: 'CONFIRMED', approval: 'APPROVED', hoursEarned: { not: 0 } },
+        { id: { in: [...ledgerBySignup.keys()] } }
+      ]
+    },
+    select: { id: true, status: true, approval: true, hoursEarned: true }
+  });
+
+  const outOfSync = signups.filter(signup => Math.abs(getCreditedHours(signup) - (ledgerBySignup.get(signup.id) || 0)) >= 0.01);
+
+  let hours = 0;
+  for (const signup of outOfSync) {
+    hours += getCreditedHours(signup) - (ledgerBySignup.get(signup.id) || 0);
+    if (!options.dryRun) {
+      await prisma.$transaction((tx) => syncSignupHours(tx, signup.id, { reason: 'Opening balance' }));
+    }
+  }
+
+  console.log(`Signups checked: ${signups.length}`);
+  console.log(`Ledger entries ${options.dryRun ? 'to add' : 'added'}: ${outOfSync.length} (${Math.round(hours * 100) / 100} hours)`);
+  console.log(options.dryRun ? '✅ Dry run complete' : '✅ Hours ledger backfilled');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error backfilling the hours ledger:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
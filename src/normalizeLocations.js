@@ -0,0 +1,60 @@
+import { PrismaClient } from '@prisma/client';
+import { normalizeLocationData } from '../services/locationService.js';
+
+// One-off migration from free-text chapters/cities to Chapter and City records.
+//
+//   npm run db:normalize-locations -- --dry-run
+//   npm run db:normalize-locations -- --alias "Central NJ=Central New Jersey" --alias "Edison Twp=Edison"
+//
+// Run `npm run db:push` first so the chapters and cities tables exist.
+
+const prisma = new PrismaClient();
+
+const parseArgs = (args) => {
+  const options = { dryRun: false, aliases: {} };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--alias') {
+      const [from, to] = (args[++i] || '').split('=');
+      if (!from || !to) {
+        throw new Error('--alias expects "Variant=Canonical Name"');
+      }
+      options.aliases[from] = to;
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+  return options;
+};
+
+const printRecords = (label, records) => {
+  console.log(`${label}:`);
+  for (const record of records) {
+    const variants = record.variants.length > 0 ? ` (merges ${record.variants.map(v => `"${v}"`).join(', ')})` : '';
+    console.log(`   ${record.created ? '+' : ' '} ${record.name}${variants}`);
+  }
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(options.dryRun ? '🔍 Dry run - nothing will be written' : '🗺️  Normalizing chapters and cities...');
+
+  const report = await normalizeLocationData(prisma, options);
+
+  printRecords('Chapters', report.chapters);
+  printRecords('Cities', report.cities);
+  console.log(`Users updated: ${report.usersUpdated}`);
+  console.log(`Events updated: ${report.eventsUpdated}`);
+  console.log(`Invitations updated: ${report.invitationsUpdated}`);
+  console.log(options.dryRun ? '✅ Dry run complete' : '✅ Chapters and cities normalized');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error normalizing chapters and cities:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
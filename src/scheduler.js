@@ -1,26 +1,112 @@
 import cron from 'node-cron';
 import { prisma } from './server.js';
-import { sendEventReminderEmail, sendWaitlistOfferEmail } from '../services/emailService.js';
+import { sendEventReminderEmail, sendWeeklyDigestEmail, deliverEmail } from '../services/emailService.js';
+import { materializeRecurrenceRule } from '../services/recurrenceService.js';
+import { createNotification, emitNotifications } from '../services/notificationService.js';
+import { formatReminderOffset, getReminderOffsets, getDueReminderOffset, wantsReminderOffset, claimReminderDelivery, markReminderDelivery, MAX_REMINDER_OFFSET_MINUTES } from '../services/reminderService.js';
+import { createWorkerId, enqueueJob, cancelJobsByKey, runDueJobs, deleteFinishedJobs } from '../services/jobQueue.js';
+import { canReceiveSms, queueSms, deliverSms, createReminderSms } from '../services/smsService.js';
+import { buildWeeklyDigest, wantsWeeklyDigest } from '../services/digestService.js';
+import { findExpiredRescheduleResponses, expireRescheduleResponse } from '../services/rescheduleService.js';
+import { offerWaitlistSpots, expireWaitlistOffers, emitWaitlistPromotions } from '../services/waitlistService.js';
+import { detectAwardMilestones } from '../services/awardService.js';
+import { getUserTimezone } from '../services/timezoneService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring tasks. Every process runs the minute tick, but each time slot is enqueued
+// once (dedupe key) and claimed by a single worker, so tasks never run twice.
+const PERIODIC_JOBS = [
+    { type: 'scheduled-publishes', everyMinutes: 1 },
+    { type: 'event-reminders', everyMinutes: 1 },
+    { type: 'session-disabling', everyMinutes: 1 },
+    { type: 'waitlist-timeouts', everyMinutes: 1 },
+    { type: 'reschedule-timeouts', everyMinutes: 1 },
+    { type: 'award-milestones', everyMinutes: 15 },
+    { type: 'recurring-events', everyMinutes: 60 },
+    { type: 'job-cleanup', everyMinutes: 24 * 60 },
+    // Mondays at 13:00 UTC (slots count from the Unix epoch, which was a Thursday)
+    { type: 'weekly-digests', everyMinutes: 7 * 24 * 60, offsetMinutes: (4 * 24 + 13) * 60 }
+];
 
 class EventScheduler {
     constructor() {
-        this.scheduledJobs = new Map();
+        this.workerId = createWorkerId();
+        this.isProcessing = false;
+        this.handlers = {
+            'publish-event': (payload) => this.processEventPublish(payload),
+            'scheduled-publishes': () => this.processScheduledPublishes(),
+            'event-reminders': () => this.processEventReminders(),
+            'session-disabling': () => this.processSessionDisabling(),
+            'waitlist-timeouts': () => this.processWaitlistTimeouts(),
+            'reschedule-timeouts': () => this.processRescheduleTimeouts(),
+            'award-milestones': () => this.processAwardMilestones(),
+            'recurring-events': () => this.processRecurringEvents(),
+            'job-cleanup': () => this.processJobCleanup(),
+            'weekly-digests': (payload, job) => this.processWeeklyDigests(job.runAt),
+            'send-weekly-digest': (payload) => this.sendWeeklyDigest(payload),
+            'send-email': (payload, job) => deliverEmail(prisma, payload.messageId, {
+                isFinalAttempt: job.attempts >= job.maxAttempts,
+                html: payload.html
+            }),
+            'send-sms': (payload, job) => deliverSms(prisma, payload.messageId, {
+                isFinalAttempt: job.attempts >= job.maxAttempts
+            })
+        };
         this.initializeScheduler();
     }
 
     initializeScheduler() {
-        console.log('Initializing event scheduler...');
+        console.log(`Initializing event scheduler (worker ${this.workerId})...`);
         
-        // Run every minute to check for scheduled tasks
+        // Run every minute: enqueue the periodic tasks that are due, then work the queue
         cron.schedule('* * * * *', async () => {
-            await this.processScheduledPublishes();
-            await this.processEventReminders();
-            await this.processSessionDisabling();
-            await this.processWaitlistTimeouts();
+            await this.enqueuePeriodicJobs();
+            await this.processJobs();
         });
 
         // Load existing scheduled tasks on startup
         this.loadExistingScheduledTasks();
+        this.processRecurringEvents().catch(error => {
+            console.error('Error processing recurring events:', error);
+        });
+    }
+
+    // Register a handler for a job type (other modules enqueue jobs with enqueueJob)
+    registerJobHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    async enqueuePeriodicJobs(now = new Date()) {
+        try {
+            for (const { type, everyMinutes, offsetMinutes = 0 } of PERIODIC_JOBS) {
+                const slotMs = everyMinutes * 60 * 1000;
+                const offsetMs = offsetMinutes * 60 * 1000;
+                const slotStart = new Date(Math.floor((now.getTime() - offsetMs) / slotMs) * slotMs + offsetMs);
+
+                await enqueueJob(prisma, type, {}, {
+                    runAt: slotStart,
+                    dedupeKey: `${type}_${slotStart.toISOString()}`,
+                    maxAttempts: 3
+                });
+            }
+        } catch (error) {
+            console.error('Error enqueuing periodic jobs:', error);
+        }
+    }
+
+    async processJobs() {
+        // A slow batch must not overlap with the next tick in the same process
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            await runDueJobs(prisma, this.workerId, this.handlers);
+        } catch (error) {
+            console.error('Error processing jobs:', error);
+        } finally {
+            this.isProcessing = false;
+        }
     }
 
     async loadExistingScheduledTasks() {
@@ -35,10 +121,10 @@ class EventScheduler {
                 }
             });
 
-            // Schedule each event for publishing
-            scheduledEvents.forEach(event => {
-                this.scheduleEventPublish(event);
-            });
+            // Make sure each event has a publish job
+            for (const event of scheduledEvents) {
+                await this.scheduleEventPublish(event);
+            }
 
             console.log(`Loaded ${scheduledEvents.length} scheduled events`);
         } catch (error) {
@@ -46,50 +132,45 @@ class EventScheduler {
         }
     }
 
-    scheduleEventPublish(event) {
-        const jobId = `publish_${event.id}`;
-        
-        // Cancel existing job if it exists
-        if (this.scheduledJobs.has(jobId)) {
-            this.scheduledJobs.get(jobId).stop();
+    async scheduleEventPublish(event) {
+        try {
+            // One publish job per event; rescheduling moves the existing job
+            await enqueueJob(prisma, 'publish-event', { eventId: event.id }, {
+                runAt: new Date(event.scheduledPublishDate),
+                dedupeKey: `publish_${event.id}`,
+                replace: true
+            });
+        } catch (error) {
+            console.error('Error scheduling event publish:', error);
         }
+    }
 
-        // Schedule the publish job
-        const publishDate = new Date(event.scheduledPublishDate);
-        const now = new Date();
-        
-        if (publishDate <= now) {
-            // Event is already due, publish immediately
-            this.publishScheduledEvent(event);
-        } else {
-            // Schedule for future
-            const delay = publishDate.getTime() - now.getTime();
-            const job = setTimeout(() => {
-                this.publishScheduledEvent(event);
-                this.scheduledJobs.delete(jobId);
-            }, delay);
-            
-            this.scheduledJobs.set(jobId, { stop: () => clearTimeout(job) });
+    async processEventPublish({ eventId }) {
+        const event = await prisma.event.findUnique({
+            where: { id: eventId }
+        });
+
+        // The event may have been deleted, published by hand or rescheduled meanwhile
+        if (!event || event.status !== 'SCHEDULED' || !event.scheduledPublishDate || event.scheduledPublishDate > new Date()) {
+            return;
         }
+
+        await this.publishScheduledEvent(event);
     }
 
     async publishScheduledEvent(event) {
-        try {
-            await prisma.event.update({
-                where: { id: event.id },
-                data: { 
-                    status: 'PUBLISHED',
-                    scheduledPublishDate: null // Clear the scheduled date
-                }
-            });
+        // Only publish if still scheduled, so concurrent workers publish once
+        const { count } = await prisma.event.updateMany({
+            where: { id: event.id, status: 'SCHEDULED' },
+            data: { 
+                status: 'PUBLISHED',
+                publishedAt: new Date(),
+                scheduledPublishDate: null // Clear the scheduled date
+            }
+        });
 
+        if (count > 0) {
             console.log(`Published scheduled event: ${event.title}`);
-            
-            // Remove from scheduled jobs
-            const jobId = `publish_${event.id}`;
-            this.scheduledJobs.delete(jobId);
-        } catch (error) {
-            console.error('Error publishing scheduled event:', error);
         }
     }
 
@@ -109,118 +190,109 @@ class EventScheduler {
             }
         } catch (error) {
             console.error('Error processing scheduled publishes:', error);
+            throw error;
+        }
+    }
+
+    async processRecurringEvents() {
+        try {
+            const recurrenceRules = await prisma.recurrenceRule.findMany({
+                where: {
+                    event: {
+                        status: { not: 'ARCHIVED' }
+                    }
+                }
+            });
+
+            let createdCount = 0;
+            for (const recurrenceRule of recurrenceRules) {
+                try {
+                    createdCount += await prisma.$transaction(async (tx) => {
+                        return await materializeRecurrenceRule(tx, recurrenceRule);
+                    });
+                } catch (error) {
+                    console.error(`Error materializing recurrence ${recurrenceRule.id}:`, error);
+                }
+            }
+
+            if (createdCount > 0) {
+                console.log(`Generated ${createdCount} sessions for recurring events`);
+            }
+        } catch (error) {
+            console.error('Error processing recurring events:', error);
+            throw error;
         }
     }
 
     async processEventReminders() {
         try {
             const now = new Date();
-            // Ensure all dates are in UTC
-            // const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
-            const oneDayFromNow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-            // const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-            // Get events starting in the next hour - COMMENTED OUT
-            // const oneHourEvents = await prisma.eventInstance.findMany({
-            //     where: {
-            //         startDate: {
-            //             gte: now,
-            //             lte: oneHourFromNow
-            //         },
-            //         enabled: true,
-            //         status: 'ACTIVE'
-            //     },
-            //     include: {
-            //         event: true,
-            //         signups: {
-            //             include: {
-            //                 user: {
-            //                     include: {
-            //                         preferences: true
-            //                     }
-            //                 }
-            //             }
-            //         }
-            //     }
-            // });
-
-            // Get events starting in the next 24 hours
-            const oneDayEvents = await prisma.eventInstance.findMany({
+            const horizon = new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000);
+
+            // Find upcoming sessions, then keep those with a reminder offset due right now
+            const upcomingInstances = await prisma.eventInstance.findMany({
                 where: {
                     startDate: {
-                        gte: now,
-                        lte: oneDayFromNow,
+                        gt: now,
+                        lte: horizon,
                         not: null // Ensure startDate is not null
                     },
                     enabled: true,
                     status: 'ACTIVE'
                 },
-                include: {
-                    event: true,
-                    signups: {
-                        include: {
-                            user: {
-                                include: {
-                                    preferences: true
-                                }
-                            }
+                select: {
+                    id: true,
+                    startDate: true,
+                    reminderOffsets: true,
+                    event: {
+                        select: {
+                            reminderOffsets: true
                         }
                     }
                 }
             });
 
-            // Get events starting in the next week - COMMENTED OUT
-            // const oneWeekEvents = await prisma.eventInstance.findMany({
-            //     where: {
-            //         startDate: {
-            //             gte: now,
-            //             lte: oneWeekFromNow,
-            //             not: null // Ensure startDate is not null
-            //         },
-            //         enabled: true,
-            //         status: 'ACTIVE'
-            //     },
-            //     include: {
-            //         event: true,
-            //         signups: {
-            //             include: {
-            //                 user: {
-            //                     include: {
-            //                         preferences: true
-            //                     }
-            //                 }
-            //             }
-            //         }
-            //     }
-            // });
-
-            // Send 1-hour reminders (in-app notifications + emails) - COMMENTED OUT
-            // for (const instance of oneHourEvents) {
-            //     await this.sendEventReminder(instance, '1 hour');
-            // }
-
-            // Send 1-day reminders (in-app notifications + emails)
-            for (const instance of oneDayEvents) {
-                // const oneHourInstance = oneHourEvents.find(i => i.id === instance.id);
-                // if (!oneHourInstance) {
-                    await this.sendEventReminder(instance, '24 hours');
-                // }
-            }
+            for (const upcoming of upcomingInstances) {
+                const offsetMinutes = getDueReminderOffset(getReminderOffsets(upcoming, upcoming.event), upcoming.startDate, now);
+                if (offsetMinutes === null) continue;
+
+                // Skip sessions whose reminder for this offset is already in the ledger for everyone
+                const delivered = await prisma.reminderDelivery.findMany({
+                    where: { instanceId: upcoming.id, offsetMinutes },
+                    select: { userId: true, channel: true }
+                });
+
+                const instance = await prisma.eventInstance.findUnique({
+                    where: { id: upcoming.id },
+                    include: {
+                        event: true,
+                        signups: {
+                            where: {
+                                status: 'CONFIRMED',
+                                userId: { notIn: delivered.filter(d => d.channel === 'IN_APP').map(d => d.userId) }
+                            },
+                            include: {
+                                user: {
+                                    include: {
+                                        preferences: true
+                                    }
+                                }
+                            }
+                        }
+                    }
+                });
 
-            // Send 1-week reminders (in-app notifications + emails) - COMMENTED OUT
-            // for (const instance of oneWeekEvents) {
-            //     const oneDayInstance = oneDayEvents.find(i => i.id === instance.id);
-            //     const oneHourInstance = oneHourEvents.find(i => i.id === instance.id);
-            //     if (!oneDayInstance && !oneHourInstance) {
-            //         await this.sendEventReminder(instance, '7 days');
-            //     }
-            // }
+                if (instance && instance.signups.length > 0) {
+                    await this.sendEventReminder(instance, offsetMinutes);
+                }
+            }
         } catch (error) {
             console.error('Error processing event reminders:', error);
+            throw error;
         }
     }
 
-    async sendEventReminder(instance, timeFrame) {
+    async sendEventReminder(instance, offsetMinutes) {
         try {
             // Additional safety check: ensure session is still active, enabled, and has a datetime
             if (!instance.enabled || instance.status !== 'ACTIVE' || !instance.startDate) {
@@ -228,55 +300,51 @@ class EventScheduler {
                 return;
             }
 
-            // Check if we've already sent this reminder for this specific session
-            const existingReminder = await prisma.notification.findFirst({
-                where: {
-                    userId: { in: instance.signups.map(s => s.userId) },
-                    title: `Event Reminder - ${timeFrame}`,
-                    sessionId: instance.id
-                }
-            });
+            const timeFrame = formatReminderOffset(offsetMinutes);
 
-            if (existingReminder) {
-                return; // Already sent this reminder
-            }
-
-            // Calculate the cutoff time for when users should have signed up to receive this reminder
-            const reminderTime = new Date(instance.startDate);
-            let cutoffTime;
-            
-            if (timeFrame === '1 hour') {
-                cutoffTime = new Date(reminderTime.getTime() - 60 * 60 * 1000);
-            } else if (timeFrame === '24 hours') {
-                cutoffTime = new Date(reminderTime.getTime() - 24 * 60 * 60 * 1000);
-            } else if (timeFrame === '7 days') {
-                cutoffTime = new Date(reminderTime.getTime() - 7 * 24 * 60 * 60 * 1000);
-            }
+            // Only users who signed up before the reminder time receive it
+            const cutoffTime = new Date(instance.startDate.getTime() - offsetMinutes * 60 * 1000);
 
             // Send notifications and emails to users who signed up before the cutoff time
             for (const signup of instance.signups) {
-                if (signup.status === 'CONFIRMED' && signup.signupDate < cutoffTime) {
+                if (signup.status !== 'CONFIRMED' || signup.signupDate >= cutoffTime) continue;
+                if (!wantsReminderOffset(signup.user.preferences, offsetMinutes)) continue;
+
+                const delivery = { instanceId: instance.id, userId: signup.userId, offsetMinutes };
+
+                // Create in-app notification
+                if (await claimReminderDelivery(prisma, { ...delivery, channel: 'IN_APP' })) {
                     console.log(`Sending ${timeFrame} reminder for event: ${instance.event.title} to user: ${signup.user.name}`);
-                    // Create in-app notification
-                    await prisma.notification.create({
-                        data: {
-                            userId: signup.userId,
-                            title: `Event Reminder - ${timeFrame}`,
-                            description: `Your event "${instance.event.title}" starts in ${timeFrame}. Location: ${instance.location}`,
-                            type: 'INFO',
-                            sessionId: instance.id,
-                            date: new Date()
-                        }
-                    });
+                    emitNotifications(await createNotification(prisma, {
+                        userId: signup.userId,
+                        title: `Event Reminder - ${timeFrame}`,
+                        description: `Your event "${instance.event.title}" starts in ${timeFrame}. Location: ${instance.location}`,
+                        type: 'INFO',
+                        sessionId: instance.id,
+                        date: new Date()
+                    }));
+                }
 
-                    // Send email if user has email reminders enabled
-                    if (signup.user.preferences?.eventReminders) {
-                        try {  
-                            console.log(`Sending email reminder for event: ${instance.event.title} to user: ${signup.user.name}`);
-                            await sendEventReminderEmail(signup.user, instance, timeFrame);
-                        } catch (error) {
-                            console.error(`Failed to send email reminder to ${signup.user.email}:`, error);
-                        }
+                // Send email if user has email reminders enabled
+                if (signup.user.preferences?.eventReminders && await claimReminderDelivery(prisma, { ...delivery, channel: 'EMAIL' })) {
+                    console.log(`Sending email reminder for event: ${instance.event.title} to user: ${signup.user.name}`);
+                    try {
+                        await sendEventReminderEmail(prisma, signup.user, instance, timeFrame);
+                    } catch (error) {
+                        console.error(`Failed to queue email reminder for user ${signup.userId}:`, error);
+                        await markReminderDelivery(prisma, { ...delivery, channel: 'EMAIL' }, 'FAILED', error.message);
+                    }
+                }
+
+                // Text the user if they verified their phone and opted in to text notifications
+                if (canReceiveSms(signup.user) && await claimReminderDelivery(prisma, { ...delivery, channel: 'SMS' })) {
+                    const message = await queueSms(prisma, {
+                        userId: signup.userId,
+                        purpose: 'REMINDER',
+                        body: createReminderSms(instance, timeFrame, await getUserTimezone(prisma, signup.user))
+                    });
+                    if (!message) {
+                        await markReminderDelivery(prisma, { ...delivery, channel: 'SMS' }, 'SKIPPED', 'User cannot receive texts');
                     }
                 }
             }
@@ -285,8 +353,6 @@ class EventScheduler {
         }
     }
 
-
-
     async processSessionDisabling() {
         try {
             const now = new Date(); // UTC time
@@ -324,160 +390,134 @@ class EventScheduler {
             }
         } catch (error) {
             console.error('Error processing session disabling:', error);
+            throw error;
+        }
+    }
+
+    async processJobCleanup() {
+        const retentionDays = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+        const deletedCount = await deleteFinishedJobs(prisma, new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+
+        if (deletedCount > 0) {
+            console.log(`Deleted ${deletedCount} finished jobs older than ${retentionDays} days`);
+        }
+    }
+
+    // Queue one digest job per opted-in user, so a failed email is retried for that user only
+    async processWeeklyDigests(slotStart) {
+        // A slot picked up long after its time (first deploy, downtime) is skipped rather than sent late
+        if (Date.now() - slotStart.getTime() > DAY_MS) {
+            console.log(`Skipping weekly digests for ${slotStart.toISOString()}: more than a day late`);
+            return;
+        }
+
+        const users = await prisma.user.findMany({
+            where: {
+                preferences: { weeklyDigest: true, emailNotifications: true }
+            },
+            select: { id: true }
+        });
+
+        for (const user of users) {
+            await enqueueJob(prisma, 'send-weekly-digest', {
+                userId: user.id,
+                periodEnd: slotStart.toISOString()
+            }, {
+                dedupeKey: `weekly-digest_${user.id}_${slotStart.toISOString()}`,
+                maxAttempts: 3
+            });
         }
+
+        console.log(`Queued weekly digests for ${users.length} users`);
+    }
+
+    async sendWeeklyDigest({ userId, periodEnd }) {
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: { preferences: true }
+        });
+
+        // Preferences may have changed since the digest was queued
+        if (!user || !wantsWeeklyDigest(user.preferences)) return;
+
+        const digest = await buildWeeklyDigest(prisma, user, new Date(periodEnd));
+        if (digest.isEmpty) return;
+
+        await sendWeeklyDigestEmail(prisma, user, digest);
     }
 
     // Method to cancel scheduled jobs when events are cancelled/unpublished
-    cancelScheduledJob(eventId, jobType = 'publish') {
+    async cancelScheduledJob(eventId, jobType = 'publish') {
         const jobId = `${jobType}_${eventId}`;
-        if (this.scheduledJobs.has(jobId)) {
-            this.scheduledJobs.get(jobId).stop();
-            this.scheduledJobs.delete(jobId);
-            console.log(`Cancelled scheduled job: ${jobId}`);
+        try {
+            if (await cancelJobsByKey(prisma, jobId) > 0) {
+                console.log(`Cancelled scheduled job: ${jobId}`);
+            }
+        } catch (error) {
+            console.error(`Error cancelling scheduled job ${jobId}:`, error);
         }
     }
 
     // Method to cancel reminder jobs for a specific event instance
-    cancelReminderJobs(instanceId) {
-        const jobId = `reminder_${instanceId}`;
-        if (this.scheduledJobs.has(jobId)) {
-            this.scheduledJobs.get(jobId).stop();
-            this.scheduledJobs.delete(jobId);
-            console.log(`Cancelled reminder job: ${jobId}`);
-        }
+    async cancelReminderJobs(instanceId) {
+        await this.cancelScheduledJob(instanceId, 'reminder');
     }
 
+    // Drop waitlist offers whose window has closed and offer each spot to the next person
     async processWaitlistTimeouts() {
         try {
-            const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000); // UTC time
-            
-            // Find all WAITLIST_PENDING signups that have timed out
-            const timedOutSignups = await prisma.userEventSignup.findMany({
-                where: {
-                    status: 'WAITLIST_PENDING',
-                    waitlistNotifiedAt: {
-                        not: null,
-                        lte: twelveHoursAgo
-                    }
-                },
-                include: {
-                    user: { 
-                        select: { 
-                            id: true, 
-                            name: true, 
-                            role: true 
-                        } 
-                    },
-                    event: { 
-                        select: { 
-                            title: true 
-                        } 
-                    },
-                    instance: {
-                        select: {
-                            id: true
-                        }
-                    }
-                }
-            });
-
-            for (const timedOutSignup of timedOutSignups) {
-                await prisma.$transaction(async (tx) => {
-                    // Delete the timed-out signup
-                    await tx.userEventSignup.delete({
-                        where: { id: timedOutSignup.id }
-                    });
+            const expiredCount = await expireWaitlistOffers(prisma);
 
-                    // Notify user about timeout
-                    await tx.notification.create({
-                        data: {
-                            userId: timedOutSignup.userId,
-                            title: 'Waitlist Period Expired',
-                            description: `Your 12-hour period to accept the waitlist spot for "${timedOutSignup.event.title}" has expired.`,
-                            type: 'WARNING',
-                            sessionId: timedOutSignup.instanceId
-                        }
-                    });
-
-                    // Find next person on waitlist for the same role
-                    const nextWaitlisted = await tx.userEventSignup.findFirst({
-                        where: {
-                            instanceId: timedOutSignup.instanceId,
-                            status: 'WAITLIST',
-                            user: { role: timedOutSignup.user.role }
-                        },
-                        orderBy: { signupDate: 'asc' },
-                        include: {
-                            user: { select: { id: true, name: true, role: true } },
-                            event: { select: { title: true } }
-                        }
-                    });
+            if (expiredCount > 0) {
+                console.log(`Processed ${expiredCount} waitlist timeouts`);
+            }
+        } catch (error) {
+            console.error('Error processing waitlist timeouts:', error);
+            throw error;
+        }
+    }
 
-                    if (nextWaitlisted) {
-                        // Promote next person to WAITLIST_PENDING
-                        await tx.userEventSignup.update({
-                            where: { id: nextWaitlisted.id },
-                            data: { 
-                                status: 'WAITLIST_PENDING',
-                                waitlistNotifiedAt: new Date()
-                            }
-                        });
-
-                        // Notify next person (in-app notification + email)
-                        await tx.notification.create({
-                            data: {
-                                userId: nextWaitlisted.userId,
-                                title: 'Waitlist Spot Available!',
-                                description: `A spot has opened up for "${nextWaitlisted.event.title}". You have 12 hours to accept or decline this spot. Go to the session details page to respond.`,
-                                type: 'SUCCESS',
-                                sessionId: nextWaitlisted.instanceId
-                            }
-                        });
-
-                        // Send email notification for waitlist spot offer
-                        try {
-                            const userWithDetails = await tx.user.findUnique({
-                                where: { id: nextWaitlisted.userId },
-                                select: {
-                                    id: true,
-                                    name: true,
-                                    email: true
-                                }
-                            });
-
-                            const eventInstanceWithDetails = await tx.eventInstance.findUnique({
-                                where: { id: nextWaitlisted.instanceId },
-                                include: {
-                                    event: {
-                                        select: {
-                                            title: true,
-                                            description: true
-                                        }
-                                    }
-                                }
-                            });
+    // Release spots of volunteers who did not reconfirm a rescheduled session in time
+    async processRescheduleTimeouts() {
+        try {
+            const expiredResponses = await findExpiredRescheduleResponses(prisma);
 
-                            if (userWithDetails && eventInstanceWithDetails) {
-                                await sendWaitlistOfferEmail(userWithDetails, eventInstanceWithDetails);
-                            }
-                        } catch (error) {
-                            console.error(`Failed to send waitlist offer email to user ${nextWaitlisted.userId}:`, error);
-                        }
+            for (const response of expiredResponses) {
+                const { notifications, promoted } = await prisma.$transaction(async (tx) => {
+                    const { releasedSignup, notifications } = await expireRescheduleResponse(tx, response);
+                    if (!releasedSignup) return { notifications, promoted: [] };
 
-                        console.log(`Promoted next waitlisted user ${nextWaitlisted.user.name} for session ${timedOutSignup.instanceId}`);
-                    }
+                    console.log(`Released unconfirmed spot of ${releasedSignup.user.name} on rescheduled session ${releasedSignup.instanceId}`);
+                    const promoted = await offerWaitlistSpots(tx, releasedSignup.instanceId, releasedSignup.user.role, 1);
+                    return { notifications, promoted };
                 });
 
-                console.log(`Processed timeout for user ${timedOutSignup.user.name} on session ${timedOutSignup.instanceId}`);
+                emitNotifications(notifications);
+                emitWaitlistPromotions(promoted);
             }
 
-            if (timedOutSignups.length > 0) {
-                console.log(`Processed ${timedOutSignups.length} waitlist timeouts`);
+            if (expiredResponses.length > 0) {
+                console.log(`Processed ${expiredResponses.length} reschedule reconfirmation timeouts`);
             }
         } catch (error) {
-            console.error('Error processing waitlist timeouts:', error);
+            console.error('Error processing reschedule timeouts:', error);
+            throw error;
+        }
+    }
+
+    // Record award tiers volunteers have newly reached and let them know
+    async processAwardMilestones() {
+        try {
+            const achievedCount = await detectAwardMilestones(prisma);
+
+            if (achievedCount > 0) {
+                console.log(`Recorded ${achievedCount} award milestones`);
+            }
+        } catch (error) {
+            console.error('Error processing award milestones:', error);
+            throw error;
         }
     }
 }
 
-export default EventScheduler; 
\ No newline at end of file
+export default EventScheduler;
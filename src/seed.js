@@ -1,5 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
+import { normalizeLocationData } from '../services/locationService.js';
+import { syncSignupHours } from '../services/hoursService.js';
 
 const prisma = new PrismaClient();
 
@@ -9,15 +11,36 @@ async function main() {
   // Reset database - delete all data in reverse order of dependencies
   console.log('🗑️  Clearing existing data...');
   
+  await prisma.awardTier.deleteMany({});
   await prisma.notification.deleteMany({});
   await prisma.userPreferences.deleteMany({});
+  await prisma.hoursLedgerEntry.deleteMany({});
   await prisma.userEventSignup.deleteMany({});
   await prisma.eventInstance.deleteMany({});
   await prisma.event.deleteMany({});
   await prisma.user.deleteMany({});
+  await prisma.city.deleteMany({});
+  await prisma.chapter.deleteMany({});
 
   console.log('✅ Database cleared successfully!');
 
+  // Create chapters and cities; users and events below are linked to them at the end
+  const chapter = await prisma.chapter.create({
+    data: {
+      name: 'Central New Jersey',
+      slug: 'central-new-jersey',
+      timezone: 'America/New_York',
+      contactEmail: 'admin@volunteer.org'
+    }
+  });
+
+  await prisma.city.createMany({
+    data: [
+      { name: 'Edison', slug: 'edison', chapterId: chapter.id },
+      { name: 'Monroe', slug: 'monroe', chapterId: chapter.id }
+    ]
+  });
+
   // Create admin user
   const adminPassword = await bcrypt.hash('admin123', 12);
   const admin = await prisma.user.create({
@@ -303,6 +326,10 @@ async function main() {
     }
   });
 
+  // Credit the approved hours to the hours ledger
+  await syncSignupHours(prisma, 'signup-1', { actorId: admin.id });
+  await syncSignupHours(prisma, 'signup-2', { actorId: admin.id });
+
   await prisma.userEventSignup.create({
     data: {
       id: 'signup-3',
@@ -426,6 +453,34 @@ async function main() {
     }
   });
 
+  // President's Volunteer Service Award levels by age group, for every award year
+  const pvsaLevels = [
+    { minAge: 5, maxAge: 10, hours: [26, 50, 75] },
+    { minAge: 11, maxAge: 15, hours: [50, 75, 100] },
+    { minAge: 16, maxAge: 25, hours: [100, 175, 250] },
+    { minAge: 26, maxAge: null, hours: [100, 250, 500] }
+  ];
+
+  await prisma.awardTier.createMany({
+    data: pvsaLevels.flatMap(({ minAge, maxAge, hours }) =>
+      ['Bronze', 'Silver', 'Gold'].map((name, i) => ({
+        program: "President's Volunteer Service Award",
+        name,
+        minHours: hours[i],
+        minAge,
+        maxAge,
+        createdBy: admin.id
+      }))
+    )
+  });
+
+  // Point users and events at the chapter and city records
+  await normalizeLocationData(prisma);
+  await prisma.chapter.update({
+    where: { id: chapter.id },
+    data: { coordinators: { connect: { id: admin.id } } }
+  });
+
   console.log('✅ Database seeded successfully!');
   console.log('📧 Test accounts:');
   console.log('   Admin: admin@volunteer.org / admin123');
@@ -434,10 +489,12 @@ async function main() {
   console.log('   Parent: parent@test.com / parent123');
   console.log('   Parent2: parent2@test.com / parent123');
   console.log('📊 Created:');
+  console.log('   - 1 chapter with 2 cities');
   console.log('   - 5 users with preferences');
   console.log('   - 3 events with 6 instances (waitlist features enabled/disabled)');
   console.log('   - 5 event signups (including WAITLIST and WAITLIST_PENDING statuses)');
   console.log('   - 7 sample notifications (including waitlist notifications)');
+  console.log('   - 12 award tiers (PVSA bronze/silver/gold by age group)');
 }
 
 main()
@@ -15,12 +15,25 @@ import signupRoutes from '../routes/signups.js';
 import dashboardRoutes from '../routes/dashboard.js';
 import notificationRoutes from '../routes/notifications.js';
 import preferenceRoutes from '../routes/preferences.js';
+import invitationRoutes from '../routes/invitations.js';
+import familyRoutes from '../routes/family.js';
+import jobRoutes from '../routes/jobs.js';
+import smsRoutes from '../routes/sms.js';
+import emailRoutes from '../routes/emails.js';
+import chapterRoutes from '../routes/chapters.js';
+import cityRoutes from '../routes/cities.js';
+import calendarRoutes from '../routes/calendar.js';
+import externalHoursRoutes from '../routes/externalHours.js';
+import verifyRoutes from '../routes/verify.js';
+import awardRoutes from '../routes/awards.js';
 import EventScheduler from './scheduler.js';
+import { registerSocketHandlers } from './socket.js';
 
 // Load environment variables
 dotenv.config();
 
-// Set timezone to UTC for consistent datetime handling
+// Store and compute datetimes in UTC. Dates people read or type are shown in their own or their
+// chapter's timezone (services/timezoneService.js), never the server's.
 process.env.TZ = 'UTC';
 
 const app = express();
@@ -77,6 +90,17 @@ app.use('/api/signups', signupRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/preferences', preferenceRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/family', familyRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/chapters', chapterRoutes);
+app.use('/api/cities', cityRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/external-hours', externalHoursRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/awards', awardRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -123,32 +147,8 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
-
-  // Join user room for notifications
-  socket.on('join-user', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 Client ${socket.id} joined user room ${userId}`);
-  });
-
-  // Join session room for real-time updates
-  socket.on('join-session', (sessionId) => {
-    socket.join(`session-${sessionId}`);
-    console.log(`👥 Client ${socket.id} joined session ${sessionId}`);
-  });
-
-  // Leave session room
-  socket.on('leave-session', (sessionId) => {
-    socket.leave(`session-${sessionId}`);
-    console.log(`👋 Client ${socket.id} left session ${sessionId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`🔌 Client disconnected: ${socket.id}`);
-  });
-});
+// WebSocket authentication and rooms (see src/socket.js for the event catalog)
+registerSocketHandlers(io, prisma);
 
 // Start server
 server.listen(PORT, () => {
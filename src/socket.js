@@ -0,0 +1,149 @@
+import jwt from 'jsonwebtoken';
+import { isAuthSessionActive } from '../services/authSessionService.js';
+import { canManageSession } from '../services/chapterScopeService.js';
+
+// Socket.IO event catalog
+//
+// Rooms
+//   user-<userId>     The authenticated user's own room, joined automatically on connect.
+//   auth-session-<id> The device session the socket authenticated with; its sockets are
+//                     disconnected when the session is revoked. Nothing is emitted to it.
+//   session-<id>      Live updates for one session (EventInstance), joined with 'join-session'
+//                     by admins, chapter admins of the event's chapters, users signed up for
+//                     the session and guardians of signed-up children.
+//
+// Client -> server
+//   join-session   (sessionId, ack?)  ack receives { ok: true } or { ok: false, error }
+//   leave-session  (sessionId)
+//   join-user      (userId, ack?)     Kept for older clients; the user room is joined on connect
+//                                     and other users' rooms are refused.
+//
+// Server -> client
+//   notification-created  user room     { type: 'notification-created', notification }
+//   signup-updated        session room  { type, sessionId, ... } where type is one of
+//                          signup-created, signup-updated, bulk-update, parent-bulk-update,
+//                          waitlist-promoted, waitlist-accepted, waitlist-declined,
+//                          instance-updated, checked-in, checked-out, attendance-hours-applied
+//   session-cancelled     session room  { type: 'session-cancelled', sessionId, reason }
+//   session-completed     session room  { type: 'session-completed', sessionId }
+//   hours-updated         user room     { type, entry } where type is hours-adjusted or hours-reversed
+//   external-hours-reviewed user room   { type: 'external-hours-reviewed', submission }
+
+// Token from the handshake: io(url, { auth: { token } }), or an Authorization header for non-browser clients
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth?.token) return socket.handshake.auth.token;
+  const authHeader = socket.handshake.headers?.authorization;
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Handshake middleware: rejects the connection unless the token belongs to an existing user
+export const authenticateSocket = (prisma) => async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isAuthSessionActive(prisma, decoded.sid, decoded.userId))) {
+      return next(new Error('Session revoked'));
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, name: true, role: true, adminChapters: true }
+    });
+
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    socket.data.user = user;
+    socket.data.authSessionId = decoded.sid;
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+// Whether a user may receive a session's roster updates
+export const canJoinSession = async (prisma, user, sessionId) => {
+  if (typeof sessionId !== 'string' || !sessionId) return false;
+  if (user.role === 'ADMIN') return true;
+  if (user.role === 'CHAPTER_ADMIN' && await canManageSession(prisma, user, sessionId)) return true;
+
+  const signup = await prisma.userEventSignup.findFirst({
+    where: {
+      instanceId: sessionId,
+      status: { not: 'CANCELLED' },
+      OR: [
+        { userId: user.id },
+        // Guardians follow sessions their linked children signed up for
+        {
+          user: {
+            guardianLinks: {
+              some: { parentId: user.id, status: 'ACCEPTED' }
+            }
+          }
+        }
+      ]
+    },
+    select: { id: true }
+  });
+
+  return Boolean(signup);
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Authenticate connections and handle room membership
+export const registerSocketHandlers = (io, prisma) => {
+  io.use(authenticateSocket(prisma));
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log(`🔌 Client connected: ${socket.id} (user ${user.id})`);
+
+    // Notifications room is assigned by the server, never chosen by the client
+    socket.join(`user-${user.id}`);
+    // Lets a signed-out device session be disconnected
+    socket.join(`auth-session-${socket.data.authSessionId}`);
+
+    socket.on('join-user', (userId, ack) => {
+      if (userId !== user.id) {
+        console.warn(`🚫 Client ${socket.id} (user ${user.id}) tried to join user room ${userId}`);
+        return reply(ack, { ok: false, error: 'You can only join your own user room' });
+      }
+      reply(ack, { ok: true });
+    });
+
+    // Join session room for real-time updates
+    socket.on('join-session', async (sessionId, ack) => {
+      try {
+        if (!(await canJoinSession(prisma, user, sessionId))) {
+          console.warn(`🚫 Client ${socket.id} (user ${user.id}) denied session ${sessionId}`);
+          return reply(ack, { ok: false, error: 'You do not have access to this session' });
+        }
+
+        socket.join(`session-${sessionId}`);
+        console.log(`👥 Client ${socket.id} joined session ${sessionId}`);
+        reply(ack, { ok: true });
+      } catch (error) {
+        console.error('Join session error:', error);
+        reply(ack, { ok: false, error: 'Failed to join session' });
+      }
+    });
+
+    // Leave session room
+    socket.on('leave-session', (sessionId) => {
+      socket.leave(`session-${sessionId}`);
+      console.log(`👋 Client ${socket.id} left session ${sessionId}`);
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🔌 Client disconnected: ${socket.id}`);
+    });
+  });
+};
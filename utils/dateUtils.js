@@ -31,19 +31,98 @@ export function getCurrentUTCTime() {
   return new Date();
 }
 
+/**
+ * Timezone used when neither a user nor their chapter sets one
+ * @returns {string} IANA timezone name
+ */
+export function getDefaultTimezone() {
+  return process.env.DEFAULT_TIMEZONE || 'America/New_York';
+}
+
+/**
+ * Check that a string is an IANA timezone name the runtime knows
+ * @param {string} timeZone - Timezone name (e.g., America/Chicago)
+ * @returns {boolean} Whether the timezone can be used for formatting
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} date - Instant to get the offset for (it changes with daylight saving time)
+ * @returns {number} Offset in milliseconds, positive east of UTC
+ */
+function getTimezoneOffset(timeZone, date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Datetimes without a Z or offset, as sent by datetime-local inputs
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
 /**
  * Convert local time to UTC for storage
- * @param {string} localDateTime - Local datetime string (e.g., from datetime-local input)
+ * @param {string|Date} localDateTime - Local datetime string (e.g., from datetime-local input).
+ *   Strings with a Z or offset, and Date objects, already name an instant and are kept as is.
+ * @param {string} [timeZone] - IANA timezone the wall-clock time is in; defaults to getDefaultTimezone()
  * @returns {string} UTC ISO string
  */
-export function localToUTC(localDateTime) {
+export function localToUTC(localDateTime, timeZone = getDefaultTimezone()) {
   if (!localDateTime) return null;
-  
-  // Create a date object from the local datetime string
-  const localDate = new Date(localDateTime);
-  
-  // Convert to UTC ISO string
-  return localDate.toISOString();
+
+  const match = typeof localDateTime === 'string' && LOCAL_DATE_TIME.exec(localDateTime.trim());
+  if (!match) {
+    return new Date(localDateTime).toISOString();
+  }
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, millis = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, Number(millis.padEnd(3, '0')));
+
+  // Take the offset at the first guess, then again at the result in case a DST change lies between
+  const guess = wallClock - getTimezoneOffset(timeZone, new Date(wallClock));
+  return new Date(wallClock - getTimezoneOffset(timeZone, new Date(guess))).toISOString();
+}
+
+/**
+ * Wall-clock time of an instant in a timezone; the inverse of localToUTC
+ * @param {string|Date} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone; defaults to getDefaultTimezone()
+ * @returns {string} Local datetime without an offset (YYYY-MM-DDTHH:mm:ss.sss)
+ */
+export function utcToWallClock(date, timeZone = getDefaultTimezone()) {
+  const instant = new Date(date);
+  return new Date(instant.getTime() + getTimezoneOffset(timeZone, instant)).toISOString().slice(0, 23);
+}
+
+/**
+ * Format a date for display in a timezone
+ * @param {string|Date} date - Date to format
+ * @param {string} [timeZone] - IANA timezone; defaults to getDefaultTimezone()
+ * @param {Intl.DateTimeFormatOptions} [options] - Formatting options; defaults to a short date
+ * @returns {string} Formatted date, or an empty string without a date
+ */
+export function formatInTimezone(date, timeZone = getDefaultTimezone(), options = { year: 'numeric', month: 'numeric', day: 'numeric' }) {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-US', { ...options, timeZone });
 }
 
 /**
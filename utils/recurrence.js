@@ -0,0 +1,306 @@
+/**
+ * Recurrence rule helpers (subset of RFC 5545 RRULE)
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (with optional
+ * ordinal for monthly rules, e.g. 1SU or -1FR), BYMONTHDAY, UNTIL and COUNT.
+ * Occurrences are expanded from the rule's start date on the wall clock of the
+ * series' timezone, so sessions keep their local day and time across daylight saving.
+ */
+
+import { getDefaultTimezone, localToUTC, utcToWallClock } from './dateUtils.js';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop so a malformed rule can never spin forever
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE string into its components
+ * @param {string} rule - RRULE string, with or without the "RRULE:" prefix
+ * @returns {{freq: string, interval: number, byDay: Array<{weekday: number, ordinal: number|null}>, byMonthDay: number[], until: Date|null, count: number|null}}
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+export function parseRRule(rule) {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Invalid recurrence rule: rule is required');
+  }
+
+  const parsed = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    until: null,
+    count: null
+  };
+
+  const body = rule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const value = (rawValue || '').toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid recurrence rule: missing value for ${key}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Invalid recurrence rule: unsupported frequency ${value}`);
+        }
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value, 10);
+        if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+          throw new Error('Invalid recurrence rule: INTERVAL must be a positive integer');
+        }
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map(token => {
+          const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new Error(`Invalid recurrence rule: bad BYDAY value ${token}`);
+          }
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw new Error(`Invalid recurrence rule: bad BYDAY ordinal ${token}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map(token => {
+          const day = parseInt(token, 10);
+          if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+            throw new Error(`Invalid recurrence rule: bad BYMONTHDAY value ${token}`);
+          }
+          return day;
+        });
+        break;
+      case 'UNTIL':
+        parsed.until = parseRRuleDate(value);
+        break;
+      case 'COUNT':
+        parsed.count = parseInt(value, 10);
+        if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+          throw new Error('Invalid recurrence rule: COUNT must be a positive integer');
+        }
+        break;
+      case 'WKST':
+        // Weeks always start on Monday here; accepted for compatibility
+        break;
+      default:
+        throw new Error(`Invalid recurrence rule: unsupported part ${key}`);
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new Error('Invalid recurrence rule: FREQ is required');
+  }
+
+  if (parsed.until && parsed.count) {
+    throw new Error('Invalid recurrence rule: UNTIL and COUNT cannot both be set');
+  }
+
+  if (parsed.freq !== 'MONTHLY') {
+    if (parsed.byDay.some(day => day.ordinal !== null)) {
+      throw new Error('Invalid recurrence rule: BYDAY ordinals are only supported for MONTHLY rules');
+    }
+    if (parsed.byMonthDay.length > 0) {
+      throw new Error('Invalid recurrence rule: BYMONTHDAY is only supported for MONTHLY rules');
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Build an RRULE string from parsed components (UNTIL and COUNT are left out)
+ * @param {object} parsed - Output of parseRRule
+ * @returns {string} Normalized RRULE string
+ */
+export function formatRRule(parsed) {
+  const parts = [`FREQ=${parsed.freq}`];
+
+  if (parsed.interval && parsed.interval !== 1) {
+    parts.push(`INTERVAL=${parsed.interval}`);
+  }
+
+  if (parsed.byDay.length > 0) {
+    parts.push(`BYDAY=${parsed.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+
+  if (parsed.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${parsed.byMonthDay.join(',')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Expand the occurrence start times of a recurrence
+ * @param {object} options
+ * @param {string} options.rule - RRULE string
+ * @param {Date|string} options.startDate - First occurrence (DTSTART)
+ * @param {Date|string|null} [options.until] - Last allowed occurrence start
+ * @param {number|null} [options.count] - Maximum number of occurrences
+ * @param {Array<Date|string>} [options.exceptionDates] - Occurrence starts to skip (EXDATE)
+ * @param {Date|string} [options.from] - Only return occurrences at or after this time
+ * @param {Date|string} [options.to] - Only return occurrences at or before this time
+ * @param {string} [options.timeZone] - IANA timezone the series is scheduled in; defaults to getDefaultTimezone()
+ * @returns {Date[]} Occurrence start times in ascending order
+ */
+export function expandOccurrences({ rule, startDate, until = null, count = null, exceptionDates = [], from = null, to = null, timeZone = getDefaultTimezone() }) {
+  const parsed = parseRRule(rule);
+  const dtstart = new Date(startDate);
+  const untilDate = until ? new Date(until) : parsed.until;
+  const maxCount = count || parsed.count;
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if (!untilDate && !maxCount && !toDate) {
+    throw new Error('Unbounded recurrence expansion requires a "to" date');
+  }
+
+  // Candidates are built on the local wall clock (held in UTC fields) and then converted back
+  const localStart = new Date(`${utcToWallClock(dtstart, timeZone)}Z`);
+  const toInstant = (local) => new Date(localToUTC(local.toISOString().slice(0, 23), timeZone));
+
+  const excluded = new Set(exceptionDates.map(date => new Date(date).getTime()));
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const candidates = periodCandidates(parsed, localStart, period).map(toInstant);
+
+    for (const candidate of candidates) {
+      if (candidate < dtstart) continue;
+      if (untilDate && candidate > untilDate) return occurrences;
+      if (maxCount && generated >= maxCount) return occurrences;
+      if (toDate && candidate > toDate) return occurrences;
+
+      // COUNT includes excluded dates, as in RFC 5545
+      generated++;
+
+      if (excluded.has(candidate.getTime())) continue;
+      if (fromDate && candidate < fromDate) continue;
+
+      occurrences.push(candidate);
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Describe a recurrence rule in plain English (e.g. "Every week on Saturday")
+ * @param {string} rule - RRULE string
+ * @returns {string} Human readable description
+ */
+export function describeRRule(rule) {
+  const parsed = parseRRule(rule);
+  const names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' };
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parsed.freq];
+  let text = parsed.interval === 1 ? `Every ${unit}` : `Every ${parsed.interval} ${unit}s`;
+
+  if (parsed.byDay.length > 0) {
+    const days = parsed.byDay.map(day => day.ordinal !== null
+      ? `the ${ordinals[day.ordinal] || `${day.ordinal}th`} ${names[day.weekday]}`
+      : names[day.weekday]);
+    text += ` on ${days.join(', ')}`;
+    if (parsed.byMonthDay.length > 0) {
+      text += ` falling on day ${parsed.byMonthDay.join(', ')}`;
+    }
+  } else if (parsed.byMonthDay.length > 0) {
+    text += ` on day ${parsed.byMonthDay.join(', ')}`;
+  }
+
+  return text;
+}
+
+// Parse an RRULE date value (YYYYMMDD or YYYYMMDDTHHMMSSZ) as UTC
+function parseRRuleDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new Error(`Invalid recurrence rule: bad UNTIL value ${value}`);
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+}
+
+// Candidate occurrences for the nth period after DTSTART, in ascending order. DTSTART and the
+// candidates are wall-clock times whose UTC fields hold the local date and time.
+function periodCandidates(parsed, dtstart, period) {
+  const hours = dtstart.getUTCHours();
+  const minutes = dtstart.getUTCMinutes();
+  const seconds = dtstart.getUTCSeconds();
+  const at = (year, month, day) => new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+
+  if (parsed.freq === 'DAILY') {
+    const day = new Date(dtstart.getTime() + period * parsed.interval * DAY_MS);
+    if (parsed.byDay.length > 0 && !parsed.byDay.some(d => d.weekday === day.getUTCDay())) {
+      return [];
+    }
+    return [day];
+  }
+
+  if (parsed.freq === 'WEEKLY') {
+    // Weeks start on Monday
+    const mondayOffset = (dtstart.getUTCDay() + 6) % 7;
+    const weekStart = at(dtstart.getUTCFullYear(), dtstart.getUTCMonth(), dtstart.getUTCDate() - mondayOffset + period * parsed.interval * 7);
+    const weekdays = parsed.byDay.length > 0 ? parsed.byDay.map(d => d.weekday) : [dtstart.getUTCDay()];
+
+    return [...new Set(weekdays)]
+      .map(weekday => (weekday + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(offset => at(weekStart.getUTCFullYear(), weekStart.getUTCMonth(), weekStart.getUTCDate() + offset));
+  }
+
+  // MONTHLY
+  const monthIndex = dtstart.getUTCMonth() + period * parsed.interval;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const monthDays = new Set();
+  for (const monthDay of parsed.byMonthDay) {
+    const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+    if (day >= 1 && day <= daysInMonth) monthDays.add(day);
+  }
+
+  const weekDays = new Set();
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  for (const { weekday, ordinal } of parsed.byDay) {
+    const matching = [];
+    for (let day = 1 + ((weekday - firstWeekday + 7) % 7); day <= daysInMonth; day += 7) {
+      matching.push(day);
+    }
+
+    if (ordinal === null) {
+      matching.forEach(day => weekDays.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) weekDays.add(day);
+    }
+  }
+
+  let days;
+  if (parsed.byMonthDay.length > 0 && parsed.byDay.length > 0) {
+    // With both, BYDAY limits BYMONTHDAY (RFC 5545), e.g. Friday the 13th
+    days = [...monthDays].filter(day => weekDays.has(day));
+  } else if (parsed.byMonthDay.length > 0) {
+    days = [...monthDays];
+  } else if (parsed.byDay.length > 0) {
+    days = [...weekDays];
+  } else {
+    days = dtstart.getUTCDate() <= daysInMonth ? [dtstart.getUTCDate()] : [];
+  }
+
+  return days.sort((a, b) => a - b).map(day => at(year, month, day));
+}
@@ -1,19 +1,171 @@
 import Joi from 'joi';
 
+// IANA timezone names, as used by chapters, cities and users
+const timezoneSchema = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch {
+    return helpers.error('any.invalid');
+  }
+}).messages({
+  'any.invalid': 'Timezone must be an IANA timezone such as America/New_York'
+});
+
 // User validation schemas
 export const userRegistrationSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   email: Joi.string().email().required(),
   password: Joi.string().min(6).required(),
-  role: Joi.string().valid('STUDENT', 'PARENT', 'ADMIN').default('STUDENT'),
+  inviteToken: Joi.string().optional(),
+  deviceName: Joi.string().max(100).optional(),
   phone: Joi.string().optional(),
+  birthDate: Joi.date().iso().max('now').optional(),
+  timezone: timezoneSchema.optional(),
   chapter: Joi.string().optional(),
   city: Joi.string().optional()
 });
 
+export const invitationCreateSchema = Joi.object({
+  email: Joi.string().email().optional(),
+  role: Joi.string().valid('STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN').required(),
+  chapter: Joi.when('role', {
+    is: 'CHAPTER_ADMIN',
+    then: Joi.string().required(),
+    otherwise: Joi.string().optional()
+  }),
+  expiresInHours: Joi.number().integer().min(1).max(24 * 30).default(72)
+});
+
+export const invitationQuerySchema = Joi.object({
+  status: Joi.string().valid('PENDING', 'USED', 'REVOKED', 'EXPIRED').optional(),
+  role: Joi.string().valid('STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN').optional()
+});
+
+export const roleChangeSchema = Joi.object({
+  role: Joi.string().valid('STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN').required(),
+  adminChapters: Joi.when('role', {
+    is: 'CHAPTER_ADMIN',
+    then: Joi.array().items(Joi.string()).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  reason: Joi.string().max(500).optional()
+});
+
+// Hours ledger: history queries and manual entries (positive adds hours, negative removes them)
+export const hoursLedgerQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.date().required(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }).optional()
+});
+
+export const hoursAdjustmentSchema = Joi.object({
+  hours: Joi.number().min(-1000).max(1000).invalid(0).required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+  description: Joi.string().trim().max(200).optional(),
+  activityDate: Joi.date().iso().optional()
+});
+
+export const hoursReversalSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+// Certificates and transcripts; parents may ask for a linked child's with userId
+export const transcriptQuerySchema = Joi.object({
+  userId: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.date().required(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }).optional()
+});
+
+export const certificateQuerySchema = Joi.object({
+  userId: Joi.string().optional()
+});
+
+export const certificateRevokeSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+// Service award tiers; an open role, age bound or year is left null
+const awardTierFields = {
+  program: Joi.string().trim().min(2).max(100),
+  name: Joi.string().trim().min(1).max(50),
+  minHours: Joi.number().greater(0).max(10000),
+  role: Joi.string().valid('STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN').allow(null),
+  minAge: Joi.number().integer().min(0).max(120).allow(null),
+  maxAge: Joi.when('minAge', {
+    is: Joi.number().required(),
+    then: Joi.number().integer().min(Joi.ref('minAge')).max(120),
+    otherwise: Joi.number().integer().min(0).max(120)
+  }).allow(null),
+  year: Joi.number().integer().min(2000).max(2100).allow(null),
+  isActive: Joi.boolean()
+};
+
+export const awardTierCreateSchema = Joi.object({
+  ...awardTierFields,
+  program: awardTierFields.program.required(),
+  name: awardTierFields.name.required(),
+  minHours: awardTierFields.minHours.required()
+});
+
+export const awardTierUpdateSchema = Joi.object(awardTierFields).min(1);
+
+export const awardQuerySchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).optional(), // Defaults to the current award year
+  userId: Joi.string().optional()
+});
+
+// Outside-hours submissions. The proof file is sent base64-encoded in the JSON body.
+export const PROOF_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+export const externalHoursCreateSchema = Joi.object({
+  userId: Joi.string().optional(), // Guardians submitting for a linked child
+  organization: Joi.string().trim().min(2).max(200).required(),
+  activity: Joi.string().trim().min(3).max(1000).required(),
+  activityDate: Joi.date().iso().max('now').required(),
+  hours: Joi.number().greater(0).max(500).required(),
+  supervisorName: Joi.string().trim().min(2).max(100).required(),
+  supervisorEmail: Joi.string().email().optional(),
+  supervisorPhone: Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/).optional().messages({
+    'string.pattern.base': 'Supervisor phone must be a phone number'
+  }),
+  proofFile: Joi.object({
+    name: Joi.string().trim().max(200).required(),
+    mimeType: Joi.string().valid(...PROOF_MIME_TYPES).required(),
+    data: Joi.string().base64().required()
+  }).required()
+}).or('supervisorEmail', 'supervisorPhone');
+
+export const externalHoursQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('PENDING', 'APPROVED', 'DENIED').optional(),
+  userId: Joi.string().optional()
+});
+
+// Reviewers approve or deny, comment, or both; PENDING sends a submission back to the queue
+export const externalHoursReviewSchema = Joi.object({
+  status: Joi.string().valid('PENDING', 'APPROVED', 'DENIED').optional(),
+  comment: Joi.string().trim().max(1000).allow('').optional()
+}).or('status', 'comment');
+
 export const userLoginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  deviceName: Joi.string().max(100).optional()
+});
+
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
 });
 
 export const passwordChangeSchema = Joi.object({
@@ -25,12 +177,124 @@ export const userUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(100).optional(),
   email: Joi.string().email().optional(),
   phone: Joi.string().optional(),
+  birthDate: Joi.date().iso().max('now').allow(null).optional(),
+  timezone: timezoneSchema.allow(null).optional(), // Null follows the user's city or chapter
   chapter: Joi.string().optional(),
   city: Joi.string().optional(),
   avatar: Joi.string().optional()
 });
 
+// Guardian link validation schemas; either side requests the link by the other's email
+export const guardianLinkCreateSchema = Joi.object({
+  email: Joi.string().email().required(),
+  relationship: Joi.string().max(50).optional()
+});
+
+export const guardianLinkUpdateSchema = Joi.object({
+  relationship: Joi.string().max(50).allow(null).optional(),
+  receiveNotificationCopies: Joi.boolean().optional()
+}).min(1);
+
+// Recurrence validation schemas
+// Session dates are kept as sent (raw) so routes can read times without an offset in the event's timezone
+export const recurrenceSchema = Joi.object({
+  rule: Joi.string().pattern(/^(RRULE:)?FREQ=/i).required(), // RFC 5545 RRULE, e.g. FREQ=WEEKLY;BYDAY=SA
+  startDate: Joi.date().iso().raw().required(), // First occurrence
+  endDate: Joi.date().iso().raw().optional(), // End of the first occurrence, sets the session length
+  durationMinutes: Joi.number().integer().min(1).optional(),
+  until: Joi.date().iso().raw().allow(null).optional(),
+  count: Joi.number().integer().min(1).max(500).allow(null).optional(),
+  exceptionDates: Joi.array().items(Joi.date().iso().raw()).default([]),
+  location: Joi.string().optional(),
+  hours: Joi.number().integer().min(0).default(0),
+  studentCapacity: Joi.number().integer().min(0).default(0),
+  parentCapacity: Joi.number().integer().min(0).default(0),
+  description: Joi.string().optional(),
+  waitlistEnabled: Joi.boolean().default(true)
+}).oxor('endDate', 'durationMinutes');
+
+export const seriesUpdateSchema = Joi.object({
+  scope: Joi.string().valid('THIS', 'THIS_AND_FOLLOWING', 'ALL').required(),
+  startDate: Joi.date().iso().raw().optional(), // New start of the edited session; series scopes shift later sessions by the same amount
+  endDate: Joi.date().iso().raw().optional(),
+  rule: Joi.string().pattern(/^(RRULE:)?FREQ=/i).optional(),
+  until: Joi.date().iso().raw().allow(null).optional(),
+  count: Joi.number().integer().min(1).max(500).allow(null).optional(),
+  location: Joi.string().allow(null, '').optional(),
+  hours: Joi.number().integer().min(0).optional(),
+  studentCapacity: Joi.number().integer().min(0).optional(),
+  parentCapacity: Joi.number().integer().min(0).optional(),
+  description: Joi.string().allow(null, '').optional(),
+  enabled: Joi.boolean().optional(),
+  waitlistEnabled: Joi.boolean().optional()
+}).oxor('until', 'count');
+
+// Reminder offsets in minutes before a session starts (e.g. 10080 = 7 days, 1440 = 24 hours, 60 = 1 hour)
+export const reminderOffsetsSchema = Joi.array().items(Joi.number().integer().min(15).max(30 * 24 * 60)).max(5).unique();
+
+// When a session takes signups, and how close to the start volunteers can cancel without it
+// counting as a late cancellation. Left empty, signups stay open until the session is completed.
+const signupCutoffFields = {
+  signupOpensAt: Joi.date().iso().raw().allow(null).optional(),
+  signupClosesAt: Joi.when('signupOpensAt', {
+    is: Joi.date().required(),
+    then: Joi.date().iso().greater(Joi.ref('signupOpensAt')),
+    otherwise: Joi.date().iso()
+  }).raw().allow(null).optional(),
+  cancelCutoffHours: Joi.number().integer().min(0).max(720).allow(null).optional()
+};
+
+// Custom signup questions. Answers are validated with a schema built from the event's questions.
+export const SIGNUP_QUESTION_TYPES = ['TEXT', 'LONG_TEXT', 'NUMBER', 'BOOLEAN', 'SELECT', 'MULTI_SELECT', 'DATE', 'EMAIL', 'PHONE'];
+
+export const signupQuestionSchema = Joi.object({
+  id: Joi.string().optional(), // Existing question being edited
+  label: Joi.string().trim().min(1).max(200).required(),
+  type: Joi.string().valid(...SIGNUP_QUESTION_TYPES).default('TEXT'),
+  required: Joi.boolean().default(false),
+  options: Joi.when('type', {
+    is: Joi.valid('SELECT', 'MULTI_SELECT'),
+    then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(50).unique().required(),
+    otherwise: Joi.array().max(0).default([])
+  }),
+  helpText: Joi.string().max(500).allow(null, '').optional()
+});
+
+export const signupQuestionsSchema = Joi.array().items(signupQuestionSchema).max(25);
+
+const signupAnswerSchemas = {
+  TEXT: () => Joi.string().trim().max(500),
+  LONG_TEXT: () => Joi.string().trim().max(5000),
+  NUMBER: () => Joi.number(),
+  BOOLEAN: () => Joi.boolean(),
+  SELECT: (question) => Joi.string().valid(...question.options),
+  MULTI_SELECT: (question) => Joi.array().items(Joi.string().valid(...question.options)).unique(),
+  DATE: () => Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{{#label}} must be a date (YYYY-MM-DD)' }),
+  EMAIL: () => Joi.string().trim().email(),
+  PHONE: () => Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/).messages({ 'string.pattern.base': '{{#label}} must be a phone number' })
+};
+
+// Answers keyed by question id. Required questions must be answered (false counts for yes/no questions).
+export const buildSignupAnswersSchema = (questions) => {
+  const keys = {};
+  for (const question of questions) {
+    let schema = signupAnswerSchemas[question.type](question).label(question.label);
+    if (question.required) {
+      schema = question.type === 'MULTI_SELECT' ? schema.min(1).required() : schema.required();
+    } else {
+      schema = schema.allow(null, '').optional();
+    }
+    keys[question.id] = schema;
+  }
+  return Joi.object(keys).messages({
+    'object.unknown': '{{#label}} is not a question on this event'
+  });
+};
+
 // Event validation schemas
+// Waitlist priority rules, applied in the order an event lists them (see services/waitlistService.js)
+export const WAITLIST_PRIORITY_RULES = ['FIRST_TIMERS', 'CHAPTER_MEMBERS'];
+
 export const eventCreateSchema = Joi.object({
   title: Joi.string().min(3).max(200).required(),
   description: Joi.string().min(10).required(),
@@ -40,10 +304,15 @@ export const eventCreateSchema = Joi.object({
   chapters: Joi.array().items(Joi.string()).min(1).required(),
   cities: Joi.array().items(Joi.string()).min(1).required(),
   tags: Joi.array().items(Joi.string()).optional(),
-  scheduledPublishDate: Joi.date().iso().allow(null).optional(),
+  scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+  reminderOffsets: reminderOffsetsSchema.min(1).optional(),
+  waitlistOfferHours: Joi.number().integer().min(1).max(168).optional(),
+  waitlistAutoAccept: Joi.boolean().optional(),
+  waitlistPriority: Joi.array().items(Joi.string().valid(...WAITLIST_PRIORITY_RULES)).unique().optional(),
+  questions: signupQuestionsSchema.optional(),
   instances: Joi.array().items(Joi.object({
-    startDate: Joi.date().iso().optional(),
-    endDate: Joi.date().iso().optional(),
+    startDate: Joi.date().iso().raw().optional(),
+    endDate: Joi.date().iso().raw().optional(),
     location: Joi.string().optional(),
     hours: Joi.number().integer().min(0).default(0),
     studentCapacity: Joi.number().integer().min(0).default(0),
@@ -51,8 +320,11 @@ export const eventCreateSchema = Joi.object({
     description: Joi.string().optional(),
     enabled: Joi.boolean().default(true),
     waitlistEnabled: Joi.boolean().default(true),
-    scheduledPublishDate: Joi.date().iso().allow(null).optional()
-  })).optional()
+    scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+    reminderOffsets: reminderOffsetsSchema.optional(),
+    ...signupCutoffFields
+  })).optional(),
+  recurrence: recurrenceSchema.optional()
 });
 
 export const eventUpdateSchema = Joi.object({
@@ -64,11 +336,15 @@ export const eventUpdateSchema = Joi.object({
   chapters: Joi.array().items(Joi.string()).min(1).optional(),
   cities: Joi.array().items(Joi.string()).min(1).optional(),
   tags: Joi.array().items(Joi.string()).optional(),
-  scheduledPublishDate: Joi.date().iso().allow(null).optional(),
+  scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+  reminderOffsets: reminderOffsetsSchema.min(1).optional(),
+  waitlistOfferHours: Joi.number().integer().min(1).max(168).optional(),
+  waitlistAutoAccept: Joi.boolean().optional(),
+  waitlistPriority: Joi.array().items(Joi.string().valid(...WAITLIST_PRIORITY_RULES)).unique().optional(),
   instances: Joi.array().items(Joi.object({
     id: Joi.string().optional(), // Allow ID for existing instances
-    startDate: Joi.date().iso().optional(),
-    endDate: Joi.date().iso().optional(),
+    startDate: Joi.date().iso().raw().optional(),
+    endDate: Joi.date().iso().raw().optional(),
     location: Joi.string().optional(),
     hours: Joi.number().integer().min(0).default(0),
     studentCapacity: Joi.number().integer().min(0).default(0),
@@ -76,14 +352,16 @@ export const eventUpdateSchema = Joi.object({
     description: Joi.string().optional(),
     enabled: Joi.boolean().default(true),
     waitlistEnabled: Joi.boolean().default(true),
-    scheduledPublishDate: Joi.date().iso().allow(null).optional()
+    scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+    reminderOffsets: reminderOffsetsSchema.optional(),
+    ...signupCutoffFields
   })).optional()
 });
 
 // Event instance validation schemas
 export const eventInstanceCreateSchema = Joi.object({
-  startDate: Joi.date().iso().optional(),
-  endDate: Joi.date().iso().optional(),
+  startDate: Joi.date().iso().raw().optional(),
+  endDate: Joi.date().iso().raw().optional(),
   location: Joi.string().optional(),
   hours: Joi.number().integer().min(0).default(0),
   studentCapacity: Joi.number().integer().min(0).default(0),
@@ -91,12 +369,14 @@ export const eventInstanceCreateSchema = Joi.object({
   description: Joi.string().optional(),
   enabled: Joi.boolean().default(true),
   waitlistEnabled: Joi.boolean().default(true),
-  scheduledPublishDate: Joi.date().iso().allow(null).optional()
+  scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+  reminderOffsets: reminderOffsetsSchema.optional(), // Empty uses the event's offsets
+  ...signupCutoffFields
 });
 
 export const eventInstanceUpdateSchema = Joi.object({
-  startDate: Joi.date().allow(null).optional(),
-  endDate: Joi.date().allow(null).optional(),
+  startDate: Joi.date().raw().allow(null).optional(),
+  endDate: Joi.date().raw().allow(null).optional(),
   location: Joi.string().allow(null, '').optional(),
   hours: Joi.number().integer().min(0).optional(),
   studentCapacity: Joi.number().integer().min(0).optional(),
@@ -104,7 +384,13 @@ export const eventInstanceUpdateSchema = Joi.object({
   description: Joi.string().allow(null, '').optional(),
   enabled: Joi.boolean().optional(),
   waitlistEnabled: Joi.boolean().optional(),
-  scheduledPublishDate: Joi.date().iso().allow(null).optional()
+  scheduledPublishDate: Joi.date().iso().raw().allow(null).optional(),
+  reminderOffsets: reminderOffsetsSchema.optional(), // Empty uses the event's offsets
+  ...signupCutoffFields
+});
+
+export const rosterQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv', 'xlsx', 'pdf').default('json')
 });
 
 export const sessionStatusUpdateSchema = Joi.object({
@@ -112,10 +398,25 @@ export const sessionStatusUpdateSchema = Joi.object({
   reason: Joi.string().max(500).optional()
 });
 
+// Leave out startDate to postpone until a new date is set
+export const sessionRescheduleSchema = Joi.object({
+  startDate: Joi.date().raw().optional(),
+  endDate: Joi.date().raw().greater(Joi.ref('startDate')).optional(),
+  location: Joi.string().allow(null, '').optional(),
+  reason: Joi.string().max(500).optional(),
+  responseHours: Joi.number().integer().min(1).max(14 * 24).optional() // Time to reconfirm; defaults to RESCHEDULE_RESPONSE_HOURS
+}).with('endDate', 'startDate');
+
 // Signup validation schemas
 export const signupCreateSchema = Joi.object({
   eventId: Joi.string().required(),
-  instanceId: Joi.string().required()
+  instanceId: Joi.string().required(),
+  userId: Joi.string().optional(), // Parents signing up a linked child
+  answers: Joi.object().unknown(true).optional() // Checked against the event's questions by buildSignupAnswersSchema
+});
+
+export const signupQuestionsUpdateSchema = Joi.object({
+  questions: signupQuestionsSchema.required()
 });
 
 export const signupUpdateSchema = Joi.object({
@@ -125,6 +426,25 @@ export const signupUpdateSchema = Joi.object({
   comment: Joi.string().max(500).optional()
 });
 
+export const checkInSchema = Joi.object({
+  code: Joi.string().trim().required(),
+  userId: Joi.string().optional() // Parents checking in a linked child
+});
+
+export const attendanceHoursSchema = Joi.object({
+  signupIds: Joi.array().items(Joi.string()).min(1).optional() // Defaults to everyone who checked in
+});
+
+export const ATTENDANCE_OUTCOMES = ['ATTENDED', 'NO_SHOW', 'LATE_CANCEL', 'EXCUSED'];
+
+// Coordinators record how each signup turned out; null clears a mistaken entry
+export const attendanceOutcomesSchema = Joi.object({
+  records: Joi.array().items(Joi.object({
+    signupId: Joi.string().required(),
+    outcome: Joi.string().valid(...ATTENDANCE_OUTCOMES).allow(null).required()
+  })).min(1).unique('signupId').required()
+});
+
 // Query validation schemas
 export const paginationSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
@@ -150,9 +470,95 @@ export const userQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   search: Joi.string().optional(),
-  role: Joi.string().valid('STUDENT', 'PARENT', 'ADMIN').optional(),
+  role: Joi.string().valid('STUDENT', 'PARENT', 'CHAPTER_ADMIN', 'ADMIN').optional(),
   chapter: Joi.string().allow('undefined', '').optional(),
   city: Joi.string().allow('undefined', '').optional(),
   sortBy: Joi.string().valid('name', 'email', 'role', 'totalHours', 'joinedDate').default('name'), // totalHours kept for backward compatibility, handled in backend
   sortOrder: Joi.string().valid('asc', 'desc').default('asc')
-}); 
\ No newline at end of file
+});
+
+export const jobQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('PENDING', 'RUNNING', 'COMPLETED', 'DEAD', 'CANCELLED').optional(),
+  type: Joi.string().optional()
+});
+
+// SMS validation schemas
+export const phoneVerificationStartSchema = Joi.object({
+  phone: Joi.string().max(32).optional()
+});
+
+export const phoneVerificationConfirmSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': 'Verification code must be 6 digits'
+  })
+});
+
+export const smsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('QUEUED', 'SENT', 'DELIVERED', 'UNDELIVERED', 'FAILED', 'SKIPPED').optional(),
+  purpose: Joi.string().valid('VERIFICATION', 'REMINDER', 'WAITLIST_OFFER', 'CANCELLATION').optional(),
+  userId: Joi.string().optional()
+});
+
+// Email outbox validation schemas
+export const emailQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('QUEUED', 'SENT', 'FAILED').optional(),
+  purpose: Joi.string().valid('EVENT_REMINDER', 'WAITLIST_OFFER', 'SIGNUP_CONFIRMATION', 'SESSION_CANCELLATION', 'SESSION_COMPLETION', 'SESSION_UPDATE', 'INVITATION', 'WEEKLY_DIGEST', 'AWARD_MILESTONE').optional(), // Password reset emails are not listed
+  userId: Joi.string().optional(),
+  to: Joi.string().optional()
+});
+
+// Chapter and city validation schemas
+const slugSchema = Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).messages({
+  'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single dashes'
+});
+
+export const chapterCreateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  slug: slugSchema.optional(),
+  timezone: timezoneSchema.default('America/New_York'),
+  contactEmail: Joi.string().email().allow(null).optional(),
+  contactPhone: Joi.string().max(32).allow(null).optional(),
+  description: Joi.string().max(2000).allow(null, '').optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+export const chapterUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional(),
+  slug: slugSchema.optional(),
+  timezone: timezoneSchema.optional(),
+  contactEmail: Joi.string().email().allow(null).optional(),
+  contactPhone: Joi.string().max(32).allow(null).optional(),
+  description: Joi.string().max(2000).allow(null, '').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+export const chapterCoordinatorsSchema = Joi.object({
+  userIds: Joi.array().items(Joi.string()).unique().required()
+});
+
+export const cityCreateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  slug: slugSchema.optional(),
+  chapterId: Joi.string().allow(null).optional(),
+  timezone: timezoneSchema.allow(null).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+export const cityUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional(),
+  slug: slugSchema.optional(),
+  chapterId: Joi.string().allow(null).optional(),
+  timezone: timezoneSchema.allow(null).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+export const locationQuerySchema = Joi.object({
+  includeInactive: Joi.boolean().default(false),
+  chapterId: Joi.string().optional()
+});